@@ -7,16 +7,28 @@
 
 const path = require('path');
 const { createProject, addToProject, InstallerError } = require('../lib/installer');
+const { listTemplates } = require('../lib/template-registry');
+const { TOOLS, DEFAULT_TOOLS } = require('../lib/tool-targets');
+const { selectTemplate, STACK_LABELS } = require('../lib/stack-detector');
+const { selectWorkspacePackages } = require('../lib/workspace');
+const { normalizeMetadata, hasMetadata, loadAnswers } = require('../lib/project-metadata');
 
-// Color codes for terminal output
-const colors = {
-  reset: '\x1b[0m',
-  red: '\x1b[31m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  magenta: '\x1b[35m',
-  cyan: '\x1b[36m'
+const colors = require('../lib/utils/colors');
+
+// Subcommands, each implemented by a module in lib/commands
+const COMMANDS = {
+  adr: '../lib/commands/adr',
+  check: '../lib/commands/check',
+  context: '../lib/commands/context',
+  fill: '../lib/commands/fill',
+  hooks: '../lib/commands/hooks',
+  memory: '../lib/commands/memory',
+  rules: '../lib/commands/rules',
+  serve: '../lib/commands/serve',
+  sync: '../lib/commands/sync',
+  uninstall: '../lib/commands/uninstall',
+  upgrade: '../lib/commands/upgrade',
+  validate: '../lib/commands/validate'
 };
 
 // Package version from package.json
@@ -32,20 +44,88 @@ ${colors.cyan}AI Init v${VERSION}${colors.reset} - Initialize AI Project Starter
 
 ${colors.yellow}Usage:${colors.reset}
   ai-init [project-name] [options]
+  ai-init <command> [args] [options]
 
 ${colors.yellow}Arguments:${colors.reset}
   project-name         Name of the directory to create (optional)
 
+${colors.yellow}Commands:${colors.reset}
+  adr new "<title>" [dir]
+                       Create the next numbered ADR from the ADR template
+  adr supersede <n> <m> [dir]
+                       Mark ADR n as superseded by ADR m
+  adr index [dir]      Write the README table of all ADRs
+  check [dir]          Check the project's files against rules.yaml
+  context [dir]        Print rules.yaml, the memory bank and current ADRs as one bundle
+                       to paste into any assistant
+  fill [dir]           Fill rules.yaml placeholders from the codebase
+  hooks install [dir]  Add git hooks that check commits against rules.yaml
+  hooks uninstall [dir]
+                       Remove the git hooks added by hooks install
+  memory status [dir]  Show how current each memory-bank file is
+  memory log "<entry>" [dir]
+                       Append a dated entry to memory-bank/progress.md
+  rules generate [dir] Write .cursor/rules/ai-init-*.mdc from the sections of rules.yaml
+  rules lint [paths]   Check .mdc rule files (default: .cursor/rules)
+  serve --mcp [dir]    Serve rules.yaml, the memory bank and ADRs to MCP clients over stdio
+  sync [dir]           Update copied and generated AI tool files from rules.yaml
+  uninstall [dir]      Remove the scaffolding ai-init created (keeps edited files)
+  upgrade [dir]        Update scaffolding to this version's templates
+  validate [dir]       Validate scaffolding (exit 0 ok, 1 warnings, 2 errors)
+
 ${colors.yellow}Options:${colors.reset}
   --help, -h           Show this help message
   --version, -v        Show version number
   --add                Add AI scaffolding to existing project
+  --template <name>    Template to scaffold (default: next)
+  --template-dir <dir> Directory of local templates layered over the built-in ones
+                       (repeatable; saved in .ai-init.json)
+  --list-templates     List available templates
+  --tools <list>       AI tools to set up, comma-separated, or "all"
+                       (default: cursor,windsurf,cline; saved in .ai-init.json)
+  --list-tools         List supported AI tools
+  --link-mode <mode>   How tools that read rules.yaml get it: symlink, hardlink,
+                       copy or auto (default: auto, a symlink with a copy fallback)
+  --no-detect          Don't auto-detect the template or workspace packages when using --add
+  --packages <glob>    With --add at a workspace root, scaffold only the packages
+                       whose path or name matches (default: all)
+  --name <name>        Project name for rules.yaml and projectbrief.md
+  --goal <goal>        Project goal for rules.yaml and projectbrief.md
+  --feature <feature>  Key feature (repeatable)
+  --answers <file>     Read name, goal and features from a JSON or YAML file
+  --dry-run            List what would be created, copied or skipped without writing
+  --diff               With --dry-run, show differences for existing files (implies --dry-run)
+  --on-conflict <mode> With --add, what to do with existing files:
+                       skip (default), overwrite, backup, merge or prompt
+  --json               Print machine-readable output (check, validate, upgrade, sync, uninstall,
+                       rules lint, rules generate, memory, adr, hooks,
+                       context)
+  --force              With sync and rules generate, overwrite files edited by hand;
+                       with uninstall, also remove files edited since they were installed
+  --file <name>        With memory log, the file to append to: progress (default)
+                       or activeContext
+  --format <format>    With context, markdown (default) or xml
+  --output <file>      With context, write the bundle to a file instead of stdout
+  --include <glob>     With context, bundle only matching files (repeatable)
+  --exclude <glob>     With context, leave matching files out (repeatable)
+  --max-tokens <n>     With context, cut the lowest-priority files to fit about n tokens
+  --mcp                With serve, speak the Model Context Protocol over stdio
   --verbose            Show detailed logs
   --skip-symlink       Skip creating symlinks
 
 ${colors.yellow}Examples:${colors.reset}
   ai-init my-project   Create a new directory with scaffolding
   ai-init --add        Add scaffolding to current directory
+  ai-init my-api --template python
+                       Create a directory using the python template
+  ai-init my-app --name "My App" --goal "Sell books" --feature Search --feature Checkout
+                       Create a directory with project metadata filled in
+  ai-init --add --dry-run --diff
+                       Preview adding scaffolding, with diffs for existing files
+  ai-init --add --tools copilot,claude,agents
+                       Add scaffolding with instructions for Copilot, Claude and AGENTS.md
+  ai-init --add --on-conflict merge
+                       Add scaffolding, merging missing keys and sections into existing files
   `);
 }
 
@@ -56,18 +136,58 @@ ${colors.yellow}Examples:${colors.reset}
 function parseArgs() {
   const args = process.argv.slice(2);
   const options = {
+    command: null,
+    args: [],
     projectName: null,
     add: false,
     verbose: false,
     skipSymlink: false,
+    template: undefined,
+    templateDir: undefined,
+    listTemplates: false,
+    tools: undefined,
+    listTools: false,
+    linkMode: undefined,
+    detect: true,
+    packages: undefined,
+    name: undefined,
+    goal: undefined,
+    features: [],
+    answers: undefined,
+    json: false,
+    dryRun: false,
+    diff: false,
+    onConflict: undefined,
+    force: false,
+    file: undefined,
+    format: undefined,
+    output: undefined,
+    include: [],
+    exclude: [],
+    maxTokens: undefined,
+    mcp: false,
     help: false,
     version: false
   };
 
   for (let i = 0; i < args.length; i++) {
-    const arg = args[i];
+    let arg = args[i];
+    let value;
+    
+    // Support both --option=value and --option value
+    const equalsIndex = arg.indexOf('=');
+    if (arg.startsWith('--') && equalsIndex !== -1) {
+      value = arg.slice(equalsIndex + 1);
+      arg = arg.slice(0, equalsIndex);
+    }
+    const takeValue = () => {
+      if (value !== undefined) return value;
+      if (i + 1 < args.length && !args[i + 1].startsWith('-')) return args[++i];
+      console.warn(`${colors.yellow}Warning:${colors.reset} Missing value for option: ${arg}`);
+      return undefined;
+    };
     
-    if (arg.startsWith('--')) {
+    if (arg.startsWith('-')) {
       // Handle options
       switch (arg) {
         case '--add':
@@ -80,6 +200,79 @@ function parseArgs() {
         case '--skip-symlink':
           options.skipSymlink = true;
           break;
+        case '--template':
+          options.template = takeValue();
+          break;
+        case '--template-dir':
+          options.templateDir = (options.templateDir || []).concat(takeValue() || []);
+          break;
+        case '--list-templates':
+          options.listTemplates = true;
+          break;
+        case '--tools':
+          options.tools = takeValue();
+          break;
+        case '--list-tools':
+          options.listTools = true;
+          break;
+        case '--link-mode':
+          options.linkMode = takeValue();
+          break;
+        case '--no-detect':
+          options.detect = false;
+          break;
+        case '--packages':
+          options.packages = takeValue();
+          break;
+        case '--name':
+          options.name = takeValue();
+          break;
+        case '--goal':
+          options.goal = takeValue();
+          break;
+        case '--feature':
+          options.features.push(takeValue());
+          break;
+        case '--answers':
+          options.answers = takeValue();
+          break;
+        case '--json':
+          options.json = true;
+          break;
+        case '--dry-run':
+          options.dryRun = true;
+          break;
+        case '--diff':
+          options.dryRun = true;
+          options.diff = true;
+          break;
+        case '--on-conflict':
+          options.onConflict = takeValue();
+          break;
+        case '--file':
+          options.file = takeValue();
+          break;
+        case '--force':
+          options.force = true;
+          break;
+        case '--format':
+          options.format = takeValue();
+          break;
+        case '--output':
+          options.output = takeValue();
+          break;
+        case '--include':
+          options.include = options.include.concat(takeValue() || []);
+          break;
+        case '--exclude':
+          options.exclude = options.exclude.concat(takeValue() || []);
+          break;
+        case '--max-tokens':
+          options.maxTokens = takeValue();
+          break;
+        case '--mcp':
+          options.mcp = true;
+          break;
         case '--help':
         case '-h':
           options.help = true;
@@ -91,6 +284,11 @@ function parseArgs() {
         default:
           console.warn(`${colors.yellow}Warning:${colors.reset} Unknown option: ${arg}`);
       }
+    } else if (options.command) {
+      // Remaining non-option arguments belong to the command
+      options.args.push(arg);
+    } else if (!options.projectName && !options.add && Object.prototype.hasOwnProperty.call(COMMANDS, arg)) {
+      options.command = arg;
     } else if (!options.projectName && !options.add) {
       // First non-option argument is the project name
       options.projectName = arg;
@@ -120,6 +318,261 @@ function prompt(question) {
   });
 }
 
+/**
+ * Gathers project metadata from flags and the answers file, asking for it
+ * interactively when nothing was supplied and stdin is a TTY
+ * @param {Object} options - Parsed options
+ * @param {string} defaultName - Name suggested at the interactive prompt
+ * @returns {Promise<Object>} - Normalized metadata
+ */
+async function collectMetadata(options, defaultName) {
+  const answers = options.answers
+    ? await loadAnswers(path.resolve(options.answers))
+    : normalizeMetadata();
+  
+  // Flags take precedence over the answers file
+  const metadata = normalizeMetadata({
+    name: options.name || answers.name,
+    goal: options.goal || answers.goal,
+    features: options.features.filter(Boolean).length > 0 ? options.features : answers.features
+  });
+  
+  if (hasMetadata(metadata) || !process.stdin.isTTY) {
+    return metadata;
+  }
+  
+  const name = await prompt(`Project name (${defaultName}): `);
+  const goal = await prompt('Project goal (leave empty to fill in later): ');
+  const features = await prompt('Key features, comma-separated (leave empty to fill in later): ');
+  
+  return normalizeMetadata({
+    name: name.trim() || defaultName,
+    goal,
+    features
+  });
+}
+
+/**
+ * Prints the available templates to the console
+ * @param {Object} options - Parsed options (templateDir)
+ */
+async function printTemplates(options) {
+  const templates = await listTemplates({ templateDir: options.templateDir, projectPath: process.cwd() });
+  
+  console.log(`${colors.yellow}Available templates:${colors.reset}`);
+  templates.forEach(template => {
+    console.log(`  ${colors.cyan}${template.name.padEnd(18)}${colors.reset} ${template.description} [${template.stack}]`);
+    // Local layers, from the built-in template up
+    template.layers.slice(1).forEach(layer => {
+      console.log(`  ${''.padEnd(18)} + ${layer.dir}`);
+    });
+  });
+}
+
+/**
+ * Prints the supported AI tools and the files set up for each
+ */
+function printTools() {
+  console.log(`${colors.yellow}Available tools:${colors.reset}`);
+  Object.keys(TOOLS).forEach(name => {
+    const tool = TOOLS[name];
+    const files = tool.outputs.map(output => (output.symlink ? `${output.path} -> ${output.symlink}` : output.path));
+    const marker = DEFAULT_TOOLS.includes(name) ? ' (default)' : '';
+    console.log(`  ${colors.cyan}${name.padEnd(10)}${colors.reset} ${tool.label}${marker}: ${files.join(', ')}`);
+  });
+}
+
+/**
+ * Detects the stack of the current directory and reports the chosen template
+ * @param {Object} options - Parsed options, updated with the selected template
+ */
+async function detectTemplate(options) {
+  const selection = await selectTemplate(process.cwd(), { templateDir: options.templateDir });
+  const { detection } = selection;
+  
+  if (detection.stack) {
+    console.log(`${colors.cyan}Detected:${colors.reset} ${STACK_LABELS[detection.stack]}`);
+  }
+  selection.reasons.forEach(reason => {
+    console.log(`  - ${reason}`);
+  });
+  console.log(`${colors.cyan}Using template:${colors.reset} ${selection.template} ${colors.yellow}(use --template to override, --no-detect to skip detection)${colors.reset}`);
+  
+  options.template = selection.template;
+}
+
+/**
+ * Detects whether the current directory is a workspace root and reports the
+ * packages that will be scaffolded with it
+ * @param {Object} options - Parsed options, updated with the selected packages
+ */
+async function detectPackages(options) {
+  const workspace = await selectWorkspacePackages(process.cwd(), options);
+  if (!workspace) return;
+  
+  console.log(`${colors.cyan}Workspace:${colors.reset} ${workspace.type} (${workspace.source}), ${workspace.packages.length} packages ${colors.yellow}(use --packages to pick some, --no-detect to skip them)${colors.reset}`);
+  workspace.packages.forEach(pkg => {
+    console.log(`  - ${pkg.path} (${pkg.name}): ${pkg.template} template`);
+  });
+  
+  options.workspacePackages = workspace.packages;
+}
+
+// Labels for installer actions in the dry-run preview
+const ACTION_LABELS = {
+  create: `${colors.green}create${colors.reset}   `,
+  copy: `${colors.green}copy${colors.reset}     `,
+  overwrite: `${colors.yellow}overwrite${colors.reset}`,
+  update: `${colors.green}update${colors.reset}   `,
+  exists: `exists   `,
+  skip: `${colors.yellow}skip${colors.reset}     `,
+  backup: `${colors.yellow}backup${colors.reset}   `,
+  merge: `${colors.green}merge${colors.reset}    `,
+  prompt: `${colors.yellow}prompt${colors.reset}   `
+};
+
+// Answers accepted when asking about an existing file
+const CONFLICT_ANSWERS = {
+  s: 'skip',
+  o: 'overwrite',
+  b: 'backup',
+  m: 'merge'
+};
+
+/**
+ * Describes what happened to an existing file, for dry runs and the summary
+ * @param {Object} action - File action reported by the installer
+ * @returns {string} - Note to print after the path, if any
+ */
+function describeConflict(action) {
+  if (action.reason) return ` (${action.reason})`;
+  if (action.status === 'skip') return ' (already exists)';
+  if (action.status === 'backup') return ` (previous copy saved as ${action.backup})`;
+  if (action.status === 'merge') return ` (added ${action.added.join(', ')})`;
+  if (action.status === 'prompt') return ' (will ask)';
+  return '';
+}
+
+/**
+ * Describes how a link output is set up, for dry runs
+ * @param {Object} action - Symlink action reported by the installer
+ * @returns {string} - Note to print after the path, if any
+ */
+function describeLink(action) {
+  if (action.status === 'skip') return ' (already exists)';
+  if (action.mode === 'copy') return ' (copy; refresh with `ai-init sync`)';
+  if (action.mode === 'hardlink') return ' (hard link)';
+  return '';
+}
+
+/**
+ * Asks what to do with an existing file, keeping it when stdin is not a TTY
+ * @param {string} relativePath - Path of the existing file
+ * @returns {Promise<string>} - Conflict mode for the file
+ */
+async function promptConflict(relativePath) {
+  if (!process.stdin.isTTY) {
+    return 'skip';
+  }
+  
+  const answer = await prompt(`${relativePath} already exists. [s]kip, [o]verwrite, [b]ackup, [m]erge (s): `);
+  return CONFLICT_ANSWERS[answer.trim().toLowerCase().charAt(0)] || 'skip';
+}
+
+/**
+ * Prints the actions an installer dry run collected
+ * @param {string} projectPath - Directory the scaffolding would go to
+ * @param {Object[]} actions - Actions reported through onAction
+ */
+function printDryRun(projectPath, actions) {
+  const groups = [
+    ['directory', 'Directories'],
+    ['file', 'Files'],
+    ['symlink', 'Symlinks']
+  ];
+  
+  console.log(`${colors.yellow}Dry run:${colors.reset} nothing was written to ${projectPath}`);
+  
+  groups.forEach(([type, title]) => {
+    const group = actions.filter(action => action.type === type);
+    if (group.length === 0) return;
+    
+    console.log('');
+    console.log(`${colors.cyan}${title}:${colors.reset}`);
+    group.forEach(action => {
+      const target = action.target ? ` -> ${action.target}` : '';
+      const note = type === 'symlink' ? describeLink(action) : describeConflict(action);
+      console.log(`  ${ACTION_LABELS[action.status]} ${action.path}${target}${note}`);
+      if (action.diff) {
+        action.diff.split('\n').forEach(line => {
+          const color = line.startsWith('+') ? colors.green : line.startsWith('-') ? colors.red : '';
+          console.log(`      ${color}${line}${color ? colors.reset : ''}`);
+        });
+      }
+    });
+  });
+  
+  const count = (type, status) => actions.filter(a => a.type === type && a.status === status).length;
+  console.log('');
+  console.log(`Summary: ${count('directory', 'create')} directories to create, ` +
+    `${count('file', 'copy') + count('file', 'overwrite') + count('file', 'backup')} files to copy, ` +
+    `${count('file', 'merge')} to merge, ${count('file', 'skip')} skipped, ` +
+    `${count('symlink', 'create')} symlinks to create, ${count('symlink', 'skip')} skipped`);
+}
+
+/**
+ * Prints what happened to the files that already existed after adding scaffolding
+ * @param {Object[]} actions - Actions reported through onAction
+ */
+function printConflicts(actions) {
+  const conflicts = actions.filter(action => action.type === 'file' && action.status !== 'copy' &&
+    action.status !== 'create' && action.status !== 'update');
+  if (conflicts.length === 0) return;
+  
+  console.log(`${colors.cyan}Existing files:${colors.reset}`);
+  conflicts.forEach(action => {
+    console.log(`  ${ACTION_LABELS[action.status]} ${action.path}${describeConflict(action)}`);
+  });
+}
+
+/**
+ * Adds scaffolding to the current directory, detecting the template first
+ * @param {Object} options - Parsed options
+ */
+async function addToCurrentDirectory(options) {
+  console.log(`${colors.cyan}Adding AI Project Starter scaffolding to current directory...${colors.reset}`);
+  
+  try {
+    if (!options.template && options.detect) {
+      await detectTemplate(options);
+    }
+    if (options.detect || options.packages) {
+      await detectPackages(options);
+    } else {
+      options.workspace = false;
+    }
+    
+    options.metadata = await collectMetadata(options, path.basename(process.cwd()));
+    
+    const actions = [];
+    options.onAction = action => actions.push(action);
+    options.promptConflict = promptConflict;
+    options.onWarning = warning => {
+      console.warn(`${colors.yellow}Warning:${colors.reset} ${warning}`);
+    };
+    
+    const projectPath = await addToProject(options);
+    if (options.dryRun) {
+      printDryRun(projectPath, actions);
+    } else {
+      printConflicts(actions);
+      console.log(`${colors.green}✓${colors.reset} Successfully added AI Project Starter scaffolding to ${projectPath}`);
+    }
+  } catch (error) {
+    handleError(error);
+  }
+}
+
 /**
  * Main execution function
  */
@@ -137,16 +590,25 @@ async function main() {
       return;
     }
     
+    if (options.listTemplates) {
+      await printTemplates(options);
+      return;
+    }
+    
+    if (options.listTools) {
+      printTools();
+      return;
+    }
+    
+    if (options.command) {
+      const command = require(COMMANDS[options.command]);
+      process.exitCode = await command.run(options);
+      return;
+    }
+    
     if (options.add) {
       // Add to existing project
-      console.log(`${colors.cyan}Adding AI Project Starter scaffolding to current directory...${colors.reset}`);
-      
-      try {
-        const projectPath = await addToProject(options);
-        console.log(`${colors.green}✓${colors.reset} Successfully added AI Project Starter scaffolding to ${projectPath}`);
-      } catch (error) {
-        handleError(error);
-      }
+      await addToCurrentDirectory(options);
     } else {
       // Create new project
       let projectName = options.projectName;
@@ -158,23 +620,25 @@ async function main() {
         if (!projectName.trim()) {
           // If still empty, add to current directory
           options.add = true;
-          console.log(`${colors.cyan}Adding AI Project Starter scaffolding to current directory...${colors.reset}`);
-          
-          try {
-            const projectPath = await addToProject(options);
-            console.log(`${colors.green}✓${colors.reset} Successfully added AI Project Starter scaffolding to ${projectPath}`);
-          } catch (error) {
-            handleError(error);
-          }
+          await addToCurrentDirectory(options);
           return;
         }
       }
       
-      console.log(`${colors.cyan}Creating a new directory with AI Project Starter scaffolding: ${projectName}${colors.reset}`);
-      
       try {
+        options.metadata = await collectMetadata(options, path.basename(projectName));
+        
+        console.log(`${colors.cyan}Creating a new directory with AI Project Starter scaffolding: ${projectName}${colors.reset}`);
+        
+        const actions = [];
+        options.onAction = action => actions.push(action);
+        
         const projectPath = await createProject(projectName, options);
-        console.log(`${colors.green}✓${colors.reset} Successfully created AI Project Starter scaffolding in ${projectPath}`);
+        if (options.dryRun) {
+          printDryRun(projectPath, actions);
+        } else {
+          console.log(`${colors.green}✓${colors.reset} Successfully created AI Project Starter scaffolding in ${projectPath}`);
+        }
       } catch (error) {
         handleError(error);
       }
@@ -0,0 +1,406 @@
+/**
+ * Architecture decision records
+ *
+ * ADRs are numbered markdown files (001-initial-framework.md) in the
+ * directory rules.yaml lists under documentation.locations, doc-files/adr/
+ * by default. This module creates the next record from the project's
+ * template.md, marks records as superseded and writes the README index.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { formatDate } = require('./template-variables');
+const { pathExists } = require('./utils/file-operations');
+const yaml = require('./utils/yaml');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const readdir = promisify(fs.readdir);
+const mkdir = promisify(fs.mkdir);
+
+// ADR directory, relative to the project root, when rules.yaml lists none
+const DEFAULT_ADR_DIR = 'doc-files/adr';
+
+// Template new records are rendered from, inside the ADR directory
+const ADR_TEMPLATE = 'template.md';
+
+// Index of all records, inside the ADR directory
+const ADR_INDEX = 'README.md';
+
+// Numbered record files, such as 001-initial-framework.md
+const ADR_FILE_PATTERN = /^(\d+)-.+\.md$/;
+
+// Minimum width of record numbers
+const NUMBER_WIDTH = 3;
+
+/**
+ * Tells whether a documentation location of rules.yaml holds the ADRs
+ * @param {Object} location - { path, purpose } entry
+ * @returns {boolean} - True for a purpose naming decision records, or a
+ *   directory called adr, adrs or decisions
+ */
+function isAdrLocation(location) {
+  if (!location || typeof location.path !== 'string') return false;
+  const purpose = typeof location.purpose === 'string' ? location.purpose : '';
+  return /decision record|\bADRs?\b/i.test(purpose) ||
+    /^(adrs?|decisions)$/i.test(path.posix.basename(location.path.replace(/\/+$/, '')));
+}
+
+/**
+ * Finds the ADR directory of a project
+ * @param {string} projectPath - Project root
+ * @returns {Promise<string>} - Directory relative to the project root, with
+ *   "/" separators; the default when rules.yaml is missing or lists none
+ */
+async function resolveAdrDir(projectPath) {
+  let rules;
+  try {
+    rules = yaml.parse(await readFile(path.join(projectPath, 'rules.yaml'), 'utf8'));
+  } catch (error) {
+    return DEFAULT_ADR_DIR;
+  }
+
+  const locations = rules && rules.documentation && rules.documentation.locations;
+  const location = Array.isArray(locations) ? locations.find(isAdrLocation) : null;
+  return location ? location.path.replace(/\\/g, '/').replace(/^\.\/|\/+$/g, '') : DEFAULT_ADR_DIR;
+}
+
+/**
+ * Parses an ADR number given on the command line
+ * @param {string|number} value - 4, 004 or ADR-004
+ * @returns {number} - Record number
+ * @throws {InstallerError} - If the value is not a number
+ */
+function parseAdrNumber(value) {
+  const match = String(value === undefined ? '' : value).trim().match(/^(?:adr-?)?(\d+)$/i);
+  if (!match || Number(match[1]) === 0) {
+    throw new InstallerError(
+      `Invalid ADR number: ${value === undefined ? '(none)' : value}`,
+      'INVALID_ADR_NUMBER',
+      { errors: ['Give ADR numbers such as 4, 004 or ADR-004'] }
+    );
+  }
+  return Number(match[1]);
+}
+
+/**
+ * Finds the lines of a "## Name" section
+ * @param {string[]} lines - File lines
+ * @param {string} name - Section name
+ * @returns {Object|null} - { start, end } where start is the heading and
+ *   end the first line after the section, or null when it is missing
+ */
+function findSection(lines, name) {
+  const start = lines.findIndex(line => line.trim().toLowerCase() === `## ${name.toLowerCase()}`);
+  if (start === -1) return null;
+  let end = lines.findIndex((line, index) => index > start && /^#{1,2} /.test(line));
+  if (end === -1) end = lines.length;
+  return { start, end };
+}
+
+/**
+ * Reads the non-blank lines of a "## Name" section
+ * @param {string[]} lines - File lines
+ * @param {string} name - Section name
+ * @returns {string[]} - Trimmed lines, empty when the section is missing
+ */
+function sectionLines(lines, name) {
+  const section = findSection(lines, name);
+  return section
+    ? lines.slice(section.start + 1, section.end).map(line => line.trim()).filter(Boolean)
+    : [];
+}
+
+/**
+ * Replaces the body of a "## Name" section, adding the section after
+ * another one (or the title) when it is missing
+ * @param {string[]} lines - File lines, changed in place
+ * @param {string} name - Section name
+ * @param {string[]} body - New section lines
+ * @param {string} [after] - Section the new section follows when missing
+ */
+function setSection(lines, name, body, after) {
+  let section = findSection(lines, name);
+  if (!section) {
+    const previous = after ? findSection(lines, after) : null;
+    const title = lines.findIndex(line => /^# /.test(line));
+    const at = previous ? previous.end : title + 1;
+    lines.splice(at, 0, ...(at > 0 && lines[at - 1].trim() ? [''] : []), `## ${name}`);
+    section = findSection(lines, name);
+  }
+  const trailing = section.end < lines.length ? [''] : [];
+  lines.splice(section.start + 1, section.end - section.start - 1, ...body, ...trailing);
+}
+
+/**
+ * Reads the title, status and date of a record
+ * @param {string} content - Record content
+ * @returns {Object} - { title, status, date }; status lines are joined
+ *   with "; " and missing values are empty strings
+ */
+function parseAdr(content) {
+  const lines = content.split('\n');
+  const heading = lines.find(line => /^# /.test(line)) || '';
+  return {
+    title: heading.replace(/^#\s+/, '').replace(/^Architecture Decision Record:\s*/i, '').trim(),
+    status: sectionLines(lines, 'Status').join('; '),
+    date: sectionLines(lines, 'Date')[0] || ''
+  };
+}
+
+/**
+ * Lists the numbered records of the ADR directory
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object>} - { dir, records } with records of
+ *   { number, file, title, status, date } ordered by number, where dir and
+ *   file are relative to the project root
+ */
+async function listAdrs(projectPath) {
+  const dir = await resolveAdrDir(projectPath);
+  let names;
+  try {
+    names = await readdir(path.join(projectPath, dir));
+  } catch (error) {
+    return { dir, records: [] };
+  }
+
+  const records = [];
+  for (const name of names.filter(file => ADR_FILE_PATTERN.test(file))) {
+    const content = await readFile(path.join(projectPath, dir, name), 'utf8');
+    records.push({
+      number: Number(name.match(ADR_FILE_PATTERN)[1]),
+      file: `${dir}/${name}`,
+      ...parseAdr(content)
+    });
+  }
+
+  records.sort((a, b) => a.number - b.number || a.file.localeCompare(b.file));
+  return { dir, records };
+}
+
+/**
+ * Finds a record by number
+ * @param {Object[]} records - Records from listAdrs
+ * @param {number} number - Record number
+ * @param {string} dir - ADR directory, for the error message
+ * @returns {Object} - The record
+ * @throws {InstallerError} - If there is no such record
+ */
+function findAdr(records, number, dir) {
+  const record = records.find(candidate => candidate.number === number);
+  if (!record) {
+    throw new InstallerError(`No ADR ${number} found in ${dir}`, 'ADR_NOT_FOUND', {
+      errors: [records.length > 0
+        ? `Existing ADRs: ${records.map(candidate => candidate.number).join(', ')}`
+        : 'Create one with `ai-init adr new "<title>"`']
+    });
+  }
+  return record;
+}
+
+/**
+ * Zero-pads a record number to the width the directory already uses
+ * @param {number} number - Record number
+ * @param {Object[]} records - Existing records
+ * @returns {string} - Padded number, such as 004
+ */
+function padNumber(number, records) {
+  const width = records.reduce(
+    (max, record) => Math.max(max, path.basename(record.file).match(ADR_FILE_PATTERN)[1].length),
+    NUMBER_WIDTH
+  );
+  return String(number).padStart(width, '0');
+}
+
+/**
+ * Turns a title into a file name slug
+ * @param {string} title - Record title
+ * @returns {string} - Lowercase words joined with "-"
+ */
+function slugify(title) {
+  const slug = title
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  return slug || 'decision';
+}
+
+/**
+ * Renders the ADR template for a new record: the title, a Proposed status
+ * and a Date section
+ * @param {string} template - Content of template.md
+ * @param {string} title - Record title
+ * @param {string} date - Date, YYYY-MM-DD
+ * @returns {string} - Record content
+ */
+function renderAdr(template, title, date) {
+  const lines = template.replace(/\n+$/, '').split('\n');
+  const heading = lines.findIndex(line => /^# /.test(line));
+  if (heading === -1) {
+    lines.unshift(`# ${title}`, '');
+  } else {
+    lines[heading] = lines[heading].includes('[Title]')
+      ? lines[heading].replace('[Title]', title)
+      : `# ${title}`;
+  }
+
+  setSection(lines, 'Status', ['Proposed']);
+  setSection(lines, 'Date', [date], 'Status');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Formats the README index of the records
+ * @param {Object[]} records - Records from listAdrs
+ * @returns {string} - Markdown with a table of number, title, status and date
+ */
+function formatAdrIndex(records) {
+  const cell = value => String(value).replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+  const rows = records.map(record => {
+    const name = path.posix.basename(record.file);
+    const number = name.match(ADR_FILE_PATTERN)[1];
+    return `| [${number}](${name}) | ${cell(record.title)} | ${cell(record.status)} | ${cell(record.date)} |`;
+  });
+
+  return [
+    '# Architecture Decision Records',
+    '',
+    '<!-- Generated by `ai-init adr index`; changes made here are overwritten -->',
+    '',
+    '| ADR | Title | Status | Date |',
+    '| --- | --- | --- | --- |',
+    ...rows,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Writes the README index of the ADR directory
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object>} - { file, records, status } where status is
+ *   created, updated or unchanged
+ */
+async function writeAdrIndex(projectPath) {
+  const { dir, records } = await listAdrs(projectPath);
+  const indexPath = path.join(projectPath, dir, ADR_INDEX);
+  const content = formatAdrIndex(records);
+
+  let current = null;
+  try {
+    current = await readFile(indexPath, 'utf8');
+  } catch (error) {
+    // Written below
+  }
+  if (current === content) {
+    return { file: `${dir}/${ADR_INDEX}`, records: records.length, status: 'unchanged' };
+  }
+
+  await mkdir(path.dirname(indexPath), { recursive: true });
+  await writeFile(indexPath, content);
+  return { file: `${dir}/${ADR_INDEX}`, records: records.length, status: current === null ? 'created' : 'updated' };
+}
+
+/**
+ * Rewrites the README index when the project already has one
+ * @param {string} projectPath - Project root
+ * @param {string} dir - ADR directory, relative to the project root
+ * @returns {Promise<boolean>} - Whether the index was refreshed
+ */
+async function refreshAdrIndex(projectPath, dir) {
+  if (!(await pathExists(path.join(projectPath, dir, ADR_INDEX)))) return false;
+  await writeAdrIndex(projectPath);
+  return true;
+}
+
+/**
+ * Creates the next record from the ADR directory's template.md
+ * @param {string} projectPath - Project root
+ * @param {string} title - Record title
+ * @param {Object} [options] - ADR options
+ * @param {Date} [options.date] - Date of the record (default: today)
+ * @returns {Promise<Object>} - { number, file, title, index } where index
+ *   tells whether the README index was refreshed
+ * @throws {InstallerError} - If the title is empty or there is no template
+ */
+async function newAdr(projectPath, title, options = {}) {
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new InstallerError('The ADR title is empty', 'INVALID_ADR_TITLE');
+  }
+  title = title.trim().replace(/\s+/g, ' ');
+
+  const { dir, records } = await listAdrs(projectPath);
+  let template;
+  try {
+    template = await readFile(path.join(projectPath, dir, ADR_TEMPLATE), 'utf8');
+  } catch (error) {
+    throw new InstallerError(
+      `No ${dir}/${ADR_TEMPLATE} found in ${projectPath}`,
+      'ADR_TEMPLATE_NOT_FOUND',
+      { errors: ['Run `ai-init --add` to scaffold the ADR template first'] }
+    );
+  }
+
+  const number = records.reduce((max, record) => Math.max(max, record.number), 0) + 1;
+  const file = `${dir}/${padNumber(number, records)}-${slugify(title)}.md`;
+  const content = renderAdr(template, title, formatDate(options.date || new Date()));
+  await writeFile(path.join(projectPath, file), content, { flag: 'wx' });
+
+  return { number, file, title, index: await refreshAdrIndex(projectPath, dir) };
+}
+
+/**
+ * Marks a record as superseded by another one, cross-linking their Status
+ * sections: the old record becomes "Superseded by" the new one, and the
+ * new one gains a "Supersedes" line
+ * @param {string} projectPath - Project root
+ * @param {string|number} oldNumber - Number of the superseded record
+ * @param {string|number} newNumber - Number of the record replacing it
+ * @returns {Promise<Object>} - { superseded, by, index } with the record files
+ * @throws {InstallerError} - If a number is invalid or a record is missing
+ */
+async function supersedeAdr(projectPath, oldNumber, newNumber) {
+  const from = parseAdrNumber(oldNumber);
+  const to = parseAdrNumber(newNumber);
+  if (from === to) {
+    throw new InstallerError(`ADR ${from} cannot supersede itself`, 'INVALID_ADR_NUMBER');
+  }
+
+  const { dir, records } = await listAdrs(projectPath);
+  const superseded = findAdr(records, from, dir);
+  const by = findAdr(records, to, dir);
+  const link = record => {
+    const name = path.posix.basename(record.file);
+    return `[ADR ${name.match(ADR_FILE_PATTERN)[1]}](${name})`;
+  };
+
+  const oldPath = path.join(projectPath, superseded.file);
+  const oldLines = (await readFile(oldPath, 'utf8')).replace(/\n+$/, '').split('\n');
+  setSection(oldLines, 'Status', [`Superseded by ${link(by)}`]);
+  await writeFile(oldPath, `${oldLines.join('\n')}\n`);
+
+  const newPath = path.join(projectPath, by.file);
+  const newLines = (await readFile(newPath, 'utf8')).replace(/\n+$/, '').split('\n');
+  const supersedes = `Supersedes ${link(superseded)}`;
+  const status = sectionLines(newLines, 'Status').filter(line => line !== supersedes);
+  setSection(newLines, 'Status', [...status, supersedes]);
+  await writeFile(newPath, `${newLines.join('\n')}\n`);
+
+  return { superseded: superseded.file, by: by.file, index: await refreshAdrIndex(projectPath, dir) };
+}
+
+module.exports = {
+  DEFAULT_ADR_DIR,
+  resolveAdrDir,
+  parseAdr,
+  listAdrs,
+  renderAdr,
+  formatAdrIndex,
+  writeAdrIndex,
+  newAdr,
+  supersedeAdr
+};
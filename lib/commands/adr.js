@@ -0,0 +1,109 @@
+const path = require('path');
+const colors = require('../utils/colors');
+const { InstallerError } = require('../errors');
+const { newAdr, supersedeAdr, writeAdrIndex } = require('../adr');
+
+/**
+ * Prints a note when a command also refreshed the README index
+ * @param {boolean} refreshed - Whether the index was rewritten
+ */
+function printIndexNote(refreshed) {
+  if (refreshed) {
+    console.log(`${colors.green}✓${colors.reset} Updated the ADR index`);
+  }
+}
+
+/**
+ * Runs `ai-init adr new "<title>" [dir]`: creates the next numbered record
+ * from the ADR template
+ * @param {Object} options - Parsed CLI options
+ * @param {string[]} args - Title and project directory
+ * @returns {Promise<number>} - Process exit code
+ */
+async function create(options, args) {
+  const [title, dir] = args;
+  const projectPath = path.resolve(dir || process.cwd());
+  const result = await newAdr(projectPath, title);
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+
+  console.log(`${colors.green}✓${colors.reset} Created ${result.file}`);
+  printIndexNote(result.index);
+  return 0;
+}
+
+/**
+ * Runs `ai-init adr supersede <n> <m> [dir]`: marks ADR n as superseded by
+ * ADR m
+ * @param {Object} options - Parsed CLI options
+ * @param {string[]} args - Record numbers and project directory
+ * @returns {Promise<number>} - Process exit code
+ */
+async function supersede(options, args) {
+  const [superseded, by, dir] = args;
+  const projectPath = path.resolve(dir || process.cwd());
+  const result = await supersedeAdr(projectPath, superseded, by);
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+
+  console.log(`${colors.green}✓${colors.reset} ${result.superseded} is superseded by ${result.by}`);
+  printIndexNote(result.index);
+  return 0;
+}
+
+/**
+ * Runs `ai-init adr index [dir]`: regenerates the README table of all ADRs
+ * @param {Object} options - Parsed CLI options
+ * @param {string[]} args - Project directory
+ * @returns {Promise<number>} - Process exit code
+ */
+async function index(options, args) {
+  const projectPath = path.resolve(args[0] || process.cwd());
+  const result = await writeAdrIndex(projectPath);
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+
+  const verb = result.status === 'unchanged' ? 'is current' : result.status;
+  console.log(`${colors.green}✓${colors.reset} ${result.file} ${verb} (${result.records} ADRs)`);
+  return 0;
+}
+
+// Subcommands of `ai-init adr`
+const SUBCOMMANDS = {
+  new: create,
+  supersede,
+  index
+};
+
+/**
+ * Runs `ai-init adr <subcommand>`
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} - Process exit code
+ */
+async function run(options) {
+  const [name, ...rest] = options.args;
+  const subcommand = Object.prototype.hasOwnProperty.call(SUBCOMMANDS, name) ? SUBCOMMANDS[name] : null;
+
+  if (!subcommand) {
+    throw new InstallerError(
+      name ? `Unknown adr command: ${name}` : 'Missing adr command',
+      'UNKNOWN_COMMAND',
+      { errors: [`Available commands: ${Object.keys(SUBCOMMANDS).join(', ')}`] }
+    );
+  }
+
+  return subcommand(options, rest);
+}
+
+module.exports = {
+  run
+};
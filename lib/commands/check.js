@@ -0,0 +1,42 @@
+const path = require('path');
+const colors = require('../utils/colors');
+const { checkProject } = require('../rules-checker');
+
+/**
+ * Runs `ai-init check [dir]`: applies rules.yaml to the project's files
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} - 0 when clean, 1 for warnings, 2 for errors
+ */
+async function run(options) {
+  const projectPath = path.resolve(options.args[0] || process.cwd());
+  const report = await checkProject(projectPath);
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return report.exitCode;
+  }
+
+  let currentFile = null;
+  report.violations.forEach(violation => {
+    if (violation.file !== currentFile) {
+      currentFile = violation.file;
+      console.log(`${currentFile !== report.violations[0].file ? '\n' : ''}${colors.cyan}${currentFile}${colors.reset}`);
+    }
+    const severity = violation.severity === 'error'
+      ? `${colors.red}error${colors.reset}  `
+      : `${colors.yellow}warning${colors.reset}`;
+    console.log(`  ${String(violation.line).padStart(4)}  ${severity}  ${violation.ruleId}  ${violation.message}`);
+  });
+
+  if (report.violations.length > 0) {
+    console.log('');
+  }
+  const summary = `Checked ${report.filesChecked} files: ${report.errors} errors, ${report.warnings} warnings`;
+  console.log(report.exitCode === 0 ? `${colors.green}✓${colors.reset} ${summary}` : summary);
+
+  return report.exitCode;
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const colors = require('../utils/colors');
+const { buildContext } = require('../context');
+
+const writeFile = promisify(fs.writeFile);
+const mkdir = promisify(fs.mkdir);
+
+/**
+ * Runs `ai-init context [dir]`: prints rules.yaml, the memory bank and the
+ * current ADRs as one bundle, or writes it to --output
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} - Process exit code
+ */
+async function run(options) {
+  const projectPath = path.resolve(options.args[0] || process.cwd());
+  const bundle = await buildContext(projectPath, {
+    format: options.format,
+    include: options.include,
+    exclude: options.exclude,
+    maxTokens: options.maxTokens
+  });
+  const cut = bundle.sections.filter(section => section.status !== 'included');
+
+  if (options.output) {
+    const outputPath = path.resolve(options.output);
+    await mkdir(path.dirname(outputPath), { recursive: true });
+    await writeFile(outputPath, bundle.content);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(bundle, null, 2));
+    return 0;
+  }
+
+  if (!options.output) {
+    process.stdout.write(bundle.content);
+    cut.forEach(section => {
+      console.error(`${colors.yellow}Warning:${colors.reset} ${section.file} was ${section.status} to fit ${bundle.maxTokens} tokens`);
+    });
+    return 0;
+  }
+
+  console.log(`${colors.green}✓${colors.reset} Wrote ${options.output} (${bundle.sections.length - cut.length} of ${bundle.sections.length} files in full, ~${bundle.tokens} tokens)`);
+  cut.forEach(section => {
+    console.log(`  ${colors.yellow}${section.status}${colors.reset} ${section.file}`);
+  });
+  return 0;
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,42 @@
+const path = require('path');
+const colors = require('../utils/colors');
+const { fillRules } = require('../rules-filler');
+
+/**
+ * Runs `ai-init fill [dir]`: fills rules.yaml placeholders from the codebase
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} - Process exit code
+ */
+async function run(options) {
+  const projectPath = path.resolve(options.args[0] || process.cwd());
+  const report = await fillRules(projectPath);
+
+  console.log(`${colors.cyan}Filling placeholders in ${report.file}${colors.reset}`);
+  console.log('');
+
+  if (report.filled.length > 0) {
+    console.log(`${colors.green}Filled (${report.filled.length}):${colors.reset}`);
+    report.filled.forEach(item => {
+      console.log(`  ${colors.green}✓${colors.reset} {{${item.name}}} = ${item.value}`);
+      console.log(`      from ${item.evidence}`);
+    });
+  } else {
+    console.log(`${colors.yellow}No placeholders could be resolved from the codebase.${colors.reset}`);
+  }
+
+  if (report.remaining.length > 0) {
+    console.log('');
+    console.log(`${colors.yellow}Remaining (${report.remaining.length}):${colors.reset}`);
+    report.remaining.forEach(name => {
+      console.log(`  - {{${name}}}`);
+    });
+    console.log('');
+    console.log('Ask your AI assistant to fill the remaining placeholders.');
+  }
+
+  return 0;
+}
+
+module.exports = {
+  run
+};
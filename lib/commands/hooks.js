@@ -0,0 +1,111 @@
+const path = require('path');
+const colors = require('../utils/colors');
+const { InstallerError } = require('../errors');
+const { installHooks, uninstallHooks } = require('../hooks');
+
+// Colors used for each change status
+const STATUS_COLORS = {
+  created: colors.green,
+  updated: colors.green,
+  removed: colors.green,
+  unchanged: '',
+  missing: '',
+  skipped: colors.yellow
+};
+
+/**
+ * Prints the changes made to the hooks directory
+ * @param {Object} report - Report of installHooks or uninstallHooks
+ * @param {string} action - What was done, for the heading
+ */
+function printReport(report, action) {
+  const where = report.husky ? `${report.hooksDir} (husky)` : report.hooksDir;
+  if (report.dryRun) {
+    console.log(`${colors.yellow}Dry run:${colors.reset} nothing was written to ${where}`);
+  } else {
+    console.log(`${colors.cyan}${action} git hooks in ${where}${colors.reset}`);
+  }
+  console.log('');
+
+  report.changes.forEach(change => {
+    const detail = change.detail ? ` (${change.detail})` : '';
+    const color = STATUS_COLORS[change.status];
+    console.log(`  ${color}${change.status.padEnd(9)}${color ? colors.reset : ''} ${change.file}${detail}`);
+  });
+  console.log('');
+}
+
+/**
+ * Runs `ai-init hooks install [dir]`: adds the commit-msg and pre-commit
+ * hooks that check commits against rules.yaml
+ * @param {Object} options - Parsed CLI options
+ * @param {string[]} args - Project directory
+ * @returns {Promise<number>} - 0 when both hooks are installed, 1 when one was skipped
+ */
+async function install(options, args) {
+  const projectPath = path.resolve(args[0] || process.cwd());
+  const report = await installHooks(projectPath, { dryRun: options.dryRun });
+  const skipped = report.changes.some(change => change.status === 'skipped');
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return skipped ? 1 : 0;
+  }
+
+  printReport(report, 'Installing');
+  console.log('Commit messages are checked against commit_format and staged files against');
+  console.log('security.restricted_files of rules.yaml. Skip the checks with git commit --no-verify.');
+  if (report.husky) {
+    console.log('Commit the hooks directory so everyone on the project gets the checks.');
+  }
+  return skipped ? 1 : 0;
+}
+
+/**
+ * Runs `ai-init hooks uninstall [dir]`: removes what `hooks install` added
+ * @param {Object} options - Parsed CLI options
+ * @param {string[]} args - Project directory
+ * @returns {Promise<number>} - Process exit code
+ */
+async function uninstall(options, args) {
+  const projectPath = path.resolve(args[0] || process.cwd());
+  const report = await uninstallHooks(projectPath, { dryRun: options.dryRun });
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return 0;
+  }
+
+  printReport(report, 'Removing');
+  return 0;
+}
+
+// Subcommands of `ai-init hooks`
+const SUBCOMMANDS = {
+  install,
+  uninstall
+};
+
+/**
+ * Runs `ai-init hooks <subcommand>`
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} - Process exit code
+ */
+async function run(options) {
+  const [name, ...rest] = options.args;
+  const subcommand = Object.prototype.hasOwnProperty.call(SUBCOMMANDS, name) ? SUBCOMMANDS[name] : null;
+
+  if (!subcommand) {
+    throw new InstallerError(
+      name ? `Unknown hooks command: ${name}` : 'Missing hooks command',
+      'UNKNOWN_COMMAND',
+      { errors: [`Available commands: ${Object.keys(SUBCOMMANDS).join(', ')}`] }
+    );
+  }
+
+  return subcommand(options, rest);
+}
+
+module.exports = {
+  run
+};
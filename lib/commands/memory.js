@@ -0,0 +1,132 @@
+const path = require('path');
+const colors = require('../utils/colors');
+const { InstallerError } = require('../errors');
+const { memoryStatus, logMemory } = require('../memory-bank');
+
+/**
+ * Formats a byte count for display
+ * @param {number} size - Size in bytes
+ * @returns {string} - Size such as "812 B" or "2.4 KB"
+ */
+function formatSize(size) {
+  return size < 1024 ? `${size} B` : `${(size / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Formats an ISO timestamp as local date and time, to the minute
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} - Date such as "2025-04-02 14:05"
+ */
+function formatModified(timestamp) {
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Runs `ai-init memory status [dir]`: reports how current the memory bank is
+ * @param {Object} options - Parsed CLI options
+ * @param {string[]} args - Project directory
+ * @returns {Promise<number>} - 0 when current, 1 when files are missing or stale
+ */
+async function status(options, args) {
+  const projectPath = path.resolve(args[0] || process.cwd());
+  const report = await memoryStatus(projectPath);
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return report.exitCode;
+  }
+
+  console.log(`${colors.cyan}Memory bank of ${projectPath}${colors.reset}`);
+  console.log('');
+
+  const width = Math.max(...report.files.map(file => file.file.length));
+  report.files.forEach(file => {
+    const name = file.file.padEnd(width);
+    if (!file.exists) {
+      console.log(`  ${colors.red}✗${colors.reset} ${name}  ${colors.red}missing${colors.reset}`);
+      return;
+    }
+
+    const details = [
+      formatModified(file.modified),
+      formatSize(file.size).padStart(7),
+      `${file.placeholders} placeholders`
+    ];
+    if (file.commitsSince !== null) {
+      details.push(`${file.commitsSince} commits since`);
+    }
+    const symbol = file.stale ? `${colors.yellow}!${colors.reset}` : `${colors.green}✓${colors.reset}`;
+    const stale = file.stale ? `  ${colors.yellow}stale${colors.reset}` : '';
+    console.log(`  ${symbol} ${name}  ${details.join('  ')}${stale}`);
+  });
+
+  console.log('');
+  if (!report.git) {
+    console.log(`${colors.yellow}Not a git repository:${colors.reset} staleness could not be checked.`);
+  }
+  if (report.stale > 0) {
+    console.log(`${report.stale} files that must be kept current are ${report.staleAfter} or more commits behind the code.`);
+    console.log('Update them, or record what changed with `ai-init memory log "<entry>"`.');
+  } else if (report.missing === 0) {
+    console.log(`${colors.green}✓${colors.reset} Memory bank is current.`);
+  }
+  if (report.missing > 0) {
+    console.log(`${report.missing} required files are missing; run \`ai-init --add\` to restore them.`);
+  }
+
+  return report.exitCode;
+}
+
+/**
+ * Runs `ai-init memory log "<entry>" [dir]`: appends a dated entry to
+ * progress.md, or to the file given with --file
+ * @param {Object} options - Parsed CLI options
+ * @param {string[]} args - Entry and project directory
+ * @returns {Promise<number>} - Process exit code
+ */
+async function log(options, args) {
+  const [entry, dir] = args;
+  const projectPath = path.resolve(dir || process.cwd());
+  const result = await logMemory(projectPath, entry, { file: options.file });
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+
+  const section = result.created ? ' (added the Update Log section)' : '';
+  console.log(`${colors.green}✓${colors.reset} Logged to ${result.file} under ${result.date}${section}`);
+  return 0;
+}
+
+// Subcommands of `ai-init memory`
+const SUBCOMMANDS = {
+  status,
+  log
+};
+
+/**
+ * Runs `ai-init memory <subcommand>`
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} - Process exit code
+ */
+async function run(options) {
+  const [name, ...rest] = options.args;
+  const subcommand = Object.prototype.hasOwnProperty.call(SUBCOMMANDS, name) ? SUBCOMMANDS[name] : null;
+
+  if (!subcommand) {
+    throw new InstallerError(
+      name ? `Unknown memory command: ${name}` : 'Missing memory command',
+      'UNKNOWN_COMMAND',
+      { errors: [`Available commands: ${Object.keys(SUBCOMMANDS).join(', ')}`] }
+    );
+  }
+
+  return subcommand(options, rest);
+}
+
+module.exports = {
+  run
+};
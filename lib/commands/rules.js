@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const colors = require('../utils/colors');
+const { InstallerError } = require('../errors');
+const { loadRuleFile, loadRuleFiles } = require('../mdc-parser');
+const { STATUSES, generateRules } = require('../rules-generator');
+
+const stat = promisify(fs.stat);
+
+// Directory linted when no paths are given
+const DEFAULT_RULES_DIR = path.join('.cursor', 'rules');
+
+/**
+ * Runs `ai-init rules lint [paths...]`: validates .mdc rule files
+ * @param {Object} options - Parsed CLI options
+ * @param {string[]} paths - Files or directories to lint
+ * @returns {Promise<number>} - 0 when clean, 1 for warnings, 2 for errors
+ */
+async function lint(options, paths) {
+  const targets = paths.length > 0 ? paths : [DEFAULT_RULES_DIR];
+  const results = [];
+
+  for (const target of targets) {
+    const resolved = path.resolve(target);
+    let stats;
+    try {
+      stats = await stat(resolved);
+    } catch (error) {
+      throw new InstallerError(`Path not found: ${target}`, 'PATH_NOT_FOUND');
+    }
+    results.push(...(stats.isDirectory() ? await loadRuleFiles(resolved) : [await loadRuleFile(resolved)]));
+  }
+
+  const problems = results.reduce((acc, result) => acc.concat(result.errors.map(error => Object.assign({
+    file: path.relative(process.cwd(), result.file)
+  }, error))), []);
+  const errors = problems.filter(problem => problem.severity === 'error').length;
+  const warnings = problems.length - errors;
+  const exitCode = errors > 0 ? 2 : warnings > 0 ? 1 : 0;
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      files: results.map(result => path.relative(process.cwd(), result.file)),
+      problems,
+      errors,
+      warnings,
+      exitCode
+    }, null, 2));
+    return exitCode;
+  }
+
+  if (results.length === 0) {
+    console.log(`${colors.yellow}No .mdc rule files found.${colors.reset}`);
+    return exitCode;
+  }
+
+  problems.forEach(problem => {
+    const label = problem.severity === 'error'
+      ? `${colors.red}error${colors.reset}`
+      : `${colors.yellow}warning${colors.reset}`;
+    console.log(`${problem.file}:${problem.line}: ${label} ${problem.message}`);
+  });
+
+  if (problems.length > 0) {
+    console.log('');
+  }
+  const summary = `Checked ${results.length} rule files: ${errors} errors, ${warnings} warnings`;
+  console.log(exitCode === 0 ? `${colors.green}✓${colors.reset} ${summary}` : summary);
+
+  return exitCode;
+}
+
+// Colors used for each generated file status
+const STATUS_COLORS = {
+  created: colors.green,
+  updated: colors.green,
+  removed: colors.yellow,
+  drift: colors.red,
+  unchanged: ''
+};
+
+/**
+ * Runs `ai-init rules generate [dir]`: writes .cursor/rules/*.mdc from rules.yaml
+ * @param {Object} options - Parsed CLI options
+ * @param {string[]} paths - Project directory
+ * @returns {Promise<number>} - 0 when every rule file matches rules.yaml, 1 when drift remains
+ */
+async function generate(options, paths) {
+  const projectPath = path.resolve(paths[0] || process.cwd());
+  const report = await generateRules(projectPath, { force: options.force, dryRun: options.dryRun });
+  const drift = report.changes.filter(change => change.status === 'drift').length;
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return drift > 0 ? 1 : 0;
+  }
+
+  if (report.dryRun) {
+    console.log(`${colors.yellow}Dry run:${colors.reset} nothing was written to ${projectPath}`);
+  } else {
+    console.log(`${colors.cyan}Generating Cursor rules from rules.yaml${colors.reset}`);
+  }
+  console.log('');
+
+  report.changes.forEach(change => {
+    const detail = change.detail ? ` (${change.detail})` : '';
+    const color = STATUS_COLORS[change.status];
+    console.log(`  ${color}${change.status.padEnd(9)}${color ? colors.reset : ''} ${change.file}${detail}`);
+  });
+
+  const counts = STATUSES
+    .map(status => [status, report.changes.filter(change => change.status === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${status}`);
+  console.log('');
+  console.log(`Summary: ${counts.join(', ') || 'no rule files'}`);
+
+  return drift > 0 ? 1 : 0;
+}
+
+// Subcommands of `ai-init rules`
+const SUBCOMMANDS = {
+  lint,
+  generate
+};
+
+/**
+ * Runs `ai-init rules <subcommand>`
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} - Process exit code
+ */
+async function run(options) {
+  const [name, ...rest] = options.args;
+  const subcommand = Object.prototype.hasOwnProperty.call(SUBCOMMANDS, name) ? SUBCOMMANDS[name] : null;
+
+  if (!subcommand) {
+    throw new InstallerError(
+      name ? `Unknown rules command: ${name}` : 'Missing rules command',
+      'UNKNOWN_COMMAND',
+      { errors: [`Available commands: ${Object.keys(SUBCOMMANDS).join(', ')}`] }
+    );
+  }
+
+  return subcommand(options, rest);
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,29 @@
+const path = require('path');
+const { InstallerError } = require('../errors');
+const { serveMcp } = require('../mcp-server');
+
+/**
+ * Runs `ai-init serve --mcp [dir]`: serves rules.yaml, the memory bank and
+ * the ADRs to MCP clients over stdio until stdin closes
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} - Process exit code
+ */
+async function run(options) {
+  if (!options.mcp) {
+    throw new InstallerError(
+      'Missing server protocol',
+      'UNKNOWN_COMMAND',
+      { errors: ['Run `ai-init serve --mcp` to serve the project over the Model Context Protocol'] }
+    );
+  }
+
+  const projectPath = path.resolve(options.args[0] || process.cwd());
+  // stdout carries the protocol, so status goes to stderr
+  console.error(`ai-init MCP server for ${projectPath} listening on stdio`);
+  await serveMcp(projectPath);
+  return 0;
+}
+
+module.exports = {
+  run
+};
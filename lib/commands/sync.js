@@ -0,0 +1,58 @@
+const path = require('path');
+const colors = require('../utils/colors');
+const { STATUSES, syncTools } = require('../tool-sync');
+
+// Colors used for each output status
+const STATUS_COLORS = {
+  created: colors.green,
+  updated: colors.green,
+  drift: colors.red,
+  unchanged: ''
+};
+
+/**
+ * Runs `ai-init sync [dir]`: brings AI tool files back in line with rules.yaml
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} - 0 when every output matches rules.yaml, 1 when drift remains
+ */
+async function run(options) {
+  const projectPath = path.resolve(options.args[0] || process.cwd());
+  const report = await syncTools(projectPath, {
+    tools: options.tools,
+    linkMode: options.linkMode,
+    force: options.force,
+    dryRun: options.dryRun
+  });
+  const drift = report.changes.filter(change => change.status === 'drift').length;
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return drift > 0 ? 1 : 0;
+  }
+
+  if (report.dryRun) {
+    console.log(`${colors.yellow}Dry run:${colors.reset} nothing was written to ${projectPath}`);
+  } else {
+    console.log(`${colors.cyan}Syncing ${report.tools.join(', ')} with rules.yaml${colors.reset}`);
+  }
+  console.log('');
+
+  report.changes.forEach(change => {
+    const detail = change.detail ? ` (${change.detail})` : '';
+    const color = STATUS_COLORS[change.status];
+    console.log(`  ${color}${change.status.padEnd(9)}${color ? colors.reset : ''} ${change.file}${detail}`);
+  });
+
+  const counts = STATUSES
+    .map(status => [status, report.changes.filter(change => change.status === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${status}`);
+  console.log('');
+  console.log(`Summary: ${counts.join(', ') || 'no tool files'}`);
+
+  return drift > 0 ? 1 : 0;
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,57 @@
+const path = require('path');
+const colors = require('../utils/colors');
+const { STATUSES, uninstallProject } = require('../uninstaller');
+
+// Colors used for each change status
+const STATUS_COLORS = {
+  removed: colors.green,
+  modified: colors.yellow,
+  kept: colors.yellow,
+  missing: ''
+};
+
+/**
+ * Runs `ai-init uninstall [dir]`: removes the scaffolding a previous install created
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} - 0 when everything was removed, 1 when edited files were kept
+ */
+async function run(options) {
+  const projectPath = path.resolve(options.args[0] || process.cwd());
+  const report = await uninstallProject(projectPath, { force: options.force, dryRun: options.dryRun });
+  const edited = report.changes.filter(change => change.status === 'modified').length;
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return edited > 0 ? 1 : 0;
+  }
+
+  if (report.dryRun) {
+    console.log(`${colors.yellow}Dry run:${colors.reset} nothing was removed from ${projectPath}`);
+  } else {
+    console.log(`${colors.cyan}Removing AI Project Starter scaffolding from ${projectPath}${colors.reset}`);
+  }
+  console.log('');
+
+  report.changes.forEach(change => {
+    const detail = change.detail ? ` (${change.detail})` : '';
+    const color = STATUS_COLORS[change.status];
+    console.log(`  ${color}${change.status.padEnd(8)}${color ? colors.reset : ''} ${change.file}${detail}`);
+  });
+
+  const counts = STATUSES
+    .map(status => [status, report.changes.filter(change => change.status === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${status}`);
+  console.log('');
+  console.log(`Summary: ${counts.join(', ') || 'nothing to remove'}`);
+
+  if (edited > 0) {
+    console.log(`${colors.yellow}Edited files were kept. Run again with --force to remove them too.${colors.reset}`);
+  }
+
+  return edited > 0 ? 1 : 0;
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,64 @@
+const path = require('path');
+const colors = require('../utils/colors');
+const { LOCK_FILE } = require('../lockfile');
+const { STATUSES, upgradeProject } = require('../upgrader');
+
+// Colors used for each change status
+const STATUS_COLORS = {
+  added: colors.green,
+  updated: colors.green,
+  merged: colors.green,
+  conflict: colors.red,
+  kept: colors.yellow,
+  deleted: colors.yellow,
+  removed: colors.green,
+  obsolete: colors.yellow
+};
+
+/**
+ * Runs `ai-init upgrade [dir]`: brings scaffolding up to the current templates
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} - 0 when done, 1 when conflicts need manual resolution
+ */
+async function run(options) {
+  const projectPath = path.resolve(options.args[0] || process.cwd());
+  const report = await upgradeProject(projectPath, { template: options.template, templateDir: options.templateDir });
+  const conflicts = report.changes.filter(change => change.status === 'conflict').length;
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return conflicts > 0 ? 1 : 0;
+  }
+
+  const from = report.fromVersion ? `${report.fromVersion} → ` : `(no ${LOCK_FILE} found) → `;
+  console.log(`${colors.cyan}Upgrading ${report.template} template ${from}${report.toVersion}${colors.reset}`);
+  console.log('');
+
+  const changed = report.changes.filter(change => change.status !== 'unchanged');
+  if (changed.length === 0) {
+    console.log(`${colors.green}✓${colors.reset} Scaffolding is already up to date.`);
+    return 0;
+  }
+
+  changed.forEach(change => {
+    const detail = change.detail ? ` (${change.detail})` : '';
+    console.log(`  ${STATUS_COLORS[change.status]}${change.status.padEnd(9)}${colors.reset} ${change.file}${detail}`);
+  });
+
+  const counts = STATUSES
+    .map(status => [status, report.changes.filter(change => change.status === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${status}`);
+  console.log('');
+  console.log(`Summary: ${counts.join(', ')}`);
+
+  if (conflicts > 0) {
+    console.log(`${colors.yellow}Resolve the conflicts, then delete the .orig and .new files.${colors.reset}`);
+  }
+
+  return conflicts > 0 ? 1 : 0;
+}
+
+module.exports = {
+  run
+};
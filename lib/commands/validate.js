@@ -0,0 +1,62 @@
+const path = require('path');
+const colors = require('../utils/colors');
+const { validateProject } = require('../validators/project-validator');
+
+// Symbols printed for each check level
+const SYMBOLS = {
+  pass: `${colors.green}✅${colors.reset}`,
+  warning: `${colors.yellow}⚠️  WARNING:${colors.reset}`,
+  error: `${colors.red}❌ ERROR:${colors.reset}`
+};
+
+/**
+ * Prints a validation report in human-readable form
+ * @param {Object} report - Report from validateProject
+ */
+function printReport(report) {
+  console.log('🔍 Validating AI Project Scaffolding...');
+  console.log('');
+
+  report.sections.forEach((section, index) => {
+    console.log(`${index + 1}. ${section.title}:`);
+    console.log('--------------------------------');
+    section.checks.forEach(check => {
+      console.log(`${SYMBOLS[check.level]} ${check.message}`);
+    });
+    console.log('');
+  });
+
+  console.log('Validation Complete!');
+  console.log('--------------------------------');
+  console.log(`Results: ${report.errors} errors, ${report.warnings} warnings`);
+
+  if (report.exitCode === 0) {
+    console.log('🎉 Project structure is fully compliant with all rules!');
+  } else if (report.exitCode === 1) {
+    console.log('⚠️  Project has warnings but no critical errors. Review warnings for improvements.');
+  } else {
+    console.log('❌ Project has validation errors that should be fixed.');
+  }
+}
+
+/**
+ * Runs `ai-init validate [dir]`: checks a scaffolded project
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} - 0 when compliant, 1 for warnings, 2 for errors
+ */
+async function run(options) {
+  const projectPath = path.resolve(options.args[0] || process.cwd());
+  const report = await validateProject(projectPath);
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  return report.exitCode;
+}
+
+module.exports = {
+  run
+};
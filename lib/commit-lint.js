@@ -0,0 +1,126 @@
+/**
+ * Checks of commit messages and staged files against rules.yaml
+ *
+ * commit_format lists the allowed types and, in plain words, the subject
+ * and body guidelines; the limits and style rules those sentences state
+ * ("lowercase", "no period", "≤50 chars", "wrap at 72 chars") are enforced.
+ * This module and its requires are bundled into the git hooks, so it must
+ * only require built-in modules and the utilities bundled with it.
+ */
+
+const { matchGlob } = require('./utils/glob');
+
+// Conventional commit header: type(scope)!: description
+const HEADER_PATTERN = /^([A-Za-z]+)(?:\(([^()]+)\))?(!)?: (.*)$/;
+
+// Messages git writes itself, which are not held to the format
+const EXEMPT_PATTERN = /^(Merge |Revert "|fixup! |squash! |amend! )/;
+
+// Line below which `git commit -v` puts the diff
+const SCISSORS_PATTERN = /^# -+ >8 -+$/;
+
+/**
+ * Removes the comments and diff git adds to the message being edited
+ * @param {string} message - Raw commit message file content
+ * @returns {string[]} - Message lines without leading and trailing blank lines
+ */
+function messageLines(message) {
+  let lines = message.replace(/\r\n/g, '\n').split('\n');
+  const scissors = lines.findIndex(line => SCISSORS_PATTERN.test(line));
+  if (scissors !== -1) lines = lines.slice(0, scissors);
+  lines = lines.filter(line => !line.startsWith('#')).map(line => line.replace(/\s+$/, ''));
+
+  while (lines.length > 0 && !lines[0]) lines.shift();
+  while (lines.length > 0 && !lines[lines.length - 1]) lines.pop();
+  return lines;
+}
+
+/**
+ * Reads a character limit out of a guideline sentence
+ * @param {*} guideline - Guideline such as "Imperative, ≤50 chars"
+ * @returns {number|null} - The limit, or null when the guideline states none
+ */
+function readLimit(guideline) {
+  const match = typeof guideline === 'string' && guideline.match(/(\d+)\s*char/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Checks a commit message against the commit_format section of rules.yaml
+ * @param {string} message - Commit message, as git passes it to commit-msg
+ * @param {Object} [format] - Parsed commit_format section
+ * @returns {Object[]} - Problems as { line, message }; empty when the message
+ *   follows the format or is a merge, revert, fixup or squash message
+ */
+function lintCommitMessage(message, format) {
+  const lines = messageLines(message);
+  if (!format || typeof format !== 'object') return [];
+  if (lines.length === 0) return [{ line: 1, message: 'The commit message is empty' }];
+  if (EXEMPT_PATTERN.test(lines[0])) return [];
+
+  const problems = [];
+  const guidelines = format.guidelines || {};
+  const types = Array.isArray(format.types) ? format.types.filter(type => typeof type === 'string') : [];
+  const header = lines[0].match(HEADER_PATTERN);
+
+  if (!header) {
+    problems.push({ line: 1, message: 'The subject should read "<type>[(scope)]: <description>"' });
+  } else {
+    const [, type, , , description] = header;
+    if (types.length > 0 && !types.includes(type)) {
+      problems.push({ line: 1, message: `"${type}" is not a commit type; use one of: ${types.join(', ')}` });
+    }
+    if (!description.trim()) {
+      problems.push({ line: 1, message: 'The subject has no description' });
+    }
+    if (/lowercase/i.test(guidelines.subject || '') && /^[A-Z]/.test(description) && !/^[A-Z0-9]{2,}\b/.test(description)) {
+      problems.push({ line: 1, message: 'The description should start with a lowercase letter' });
+    }
+    if (/no (trailing )?period/i.test(guidelines.subject || '') && /\.$/.test(description)) {
+      problems.push({ line: 1, message: 'The subject should not end with a period' });
+    }
+  }
+
+  const subjectLimit = readLimit(guidelines.subject);
+  if (subjectLimit && lines[0].length > subjectLimit) {
+    problems.push({ line: 1, message: `The subject is ${lines[0].length} characters long; keep it to ${subjectLimit}` });
+  }
+
+  if (lines.length > 1 && lines[1]) {
+    problems.push({ line: 2, message: 'Leave a blank line between the subject and the body' });
+  }
+
+  // Lines with a word longer than the limit, such as a link, cannot be wrapped
+  const bodyLimit = readLimit(guidelines.body);
+  if (bodyLimit) {
+    lines.slice(1).forEach((line, index) => {
+      if (line.length > bodyLimit && line.split(/\s+/).every(word => word.length <= bodyLimit)) {
+        problems.push({ line: index + 2, message: `The line is ${line.length} characters long; wrap the body at ${bodyLimit}` });
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Finds the files matching security.restricted_files of rules.yaml
+ * @param {string[]} files - POSIX paths relative to the project root
+ * @param {*} restricted - security.restricted_files; unfilled placeholders are ignored
+ * @returns {Object[]} - Matches as { file, pattern }
+ */
+function findRestrictedFiles(files, restricted) {
+  const patterns = Array.isArray(restricted)
+    ? restricted.filter(pattern => typeof pattern === 'string' && pattern && !pattern.includes('{{'))
+    : [];
+
+  return files.reduce((found, file) => {
+    const pattern = patterns.find(glob => matchGlob(file, glob));
+    return pattern ? found.concat({ file, pattern }) : found;
+  }, []);
+}
+
+module.exports = {
+  lintCommitMessage,
+  findRestrictedFiles
+};
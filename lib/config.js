@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+
+const readFile = promisify(fs.readFile);
+
+// Per-project ai-init settings, relative to the project root
+const CONFIG_FILE = '.ai-init.json';
+
+// User-level settings, relative to the user config directory
+const USER_CONFIG_FILE = 'config.json';
+
+/**
+ * Locates the user config directory: $XDG_CONFIG_HOME/ai-init, or ~/.config/ai-init
+ * @returns {string} - Directory path
+ */
+function userConfigDir() {
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'ai-init');
+}
+
+/**
+ * Reads the ai-init config of a project
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object>} - Config, or an empty object when there is none
+ * @throws {InstallerError} - If the config cannot be parsed
+ */
+async function readConfig(projectPath) {
+  return readConfigFile(path.join(projectPath, CONFIG_FILE), CONFIG_FILE);
+}
+
+/**
+ * Reads the user-level ai-init config
+ * @returns {Promise<Object>} - Config, or an empty object when there is none
+ * @throws {InstallerError} - If the config cannot be parsed
+ */
+async function readUserConfig() {
+  const file = path.join(userConfigDir(), USER_CONFIG_FILE);
+  return readConfigFile(file, file);
+}
+
+/**
+ * Reads a JSON config file
+ * @param {string} file - Path to the file
+ * @param {string} name - Name used in error messages
+ * @returns {Promise<Object>} - Config, or an empty object when the file is missing
+ * @throws {InstallerError} - If the config cannot be parsed
+ */
+async function readConfigFile(file, name) {
+  let content;
+  try {
+    content = await readFile(file, 'utf8');
+  } catch (error) {
+    return {};
+  }
+
+  try {
+    const config = JSON.parse(content);
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('expected an object');
+    }
+    return config;
+  } catch (error) {
+    throw new InstallerError(
+      `Invalid config ${name}: ${error.message}`,
+      'INVALID_CONFIG'
+    );
+  }
+}
+
+/**
+ * Serializes a config the way it is written to disk
+ * @param {Object} config - Config
+ * @returns {string} - JSON with a trailing newline
+ */
+function formatConfig(config) {
+  return `${JSON.stringify(config, null, 2)}\n`;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  USER_CONFIG_FILE,
+  userConfigDir,
+  readConfig,
+  readUserConfig,
+  formatConfig
+};
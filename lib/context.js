@@ -0,0 +1,333 @@
+/**
+ * Context bundles for assistants without native rules support
+ *
+ * `ai-init context` puts rules.yaml, the memory bank and the current ADRs
+ * into one markdown or XML-tagged document to paste into a chat or send
+ * through an API. A workspace package's bundle also holds the rules.yaml
+ * files its own extends, so the rules it inherits are not lost. Sections
+ * always come in the same order and the bundle carries no timestamps, so
+ * two bundles diff cleanly. To fit a token budget, sections are cut or left
+ * out from the lowest priority up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { listAdrs } = require('./adr');
+const { MEMORY_BANK_DIR, DEFAULT_MEMORY_BANK_FILES } = require('./memory-bank');
+const { matchGlob } = require('./utils/glob');
+const { resolveExtends } = require('./workspace');
+const yaml = require('./utils/yaml');
+
+const readFile = promisify(fs.readFile);
+const readdir = promisify(fs.readdir);
+
+// Output formats
+const FORMATS = ['markdown', 'xml'];
+
+// Rough size of a token, as used by --max-tokens
+const CHARS_PER_TOKEN = 4;
+
+// Files kept longest when cutting to a budget, most important first; the
+// ADRs follow, newest first, then any other memory bank file (such as roadmap.md)
+const PRIORITY = [
+  'rules.yaml',
+  `${MEMORY_BANK_DIR}/projectbrief.md`,
+  `${MEMORY_BANK_DIR}/activeContext.md`,
+  `${MEMORY_BANK_DIR}/techContext.md`,
+  `${MEMORY_BANK_DIR}/systemPatterns.md`,
+  `${MEMORY_BANK_DIR}/progress.md`
+];
+
+// ADR statuses left out unless --include names the record
+const INACTIVE_ADR_PATTERN = /^(superseded|deprecated|rejected)\b/i;
+
+/**
+ * Estimates the tokens of a text
+ * @param {string} text - Text
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Checks a path against --include and --exclude globs
+ * @param {string} file - POSIX path relative to the project root
+ * @param {string[]} include - Globs a file must match one of, when any are given
+ * @param {string[]} exclude - Globs a file must match none of
+ * @returns {boolean} - Whether the file goes into the bundle
+ */
+function isSelected(file, include, exclude) {
+  if (include.length > 0 && !include.some(glob => matchGlob(file, glob))) return false;
+  return !exclude.some(glob => matchGlob(file, glob));
+}
+
+/**
+ * Reads a text file with normalized line endings and no trailing blank lines
+ * @param {string} filePath - File to read
+ * @returns {Promise<string>} - Content
+ */
+async function readText(filePath) {
+  return (await readFile(filePath, 'utf8')).replace(/\r\n/g, '\n').replace(/\s+$/, '');
+}
+
+/**
+ * Lists the markdown files of the memory bank, the standard files first
+ * @param {string} projectPath - Project root
+ * @returns {Promise<string[]>} - Paths relative to the project root
+ */
+async function listMemoryFiles(projectPath) {
+  let names;
+  try {
+    names = await readdir(path.join(projectPath, MEMORY_BANK_DIR));
+  } catch (error) {
+    return [];
+  }
+
+  const rank = name => {
+    const index = DEFAULT_MEMORY_BANK_FILES.indexOf(name);
+    return index === -1 ? DEFAULT_MEMORY_BANK_FILES.length : index;
+  };
+  return names
+    .filter(name => name.endsWith('.md'))
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+    .map(name => `${MEMORY_BANK_DIR}/${name}`);
+}
+
+/**
+ * Lists the rules.yaml files that a project's rules extend through
+ * `extends`, the workspace root first
+ * @param {string} projectPath - Project root
+ * @param {Object} rules - Parsed rules.yaml of the project, whose extends
+ *   chain resolveExtends has already checked
+ * @returns {Promise<string[]>} - POSIX paths relative to the project root
+ */
+async function listExtendedRules(projectPath, rules) {
+  const files = [];
+  let rulesPath = path.join(projectPath, 'rules.yaml');
+  let current = rules;
+
+  while (current && typeof current.extends === 'string') {
+    rulesPath = path.resolve(path.dirname(rulesPath), current.extends);
+    files.unshift(path.relative(projectPath, rulesPath).split(path.sep).join('/'));
+    current = yaml.parse(await readFile(rulesPath, 'utf8'));
+  }
+  return files;
+}
+
+/**
+ * Collects the sections of a project's bundle, in output order
+ * @param {string} projectPath - Project root
+ * @param {string[]} include - --include globs
+ * @param {string[]} exclude - --exclude globs
+ * @param {string[]} [extended] - rules.yaml files the project's rules extend
+ * @returns {Promise<Object[]>} - Sections as { file, kind, priority, content }
+ */
+async function collectSections(projectPath, include, exclude, extended = []) {
+  const sections = [];
+  const add = async (file, kind, priority) => {
+    sections.push({ file, kind, priority, content: await readText(path.join(projectPath, file)) });
+  };
+
+  for (const file of extended) {
+    if (isSelected(file, include, exclude)) {
+      await add(file, 'rules', 0);
+    }
+  }
+
+  if (isSelected('rules.yaml', include, exclude)) {
+    await add('rules.yaml', 'rules', 0);
+  }
+
+  for (const file of await listMemoryFiles(projectPath)) {
+    if (isSelected(file, include, exclude)) {
+      const index = PRIORITY.indexOf(file);
+      await add(file, 'memory', index === -1 ? Infinity : index);
+    }
+  }
+
+  // Records that no longer apply only go in when --include names them
+  const { records } = await listAdrs(projectPath);
+  for (const record of records) {
+    const named = include.some(glob => matchGlob(record.file, glob));
+    if (isSelected(record.file, include, exclude) && (named || !INACTIVE_ADR_PATTERN.test(record.status))) {
+      await add(record.file, 'adr', PRIORITY.length + 1 / record.number);
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Finds a code fence longer than any backtick run in a text
+ * @param {string} content - Text to fence
+ * @returns {string} - Fence
+ */
+function fenceFor(content) {
+  const longest = (content.match(/`{3,}/g) || []).reduce((max, run) => Math.max(max, run.length), 2);
+  return '`'.repeat(longest + 1);
+}
+
+/**
+ * Escapes a value for an XML attribute
+ * @param {string} value - Attribute value
+ * @returns {string} - Escaped value
+ */
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Renders a bundle
+ * @param {string} name - Project name
+ * @param {Object[]} sections - Sections to render, as { file, kind, content }
+ * @param {string[]} omitted - Files left out to fit the budget
+ * @param {string} format - markdown or xml
+ * @returns {string} - Bundle
+ */
+function renderBundle(name, sections, omitted, format) {
+  const note = omitted.length > 0 ? `Left out to fit the token budget: ${omitted.join(', ')}` : null;
+
+  if (format === 'xml') {
+    return [
+      `<project_context name="${escapeAttribute(name)}">`,
+      ...(note ? [`<note>${note}</note>`] : []),
+      ...sections.map(section => `<file path="${escapeAttribute(section.file)}" kind="${section.kind}">\n${section.content}\n</file>`),
+      '</project_context>',
+      ''
+    ].join('\n');
+  }
+
+  const blocks = [`# Project context: ${name}`];
+  if (note) blocks.push(`> ${note}`);
+  sections.forEach(section => {
+    const fence = fenceFor(section.content);
+    const language = section.file.endsWith('.yaml') ? 'yaml' : 'markdown';
+    blocks.push(`## ${section.file}\n\n${fence}${language}\n${section.content}\n${fence}`);
+  });
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Cuts a section to about a number of characters, at a line boundary
+ * @param {string} content - Section content
+ * @param {number} chars - Characters to keep
+ * @returns {string|null} - Cut content with a marker, or null when no line fits
+ */
+function truncateContent(content, chars) {
+  const lines = content.split('\n');
+  const marker = kept => `[... cut to fit the token budget: ${kept} of ${lines.length} lines kept]`;
+  let length = 0;
+  let kept = 0;
+
+  while (kept < lines.length && length + lines[kept].length + 1 + marker(kept + 1).length <= chars) {
+    length += lines[kept].length + 1;
+    kept++;
+  }
+  return kept === 0 ? null : `${lines.slice(0, kept).join('\n')}\n${marker(kept)}`;
+}
+
+/**
+ * Normalizes --include and --exclude values; commas are not separators,
+ * as they belong to {a,b} alternatives
+ * @param {string|string[]} [value] - Glob or globs
+ * @returns {string[]} - Globs
+ */
+function toGlobs(value) {
+  return [].concat(value || []).map(glob => String(glob).trim()).filter(Boolean);
+}
+
+/**
+ * Builds the context bundle of a project
+ * @param {string} projectPath - Project root, with rules.yaml
+ * @param {Object} [options] - { format, include, exclude, maxTokens }
+ * @returns {Promise<Object>} - { format, content, tokens, maxTokens, sections },
+ *   sections as { file, kind, tokens, status } with status included, truncated or omitted
+ * @throws {InstallerError} - If rules.yaml or a file it extends is missing,
+ *   or the format or budget is invalid
+ */
+async function buildContext(projectPath, options = {}) {
+  const format = options.format || 'markdown';
+  if (!FORMATS.includes(format)) {
+    throw new InstallerError(
+      `Unknown context format: ${format}`,
+      'INVALID_CONTEXT_FORMAT',
+      { errors: [`Available formats: ${FORMATS.join(', ')}`] }
+    );
+  }
+
+  const maxTokens = options.maxTokens === undefined ? null : Number(options.maxTokens);
+  if (maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+    throw new InstallerError(
+      `Invalid token budget: ${options.maxTokens}`,
+      'INVALID_TOKEN_BUDGET',
+      { errors: ['Give --max-tokens as a positive whole number, such as 8000'] }
+    );
+  }
+
+  const rulesPath = path.join(projectPath, 'rules.yaml');
+  let source;
+  try {
+    source = await readFile(rulesPath, 'utf8');
+  } catch (error) {
+    throw new InstallerError(
+      `No rules.yaml found in ${projectPath}`,
+      'RULES_NOT_FOUND',
+      { errors: ['Run `ai-init --add` to scaffold the project first'] }
+    );
+  }
+
+  let rules = {};
+  try {
+    rules = yaml.parse(source) || {};
+  } catch (error) {
+    // Invalid YAML only costs the project name; the file goes in as it is
+  }
+  // Fails on a missing or circular extends, as the other rules commands do
+  await resolveExtends(rules, rulesPath);
+
+  const projectName = rules.project && typeof rules.project.name === 'string' && !rules.project.name.includes('{{')
+    ? rules.project.name
+    : path.basename(projectPath);
+  const sections = await collectSections(projectPath, toGlobs(options.include), toGlobs(options.exclude), await listExtendedRules(projectPath, rules));
+  const statuses = new Map(sections.map(section => [section.file, { tokens: estimateTokens(section.content), status: 'included' }]));
+
+  // Cut the lowest-priority section that is left until the bundle fits
+  let kept = sections.slice();
+  const render = () => {
+    const omitted = sections.filter(section => statuses.get(section.file).status === 'omitted');
+    return renderBundle(projectName, kept, omitted.map(section => section.file), format);
+  };
+  let content = render();
+
+  while (maxTokens !== null && estimateTokens(content) > maxTokens && kept.length > 0) {
+    const section = kept.reduce((lowest, candidate) => (candidate.priority >= lowest.priority ? candidate : lowest));
+    const excess = (estimateTokens(content) - maxTokens) * CHARS_PER_TOKEN;
+    const cut = truncateContent(section.content, section.content.length - excess);
+
+    if (cut === null || cut.length >= section.content.length) {
+      kept = kept.filter(candidate => candidate !== section);
+      statuses.get(section.file).status = 'omitted';
+    } else {
+      kept = kept.map(candidate => (candidate === section ? { ...section, content: cut } : candidate));
+      statuses.get(section.file).status = 'truncated';
+    }
+    content = render();
+  }
+
+  return {
+    format,
+    content,
+    tokens: estimateTokens(content),
+    maxTokens,
+    sections: sections.map(section => ({ file: section.file, kind: section.kind, ...statuses.get(section.file) }))
+  };
+}
+
+module.exports = {
+  FORMATS,
+  estimateTokens,
+  buildContext
+};
@@ -0,0 +1,75 @@
+/**
+ * Error class for installation errors
+ */
+class InstallerError extends Error {
+  constructor(message, code, details = null) {
+    super(message);
+    this.name = 'InstallerError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Every code an InstallerError can carry, so callers can branch on
+// error.code without matching strings scattered through the codebase
+const ERROR_CODES = Object.freeze({
+  // Arguments and options
+  INVALID_NAME: 'INVALID_NAME',
+  MISSING_TARGET_DIR: 'MISSING_TARGET_DIR',
+  INVALID_CONFLICT_MODE: 'INVALID_CONFLICT_MODE',
+  INVALID_LINK_MODE: 'INVALID_LINK_MODE',
+  UNKNOWN_TOOL: 'UNKNOWN_TOOL',
+  UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+  INVALID_ANSWERS: 'INVALID_ANSWERS',
+  ANSWERS_READ_FAILED: 'ANSWERS_READ_FAILED',
+  PATH_NOT_FOUND: 'PATH_NOT_FOUND',
+  NOT_A_WORKSPACE: 'NOT_A_WORKSPACE',
+  NO_MATCHING_PACKAGES: 'NO_MATCHING_PACKAGES',
+  INVALID_CONTEXT_FORMAT: 'INVALID_CONTEXT_FORMAT',
+  INVALID_TOKEN_BUDGET: 'INVALID_TOKEN_BUDGET',
+
+  // Templates
+  UNKNOWN_TEMPLATE: 'UNKNOWN_TEMPLATE',
+  INVALID_TEMPLATE_MANIFEST: 'INVALID_TEMPLATE_MANIFEST',
+  TEMPLATE_DIR_NOT_FOUND: 'TEMPLATE_DIR_NOT_FOUND',
+  TEMPLATE_EXTEND_FAILED: 'TEMPLATE_EXTEND_FAILED',
+  UNKNOWN_VARIABLE: 'UNKNOWN_VARIABLE',
+
+  // Target directory
+  DIR_NOT_EMPTY: 'DIR_NOT_EMPTY',
+  DIR_CREATE_FAILED: 'DIR_CREATE_FAILED',
+  DIR_ACCESS_FAILED: 'DIR_ACCESS_FAILED',
+  NOT_DIRECTORY: 'NOT_DIRECTORY',
+
+  // Installing files
+  DIR_STRUCTURE_FAILED: 'DIR_STRUCTURE_FAILED',
+  COPY_FILES_FAILED: 'COPY_FILES_FAILED',
+  COPY_FAILED: 'COPY_FAILED',
+  ROLLBACK_FAILED: 'ROLLBACK_FAILED',
+
+  // Project state
+  INVALID_CONFIG: 'INVALID_CONFIG',
+  INVALID_LOCKFILE: 'INVALID_LOCKFILE',
+  INVALID_JOURNAL: 'INVALID_JOURNAL',
+  JOURNAL_NOT_FOUND: 'JOURNAL_NOT_FOUND',
+  RULES_NOT_FOUND: 'RULES_NOT_FOUND',
+  INVALID_RULES: 'INVALID_RULES',
+  MEMORY_FILE_NOT_FOUND: 'MEMORY_FILE_NOT_FOUND',
+  UNKNOWN_MEMORY_FILE: 'UNKNOWN_MEMORY_FILE',
+  INVALID_MEMORY_ENTRY: 'INVALID_MEMORY_ENTRY',
+  INVALID_ADR_TITLE: 'INVALID_ADR_TITLE',
+  INVALID_ADR_NUMBER: 'INVALID_ADR_NUMBER',
+  ADR_NOT_FOUND: 'ADR_NOT_FOUND',
+  ADR_TEMPLATE_NOT_FOUND: 'ADR_TEMPLATE_NOT_FOUND',
+  NOT_A_GIT_REPOSITORY: 'NOT_A_GIT_REPOSITORY',
+
+  // Commands
+  SYNC_FAILED: 'SYNC_FAILED',
+  GENERATE_FAILED: 'GENERATE_FAILED',
+  UPGRADE_FAILED: 'UPGRADE_FAILED'
+});
+
+module.exports = {
+  InstallerError,
+  ERROR_CODES
+};
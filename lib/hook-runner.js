@@ -0,0 +1,108 @@
+/**
+ * What the git hooks installed by `ai-init hooks install` run
+ *
+ * This module is bundled into the hooks with the modules it requires, so
+ * it must only require built-in modules and those bundled modules (see
+ * BUNDLED_MODULES in hooks.js). Problems go to stderr, as git expects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { lintCommitMessage, findRestrictedFiles } = require('./commit-lint');
+const { runGit } = require('./utils/git');
+const yaml = require('./utils/yaml');
+
+/**
+ * Reads the rules.yaml of the project the hooks were installed for
+ * @param {string} projectPath - Project root
+ * @returns {Object|null} - Parsed rules, or null when the file is missing or
+ *   invalid, so a broken rules.yaml never blocks a commit
+ */
+function readRules(projectPath) {
+  let content;
+  try {
+    content = fs.readFileSync(path.join(projectPath, 'rules.yaml'), 'utf8');
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    return yaml.parse(content) || {};
+  } catch (error) {
+    console.error(`ai-init: rules.yaml is not valid YAML (${error.message}); skipping the checks`);
+    return null;
+  }
+}
+
+/**
+ * Checks the message of the commit being made
+ * @param {string} projectPath - Project root
+ * @param {string} messageFile - File git wrote the message to
+ * @returns {number} - 1 when the message breaks commit_format, else 0
+ */
+function commitMsg(projectPath, messageFile) {
+  const rules = readRules(projectPath);
+  if (!rules || !rules.commit_format || !messageFile) return 0;
+
+  const problems = lintCommitMessage(fs.readFileSync(messageFile, 'utf8'), rules.commit_format);
+  if (problems.length === 0) return 0;
+
+  console.error('ai-init: the commit message does not follow commit_format in rules.yaml:');
+  problems.forEach(problem => console.error(`  line ${problem.line}: ${problem.message}`));
+  const examples = Array.isArray(rules.commit_format.examples) ? rules.commit_format.examples : [];
+  if (typeof examples[0] === 'string') {
+    console.error(`  e.g. ${examples[0].split('\n')[0]}`);
+  }
+  console.error('Fix the message, or commit with --no-verify to skip the check.');
+  return 1;
+}
+
+/**
+ * Checks the staged files against security.restricted_files
+ * @param {string} projectPath - Project root
+ * @returns {number} - 1 when a restricted file is staged, else 0
+ */
+function preCommit(projectPath) {
+  const rules = readRules(projectPath);
+  if (!rules || !rules.security) return 0;
+
+  const staged = runGit(['diff', '--cached', '--name-only', '--diff-filter=ACMR', '--relative', '-z'], projectPath);
+  const files = (staged || '').split('\0').filter(Boolean);
+  const restricted = findRestrictedFiles(files, rules.security.restricted_files);
+  if (restricted.length === 0) return 0;
+
+  console.error('ai-init: these staged files are listed in security.restricted_files of rules.yaml:');
+  restricted.forEach(match => console.error(`  ${match.file} (matches "${match.pattern}")`));
+  console.error('Unstage them with `git restore --staged <file>` and add them to .gitignore.');
+  return 1;
+}
+
+// Checks by hook name
+const HOOK_CHECKS = {
+  'commit-msg': (projectPath, args) => commitMsg(projectPath, args[0]),
+  'pre-commit': projectPath => preCommit(projectPath)
+};
+
+/**
+ * Runs the check of a hook
+ * @param {string[]} args - Hook name, then the arguments git passed the hook
+ * @param {string} projectDir - Project root, relative to the repository root
+ * @returns {number} - Exit code for the hook
+ */
+function main(args, projectDir) {
+  const [hook, ...rest] = args;
+  const check = HOOK_CHECKS[hook];
+  if (!check) {
+    console.error(`ai-init: unknown hook ${hook}`);
+    return 0;
+  }
+
+  const top = runGit(['rev-parse', '--show-toplevel'], process.cwd());
+  const projectPath = path.resolve(top ? top.trim() : process.cwd(), projectDir);
+  return check(projectPath, rest);
+}
+
+module.exports = {
+  HOOK_CHECKS,
+  main
+};
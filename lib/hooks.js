@@ -0,0 +1,279 @@
+/**
+ * Git hooks that enforce rules.yaml
+ *
+ * `ai-init hooks install` adds a marked block to the commit-msg and
+ * pre-commit hooks that runs ai-init-hooks.js, a self-contained bundle of
+ * hook-runner.js and the modules it requires written next to the hooks, so
+ * commits are checked without ai-init or node_modules installed. The hooks
+ * go where git runs them: core.hooksPath when set, .husky/ when husky
+ * manages the hooks, else .git/hooks. Existing hooks keep their content.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { version: PACKAGE_VERSION } = require('../package.json');
+const { pathExists } = require('./utils/file-operations');
+const { runGit } = require('./utils/git');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const unlink = promisify(fs.unlink);
+const chmod = promisify(fs.chmod);
+const mkdir = promisify(fs.mkdir);
+const realpath = promisify(fs.realpath);
+const stat = promisify(fs.stat);
+
+// Hooks ai-init installs, each handled by hook-runner.js
+const HOOKS = ['commit-msg', 'pre-commit'];
+
+// Bundled runner the hooks call, inside the hooks directory
+const RUNNER = 'ai-init-hooks.js';
+
+// Modules bundled into the runner, relative to lib/, dependencies first
+const BUNDLED_MODULES = ['utils/yaml', 'utils/glob', 'utils/git', 'commit-lint', 'hook-runner'];
+
+// Lines around the part of a hook that belongs to ai-init
+const BLOCK_START = '# >>> ai-init hooks (remove with `ai-init hooks uninstall`)';
+const BLOCK_END = '# <<< ai-init hooks';
+
+// Interpreters whose hooks can run the block
+const SHELL_PATTERN = /^#!.*\b(sh|bash|dash|zsh|ksh)\b/;
+
+/**
+ * Finds the directory git runs the hooks of a project from
+ * @param {string} projectPath - Project root, inside a git repository
+ * @returns {Promise<Object>} - { root, dir, husky }: repository root, hooks directory
+ *   and whether husky manages it
+ */
+async function resolveHooksDir(projectPath) {
+  const top = runGit(['rev-parse', '--show-toplevel'], projectPath);
+  if (top === null) {
+    throw new InstallerError(
+      `${projectPath} is not inside a git repository`,
+      'NOT_A_GIT_REPOSITORY',
+      { errors: ['Run `git init` first, or pass the directory of a repository'] }
+    );
+  }
+
+  const root = path.resolve(top.trim());
+  const hooksPath = (runGit(['config', 'core.hooksPath'], projectPath) || '').trim();
+
+  if (hooksPath) {
+    const dir = path.resolve(root, hooksPath);
+    // core.hooksPath=/dev/null is a common way to turn hooks off
+    if ((await pathExists(dir)) && !(await stat(dir)).isDirectory()) {
+      throw new InstallerError(
+        `core.hooksPath is ${hooksPath}, which is not a directory`,
+        'NOT_DIRECTORY',
+        { errors: ['git runs no hooks with this setting; point core.hooksPath at a directory or unset it'] }
+      );
+    }
+    // husky points core.hooksPath at .husky/_ and runs the scripts in .husky/
+    if (path.basename(dir) === '_' && path.basename(path.dirname(dir)) === '.husky') {
+      return { root, dir: path.dirname(dir), husky: true };
+    }
+    return { root, dir, husky: path.basename(dir) === '.husky' };
+  }
+
+  // A fresh clone of a husky project has .husky/ before `npm install` runs
+  if (await pathExists(path.join(root, '.husky'))) {
+    return { root, dir: path.join(root, '.husky'), husky: true };
+  }
+
+  const gitPath = runGit(['rev-parse', '--git-path', 'hooks'], projectPath);
+  return { root, dir: path.resolve(projectPath, gitPath.trim()), husky: false };
+}
+
+/**
+ * Renders the bundled runner the hooks call
+ * @param {string} projectDir - Project root relative to the repository root
+ * @returns {Promise<string>} - Runner source
+ */
+async function renderRunner(projectDir) {
+  const modules = await Promise.all(BUNDLED_MODULES.map(async name => {
+    const source = await readFile(path.join(__dirname, `${name}.js`), 'utf8');
+    return `  ${JSON.stringify(name)}: function (module, exports, require) {\n${source.trimEnd()}\n  }`;
+  }));
+
+  return [
+    '#!/usr/bin/env node',
+    `// Written by \`ai-init hooks install\` (ai-init ${PACKAGE_VERSION}); run it again to update this file.`,
+    '// Checks commit messages and staged files against rules.yaml without ai-init installed.',
+    "'use strict';",
+    '',
+    "const path = require('path');",
+    '',
+    'const modules = {',
+    modules.join(',\n'),
+    '};',
+    '',
+    'const cache = {};',
+    '',
+    'function load(name) {',
+    '  if (!cache[name]) {',
+    '    const module = { exports: {} };',
+    '    cache[name] = module;',
+    '    modules[name](module, module.exports, request => (request.startsWith(\'.\')',
+    '      ? load(path.posix.join(path.posix.dirname(name), request))',
+    '      : require(request)));',
+    '  }',
+    '  return cache[name].exports;',
+    '}',
+    '',
+    `process.exitCode = load('hook-runner').main(process.argv.slice(2), ${JSON.stringify(projectDir)});`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Renders the block a hook runs the runner with
+ * @param {string} hook - Hook name
+ * @returns {string[]} - Block lines
+ */
+function hookBlock(hook) {
+  return [
+    BLOCK_START,
+    'if command -v node >/dev/null 2>&1; then',
+    `  node "$(dirname -- "$0")/${RUNNER}" ${hook} "$@" || exit $?`,
+    'fi',
+    BLOCK_END
+  ];
+}
+
+/**
+ * Removes the ai-init block from hook lines
+ * @param {string[]} lines - Hook lines
+ * @returns {string[]} - Lines without the block
+ */
+function removeBlock(lines) {
+  const start = lines.indexOf(BLOCK_START);
+  const end = lines.indexOf(BLOCK_END, start);
+  if (start === -1 || end === -1) return lines;
+  return lines.slice(0, start).concat(lines.slice(end + 1));
+}
+
+/**
+ * Adds the ai-init block to a hook, after its shebang and husky loader
+ * @param {string|null} content - Current hook content, or null for a new hook
+ * @param {string} hook - Hook name
+ * @returns {string|null} - New content, or null when the hook is not a shell script
+ */
+function addBlock(content, hook) {
+  if (content === null) {
+    return ['#!/bin/sh', ...hookBlock(hook), ''].join('\n');
+  }
+
+  const lines = removeBlock(content.split('\n'));
+  if (lines[0].startsWith('#!') && !SHELL_PATTERN.test(lines[0])) return null;
+
+  let at = lines[0].startsWith('#!') ? 1 : 0;
+  if (lines[at] !== undefined && /husky\.sh/.test(lines[at])) at++;
+  return lines.slice(0, at).concat(hookBlock(hook), lines.slice(at)).join('\n');
+}
+
+/**
+ * Reads a file, or returns null when it does not exist
+ * @param {string} filePath - File to read
+ * @returns {Promise<string|null>} - Content or null
+ */
+async function readIfExists(filePath) {
+  try {
+    return await readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Installs the commit-msg and pre-commit hooks of a project
+ * @param {string} projectPath - Project root, with rules.yaml, inside a git repository
+ * @param {Object} [options] - { dryRun }
+ * @returns {Promise<Object>} - { hooksDir, husky, dryRun, changes }, changes as { file, status, detail }
+ *   with status created, updated, unchanged or skipped
+ */
+async function installHooks(projectPath, options = {}) {
+  const { root, dir, husky } = await resolveHooksDir(projectPath);
+  const relative = file => path.relative(projectPath, file).split(path.sep).join('/');
+  const changes = [];
+
+  const write = async (file, before, after) => {
+    const status = before === null ? 'created' : before === after ? 'unchanged' : 'updated';
+    if (!options.dryRun && status !== 'unchanged') {
+      await mkdir(dir, { recursive: true });
+      await writeFile(file, after);
+      await chmod(file, 0o755);
+    }
+    changes.push({ file: relative(file), status });
+  };
+
+  const runner = path.join(dir, RUNNER);
+  // git reports the root with symlinks resolved
+  const projectDir = path.relative(root, await realpath(projectPath)).split(path.sep).join('/') || '.';
+  await write(runner, await readIfExists(runner), await renderRunner(projectDir));
+
+  for (const hook of HOOKS) {
+    const file = path.join(dir, hook);
+    const before = await readIfExists(file);
+    const after = addBlock(before, hook);
+
+    if (after === null) {
+      changes.push({ file: relative(file), status: 'skipped', detail: 'not a shell script; call the runner from it yourself' });
+    } else {
+      await write(file, before, after);
+    }
+  }
+
+  return { hooksDir: relative(dir) || '.', husky, dryRun: Boolean(options.dryRun), changes };
+}
+
+/**
+ * Removes the ai-init block from the hooks of a project, and the hooks
+ * ai-init created
+ * @param {string} projectPath - Project root, inside a git repository
+ * @param {Object} [options] - { dryRun }
+ * @returns {Promise<Object>} - { hooksDir, husky, dryRun, changes }, changes as { file, status }
+ *   with status removed, updated or missing
+ */
+async function uninstallHooks(projectPath, options = {}) {
+  const { dir, husky } = await resolveHooksDir(projectPath);
+  const relative = file => path.relative(projectPath, file).split(path.sep).join('/');
+  const changes = [];
+
+  for (const hook of HOOKS) {
+    const file = path.join(dir, hook);
+    const before = await readIfExists(file);
+    const lines = before === null ? null : removeBlock(before.split('\n'));
+
+    if (lines === null || lines.length === before.split('\n').length) {
+      changes.push({ file: relative(file), status: 'missing' });
+      continue;
+    }
+
+    // Nothing but a shebang left means ai-init created the hook
+    const empty = lines.every(line => !line.trim() || line.startsWith('#!'));
+    if (!options.dryRun) {
+      await (empty ? unlink(file) : writeFile(file, lines.join('\n')));
+    }
+    changes.push({ file: relative(file), status: empty ? 'removed' : 'updated' });
+  }
+
+  const runner = path.join(dir, RUNNER);
+  if (await pathExists(runner)) {
+    if (!options.dryRun) await unlink(runner);
+    changes.push({ file: relative(runner), status: 'removed' });
+  } else {
+    changes.push({ file: relative(runner), status: 'missing' });
+  }
+
+  return { hooksDir: relative(dir) || '.', husky, dryRun: Boolean(options.dryRun), changes };
+}
+
+module.exports = {
+  HOOKS,
+  RUNNER,
+  installHooks,
+  uninstallHooks
+};
@@ -0,0 +1,488 @@
+// Type definitions for the ai-init programmatic API
+
+/** Ways to handle template files that already exist in a project */
+export type ConflictMode = 'skip' | 'overwrite' | 'backup' | 'merge' | 'prompt';
+
+/** How tools that read rules.yaml directly get it */
+export type LinkMode = 'symlink' | 'hardlink' | 'copy' | 'auto';
+
+/** Codes carried by InstallerError */
+export type ErrorCode =
+  | 'INVALID_NAME'
+  | 'MISSING_TARGET_DIR'
+  | 'INVALID_CONFLICT_MODE'
+  | 'INVALID_LINK_MODE'
+  | 'UNKNOWN_TOOL'
+  | 'UNKNOWN_COMMAND'
+  | 'INVALID_ANSWERS'
+  | 'ANSWERS_READ_FAILED'
+  | 'PATH_NOT_FOUND'
+  | 'NOT_A_WORKSPACE'
+  | 'NO_MATCHING_PACKAGES'
+  | 'INVALID_CONTEXT_FORMAT'
+  | 'INVALID_TOKEN_BUDGET'
+  | 'UNKNOWN_TEMPLATE'
+  | 'INVALID_TEMPLATE_MANIFEST'
+  | 'TEMPLATE_DIR_NOT_FOUND'
+  | 'TEMPLATE_EXTEND_FAILED'
+  | 'UNKNOWN_VARIABLE'
+  | 'DIR_NOT_EMPTY'
+  | 'DIR_CREATE_FAILED'
+  | 'DIR_ACCESS_FAILED'
+  | 'NOT_DIRECTORY'
+  | 'DIR_STRUCTURE_FAILED'
+  | 'COPY_FILES_FAILED'
+  | 'COPY_FAILED'
+  | 'ROLLBACK_FAILED'
+  | 'INVALID_CONFIG'
+  | 'INVALID_LOCKFILE'
+  | 'INVALID_JOURNAL'
+  | 'JOURNAL_NOT_FOUND'
+  | 'RULES_NOT_FOUND'
+  | 'INVALID_RULES'
+  | 'MEMORY_FILE_NOT_FOUND'
+  | 'UNKNOWN_MEMORY_FILE'
+  | 'INVALID_MEMORY_ENTRY'
+  | 'INVALID_ADR_TITLE'
+  | 'INVALID_ADR_NUMBER'
+  | 'ADR_NOT_FOUND'
+  | 'ADR_TEMPLATE_NOT_FOUND'
+  | 'NOT_A_GIT_REPOSITORY'
+  | 'SYNC_FAILED'
+  | 'GENERATE_FAILED'
+  | 'UPGRADE_FAILED';
+
+export const ERROR_CODES: Readonly<{ [Code in ErrorCode]: Code }>;
+
+export class InstallerError extends Error {
+  constructor(message: string, code: ErrorCode, details?: InstallerErrorDetails | null);
+  name: 'InstallerError';
+  code: ErrorCode;
+  details: InstallerErrorDetails | null;
+}
+
+export interface InstallerErrorDetails {
+  /** Human-readable explanations, one per problem */
+  errors?: string[];
+  [key: string]: unknown;
+}
+
+/** Project name, goal and features rendered into rules.yaml and memory-bank/projectbrief.md */
+export interface ProjectMetadata {
+  name?: string;
+  goal?: string;
+  features?: string[];
+}
+
+/** Something an install did, or would do in a dry run */
+export interface InstallAction {
+  type: 'directory' | 'file' | 'symlink';
+  /** Path relative to the project root */
+  path: string;
+  status: 'create' | 'exists' | 'copy' | 'skip' | 'overwrite' | 'backup' | 'merge' | 'prompt' | 'update';
+  /** Link target, for symlinks */
+  target?: string;
+  /** How a rules.yaml link was made when it is not a symlink */
+  mode?: 'hardlink' | 'copy';
+  /** Backup written for the backup conflict mode */
+  backup?: string;
+  /** Keys or sections added by the merge conflict mode */
+  added?: string[];
+  /** Why an existing file was kept */
+  reason?: string;
+  /** Unified diff against the existing file, when requested */
+  diff?: string;
+}
+
+export interface TemplateLookupOptions {
+  /** Directories of local templates layered over the built-in and user-level ones */
+  templateDir?: string | string[];
+  /** Project whose .ai-init.json lists template directories, when templateDir is not given */
+  projectPath?: string;
+}
+
+export interface InstallOptions {
+  template?: string;
+  templateDir?: string | string[];
+  tools?: string | string[];
+  linkMode?: LinkMode;
+  onConflict?: ConflictMode;
+  /** Asked for each existing file in prompt mode */
+  promptConflict?: (relativePath: string) => ConflictMode | Promise<ConflictMode>;
+  metadata?: ProjectMetadata;
+  dryRun?: boolean;
+  diff?: boolean;
+  skipSymlink?: boolean;
+  /** Set to false to scaffold only the root of a workspace */
+  workspace?: boolean;
+  /** Glob of the workspace package paths or names to scaffold (default: all) */
+  packages?: string;
+  onAction?: (action: InstallAction) => void;
+  onWarning?: (message: string) => void;
+}
+
+export type ScaffoldEvent =
+  | { type: 'template'; template: string; detected: boolean; reasons: string[] }
+  | { type: 'workspace'; workspace: WorkspaceType; source: string; packages: ScaffoldedPackage[] }
+  | { type: 'warning'; message: string }
+  | { type: 'action'; action: InstallAction };
+
+export interface ScaffoldOptions extends Omit<InstallOptions, 'onAction' | 'onWarning'> {
+  /** Directory to scaffold; created when missing */
+  targetDir: string;
+  onProgress?: (event: ScaffoldEvent) => void;
+}
+
+export interface ScaffoldResult {
+  projectPath: string;
+  template: string;
+  /** Whether the directory was new or empty, rather than an existing project */
+  created: boolean;
+  dryRun: boolean;
+  actions: InstallAction[];
+  /** Workspace packages scaffolded along with the root */
+  packages: ScaffoldedPackage[];
+}
+
+export type WorkspaceType = 'pnpm' | 'npm' | 'yarn' | 'nx' | 'turbo';
+
+export interface WorkspacePackage {
+  /** package.json or project.json name, else the path */
+  name: string;
+  /** Path relative to the workspace root, with "/" separators */
+  path: string;
+}
+
+export interface ScaffoldedPackage extends WorkspacePackage {
+  template: string;
+}
+
+export interface Workspace {
+  type: WorkspaceType;
+  /** File the package patterns come from */
+  source: string;
+  patterns: string[];
+  packages: WorkspacePackage[];
+}
+
+/** Detects whether a directory is a workspace root, resolving to null when it is not */
+export function detectWorkspace(rootPath: string): Promise<Workspace | null>;
+
+/** Scaffolds a directory without relying on the working directory or printing anything */
+export function scaffold(options: ScaffoldOptions): Promise<ScaffoldResult>;
+
+/** Creates a directory, relative to the working directory, with scaffolding */
+export function createProject(projectName: string, options?: InstallOptions): Promise<string>;
+
+/** Adds scaffolding to the working directory */
+export function addToProject(options?: InstallOptions): Promise<string>;
+
+/** Adds the template's memory bank files to a project, resolving to the paths written */
+export function createMemoryBankFiles(projectPath: string, options?: InstallOptions): Promise<string[]>;
+
+/** Adds the template's ADR files to a project, resolving to the paths written */
+export function createAdrFiles(projectPath: string, options?: InstallOptions): Promise<string[]>;
+
+export interface Template {
+  name: string;
+  description: string;
+  stack: string;
+  /** Detected stacks the template is picked for */
+  detect: string[];
+  version: string;
+  /** Globs of the files whose template variables are substituted */
+  render: string[];
+  /** Highest-precedence directory of the template */
+  path: string;
+  layers: Array<{ dir: string; remove: string[]; extend: string[] }>;
+}
+
+export function listTemplates(options?: TemplateLookupOptions): Promise<Template[]>;
+
+export interface StackCandidate {
+  stack: string;
+  label: string;
+  score: number;
+  reasons: string[];
+}
+
+export interface StackDetection {
+  stack: string | null;
+  candidates: StackCandidate[];
+  details: {
+    nextVersion?: string;
+    router?: string;
+    pythonFramework?: string;
+  };
+}
+
+export function detectStack(projectPath: string): Promise<StackDetection>;
+
+export interface FillReport {
+  file: string;
+  filled: Array<{ name: string; value: string; evidence: string }>;
+  remaining: string[];
+}
+
+export function fillRules(projectPath: string, options?: { dryRun?: boolean }): Promise<FillReport>;
+
+export interface Violation {
+  file: string;
+  line: number;
+  ruleId: string;
+  severity: 'error' | 'warning';
+  message: string;
+}
+
+export interface CheckReport {
+  projectPath: string;
+  filesChecked: number;
+  violations: Violation[];
+  errors: number;
+  warnings: number;
+  /** 0 when clean, 1 for warnings only, 2 for errors */
+  exitCode: 0 | 1 | 2;
+}
+
+export function checkProject(projectPath: string): Promise<CheckReport>;
+
+export interface Change<Status extends string> {
+  /** Path relative to the project root, with "/" separators */
+  file: string;
+  status: Status;
+  detail?: string;
+}
+
+export interface UpgradeReport {
+  projectPath: string;
+  template: string;
+  fromVersion: string | null;
+  toVersion: string;
+  changes: Array<Change<'added' | 'updated' | 'merged' | 'conflict' | 'kept' | 'deleted' | 'removed' | 'obsolete' | 'unchanged'>>;
+}
+
+export function upgradeProject(projectPath: string, options?: TemplateLookupOptions & { template?: string }): Promise<UpgradeReport>;
+
+export interface UninstallReport {
+  projectPath: string;
+  dryRun: boolean;
+  changes: Array<Change<'removed' | 'modified' | 'kept' | 'missing'>>;
+}
+
+export function uninstallProject(projectPath: string, options?: { force?: boolean; dryRun?: boolean }): Promise<UninstallReport>;
+
+export interface SyncReport {
+  projectPath: string;
+  tools: string[];
+  linkMode: LinkMode;
+  dryRun: boolean;
+  changes: Array<Change<'created' | 'updated' | 'drift' | 'unchanged'> & { tool: string }>;
+}
+
+export function syncTools(
+  projectPath: string,
+  options?: { tools?: string | string[]; linkMode?: LinkMode; force?: boolean; dryRun?: boolean }
+): Promise<SyncReport>;
+
+export interface GenerateReport {
+  projectPath: string;
+  dryRun: boolean;
+  changes: Array<Change<'created' | 'updated' | 'removed' | 'drift' | 'unchanged'>>;
+}
+
+export function generateRules(projectPath: string, options?: { force?: boolean; dryRun?: boolean }): Promise<GenerateReport>;
+
+export interface MemoryFileStatus {
+  /** Path relative to the project root, with "/" separators */
+  file: string;
+  exists: boolean;
+  /** Whether the rules require the file to be kept current (activeContext.md, progress.md) */
+  keepCurrent: boolean;
+  /** ISO timestamp of the last modification */
+  modified?: string;
+  /** Size in bytes */
+  size?: number;
+  /** Template prompts and placeholders left in the file */
+  placeholders?: number;
+  /** Commits to the rest of the project since the file was last updated; null outside git */
+  commitsSince?: number | null;
+  stale?: boolean;
+}
+
+export interface MemoryStatusReport {
+  projectPath: string;
+  /** Whether staleness could be checked with git */
+  git: boolean;
+  /** Commits after which a file that must be kept current is stale */
+  staleAfter: number;
+  files: MemoryFileStatus[];
+  missing: number;
+  stale: number;
+  /** 0 when current, 1 when files are missing or stale */
+  exitCode: 0 | 1;
+}
+
+export function memoryStatus(projectPath: string): Promise<MemoryStatusReport>;
+
+export interface MemoryLogResult {
+  file: string;
+  /** Date heading the entry was added under, YYYY-MM-DD */
+  date: string;
+  entry: string;
+  /** Whether the Update Log section had to be added */
+  created: boolean;
+}
+
+export function logMemory(
+  projectPath: string,
+  entry: string,
+  options?: { file?: 'progress' | 'activeContext' | 'progress.md' | 'activeContext.md'; date?: Date }
+): Promise<MemoryLogResult>;
+
+export interface AdrRecord {
+  number: number;
+  /** Path relative to the project root, with "/" separators */
+  file: string;
+  title: string;
+  /** Lines of the Status section, joined with "; " */
+  status: string;
+  /** First line of the Date section, or "" */
+  date: string;
+}
+
+/** Lists the ADRs of the directory rules.yaml names under documentation.locations (default: doc-files/adr) */
+export function listAdrs(projectPath: string): Promise<{ dir: string; records: AdrRecord[] }>;
+
+/** Creates the next numbered ADR from the ADR directory's template.md */
+export function newAdr(
+  projectPath: string,
+  title: string,
+  options?: { date?: Date }
+): Promise<{ number: number; file: string; title: string; /** Whether the README index was refreshed */ index: boolean }>;
+
+/** Marks ADR oldNumber as superseded by ADR newNumber, cross-linking their Status sections */
+export function supersedeAdr(
+  projectPath: string,
+  oldNumber: number | string,
+  newNumber: number | string
+): Promise<{ superseded: string; by: string; index: boolean }>;
+
+/** Writes the README table of all ADRs */
+export function writeAdrIndex(
+  projectPath: string
+): Promise<{ file: string; records: number; status: 'created' | 'updated' | 'unchanged' }>;
+
+export interface HookChange {
+  /** Path relative to the project root, with "/" separators */
+  file: string;
+  status: 'created' | 'updated' | 'unchanged' | 'skipped' | 'removed' | 'missing';
+  detail?: string;
+}
+
+export interface HooksReport {
+  /** Directory git runs the hooks from, relative to the project root */
+  hooksDir: string;
+  /** Whether husky manages the hooks directory */
+  husky: boolean;
+  dryRun: boolean;
+  changes: HookChange[];
+}
+
+/**
+ * Adds commit-msg and pre-commit hooks that check commits against
+ * commit_format and security.restricted_files of rules.yaml
+ */
+export function installHooks(projectPath: string, options?: { dryRun?: boolean }): Promise<HooksReport>;
+
+/** Removes what installHooks added, keeping the rest of existing hooks */
+export function uninstallHooks(projectPath: string, options?: { dryRun?: boolean }): Promise<HooksReport>;
+
+export interface ContextOptions {
+  /** Default: markdown */
+  format?: 'markdown' | 'xml';
+  /** Globs of the files to bundle; ADRs named here go in whatever their status */
+  include?: string | string[];
+  /** Globs of the files to leave out */
+  exclude?: string | string[];
+  /** Budget, in tokens of about four characters, met by cutting the lowest-priority files first */
+  maxTokens?: number;
+}
+
+export interface ContextBundle {
+  format: 'markdown' | 'xml';
+  content: string;
+  /** Estimated tokens of content */
+  tokens: number;
+  maxTokens: number | null;
+  sections: Array<{
+    file: string;
+    kind: 'rules' | 'memory' | 'adr';
+    /** Estimated tokens of the whole file */
+    tokens: number;
+    status: 'included' | 'truncated' | 'omitted';
+  }>;
+}
+
+/** Bundles rules.yaml, the memory bank and the current ADRs into one document, in a stable order */
+export function buildContext(projectPath: string, options?: ContextOptions): Promise<ContextBundle>;
+
+/**
+ * Serves rules.yaml, the memory bank and the ADRs as Model Context Protocol
+ * resources, with tools that log to the memory bank and manage ADRs, over
+ * newline-delimited JSON-RPC until the input ends
+ */
+export function serveMcp(
+  projectPath: string,
+  options?: {
+    /** Readable stream of incoming messages (default: process.stdin) */
+    input?: unknown;
+    /** Stream outgoing messages are written to (default: process.stdout) */
+    output?: { write(chunk: string): unknown };
+  }
+): Promise<void>;
+
+/** Checks a commit message against the commit_format section of rules.yaml */
+export function lintCommitMessage(
+  message: string,
+  format?: { types?: string[]; guidelines?: { subject?: string; body?: string } } | null
+): Array<{ line: number; message: string }>;
+
+export interface ValidationCheck {
+  level: 'pass' | 'warning' | 'error';
+  message: string;
+}
+
+export interface ValidationReport {
+  projectPath: string;
+  sections: Array<{ title: string; checks: ValidationCheck[] }>;
+  errors: number;
+  warnings: number;
+  /** 0 when compliant, 1 for warnings only, 2 for errors */
+  exitCode: 0 | 1 | 2;
+}
+
+/** Validates a scaffolded project; an alias of validateProject */
+export function validate(dir: string): Promise<ValidationReport>;
+
+export function validateProject(dir: string): Promise<ValidationReport>;
+
+export interface RuleProblem {
+  line: number;
+  severity: 'error' | 'warning';
+  message: string;
+}
+
+export interface ParsedRule {
+  /** Parsed front matter, when the file has any */
+  frontMatter: { [key: string]: unknown } | null;
+  /** Parsed <rule> block, when the file has one */
+  rule: { [key: string]: unknown } | null;
+  body: string;
+  errors: RuleProblem[];
+}
+
+export function parseMdc(content: string): ParsedRule;
+
+export function loadRuleFile(file: string): Promise<ParsedRule & { file: string }>;
+
+export function loadRuleFiles(dir: string): Promise<Array<ParsedRule & { file: string }>>;
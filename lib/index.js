@@ -1,6 +1,54 @@
 const installer = require('./installer');
+const registry = require('./template-registry');
+const detector = require('./stack-detector');
+const filler = require('./rules-filler');
+const checker = require('./rules-checker');
+const upgrader = require('./upgrader');
+const uninstaller = require('./uninstaller');
+const toolSync = require('./tool-sync');
+const generator = require('./rules-generator');
+const validator = require('./validators/project-validator');
+const mdcParser = require('./mdc-parser');
+const memoryBank = require('./memory-bank');
+const adr = require('./adr');
+const workspace = require('./workspace');
+const hooks = require('./hooks');
+const context = require('./context');
+const mcpServer = require('./mcp-server');
+const commitLint = require('./commit-lint');
+const errors = require('./errors');
 
 module.exports = {
+  scaffold: installer.scaffold,
+  validate: validator.validateProject,
   createProject: installer.createProject,
-  addToProject: installer.addToProject
+  addToProject: installer.addToProject,
+  createMemoryBankFiles: installer.createMemoryBankFiles,
+  createAdrFiles: installer.createAdrFiles,
+  listTemplates: registry.listTemplates,
+  detectStack: detector.detectStack,
+  detectWorkspace: workspace.detectWorkspace,
+  fillRules: filler.fillRules,
+  checkProject: checker.checkProject,
+  upgradeProject: upgrader.upgradeProject,
+  uninstallProject: uninstaller.uninstallProject,
+  syncTools: toolSync.syncTools,
+  generateRules: generator.generateRules,
+  validateProject: validator.validateProject,
+  memoryStatus: memoryBank.memoryStatus,
+  logMemory: memoryBank.logMemory,
+  listAdrs: adr.listAdrs,
+  newAdr: adr.newAdr,
+  supersedeAdr: adr.supersedeAdr,
+  writeAdrIndex: adr.writeAdrIndex,
+  installHooks: hooks.installHooks,
+  uninstallHooks: hooks.uninstallHooks,
+  lintCommitMessage: commitLint.lintCommitMessage,
+  buildContext: context.buildContext,
+  serveMcp: mcpServer.serveMcp,
+  parseMdc: mdcParser.parseMdc,
+  loadRuleFile: mdcParser.loadRuleFile,
+  loadRuleFiles: mdcParser.loadRuleFiles,
+  InstallerError: errors.InstallerError,
+  ERROR_CODES: errors.ERROR_CODES
 };
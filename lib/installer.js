@@ -1,59 +1,43 @@
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { resolveTemplate, getTemplateFiles } = require('./template-registry');
+const { templateVariables, renderTemplateFiles } = require('./template-variables');
+const { normalizeMetadata, hasMetadata, renderMetadata, applyProjectMetadata } = require('./project-metadata');
+const { LOCK_FILE, readLock, recordInstall, recordGenerated, writeLock } = require('./lockfile');
+const { CONFIG_FILE, readConfig, formatConfig } = require('./config');
+const { resolveTools, resolveLinkMode, detectLinkMode, toolOutputs } = require('./tool-targets');
+const yaml = require('./utils/yaml');
+const { unifiedDiff } = require('./utils/diff');
+const { mergeYamlKeys, mergeMarkdownSections } = require('./structured-merge');
+const { validateProjectName, isDirectoryEmptyOrNonexistent, validateExistingProject } = require('./validators/project-validator');
+const { selectTemplate } = require('./stack-detector');
+const { PACKAGE_MEMORY_FILES, selectWorkspacePackages, packageRules, packageMemoryFile } = require('./workspace');
+const { pathExists, linkExists, createSymlink } = require('./utils/file-operations');
+const {
+  JOURNAL_FILE,
+  beginTransaction,
+  stageDirectory,
+  stageFile,
+  stageContent,
+  commitTransaction,
+  rollbackTransaction,
+  discardTransaction
+} = require('./transaction');
 
 // Promisify fs functions
 const mkdir = promisify(fs.mkdir);
-const readdir = promisify(fs.readdir);
 const stat = promisify(fs.stat);
-const copyFile = promisify(fs.copyFile);
-const symlink = promisify(fs.symlink);
-const access = promisify(fs.access);
+const readFile = promisify(fs.readFile);
+const rmdir = promisify(fs.rmdir);
 
-/**
- * Error class for installation errors
- */
-class InstallerError extends Error {
-  constructor(message, code, details = null) {
-    super(message);
-    this.name = 'InstallerError';
-    this.code = code;
-    this.details = details;
-  }
-}
-
-/**
- * Validates a project name with basic npm package name rules
- * @param {string} name - Project name to validate
- * @returns {object} - Object with validation results
- */
-function validateProjectName(name) {
-  // Extract just the directory name from the path
-  const dirName = path.basename(name);
-  
-  // Basic validation rules for npm package names
-  const nameRegex = /^[a-zA-Z0-9-_\.]+$/;
-  const validForNewPackages = nameRegex.test(dirName) && dirName.length > 0 && dirName.length <= 214;
-  
-  return {
-    validForNewPackages,
-    errors: validForNewPackages ? [] : ['Project name contains invalid characters or is too long.']
-  };
-}
+// Ways to handle template files that already exist when adding to a project
+const CONFLICT_MODES = ['skip', 'overwrite', 'backup', 'merge', 'prompt'];
 
-/**
- * Check if a path exists
- * @param {string} path - Path to check
- * @returns {Promise<boolean>} - Whether the path exists
- */
-async function pathExists(path) {
-  try {
-    await access(path, fs.constants.F_OK);
-    return true;
-  } catch (error) {
-    return false;
-  }
-}
+// Template directories installed by createMemoryBankFiles and createAdrFiles
+const MEMORY_BANK_DIR = 'memory-bank';
+const ADR_DIR = 'doc-files/adr';
 
 /**
  * Creates a new directory with AI Project Starter scaffolding
@@ -63,9 +47,11 @@ async function pathExists(path) {
  * @throws {InstallerError} - If creation fails
  */
 async function createProject(projectName, options = {}) {
-  // Validate project name
-  const nameValidation = validateProjectName(projectName);
-  if (!nameValidation.validForNewPackages) {
+  // Validate the directory name with npm package name rules; capitals are
+  // fine in a directory name, so only the lowercased name is checked
+  const dirName = projectName ? path.basename(path.resolve(process.cwd(), projectName)) : '';
+  const nameValidation = validateProjectName(dirName.toLowerCase());
+  if (!nameValidation.isValid) {
     throw new InstallerError(
       `Invalid directory name: ${projectName}`,
       'INVALID_NAME',
@@ -73,30 +59,27 @@ async function createProject(projectName, options = {}) {
     );
   }
   
+  // Resolve the template, tools and link mode before touching the filesystem
+  await resolveTemplate(options.template, { templateDir: options.templateDir });
+  resolveTools(options.tools);
+  resolveLinkMode(options.linkMode);
+
   const projectPath = path.resolve(process.cwd(), projectName);
   
   // Check if directory already exists and is not empty
-  try {
-    const exists = await pathExists(projectPath);
-    if (exists) {
-      const files = await readdir(projectPath);
-      if (files.length > 0) {
-        throw new InstallerError(
-          `Directory ${projectName} already exists and is not empty. Please choose another name or empty the directory.`,
-          'DIR_NOT_EMPTY'
-        );
-      }
-    }
-  } catch (error) {
-    if (error instanceof InstallerError) {
-      throw error;
-    }
-    // Directory doesn't exist, which is good
+  if (!await isDirectoryEmptyOrNonexistent(projectPath)) {
+    throw new InstallerError(
+      `Directory ${projectName} already exists and is not empty. Please choose another name or empty the directory.`,
+      'DIR_NOT_EMPTY'
+    );
   }
 
   // Create directory if it doesn't exist
+  let createdDir;
   try {
-    await mkdir(projectPath, { recursive: true });
+    if (!options.dryRun) {
+      createdDir = await mkdir(projectPath, { recursive: true });
+    }
   } catch (error) {
     throw new InstallerError(
       `Failed to create directory: ${error.message}`,
@@ -104,12 +87,37 @@ async function createProject(projectName, options = {}) {
     );
   }
 
-  // Copy template files
-  await copyTemplateFiles(projectPath, false, options);
+  // Copy template files; a failed install is rolled back, so only the
+  // directories created above are left to remove
+  try {
+    await copyTemplateFiles(projectPath, false, options);
+  } catch (error) {
+    if (createdDir) {
+      await removeCreatedDirectories(createdDir, projectPath);
+    }
+    throw error;
+  }
 
   return projectPath;
 }
 
+/**
+ * Removes the (empty) directories mkdir created for a project, innermost first
+ * @param {string} firstCreated - Outermost directory mkdir created
+ * @param {string} projectPath - Project directory
+ */
+async function removeCreatedDirectories(firstCreated, projectPath) {
+  let dir = projectPath;
+  while (dir.length >= firstCreated.length) {
+    try {
+      await rmdir(dir);
+    } catch (error) {
+      return;
+    }
+    dir = path.dirname(dir);
+  }
+}
+
 /**
  * Adds AI Project Starter scaffolding to an existing project
  * @param {Object} options - Configuration options
@@ -117,10 +125,175 @@ async function createProject(projectName, options = {}) {
  * @throws {InstallerError} - If adding to project fails
  */
 async function addToProject(options = {}) {
-  const projectPath = process.cwd();
+  return addToDirectory(process.cwd(), options);
+}
+
+/**
+ * Adds AI Project Starter scaffolding to an existing directory. At the root
+ * of a workspace, each package also gets a rules.yaml extending the root one
+ * and a memory bank of its own, unless options.workspace is false.
+ * @param {string} projectPath - Project root
+ * @param {Object} options - Configuration options, plus packages (glob of
+ *   the workspace packages to scaffold) and workspacePackages (packages
+ *   already selected with selectWorkspacePackages)
+ * @returns {string} - Path to the project
+ * @throws {InstallerError} - If adding to project fails
+ */
+async function addToDirectory(projectPath, options = {}) {
+  const onConflict = options.onConflict || 'skip';
+
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    throw new InstallerError(
+      `Unknown conflict mode: ${onConflict}`,
+      'INVALID_CONFLICT_MODE',
+      { errors: [`Available modes: ${CONFLICT_MODES.join(', ')}`] }
+    );
+  }
+
+  await checkProjectDirectory(projectPath);
+
+  // Tell the caller what will happen to scaffolding that is already there
+  const validation = await validateExistingProject(projectPath, onConflict);
+  if (typeof options.onWarning === 'function') {
+    validation.warnings.forEach(warning => options.onWarning(warning));
+  }
+
+  // Workspace roots also get rules and a memory bank in each package
+  let workspacePackages = options.workspacePackages;
+  if (workspacePackages === undefined) {
+    const workspace = options.workspace === false && !options.packages
+      ? null
+      : await selectWorkspacePackages(projectPath, options);
+    workspacePackages = workspace ? workspace.packages : [];
+  }
+
+  // Copy template files, resolving existing files with the conflict mode
+  await copyTemplateFiles(projectPath, true, { ...options, onConflict, workspacePackages });
+
+  return projectPath;
+}
+
+/**
+ * Scaffolds a directory without relying on the working directory or printing
+ * anything: a missing or empty directory is created like `ai-init <dir>`, any
+ * other is added to like `ai-init --add`, detecting its template first.
+ * @param {Object} options - Scaffold options
+ * @param {string} options.targetDir - Directory to scaffold
+ * @param {string} [options.template] - Template name; detected from an
+ *   existing project, or the default template for a new one
+ * @param {string|string[]} [options.templateDir] - Directories of local templates
+ * @param {string|string[]} [options.tools] - AI tools to set up
+ * @param {string} [options.linkMode] - symlink, hardlink, copy or auto
+ * @param {string} [options.onConflict] - How to handle existing files: skip,
+ *   overwrite, backup, merge or prompt (default: skip)
+ * @param {Function} [options.promptConflict] - Resolves the conflict mode of a
+ *   file in prompt mode
+ * @param {Object} [options.metadata] - Project name, goal and features
+ * @param {boolean} [options.dryRun] - Report what would happen without writing anything
+ * @param {boolean} [options.diff] - Include diffs for existing files that are kept
+ * @param {boolean} [options.skipSymlink] - Skip linking rules.yaml for AI tools
+ * @param {boolean} [options.workspace] - Set to false to scaffold only the
+ *   root of a workspace
+ * @param {string} [options.packages] - Glob of the workspace package paths or
+ *   names to scaffold (default: all)
+ * @param {Function} [options.onProgress] - Called with every event as
+ *   { type: 'template', template, detected, reasons },
+ *   { type: 'workspace', workspace, source, packages },
+ *   { type: 'warning', message } or { type: 'action', action }
+ * @returns {Promise<Object>} - { projectPath, template, created, dryRun,
+ *   actions, packages } where packages lists the workspace packages as
+ *   { name, path, template }
+ * @throws {InstallerError} - If scaffolding fails
+ */
+async function scaffold(options = {}) {
+  if (!options.targetDir) {
+    throw new InstallerError('A target directory is required', 'MISSING_TARGET_DIR');
+  }
+
+  const projectPath = path.resolve(options.targetDir);
+  const emit = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+  const created = await isDirectoryEmptyOrNonexistent(projectPath);
+  const actions = [];
+
+  // Existing projects get the template that matches their stack
+  let selection = { template: options.template, reasons: [], fallback: true };
+  if (!options.template && !created) {
+    selection = await selectTemplate(projectPath, { templateDir: options.templateDir });
+  }
+  const template = (await resolveTemplate(selection.template, { templateDir: options.templateDir, projectPath })).name;
+  emit({ type: 'template', template, detected: !selection.fallback, reasons: selection.reasons });
+
+  // Packages of a workspace root are scaffolded along with it
+  let packages = [];
+  if (!created && (options.workspace !== false || options.packages)) {
+    const workspace = await selectWorkspacePackages(projectPath, options);
+    if (workspace) {
+      packages = workspace.packages.map(({ name, path: packagePath, template: packageTemplate }) => ({
+        name,
+        path: packagePath,
+        template: packageTemplate
+      }));
+      emit({ type: 'workspace', workspace: workspace.type, source: workspace.source, packages });
+    }
+  }
+
+  const installOptions = {
+    ...options,
+    template,
+    workspacePackages: packages,
+    metadata: normalizeMetadata(options.metadata),
+    onAction: action => {
+      actions.push(action);
+      emit({ type: 'action', action });
+    },
+    onWarning: message => emit({ type: 'warning', message })
+  };
+
+  if (created) {
+    await createProject(projectPath, installOptions);
+  } else {
+    await addToDirectory(projectPath, installOptions);
+  }
+
+  return { projectPath, template, created, dryRun: Boolean(options.dryRun), actions, packages };
+}
+
+/**
+ * Adds the template's memory bank files to a project. Files that already
+ * exist are resolved with options.onConflict, and keep their content by default.
+ * @param {string} projectPath - Project root
+ * @param {Object} [options] - Configuration options (template, templateDir,
+ *   metadata, dryRun, onConflict, promptConflict, onAction)
+ * @returns {Promise<string[]>} - Relative paths of the files (to be) written
+ * @throws {InstallerError} - If the project directory or template cannot be used
+ */
+async function createMemoryBankFiles(projectPath, options = {}) {
+  await checkProjectDirectory(projectPath);
+  return copyTemplateFiles(projectPath, true, { ...options, only: [MEMORY_BANK_DIR] });
+}
+
+/**
+ * Adds the template's ADR template and initial decision record to a project.
+ * Files that already exist are resolved with options.onConflict, and keep
+ * their content by default.
+ * @param {string} projectPath - Project root
+ * @param {Object} [options] - Configuration options (template, templateDir,
+ *   dryRun, onConflict, promptConflict, onAction)
+ * @returns {Promise<string[]>} - Relative paths of the files (to be) written
+ * @throws {InstallerError} - If the project directory or template cannot be used
+ */
+async function createAdrFiles(projectPath, options = {}) {
+  await checkProjectDirectory(projectPath);
+  return copyTemplateFiles(projectPath, true, { ...options, only: [ADR_DIR] });
+}
 
+/**
+ * Verifies that a project path is an accessible directory
+ * @param {string} projectPath - Project root
+ * @throws {InstallerError} - If the path is not a directory or cannot be accessed
+ */
+async function checkProjectDirectory(projectPath) {
   try {
-    // Verify it's a directory
     const stats = await stat(projectPath);
     if (!stats.isDirectory()) {
       throw new InstallerError(
@@ -137,35 +310,127 @@ async function addToProject(options = {}) {
       'DIR_ACCESS_FAILED'
     );
   }
-
-  // Copy template files, preserving existing files
-  await copyTemplateFiles(projectPath, true, options);
-
-  return projectPath;
 }
 
 /**
- * Copies template files to the target directory
+ * Copies template files to the target directory. Everything is staged first
+ * and committed as one transaction: if any step fails, every directory, file
+ * and symlink this run created is removed and every file it replaced is restored.
  * @param {string} targetPath - Path to copy files to
  * @param {boolean} preserveExisting - Whether to preserve existing files
  * @param {Object} options - Configuration options
+ * @param {string} [options.template] - Template name
+ * @param {string|string[]} [options.templateDir] - Directories of local
+ *   templates layered over the built-in and user-level ones; defaults to the
+ *   directories saved in .ai-init.json
+ * @param {Object} [options.metadata] - Project name, goal and features to render
+ * @param {boolean} [options.dryRun] - Report what would happen without writing anything
+ * @param {boolean} [options.diff] - Include a diff for existing files that are skipped
+ * @param {string} [options.onConflict] - How to handle existing files: skip,
+ *   overwrite, backup, merge or prompt (default: skip)
+ * @param {Function} [options.promptConflict] - Asked with the relative path of
+ *   each existing file in prompt mode; resolves to one of the other modes
+ * @param {string|string[]} [options.tools] - AI tools to set up; defaults to the
+ *   tools saved in .ai-init.json, then to cursor, windsurf and cline
+ * @param {string} [options.linkMode] - How tools that read rules.yaml get it:
+ *   symlink, hardlink, copy or auto (default: saved in .ai-init.json, then auto)
+ * @param {Function} [options.onAction] - Called with every directory, file and
+ *   symlink action as { type, path, status, ... }
+ * @param {string[]} [options.only] - Install only the template files under
+ *   these paths, leaving AI tools, .ai-init.json and workspace packages alone
+ * @param {Object[]} [options.workspacePackages] - Workspace packages that get
+ *   their own rules.yaml and memory bank, as { name, path, template }
+ * @returns {Promise<string[]>} - Relative paths of the files (to be) written
  * @throws {InstallerError} - If template copying fails
  */
 async function copyTemplateFiles(targetPath, preserveExisting = false, options = {}) {
-  const templateDir = path.join(__dirname, 'templates', 'next');
+  const config = await readConfig(targetPath);
+  const template = await resolveTemplate(options.template, { templateDir: options.templateDir, projectPath: targetPath });
+  // Variables are fixed by the first install, so later runs render the same values
+  const existingLock = await readLock(targetPath);
+  const variables = (existingLock && existingLock.variables) ||
+    templateVariables(targetPath, template, hasMetadata(options.metadata) ? options.metadata : null);
+  const templateFiles = await renderTemplateFiles(selectFiles(await getTemplateFiles(template), options.only), template, variables);
+  const packages = options.only ? [] : options.workspacePackages || [];
+  templateFiles.push(...await workspaceFiles(targetPath, templateFiles, variables, packages, options));
+  const tools = resolveTools(options.tools, config.tools);
+  const linkMode = resolveLinkMode(options.linkMode || config.linkMode);
+  const transaction = await beginTransaction(targetPath, { onWarning: options.onWarning });
   
   try {
     // Create necessary directories
-    await createDirectoryStructure(templateDir, targetPath);
+    await createDirectoryStructure(templateFiles, targetPath, transaction, options);
     
     // Copy all files in the template directory to the target
-    await copyFiles(templateDir, targetPath, preserveExisting);
+    const { copied: copiedFiles, merged } = await copyFiles(templateFiles, targetPath, preserveExisting, transaction, options);
+    
+    // Render project metadata into the freshly staged rules and project brief
+    if (options.metadata && !options.dryRun) {
+      await applyProjectMetadata(transaction.filesDir, options.metadata, copiedFiles);
+    }
     
-    // Create symlinks
-    if (!options.skipSymlink) {
-      await createSymlinks(targetPath);
+    // Link or generate the instruction files of each AI tool
+    const generated = options.only
+      ? {}
+      : await installTools(templateFiles, targetPath, tools, preserveExisting, transaction, { ...options, linkMode });
+    
+    // Remember the tool selection, link mode and template directories for later runs
+    const nextConfig = options.only ? config : { ...config, tools };
+    if (options.linkMode) {
+      nextConfig.linkMode = linkMode;
+    }
+    if (options.templateDir && options.templateDir.length > 0) {
+      nextConfig.templateDirs = [].concat(options.templateDir)
+        .map(dir => path.relative(targetPath, path.resolve(dir)).split(path.sep).join('/') || '.');
     }
+    const configChanged = JSON.stringify(nextConfig) !== JSON.stringify(config);
+    
+    if (options.dryRun) {
+      const files = configChanged ? [CONFIG_FILE, LOCK_FILE, JOURNAL_FILE] : [LOCK_FILE, JOURNAL_FILE];
+      for (const file of files) {
+        reportAction(options, {
+          type: 'file',
+          path: file,
+          status: await pathExists(path.join(targetPath, file)) ? 'update' : 'create'
+        });
+      }
+    } else {
+      if (configChanged) {
+        await stageContent(transaction, CONFIG_FILE, formatConfig(nextConfig));
+      }
+      
+      // Record what was installed so `ai-init upgrade` can update it later,
+      // starting from the current lockfile when there is one
+      const lockPath = path.join(targetPath, LOCK_FILE);
+      await stageFile(transaction, LOCK_FILE, await pathExists(lockPath) ? lockPath : null);
+      const lock = await recordInstall(transaction.filesDir, template, copiedFiles, hasMetadata(options.metadata) ? options.metadata : null, merged);
+      lock.variables = lock.variables || variables;
+      // Package files are left alone when the root is upgraded
+      packages.forEach(({ name, path: packagePath, template: packageTemplate }) => {
+        lock.packages = { ...lock.packages, [packagePath]: { name, template: packageTemplate } };
+      });
+      Object.keys(generated).forEach(file => {
+        recordGenerated(lock, file, generated[file].content, generated[file].tool);
+      });
+      await writeLock(transaction.filesDir, lock);
+    }
+    
+    if (options.dryRun) {
+      await discardTransaction(transaction);
+    } else {
+      await commitTransaction(transaction);
+    }
+    
+    return copiedFiles;
   } catch (error) {
+    const problems = await rollbackTransaction(transaction);
+    if (problems.length > 0) {
+      throw new InstallerError(
+        `Failed to copy template files: ${error.message}. Some changes could not be rolled back.`,
+        'ROLLBACK_FAILED',
+        { errors: problems }
+      );
+    }
     if (error instanceof InstallerError) {
       throw error;
     }
@@ -176,19 +441,94 @@ async function copyTemplateFiles(targetPath, preserveExisting = false, options =
   }
 }
 
+/**
+ * Builds the files of workspace packages from their templates: a rules.yaml
+ * extending the root one and the memory bank files a package keeps for itself
+ * @param {string} targetPath - Workspace root
+ * @param {Object[]} templateFiles - Root template files as { path, file, content }
+ * @param {Object} variables - Template variable values of the root
+ * @param {Object[]} packages - Packages as { name, path, template }
+ * @param {Object} options - Configuration options (templateDir)
+ * @returns {Promise<Object[]>} - Files as { path, content }, with paths
+ *   relative to the workspace root
+ */
+async function workspaceFiles(targetPath, templateFiles, variables, packages, options) {
+  if (packages.length === 0) {
+    return [];
+  }
+
+  // Conventions the root already has are inherited rather than repeated
+  const rootEntry = templateFiles.find(entry => entry.path === 'rules.yaml');
+  let rootRules = {};
+  try {
+    const rulesPath = path.join(targetPath, 'rules.yaml');
+    const content = await pathExists(rulesPath)
+      ? await readFile(rulesPath, 'utf8')
+      : await readSource(rootEntry.content !== undefined ? { content: rootEntry.content } : { file: rootEntry.file });
+    rootRules = yaml.parse(content) || {};
+  } catch (error) {
+    // Without readable root rules, packages repeat all their conventions
+  }
+
+  const files = [];
+  for (const pkg of packages) {
+    const template = await resolveTemplate(pkg.template, { templateDir: options.templateDir, projectPath: targetPath });
+    const only = ['rules.yaml', ...PACKAGE_MEMORY_FILES.map(file => `${MEMORY_BANK_DIR}/${file}`)];
+    const entries = await renderTemplateFiles(selectFiles(await getTemplateFiles(template), only), template, { ...variables, template: template.name });
+    const packageDir = path.join(...pkg.path.split('/'));
+
+    for (const entry of entries) {
+      const content = await readSource(entry.content !== undefined ? { content: entry.content } : { file: entry.file });
+      files.push({
+        path: path.join(packageDir, entry.path),
+        content: entry.path === 'rules.yaml' ? packageRules(content, pkg, rootRules) : packageMemoryFile(content, pkg)
+      });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Narrows template files down to those under some paths
+ * @param {Object[]} templateFiles - Template files as { path, file }
+ * @param {string[]} [only] - Posix paths relative to the template; all files when omitted
+ * @returns {Object[]} - Matching template files
+ */
+function selectFiles(templateFiles, only) {
+  if (!only) {
+    return templateFiles;
+  }
+  return templateFiles.filter(({ path: relativePath }) => {
+    const posixPath = relativePath.split(path.sep).join('/');
+    return only.some(prefix => posixPath === prefix || posixPath.startsWith(`${prefix}/`));
+  });
+}
+
+/**
+ * Passes an installer action to the onAction callback, if any
+ * @param {Object} options - Configuration options
+ * @param {Object} action - { type: 'directory'|'file'|'symlink', path, status, ... }
+ */
+function reportAction(options, action) {
+  if (typeof options.onAction === 'function') {
+    options.onAction(action);
+  }
+}
+
 /**
  * Creates the directory structure for the project
- * @param {string} sourceDir - Source template directory
+ * @param {Object[]} templateFiles - Template files as { path, file }
  * @param {string} targetDir - Target project directory
+ * @param {Object} transaction - Install transaction the directories are staged in
+ * @param {Object} [options] - Configuration options (dryRun, onAction)
  */
-async function createDirectoryStructure(sourceDir, targetDir) {
+async function createDirectoryStructure(templateFiles, targetDir, transaction, options = {}) {
   try {
-    const files = await getAllFiles(sourceDir);
     const dirs = new Set();
     
     // Extract directories from file paths
-    for (const file of files) {
-      const relativePath = path.relative(sourceDir, file);
+    for (const { path: relativePath } of templateFiles) {
       const dirName = path.dirname(relativePath);
       if (dirName !== '.') {
         dirs.add(dirName);
@@ -202,7 +542,11 @@ async function createDirectoryStructure(sourceDir, targetDir) {
     
     for (const dir of sortedDirs) {
       const targetDirPath = path.join(targetDir, dir);
-      await mkdir(targetDirPath, { recursive: true });
+      const exists = await pathExists(targetDirPath);
+      if (!exists && !options.dryRun) {
+        stageDirectory(transaction, dir);
+      }
+      reportAction(options, { type: 'directory', path: dir, status: exists ? 'exists' : 'create' });
     }
   } catch (error) {
     throw new InstallerError(
@@ -214,31 +558,58 @@ async function createDirectoryStructure(sourceDir, targetDir) {
 
 /**
  * Copies files from source to target
- * @param {string} sourceDir - Source template directory
+ * @param {Object[]} templateFiles - Template files as { path, file, content },
+ *   where content is set for files rendered with template variables
  * @param {string} targetDir - Target project directory
- * @param {boolean} preserveExisting - Whether to preserve existing files
+ * @param {boolean} preserveExisting - Whether existing files are resolved with
+ *   options.onConflict instead of being overwritten
+ * @param {Object} transaction - Install transaction the files are staged in
+ * @param {Object} [options] - Configuration options (dryRun, diff, metadata,
+ *   onConflict, promptConflict, onAction)
+ * @returns {Promise<Object>} - { copied, merged } where copied lists the relative
+ *   paths of the files that were (or would be) copied and merged maps the files
+ *   merged into to the template content they were merged with
  */
-async function copyFiles(sourceDir, targetDir, preserveExisting) {
+async function copyFiles(templateFiles, targetDir, preserveExisting, transaction, options = {}) {
   try {
-    const files = await getAllFiles(sourceDir);
+    const copied = [];
+    const merged = {};
     
-    for (const file of files) {
-      const relativePath = path.relative(sourceDir, file);
+    for (const entry of templateFiles) {
+      const relativePath = entry.path;
+      const source = entry.content !== undefined ? { content: entry.content, mode: entry.mode } : { file: entry.file };
       const targetFile = path.join(targetDir, relativePath);
       
-      // Skip if file exists and we want to preserve existing files
-      if (preserveExisting) {
-        const exists = await pathExists(targetFile);
-        if (exists) continue;
-      }
+      const exists = await pathExists(targetFile);
       
-      // Ensure directory exists
-      const targetFileDir = path.dirname(targetFile);
-      await mkdir(targetFileDir, { recursive: true });
+      // Resolve existing files with the conflict mode when preserving them
+      if (preserveExisting && exists) {
+        const { base, ...action } = await resolveConflict(source, targetFile, relativePath, transaction, options);
+        if (options.diff) {
+          const incoming = renderMetadata(relativePath, await readSource(source), options.metadata);
+          action.diff = unifiedDiff(await readFile(targetFile, 'utf8'), incoming, {
+            from: `${relativePath} (existing)`,
+            to: `${relativePath} (template)`
+          });
+        }
+        reportAction(options, action);
+
+        if (action.status === 'merge') {
+          merged[relativePath] = base;
+        } else if (action.status !== 'skip' && action.status !== 'prompt') {
+          copied.push(relativePath);
+        }
+        continue;
+      }
       
-      // Copy the file
-      await copyFile(file, targetFile);
+      if (!options.dryRun) {
+        await stageSource(transaction, relativePath, source);
+      }
+      reportAction(options, { type: 'file', path: relativePath, status: exists ? 'overwrite' : 'copy' });
+      copied.push(relativePath);
     }
+    
+    return { copied, merged };
   } catch (error) {
     throw new InstallerError(
       `Failed to copy files: ${error.message}`,
@@ -248,64 +619,221 @@ async function copyFiles(sourceDir, targetDir, preserveExisting) {
 }
 
 /**
- * Creates symlinks for AI tooling configuration
- * @param {string} targetDir - Target project directory
+ * Applies the conflict mode to a template or generated file that already exists in the project
+ * @param {Object} source - { file } for a template file, or { content, format }
+ *   for generated content, where format names the merge strategy
+ * @param {string} targetFile - Existing project file
+ * @param {string} relativePath - Path relative to the project
+ * @param {Object} transaction - Install transaction the files are staged in
+ * @param {Object} options - Configuration options (dryRun, metadata, onConflict, promptConflict)
+ * @returns {Promise<Object>} - File action with status skip, overwrite, backup,
+ *   merge or prompt (dry runs only), plus backup, added or reason details
  */
-async function createSymlinks(targetDir) {
-  const links = [
-    { src: 'rules.yaml', dest: '.windsurfrules' },
-    { src: 'rules.yaml', dest: '.cursorrules' },
-    { src: 'rules.yaml', dest: '.clinerules' }
-  ];
-  
-  for (const link of links) {
+async function resolveConflict(source, targetFile, relativePath, transaction, options) {
+  let mode = options.onConflict || 'skip';
+  const action = { type: 'file', path: relativePath };
+
+  if (mode === 'prompt') {
+    // Dry runs never ask; without a way to ask, keep the file
+    if (options.dryRun) {
+      return { ...action, status: 'prompt' };
+    }
+    mode = typeof options.promptConflict === 'function'
+      ? await options.promptConflict(relativePath)
+      : 'skip';
+    if (!CONFLICT_MODES.includes(mode) || mode === 'prompt') mode = 'skip';
+  }
+
+  if (mode === 'skip') {
+    return { ...action, status: 'skip' };
+  }
+
+  if (mode === 'merge') {
+    const incoming = renderMetadata(relativePath, await readSource(source), options.metadata);
+    const existing = await readFile(targetFile, 'utf8');
+    const posixPath = relativePath.split(path.sep).join('/');
+    let result;
+
     try {
-      const srcPath = path.join(targetDir, link.src);
-      const destPath = path.join(targetDir, link.dest);
-      
-      // Skip if destination already exists
-      const exists = await pathExists(destPath);
-      if (exists) continue;
-      
-      // Create relative symlink
-      await symlink(link.src, destPath, 'file');
+      if (path.posix.basename(posixPath) === 'rules.yaml') {
+        result = mergeYamlKeys(existing, incoming);
+      } else if (/(^|\/)memory-bank\/.*\.md$/.test(posixPath) || source.format === 'markdown') {
+        result = mergeMarkdownSections(existing, incoming);
+      } else {
+        return { ...action, status: 'skip', reason: 'no merge strategy for this file' };
+      }
     } catch (error) {
-      console.error(`Warning: Failed to create symlink ${link.dest}: ${error.message}`);
-      // Continue despite symlink errors
+      return { ...action, status: 'skip', reason: `could not merge: ${error.message}` };
+    }
+
+    if (result.added.length === 0) {
+      return { ...action, status: 'skip', reason: 'nothing to merge' };
+    }
+    if (!options.dryRun) {
+      await stageContent(transaction, relativePath, result.content);
+    }
+    return { ...action, status: 'merge', added: result.added, base: incoming };
+  }
+
+  if (mode === 'backup') {
+    // A file that already matches the template has nothing worth backing up
+    const incoming = renderMetadata(relativePath, await readSource(source), options.metadata);
+    if (incoming === await readFile(targetFile, 'utf8')) {
+      return { ...action, status: 'skip', reason: 'identical to the template' };
     }
+    const backupPath = `${relativePath}.${transaction.stamp}.bak`;
+    if (!options.dryRun) {
+      await stageFile(transaction, backupPath, targetFile, { backup: true });
+      await stageSource(transaction, relativePath, source);
+    }
+    return { ...action, status: 'backup', backup: backupPath };
+  }
+
+  if (!options.dryRun) {
+    await stageSource(transaction, relativePath, source);
   }
+  return { ...action, status: 'overwrite' };
+}
+
+/**
+ * Reads the content of a template file or generated content
+ * @param {Object} source - { file } or { content }
+ * @returns {Promise<string>} - Content
+ */
+async function readSource(source) {
+  return source.file ? readFile(source.file, 'utf8') : source.content;
 }
 
 /**
- * Recursively gets all files in a directory
- * @param {string} dir - Directory to get files from
- * @returns {Promise<string[]>} - Array of file paths
+ * Stages a template file or generated content
+ * @param {Object} transaction - Install transaction
+ * @param {string} relativePath - Path relative to the project
+ * @param {Object} source - { file } or { content, mode }
  */
-async function getAllFiles(dir) {
-  const result = [];
+async function stageSource(transaction, relativePath, source) {
+  if (source.file) {
+    await stageFile(transaction, relativePath, source.file);
+  } else {
+    await stageContent(transaction, relativePath, source.content, { mode: source.mode });
+  }
+}
+
+/**
+ * Reads the rules.yaml tool outputs are generated from: the staged one when
+ * this run writes it, else the project's own, else the template's
+ * @param {Object[]} templateFiles - Template files as { path, file, content }
+ * @param {string} targetDir - Target project directory
+ * @param {Object} transaction - Install transaction
+ * @param {Object} options - Configuration options (metadata)
+ * @returns {Promise<string>} - rules.yaml content
+ */
+async function readRules(templateFiles, targetDir, transaction, options) {
+  for (const dir of [transaction.filesDir, targetDir]) {
+    const rulesPath = path.join(dir, 'rules.yaml');
+    if (await pathExists(rulesPath)) {
+      return readFile(rulesPath, 'utf8');
+    }
+  }
+  const rules = templateFiles.find(entry => entry.path === 'rules.yaml');
+  const content = rules.content !== undefined ? rules.content : await readFile(rules.file, 'utf8');
+  return renderMetadata('rules.yaml', content, options.metadata);
+}
+
+/**
+ * Sets up the selected AI tools: links to rules.yaml for tools that read it
+ * directly, instruction files rendered from rules.yaml for the others
+ * @param {Object[]} templateFiles - Template files as { path, file, content }
+ * @param {string} targetDir - Target project directory
+ * @param {string[]} tools - Tool names
+ * @param {boolean} preserveExisting - Whether existing files are resolved with options.onConflict
+ * @param {Object} transaction - Install transaction the outputs are staged in
+ * @param {Object} [options] - Configuration options (dryRun, skipSymlink, linkMode, onConflict, onAction)
+ * @returns {Promise<Object>} - Generated content and tool by relative path, for the lockfile
+ */
+async function installTools(templateFiles, targetDir, tools, preserveExisting, transaction, options = {}) {
+  const generated = {};
+  let rulesContent;
+  let rules;
+  let linkMode;
   
-  try {
-    const entries = await readdir(dir, { withFileTypes: true });
+  for (const output of toolOutputs(tools)) {
+    const relativePath = path.join(...output.path.split('/'));
+    const destPath = path.join(targetDir, relativePath);
     
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
+    if (output.symlink) {
+      if (options.skipSymlink) continue;
+      
+      // Skip if destination already exists, including dangling symlinks
+      if (await linkExists(destPath)) {
+        reportAction(options, { type: 'symlink', path: relativePath, target: output.symlink, status: 'skip' });
+        continue;
+      }
       
-      if (entry.isDirectory()) {
-        const subDirFiles = await getAllFiles(fullPath);
-        result.push(...subDirFiles);
+      // Link relative to the destination, falling back to a copy where symlinks are unsupported
+      linkMode = linkMode || await detectLinkMode(options.linkMode || 'auto', targetDir);
+      const action = { type: 'symlink', path: relativePath, target: output.symlink, status: 'create' };
+      if (linkMode === 'copy') {
+        rulesContent = rulesContent || await readRules(templateFiles, targetDir, transaction, options);
+        if (!options.dryRun) {
+          await stageContent(transaction, relativePath, rulesContent);
+        }
+        generated[relativePath] = { content: rulesContent, tool: output.tool };
+        action.mode = 'copy';
       } else {
-        result.push(fullPath);
+        if (!options.dryRun) {
+          createSymlink(transaction, relativePath, output.symlink, linkMode);
+        }
+        if (linkMode === 'hardlink') {
+          action.mode = 'hardlink';
+        }
       }
+      reportAction(options, action);
+      continue;
     }
-  } catch (error) {
-    throw new Error(`Failed to read directory: ${error.message}`);
+    
+    try {
+      rulesContent = rulesContent || await readRules(templateFiles, targetDir, transaction, options);
+      rules = rules || yaml.parse(rulesContent) || {};
+    } catch (error) {
+      reportAction(options, { type: 'file', path: relativePath, status: 'skip', reason: `rules.yaml could not be read: ${error.message}` });
+      continue;
+    }
+    const content = output.render(rules);
+    const source = { content, format: output.format };
+    
+    if (await pathExists(destPath)) {
+      if (preserveExisting) {
+        const { base, ...action } = await resolveConflict(source, destPath, relativePath, transaction, options);
+        if (options.diff) {
+          action.diff = unifiedDiff(await readFile(destPath, 'utf8'), content, {
+            from: `${relativePath} (existing)`,
+            to: `${relativePath} (generated)`
+          });
+        }
+        reportAction(options, action);
+        if (action.status !== 'skip' && action.status !== 'prompt') {
+          generated[relativePath] = { content: base || content, tool: output.tool };
+        }
+        continue;
+      }
+    }
+    
+    if (!options.dryRun) {
+      await stageContent(transaction, relativePath, content);
+    }
+    reportAction(options, { type: 'file', path: relativePath, status: 'copy' });
+    generated[relativePath] = { content, tool: output.tool };
   }
   
-  return result;
+  return generated;
 }
 
 module.exports = {
   createProject,
   addToProject,
+  scaffold,
+  createMemoryBankFiles,
+  createAdrFiles,
+  CONFLICT_MODES,
   InstallerError
 };
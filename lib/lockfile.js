@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+
+// Lockfile recording what ai-init installed, relative to the project root
+const LOCK_FILE = '.ai-init-lock.json';
+
+// Bumped when the lockfile layout changes
+const LOCKFILE_VERSION = 1;
+
+/**
+ * Hashes file content
+ * @param {string} content - File content
+ * @returns {string} - Hex-encoded SHA-256 digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Converts a relative path to the POSIX form used as lockfile keys
+ * @param {string} relativePath - Path relative to the project root
+ * @returns {string} - Path with "/" separators
+ */
+function toLockPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Reads the lockfile of a project
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object|null>} - Lockfile contents, or null when there is none
+ * @throws {InstallerError} - If the lockfile cannot be parsed
+ */
+async function readLock(projectPath) {
+  let content;
+  try {
+    content = await readFile(path.join(projectPath, LOCK_FILE), 'utf8');
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    const lock = JSON.parse(content);
+    lock.files = lock.files || {};
+    return lock;
+  } catch (error) {
+    throw new InstallerError(
+      `Invalid lockfile ${LOCK_FILE}: ${error.message}`,
+      'INVALID_LOCKFILE'
+    );
+  }
+}
+
+/**
+ * Writes the lockfile of a project, with files sorted by path
+ * @param {string} projectPath - Project root
+ * @param {Object} lock - Lockfile contents
+ */
+async function writeLock(projectPath, lock) {
+  const files = {};
+  Object.keys(lock.files).sort().forEach(file => {
+    files[file] = lock.files[file];
+  });
+
+  await writeFile(
+    path.join(projectPath, LOCK_FILE),
+    `${JSON.stringify(Object.assign({}, lock, { files }), null, 2)}\n`
+  );
+}
+
+/**
+ * Creates an empty lockfile for a template
+ * @param {Object} template - Template descriptor
+ * @param {Object} [metadata] - Project metadata rendered into the files
+ * @returns {Object} - Lockfile contents
+ */
+function createLock(template, metadata) {
+  return {
+    lockfileVersion: LOCKFILE_VERSION,
+    aiInitVersion: PACKAGE_VERSION,
+    template: {
+      name: template.name,
+      version: template.version
+    },
+    metadata: metadata || null,
+    files: {}
+  };
+}
+
+/**
+ * Records an installed file. The content is kept as the merge base for
+ * later upgrades; the hash tells whether the file was edited since.
+ * @param {Object} lock - Lockfile contents
+ * @param {string} relativePath - Path relative to the project root
+ * @param {string} content - Content as installed
+ */
+function recordFile(lock, relativePath, content) {
+  lock.files[toLockPath(relativePath)] = {
+    hash: hashContent(content),
+    content
+  };
+}
+
+/**
+ * Records a file generated for an AI tool. Generated files are rendered from
+ * rules.yaml rather than copied from the template, so only their hash is kept.
+ * @param {Object} lock - Lockfile contents
+ * @param {string} relativePath - Path relative to the project root
+ * @param {string} content - Content as generated
+ * @param {string} tool - Tool the file was generated for
+ */
+function recordGenerated(lock, relativePath, content, tool) {
+  lock.generated = lock.generated || {};
+  lock.generated[toLockPath(relativePath)] = {
+    tool,
+    hash: hashContent(content)
+  };
+}
+
+/**
+ * Records freshly installed files in the project lockfile, keeping the
+ * entries of files installed earlier
+ * @param {string} projectPath - Project root
+ * @param {Object} template - Template descriptor
+ * @param {string[]} files - Relative paths of the installed files
+ * @param {Object} [metadata] - Project metadata rendered into the files
+ * @param {Object} [bases] - Content to record instead of the file on disk, by
+ *   relative path; used for merged files, whose base is the template content
+ * @returns {Promise<Object>} - Updated lockfile contents
+ */
+async function recordInstall(projectPath, template, files, metadata, bases = {}) {
+  const existing = await readLock(projectPath);
+  const lock = existing || createLock(template, metadata);
+
+  if (metadata && !lock.metadata) {
+    lock.metadata = metadata;
+  }
+
+  for (const file of files) {
+    recordFile(lock, file, await readFile(path.join(projectPath, file), 'utf8'));
+  }
+  Object.keys(bases).forEach(file => {
+    recordFile(lock, file, bases[file]);
+  });
+
+  await writeLock(projectPath, lock);
+  return lock;
+}
+
+module.exports = {
+  LOCK_FILE,
+  hashContent,
+  toLockPath,
+  readLock,
+  writeLock,
+  createLock,
+  recordFile,
+  recordGenerated,
+  recordInstall
+};
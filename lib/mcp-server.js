@@ -0,0 +1,377 @@
+/**
+ * Model Context Protocol server for a scaffolded project
+ *
+ * `ai-init serve --mcp` speaks JSON-RPC 2.0 over stdio, one message per
+ * line. rules.yaml, each memory bank file and each ADR are resources; the
+ * tools log to the memory bank and manage ADRs through the same functions
+ * as the memory and adr commands. Nothing but protocol messages may go to
+ * stdout, so diagnostics go to stderr.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { pathToFileURL } = require('url');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { version: PACKAGE_VERSION } = require('../package.json');
+const { MEMORY_BANK_DIR, memoryStatus, logMemory } = require('./memory-bank');
+const { listAdrs, newAdr, supersedeAdr } = require('./adr');
+
+const readFile = promisify(fs.readFile);
+const readdir = promisify(fs.readdir);
+
+// Protocol revisions the server speaks, newest first
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+// What the standard memory bank files hold, for resource descriptions
+const MEMORY_FILE_DESCRIPTIONS = {
+  'projectbrief.md': 'Project goals, scope and key features',
+  'techContext.md': 'Technologies, setup and technical constraints',
+  'systemPatterns.md': 'Architecture, design patterns and component relationships',
+  'activeContext.md': 'Current focus, recent changes and next steps',
+  'progress.md': 'What works, what is left and known issues',
+  'roadmap.md': 'Upcoming features, milestones and long-term vision'
+};
+
+// Tools, each calling the function its CLI command calls
+const TOOLS = [
+  {
+    name: 'append_progress',
+    description: 'Add a dated entry to the Update Log of memory-bank/progress.md, like `ai-init memory log`. '
+      + 'Use it after finishing a piece of work.',
+    inputSchema: {
+      type: 'object',
+      properties: { entry: { type: 'string', description: 'What was done, in one or a few lines' } },
+      required: ['entry']
+    },
+    run: (projectPath, args) => logMemory(projectPath, args.entry, { file: 'progress' }),
+    summary: result => `Added to ${result.file} under ${result.date}`
+  },
+  {
+    name: 'update_active_context',
+    description: 'Add a dated entry to the Update Log of memory-bank/activeContext.md, like '
+      + '`ai-init memory log --file activeContext`. Use it when the current focus or next steps change.',
+    inputSchema: {
+      type: 'object',
+      properties: { entry: { type: 'string', description: 'The new focus, decision or next step' } },
+      required: ['entry']
+    },
+    run: (projectPath, args) => logMemory(projectPath, args.entry, { file: 'activeContext' }),
+    summary: result => `Added to ${result.file} under ${result.date}`
+  },
+  {
+    name: 'create_adr',
+    description: 'Create the next numbered architecture decision record from the ADR template, like '
+      + '`ai-init adr new`. Fill in its Context, Decision and Consequences sections afterwards.',
+    inputSchema: {
+      type: 'object',
+      properties: { title: { type: 'string', description: 'Decision title, such as "Use Postgres for storage"' } },
+      required: ['title']
+    },
+    run: (projectPath, args) => newAdr(projectPath, args.title),
+    summary: result => `Created ${result.file}`,
+    listChanged: true
+  },
+  {
+    name: 'supersede_adr',
+    description: 'Mark an ADR as superseded by a newer one, cross-linking their Status sections, like `ai-init adr supersede`.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        superseded: { type: ['integer', 'string'], description: 'Number of the ADR that no longer applies' },
+        by: { type: ['integer', 'string'], description: 'Number of the ADR that replaces it' }
+      },
+      required: ['superseded', 'by']
+    },
+    run: (projectPath, args) => supersedeAdr(projectPath, args.superseded, args.by),
+    summary: result => `${result.superseded} is superseded by ${result.by}`
+  },
+  {
+    name: 'memory_status',
+    description: 'Report how current each memory bank file is, like `ai-init memory status`: missing files, '
+      + 'placeholders left and commits since the last update.',
+    inputSchema: { type: 'object', properties: {} },
+    run: projectPath => memoryStatus(projectPath),
+    summary: result => `${result.files.length} files, ${result.missing} missing, ${result.stale} stale`
+  }
+];
+
+/**
+ * Creates a JSON-RPC error
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {*} [data] - Additional data
+ * @returns {Error} - Error carrying rpcCode and rpcData
+ */
+function rpcError(code, message, data) {
+  const error = new Error(message);
+  error.rpcCode = code;
+  error.rpcData = data;
+  return error;
+}
+
+/**
+ * Lists the resources of a project: rules.yaml, the memory bank files and the ADRs
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object[]>} - Resources as { uri, name, title, description, mimeType, file }
+ */
+async function listResources(projectPath) {
+  const resource = (file, fields) => ({ uri: pathToFileURL(path.join(projectPath, file)).href, ...fields, file });
+  const resources = [];
+
+  try {
+    await readFile(path.join(projectPath, 'rules.yaml'));
+    resources.push(resource('rules.yaml', {
+      name: 'rules.yaml',
+      title: 'Project rules',
+      description: 'Conventions, testing, security, architecture and commit format of the project',
+      mimeType: 'application/yaml'
+    }));
+  } catch (error) {
+    // Listed only when present
+  }
+
+  let names = [];
+  try {
+    names = (await readdir(path.join(projectPath, MEMORY_BANK_DIR))).filter(name => name.endsWith('.md')).sort();
+  } catch (error) {
+    // No memory bank yet
+  }
+  names.forEach(name => {
+    resources.push(resource(`${MEMORY_BANK_DIR}/${name}`, {
+      name: `${MEMORY_BANK_DIR}/${name}`,
+      title: `Memory bank: ${name.replace(/\.md$/, '')}`,
+      description: MEMORY_FILE_DESCRIPTIONS[name] || 'Memory bank file',
+      mimeType: 'text/markdown'
+    }));
+  });
+
+  const { records } = await listAdrs(projectPath);
+  records.forEach(record => {
+    resources.push(resource(record.file, {
+      name: record.file,
+      title: `ADR ${String(record.number).padStart(3, '0')}: ${record.title}`,
+      description: `Architecture decision record; status: ${record.status || 'unknown'}`,
+      mimeType: 'text/markdown'
+    }));
+  });
+
+  return resources;
+}
+
+/**
+ * Runs a tool, turning failures into tool errors the model can read
+ * @param {string} projectPath - Project root
+ * @param {Object} tool - Entry of TOOLS
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - tools/call result
+ */
+async function callTool(projectPath, tool, args) {
+  try {
+    const result = await tool.run(projectPath, args);
+    return {
+      content: [{ type: 'text', text: `${tool.summary(result)}\n\n${JSON.stringify(result, null, 2)}` }],
+      structuredContent: result,
+      isError: false
+    };
+  } catch (error) {
+    const details = error instanceof InstallerError && error.details && Array.isArray(error.details.errors)
+      ? error.details.errors
+      : [];
+    return {
+      content: [{ type: 'text', text: [error.message, ...details].join('\n') }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Creates the request handlers of a project's server
+ * @param {string} projectPath - Project root
+ * @param {Function} notify - Sends a notification: (method, params) => void
+ * @returns {Object} - Handlers by method name, each (params) => Promise<result>
+ */
+function createHandlers(projectPath, notify) {
+  return {
+    initialize: async params => ({
+      protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+      capabilities: { resources: { listChanged: true }, tools: { listChanged: false } },
+      serverInfo: { name: 'ai-init', title: 'AI Init project memory', version: PACKAGE_VERSION },
+      instructions: 'Read rules.yaml and the memory bank before changing the project. Record finished work with '
+        + 'append_progress, changes of focus with update_active_context and architecture decisions with create_adr.'
+    }),
+
+    ping: async () => ({}),
+
+    // The project-relative file path is kept for resources/read, not sent
+    'resources/list': async () => ({
+      resources: (await listResources(projectPath)).map(resource => ({
+        uri: resource.uri,
+        name: resource.name,
+        title: resource.title,
+        description: resource.description,
+        mimeType: resource.mimeType
+      }))
+    }),
+
+    'resources/templates/list': async () => ({ resourceTemplates: [] }),
+
+    'resources/read': async params => {
+      const resources = await listResources(projectPath);
+      const resource = resources.find(candidate => candidate.uri === params.uri);
+      if (!resource) {
+        throw rpcError(RPC_ERRORS.RESOURCE_NOT_FOUND, 'Resource not found', { uri: params.uri });
+      }
+      const text = await readFile(path.join(projectPath, resource.file), 'utf8');
+      return { contents: [{ uri: resource.uri, mimeType: resource.mimeType, text }] };
+    },
+
+    'tools/list': async () => ({
+      tools: TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+    }),
+
+    'tools/call': async params => {
+      const tool = TOOLS.find(candidate => candidate.name === params.name);
+      if (!tool) {
+        throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${params.name}`);
+      }
+      const result = await callTool(projectPath, tool, params.arguments || {});
+      if (tool.listChanged && !result.isError) {
+        notify('notifications/resources/list_changed');
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * Handles one JSON-RPC message
+ * @param {Object} handlers - Handlers from createHandlers
+ * @param {*} message - Parsed message
+ * @returns {Promise<Object|null>} - Response, or null for notifications
+ */
+async function handleMessage(handlers, message) {
+  const isRequest = message && typeof message === 'object' && !Array.isArray(message)
+    && message.jsonrpc === '2.0' && typeof message.method === 'string';
+  const id = message && (typeof message.id === 'string' || typeof message.id === 'number') ? message.id : null;
+
+  if (!isRequest) {
+    // Responses to requests the server never sends are ignored
+    if (message && message.jsonrpc === '2.0' && message.method === undefined && ('result' in message || 'error' in message)) {
+      return null;
+    }
+    return { jsonrpc: '2.0', id, error: { code: RPC_ERRORS.INVALID_REQUEST, message: 'Invalid request' } };
+  }
+
+  const notification = !('id' in message);
+  const handler = Object.prototype.hasOwnProperty.call(handlers, message.method) ? handlers[message.method] : null;
+
+  if (notification) {
+    // notifications/initialized and notifications/cancelled need no action
+    return null;
+  }
+  if (!handler) {
+    return { jsonrpc: '2.0', id, error: { code: RPC_ERRORS.METHOD_NOT_FOUND, message: `Method not found: ${message.method}` } };
+  }
+
+  try {
+    return { jsonrpc: '2.0', id, result: await handler(message.params || {}) };
+  } catch (error) {
+    const rpc = {
+      code: error.rpcCode || RPC_ERRORS.INTERNAL_ERROR,
+      message: error.message,
+      ...(error.rpcData === undefined ? {} : { data: error.rpcData })
+    };
+    return { jsonrpc: '2.0', id, error: rpc };
+  }
+}
+
+/**
+ * Serves a project over stdio until the input ends
+ * @param {string} projectPath - Project root, with rules.yaml
+ * @param {Object} [options] - Streams to use instead of stdin and stdout
+ * @param {NodeJS.ReadableStream} [options.input] - Incoming messages
+ * @param {NodeJS.WritableStream} [options.output] - Outgoing messages
+ * @returns {Promise<void>} - Resolves when the input closes
+ * @throws {InstallerError} - If the project has no rules.yaml
+ */
+async function serveMcp(projectPath, options = {}) {
+  try {
+    await readFile(path.join(projectPath, 'rules.yaml'));
+  } catch (error) {
+    throw new InstallerError(
+      `No rules.yaml found in ${projectPath}`,
+      'RULES_NOT_FOUND',
+      { errors: ['Run `ai-init --add` to scaffold the project first'] }
+    );
+  }
+
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const send = message => output.write(`${JSON.stringify(message)}\n`);
+  // Notifications raised while handling a message follow its response
+  const notifications = [];
+  const flush = () => notifications.splice(0).forEach(send);
+  const handlers = createHandlers(projectPath, (method, params) => {
+    notifications.push({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  });
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  // Messages are handled one at a time, so writes never interleave
+  let queue = Promise.resolve();
+
+  lines.on('line', line => {
+    if (!line.trim()) return;
+    queue = queue.then(async () => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        send({ jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.PARSE_ERROR, message: 'Parse error' } });
+        return;
+      }
+
+      if (Array.isArray(message)) {
+        const responses = [];
+        for (const entry of message) {
+          const response = await handleMessage(handlers, entry);
+          if (response) responses.push(response);
+        }
+        if (message.length === 0) {
+          send({ jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.INVALID_REQUEST, message: 'Invalid request' } });
+        } else if (responses.length > 0) {
+          send(responses);
+        }
+        flush();
+        return;
+      }
+
+      const response = await handleMessage(handlers, message);
+      if (response) send(response);
+      flush();
+    });
+  });
+
+  await new Promise(resolve => lines.on('close', resolve));
+  await queue;
+}
+
+module.exports = {
+  PROTOCOL_VERSIONS,
+  TOOLS,
+  listResources,
+  createHandlers,
+  handleMessage,
+  serveMcp
+};
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const yaml = require('./utils/yaml');
+
+const readFile = promisify(fs.readFile);
+const readdir = promisify(fs.readdir);
+
+// Filter types understood by the rule engine; all but `event` take a regex
+const FILTER_TYPES = ['event', 'path', 'file_extension', 'content'];
+
+// Events a filter of type `event` can match
+const EVENTS = ['file_create', 'file_modify', 'file_delete', 'project_init'];
+
+// Action types a rule can perform
+const ACTION_TYPES = ['reject', 'suggest'];
+
+// Allowed values for metadata.priority
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Keys allowed at the top of a <rule> block
+const RULE_KEYS = ['name', 'description', 'filters', 'actions', 'examples', 'metadata'];
+
+/**
+ * Compiles a rule pattern, translating leading inline flags such as (?s)
+ * or (?i) into JavaScript RegExp flags
+ * @param {string} pattern - Pattern from a rule file
+ * @returns {RegExp} - Compiled expression
+ * @throws {SyntaxError} - If the pattern is not a valid regular expression
+ */
+function compilePattern(pattern) {
+  const match = pattern.match(/^\(\?([imsux]+)\)/);
+  if (!match) {
+    return new RegExp(pattern);
+  }
+
+  const flags = match[1].replace(/x/g, '').split('').filter((flag, i, all) => all.indexOf(flag) === i).join('');
+  return new RegExp(pattern.slice(match[0].length), flags);
+}
+
+/**
+ * Splits an .mdc file into its front matter and <rule> block
+ * @param {string} content - File content
+ * @returns {Object} - { frontMatter, rule, body } text sections with their 1-based start lines
+ */
+function splitSections(content) {
+  const lines = content.replace(/\r\n?/g, '\n').split('\n');
+  const sections = { frontMatter: null, rule: null, body: content, errors: [] };
+  let bodyStart = 0;
+
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end === -1) {
+      sections.errors.push({ line: 1, message: 'Front matter is missing its closing ---' });
+    } else {
+      sections.frontMatter = { text: lines.slice(1, end).join('\n'), startLine: 2 };
+      bodyStart = end + 1;
+    }
+  }
+
+  const open = lines.findIndex((line, index) => index >= bodyStart && line.trim() === '<rule>');
+  if (open !== -1) {
+    const close = lines.findIndex((line, index) => index > open && line.trim() === '</rule>');
+    if (close === -1) {
+      sections.errors.push({ line: open + 1, message: '<rule> block is missing its closing </rule> tag' });
+    } else {
+      sections.rule = { text: lines.slice(open + 1, close).join('\n'), startLine: open + 2 };
+    }
+  } else if (lines.some(line => line.trim() === '</rule>')) {
+    const close = lines.findIndex(line => line.trim() === '</rule>');
+    sections.errors.push({ line: close + 1, message: '</rule> tag without an opening <rule> tag' });
+  }
+
+  sections.body = lines.slice(bodyStart).join('\n');
+  return sections;
+}
+
+/**
+ * Parses a YAML section, reporting syntax errors at file line numbers
+ * @param {Object} section - { text, startLine }
+ * @param {Object[]} errors - Error list to append to
+ * @returns {Object} - { value, lineOf } where lineOf maps a key path to a file line
+ */
+function parseSection(section, errors) {
+  const locations = {};
+
+  try {
+    const value = yaml.parse(section.text, { locations });
+    const lineOf = keyPath => {
+      const line = locations[keyPath];
+      return line ? section.startLine + line - 1 : section.startLine - 1;
+    };
+    return { value, lineOf };
+  } catch (error) {
+    errors.push({
+      line: error.line ? section.startLine + error.line - 1 : section.startLine,
+      severity: 'error',
+      message: `Invalid YAML: ${error.message.replace(/^Line \d+: /, '')}`
+    });
+    return { value: null, lineOf: () => section.startLine };
+  }
+}
+
+/**
+ * Validates a parsed <rule> block against the rule schema
+ * @param {Object} rule - Parsed rule
+ * @param {Function} lineOf - Maps a dotted key path to a file line number
+ * @returns {Object[]} - Problems as { line, severity, message }
+ */
+function validateRule(rule, lineOf = () => 0) {
+  const problems = [];
+  const error = (keyPath, message) => problems.push({ line: lineOf(keyPath), severity: 'error', message });
+  const warning = (keyPath, message) => problems.push({ line: lineOf(keyPath), severity: 'warning', message });
+
+  const checkPattern = (keyPath, pattern) => {
+    if (typeof pattern !== 'string' || pattern === '') {
+      error(keyPath, `${keyPath} must be a non-empty string`);
+      return;
+    }
+    try {
+      compilePattern(pattern);
+    } catch (e) {
+      error(keyPath, `${keyPath} is not a valid regular expression: ${e.message}`);
+    }
+  };
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    error('', '<rule> block must be a mapping');
+    return problems;
+  }
+
+  Object.keys(rule).filter(key => !RULE_KEYS.includes(key)).forEach(key => {
+    warning(key, `Unknown key "${key}"`);
+  });
+
+  if (typeof rule.name !== 'string' || !rule.name) {
+    error('name', 'name is required');
+  } else if (!/^[a-z0-9]+([_-][a-z0-9]+)*$/.test(rule.name)) {
+    warning('name', `name "${rule.name}" should be snake_case or kebab-case`);
+  }
+
+  if (typeof rule.description !== 'string' || !rule.description) {
+    error('description', 'description is required');
+  }
+
+  if (!Array.isArray(rule.filters) || rule.filters.length === 0) {
+    error('filters', 'filters must be a non-empty list');
+  } else {
+    rule.filters.forEach((filter, i) => {
+      const at = `filters.${i}`;
+      if (!filter || typeof filter !== 'object') {
+        error(at, `${at} must be a mapping with type and pattern`);
+        return;
+      }
+      if (!FILTER_TYPES.includes(filter.type)) {
+        error(`${at}.type`, `${at}.type "${filter.type}" is not one of: ${FILTER_TYPES.join(', ')}`);
+        return;
+      }
+      if (filter.type === 'event') {
+        if (!EVENTS.includes(filter.pattern)) {
+          warning(`${at}.pattern`, `${at}.pattern "${filter.pattern}" is not a known event (${EVENTS.join(', ')})`);
+        }
+      } else {
+        checkPattern(`${at}.pattern`, filter.pattern);
+      }
+    });
+  }
+
+  if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+    error('actions', 'actions must be a non-empty list');
+  } else {
+    rule.actions.forEach((action, i) => {
+      const at = `actions.${i}`;
+      if (!action || typeof action !== 'object') {
+        error(at, `${at} must be a mapping`);
+        return;
+      }
+      if (!ACTION_TYPES.includes(action.type)) {
+        error(`${at}.type`, `${at}.type "${action.type}" is not one of: ${ACTION_TYPES.join(', ')}`);
+        return;
+      }
+      if (action.type === 'suggest' && (typeof action.message !== 'string' || !action.message.trim())) {
+        error(at, `${at} (suggest) requires a message`);
+      }
+      if (action.type === 'reject') {
+        if (action.conditions === undefined && !action.message) {
+          error(at, `${at} (reject) requires conditions or a message`);
+        }
+        if (action.conditions !== undefined && !Array.isArray(action.conditions)) {
+          error(`${at}.conditions`, `${at}.conditions must be a list`);
+        }
+        (Array.isArray(action.conditions) ? action.conditions : []).forEach((condition, j) => {
+          const conditionAt = `${at}.conditions.${j}`;
+          if (!condition || typeof condition !== 'object') {
+            error(conditionAt, `${conditionAt} must be a mapping with pattern and message`);
+            return;
+          }
+          checkPattern(`${conditionAt}.pattern`, condition.pattern);
+          if (!condition.message) {
+            error(conditionAt, `${conditionAt} requires a message`);
+          }
+        });
+      }
+    });
+  }
+
+  if (rule.examples !== undefined) {
+    if (!Array.isArray(rule.examples)) {
+      error('examples', 'examples must be a list');
+    } else {
+      rule.examples.forEach((example, i) => {
+        if (!example || typeof example !== 'object' || example.input === undefined || example.output === undefined) {
+          error(`examples.${i}`, `examples.${i} must have input and output`);
+        }
+      });
+    }
+  }
+
+  if (rule.metadata !== undefined) {
+    if (!rule.metadata || typeof rule.metadata !== 'object' || Array.isArray(rule.metadata)) {
+      error('metadata', 'metadata must be a mapping');
+    } else {
+      if (rule.metadata.priority !== undefined && !PRIORITIES.includes(rule.metadata.priority)) {
+        error('metadata.priority', `metadata.priority "${rule.metadata.priority}" is not one of: ${PRIORITIES.join(', ')}`);
+      }
+      if (rule.metadata.version !== undefined && !['string', 'number'].includes(typeof rule.metadata.version)) {
+        error('metadata.version', 'metadata.version must be a string or number');
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Parses and validates the content of an .mdc rule file
+ * @param {string} content - File content
+ * @returns {Object} - { frontMatter, rule, body, errors } where errors are
+ *   { line, severity, message } sorted by line
+ */
+function parseMdc(content) {
+  const sections = splitSections(content);
+  const errors = sections.errors.map(e => Object.assign({ severity: 'error' }, e));
+  let frontMatter = null;
+  let rule = null;
+
+  if (sections.frontMatter) {
+    const parsed = parseSection(sections.frontMatter, errors);
+    frontMatter = parsed.value || {};
+  }
+
+  if (sections.rule) {
+    const parsed = parseSection(sections.rule, errors);
+    if (parsed.value !== null) {
+      rule = parsed.value;
+      errors.push(...validateRule(rule, parsed.lineOf));
+    }
+  } else if (!sections.frontMatter && errors.length === 0) {
+    errors.push({ line: 1, severity: 'error', message: 'No <rule> block or front matter found' });
+  }
+
+  return {
+    frontMatter,
+    rule,
+    body: sections.body,
+    errors: errors.sort((a, b) => a.line - b.line)
+  };
+}
+
+/**
+ * Loads and validates an .mdc rule file
+ * @param {string} file - Path to the file
+ * @returns {Promise<Object>} - Parse result with the file path
+ */
+async function loadRuleFile(file) {
+  const content = await readFile(file, 'utf8');
+  return Object.assign({ file }, parseMdc(content));
+}
+
+/**
+ * Loads every .mdc rule file in a directory
+ * @param {string} dir - Directory to read, usually .cursor/rules
+ * @returns {Promise<Object[]>} - Parse results sorted by file name
+ */
+async function loadRuleFiles(dir) {
+  let entries;
+  try {
+    entries = await readdir(dir);
+  } catch (error) {
+    return [];
+  }
+
+  const files = entries.filter(entry => entry.endsWith('.mdc')).sort();
+  const results = [];
+  for (const file of files) {
+    results.push(await loadRuleFile(path.join(dir, file)));
+  }
+  return results;
+}
+
+module.exports = {
+  FILTER_TYPES,
+  ACTION_TYPES,
+  compilePattern,
+  validateRule,
+  parseMdc,
+  loadRuleFile,
+  loadRuleFiles
+};
@@ -0,0 +1,275 @@
+/**
+ * Memory bank maintenance
+ *
+ * The rules ask for activeContext.md and progress.md to be kept current as
+ * the code changes. This module reports how current each memory bank file is
+ * and appends dated entries to the Update Log section of the files that are
+ * written to as work happens.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { formatDate } = require('./template-variables');
+const { runGit } = require('./utils/git');
+const yaml = require('./utils/yaml');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const stat = promisify(fs.stat);
+
+// Directory of the memory bank, relative to the project root
+const MEMORY_BANK_DIR = 'memory-bank';
+
+// Memory bank files required when rules.yaml does not list its own
+const DEFAULT_MEMORY_BANK_FILES = [
+  'projectbrief.md',
+  'techContext.md',
+  'systemPatterns.md',
+  'activeContext.md',
+  'progress.md'
+];
+
+// Files the rules require to be kept current, and that take log entries
+const LOG_FILES = ['progress.md', 'activeContext.md'];
+
+// Heading of the section log entries are appended to
+const LOG_SECTION = 'Update Log';
+
+// Commits to the rest of the project after which a file that must be kept
+// current is reported as stale
+const STALE_AFTER_COMMITS = 5;
+
+// Template prompts such as [Feature 1: brief description] (but not task
+// list boxes or links), and {{PLACEHOLDER}} slots
+const PLACEHOLDER_PATTERN = /\[(?![ xX]\])[^\]\n]+\](?!\()|\{\{[A-Z0-9_]+\}\}/g;
+
+/**
+ * Lists the memory bank files a project requires
+ * @param {Object} [rules] - Parsed rules.yaml
+ * @returns {string[]} - File names inside the memory bank directory
+ */
+function requiredMemoryFiles(rules) {
+  const files = rules && rules.documentation && rules.documentation.memory_bank_required_files;
+  return Array.isArray(files) ? files : DEFAULT_MEMORY_BANK_FILES;
+}
+
+/**
+ * Reads the memory bank files listed in a project's rules.yaml
+ * @param {string} projectPath - Project root
+ * @returns {Promise<string[]>} - File names, the defaults when rules.yaml
+ *   is missing, invalid or lists none
+ */
+async function readMemoryFiles(projectPath) {
+  try {
+    return requiredMemoryFiles(yaml.parse(await readFile(path.join(projectPath, 'rules.yaml'), 'utf8')));
+  } catch (error) {
+    return DEFAULT_MEMORY_BANK_FILES;
+  }
+}
+
+/**
+ * Finds the template prompts and placeholders left in a memory bank file,
+ * ignoring code blocks and inline code
+ * @param {string} content - File content
+ * @returns {Object[]} - Array of { line, text } in order of appearance
+ */
+function findMemoryPlaceholders(content) {
+  const found = [];
+  let fence = null;
+
+  content.split('\n').forEach((line, index) => {
+    const marker = line.match(/^\s*(`{3,}|~{3,})/);
+    if (marker) {
+      if (!fence) {
+        fence = marker[1];
+      } else if (marker[1].startsWith(fence)) {
+        fence = null;
+      }
+      return;
+    }
+    if (fence) return;
+
+    for (const match of line.replace(/`[^`]*`/g, '').matchAll(PLACEHOLDER_PATTERN)) {
+      found.push({ line: index + 1, text: match[0] });
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Counts the commits to the rest of the project since a memory bank file
+ * was last updated: since its last commit, or since it was saved when it
+ * has changes that are not committed yet
+ * @param {string} projectPath - Project root
+ * @param {string} relativePath - File path relative to the project, with "/" separators
+ * @param {Date} modified - Last modification time of the file
+ * @returns {number|null} - Commit count, or null outside a git repository
+ */
+function commitsSince(projectPath, relativePath, modified) {
+  const others = ['--', '.', `:(exclude)${MEMORY_BANK_DIR}`];
+  if (runGit(['rev-parse', '--verify', '--quiet', 'HEAD'], projectPath) === null) {
+    return null;
+  }
+
+  const changes = runGit(['status', '--porcelain', '--', relativePath], projectPath);
+  const lastCommit = changes ? '' : (runGit(['log', '-1', '--format=%H', '--', relativePath], projectPath) || '').trim();
+  const count = lastCommit
+    ? runGit(['rev-list', '--count', `${lastCommit}..HEAD`, ...others], projectPath)
+    : runGit(['rev-list', '--count', `--since=${modified.toISOString()}`, 'HEAD', ...others], projectPath);
+
+  return count === null ? null : Number(count.trim());
+}
+
+/**
+ * Reports on every required memory bank file: when it was last modified,
+ * its size, the template prompts it still contains and, inside a git
+ * repository, how many commits to the rest of the project it is behind
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object>} - Report with per-file status and an exit code
+ *   of 1 when a file is missing or a file that must be kept current is stale
+ */
+async function memoryStatus(projectPath) {
+  const files = [];
+
+  for (const name of await readMemoryFiles(projectPath)) {
+    const relativePath = `${MEMORY_BANK_DIR}/${name}`;
+    const filePath = path.join(projectPath, MEMORY_BANK_DIR, name);
+    const entry = { file: relativePath, exists: false, keepCurrent: LOG_FILES.includes(name) };
+    files.push(entry);
+
+    let stats;
+    try {
+      stats = await stat(filePath);
+    } catch (error) {
+      continue;
+    }
+
+    const placeholders = findMemoryPlaceholders(await readFile(filePath, 'utf8'));
+    const behind = commitsSince(projectPath, relativePath, stats.mtime);
+    Object.assign(entry, {
+      exists: true,
+      modified: stats.mtime.toISOString(),
+      size: stats.size,
+      placeholders: placeholders.length,
+      commitsSince: behind,
+      stale: entry.keepCurrent && behind !== null && behind >= STALE_AFTER_COMMITS
+    });
+  }
+
+  const missing = files.filter(file => !file.exists).length;
+  const stale = files.filter(file => file.stale).length;
+
+  return {
+    projectPath,
+    git: files.some(file => file.commitsSince !== undefined && file.commitsSince !== null),
+    staleAfter: STALE_AFTER_COMMITS,
+    files,
+    missing,
+    stale,
+    exitCode: missing > 0 || stale > 0 ? 1 : 0
+  };
+}
+
+/**
+ * Resolves the memory bank file a log entry goes to
+ * @param {string} [file] - progress or activeContext, with or without .md
+ * @returns {string} - File name
+ * @throws {InstallerError} - If the file does not take log entries
+ */
+function resolveLogFile(file = 'progress') {
+  const name = file.endsWith('.md') ? path.basename(file) : `${file}.md`;
+  if (!LOG_FILES.includes(name)) {
+    throw new InstallerError(
+      `Cannot log to ${file}`,
+      'UNKNOWN_MEMORY_FILE',
+      { errors: [`Log entries go to: ${LOG_FILES.map(f => f.replace(/\.md$/, '')).join(', ')}`] }
+    );
+  }
+  return name;
+}
+
+/**
+ * Adds a dated entry to the Update Log section of a markdown file, under a
+ * heading for the date that is shared by the entries of the same day
+ * @param {string} content - File content
+ * @param {string} entry - Entry text; later lines are indented under the first
+ * @param {string} date - Date heading, YYYY-MM-DD
+ * @returns {Object} - { content, created } where created tells whether the
+ *   section had to be added
+ */
+function appendLogEntry(content, entry, date) {
+  const lines = content.replace(/\n+$/, '').split('\n');
+  const bullet = entry.trim().split('\n').map((line, index) => (index === 0 ? `- ${line.trim()}` : `  ${line.trim()}`));
+
+  let start = lines.findIndex(line => line.trim() === `## ${LOG_SECTION}`);
+  const created = start === -1;
+  if (created) {
+    lines.push('', `## ${LOG_SECTION}`);
+    start = lines.length - 1;
+  }
+
+  let end = lines.findIndex((line, index) => index > start && /^#{1,2} /.test(line));
+  if (end === -1) end = lines.length;
+  // Entries go after the last non-blank line of the section
+  let last = end - 1;
+  while (last > start && !lines[last].trim()) last--;
+
+  const headings = lines.slice(start + 1, last + 1).filter(line => /^### /.test(line));
+  const insert = headings.length > 0 && headings[headings.length - 1].trim() === `### ${date}`
+    ? bullet
+    : ['', `### ${date}`, ...bullet];
+  if (end < lines.length) insert.push('');
+
+  lines.splice(last + 1, end - last - 1, ...insert);
+  return { content: `${lines.join('\n')}\n`, created };
+}
+
+/**
+ * Appends a dated entry to progress.md or activeContext.md
+ * @param {string} projectPath - Project root
+ * @param {string} entry - What happened
+ * @param {Object} [options] - Log options
+ * @param {string} [options.file] - progress (default) or activeContext
+ * @param {Date} [options.date] - Date of the entry (default: today)
+ * @returns {Promise<Object>} - { file, date, entry, created }
+ * @throws {InstallerError} - If the entry is empty or the file is unknown or missing
+ */
+async function logMemory(projectPath, entry, options = {}) {
+  if (typeof entry !== 'string' || !entry.trim()) {
+    throw new InstallerError('The log entry is empty', 'INVALID_MEMORY_ENTRY');
+  }
+
+  const name = resolveLogFile(options.file);
+  const relativePath = `${MEMORY_BANK_DIR}/${name}`;
+  const filePath = path.join(projectPath, MEMORY_BANK_DIR, name);
+  let content;
+  try {
+    content = await readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new InstallerError(
+      `No ${relativePath} found in ${projectPath}`,
+      'MEMORY_FILE_NOT_FOUND',
+      { errors: ['Run `ai-init --add` to scaffold the memory bank first'] }
+    );
+  }
+
+  const date = formatDate(options.date || new Date());
+  const result = appendLogEntry(content, entry, date);
+  await writeFile(filePath, result.content);
+
+  return { file: relativePath, date, entry: entry.trim(), created: result.created };
+}
+
+module.exports = {
+  MEMORY_BANK_DIR,
+  DEFAULT_MEMORY_BANK_FILES,
+  LOG_FILES,
+  requiredMemoryFiles,
+  findMemoryPlaceholders,
+  memoryStatus,
+  appendLogEntry,
+  logMemory
+};
@@ -0,0 +1,78 @@
+/**
+ * Helpers for the LLM-facing {{PLACEHOLDER}} slots in template files
+ */
+
+const { splitComment } = require('./utils/yaml');
+
+// Matches {{NAME}} placeholders; names are upper-case identifiers
+const PLACEHOLDER_PATTERN = /\{\{([A-Z0-9_]+)\}\}/g;
+
+// Top-level YAML sections whose placeholders are explanatory text, not slots
+const INSTRUCTION_SECTIONS = ['llm_instructions'];
+
+/**
+ * Applies a function to the fillable part of every line, skipping comments
+ * and instruction sections that merely mention placeholders
+ * @param {string} content - File content
+ * @param {Function} fn - Called with (code, lineNumber), returns new code
+ * @returns {string} - Transformed content
+ */
+function mapSlots(content, fn) {
+  let inInstructions = false;
+
+  return content.split('\n').map((line, index) => {
+    const topLevelKey = line.match(/^([A-Za-z_][\w-]*):/);
+    if (topLevelKey) {
+      inInstructions = INSTRUCTION_SECTIONS.includes(topLevelKey[1]);
+    }
+    if (inInstructions) return line;
+
+    const { code, comment } = splitComment(line);
+    return fn(code, index + 1) + comment;
+  }).join('\n');
+}
+
+/**
+ * Finds every placeholder slot still present in a file
+ * @param {string} content - File content
+ * @returns {Object[]} - Array of { name, line } in order of appearance
+ */
+function findPlaceholders(content) {
+  const found = [];
+
+  mapSlots(content, (code, line) => {
+    for (const match of code.matchAll(PLACEHOLDER_PATTERN)) {
+      found.push({ name: match[1], line });
+    }
+    return code;
+  });
+
+  return found;
+}
+
+/**
+ * Substitutes placeholder slots with known values, leaving the rest intact
+ * @param {string} content - File content
+ * @param {Object} values - Map of placeholder name to replacement value
+ * @returns {Object} - { content, replaced } where replaced lists filled names
+ */
+function replacePlaceholders(content, values) {
+  const replaced = new Set();
+
+  const result = mapSlots(content, code => code.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (values[name] === undefined || values[name] === null) {
+      return match;
+    }
+    replaced.add(name);
+    // Values land inside double-quoted YAML strings
+    return String(values[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  }));
+
+  return { content: result, replaced: Array.from(replaced) };
+}
+
+module.exports = {
+  PLACEHOLDER_PATTERN,
+  findPlaceholders,
+  replacePlaceholders
+};
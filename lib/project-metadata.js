@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { replacePlaceholders } = require('./placeholders');
+const yaml = require('./utils/yaml');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+
+// Files that receive project metadata, relative to the project root
+const RULES_FILE = 'rules.yaml';
+const BRIEF_FILE = path.join('memory-bank', 'projectbrief.md');
+
+/**
+ * Normalizes raw metadata from flags, answers files or prompts
+ * @param {Object} raw - Raw metadata ({ name, goal, features | feature })
+ * @returns {Object} - { name, goal, features } with empty values removed
+ */
+function normalizeMetadata(raw = {}) {
+  const clean = value => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+  let features = raw.features !== undefined ? raw.features : raw.feature;
+
+  if (typeof features === 'string') {
+    features = features.split(',');
+  }
+
+  return {
+    name: clean(raw.name),
+    goal: clean(raw.goal),
+    features: Array.isArray(features) ? features.map(clean).filter(Boolean) : []
+  };
+}
+
+/**
+ * Checks whether metadata carries anything to render
+ * @param {Object} metadata - Normalized metadata
+ * @returns {boolean} - Whether any field is set
+ */
+function hasMetadata(metadata) {
+  return Boolean(metadata && (metadata.name || metadata.goal || metadata.features.length > 0));
+}
+
+/**
+ * Lists the answers that are not text, which normalizeMetadata would
+ * otherwise drop without a word
+ * @param {Object} answers - Parsed answers file
+ * @returns {string[]} - Problems naming each offending field
+ */
+function findInvalidAnswers(answers) {
+  const isText = value => value === undefined || value === null || typeof value === 'string';
+  const problems = [];
+
+  ['name', 'goal'].forEach(field => {
+    if (!isText(answers[field])) {
+      problems.push(`${field}: expected text, got ${JSON.stringify(answers[field])}`);
+    }
+  });
+
+  ['features', 'feature'].forEach(field => {
+    const value = answers[field];
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        if (!isText(item)) {
+          problems.push(`${field}[${index}]: expected text, got ${JSON.stringify(item)}; quote entries containing ": "`);
+        }
+      });
+    } else if (!isText(value)) {
+      problems.push(`${field}: expected a list or comma-separated text, got ${JSON.stringify(value)}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Loads project metadata from a JSON or YAML answers file
+ * @param {string} file - Path to the answers file
+ * @returns {Promise<Object>} - Normalized metadata
+ * @throws {InstallerError} - If the file cannot be read or parsed, or an
+ *   answer is not text
+ */
+async function loadAnswers(file) {
+  let content;
+  try {
+    content = await readFile(file, 'utf8');
+  } catch (error) {
+    throw new InstallerError(
+      `Failed to read answers file: ${error.message}`,
+      'ANSWERS_READ_FAILED'
+    );
+  }
+
+  let answers;
+  try {
+    answers = path.extname(file).toLowerCase() === '.json'
+      ? JSON.parse(content)
+      : yaml.parse(content);
+  } catch (error) {
+    throw new InstallerError(
+      `Invalid answers file ${file}: ${error.message}`,
+      'INVALID_ANSWERS'
+    );
+  }
+
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new InstallerError(
+      `Invalid answers file ${file}: expected a mapping of answers`,
+      'INVALID_ANSWERS'
+    );
+  }
+
+  const problems = findInvalidAnswers(answers);
+  if (problems.length > 0) {
+    throw new InstallerError(
+      `Invalid answers file ${file}: ${problems[0]}`,
+      'INVALID_ANSWERS',
+      { errors: problems }
+    );
+  }
+
+  return normalizeMetadata(answers);
+}
+
+/**
+ * Renders metadata into rules.yaml content
+ * @param {string} content - rules.yaml content
+ * @param {Object} metadata - Normalized metadata
+ * @returns {string} - Rendered content
+ */
+function renderRules(content, metadata) {
+  let rendered = content;
+
+  if (metadata.features.length > 0) {
+    // Grow or shrink the FEATURE_n list to match the number of features given
+    const lines = rendered.split('\n');
+    const featureLines = lines
+      .map((line, index) => ({ line, index }))
+      .filter(entry => /^\s*-\s*"?\{\{FEATURE_\d+\}\}"?\s*(#.*)?$/.test(entry.line));
+
+    if (featureLines.length > 0) {
+      const indent = featureLines[0].line.match(/^\s*/)[0];
+      const featureItems = metadata.features.map(feature => {
+        const escaped = feature.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+        return `${indent}- "${escaped}"`;
+      });
+      const first = featureLines[0].index;
+      const remove = new Set(featureLines.map(entry => entry.index));
+
+      rendered = lines
+        .filter((line, index) => index === first || !remove.has(index))
+        .map((line, index) => (index === first ? featureItems.join('\n') : line))
+        .join('\n');
+    }
+  }
+
+  const values = {
+    PROJECT_NAME: metadata.name,
+    PROJECT_GOAL: metadata.goal
+  };
+
+  return replacePlaceholders(rendered, values).content;
+}
+
+/**
+ * Renders metadata into memory-bank/projectbrief.md content
+ * @param {string} content - projectbrief.md content
+ * @param {Object} metadata - Normalized metadata
+ * @returns {string} - Rendered content
+ */
+function renderProjectBrief(content, metadata) {
+  let rendered = content;
+
+  if (metadata.name) {
+    rendered = rendered.replace(/^# Project Brief\s*$/m, () => `# Project Brief: ${metadata.name}`);
+  }
+
+  if (metadata.name || metadata.goal) {
+    const overview = [metadata.name, metadata.goal].filter(Boolean).join(' — ');
+    rendered = rendered.replace(/^\[Provide a high-level description of your project here\]$/m, () => overview);
+  }
+
+  if (metadata.goal) {
+    rendered = rendered.replace(/(^- \[Primary goal \d+\]\n?)+/m, () => `- ${metadata.goal}\n`);
+  }
+
+  if (metadata.features.length > 0 && !/^## Key Features$/m.test(rendered)) {
+    const section = `## Key Features\n${metadata.features.map(feature => `- ${feature}`).join('\n')}\n\n`;
+    rendered = /^## Target Audience$/m.test(rendered)
+      ? rendered.replace(/^## Target Audience$/m, () => `${section}## Target Audience`)
+      : `${rendered.replace(/\n*$/, '\n\n')}${section.trimEnd()}\n`;
+  }
+
+  return rendered;
+}
+
+// Renderers for the files that receive project metadata
+const RENDERERS = {
+  [RULES_FILE]: renderRules,
+  [BRIEF_FILE]: renderProjectBrief
+};
+
+/**
+ * Renders metadata into the content of a template file, leaving files that
+ * take no metadata unchanged
+ * @param {string} file - Path relative to the project root
+ * @param {string} content - File content
+ * @param {Object} metadata - Normalized metadata
+ * @returns {string} - Rendered content
+ */
+function renderMetadata(file, content, metadata) {
+  const renderer = RENDERERS[path.normalize(file)];
+  return renderer && hasMetadata(metadata) ? renderer(content, metadata) : content;
+}
+
+/**
+ * Writes project metadata into the rules and project brief of a project
+ * @param {string} projectPath - Project root
+ * @param {Object} metadata - Normalized metadata
+ * @param {string[]} [files] - Relative paths eligible for rendering; defaults to both
+ * @returns {Promise<string[]>} - Relative paths that were updated
+ */
+async function applyProjectMetadata(projectPath, metadata, files = [RULES_FILE, BRIEF_FILE]) {
+  const updated = [];
+
+  if (!hasMetadata(metadata)) {
+    return updated;
+  }
+
+  for (const file of Object.keys(RENDERERS)) {
+    if (!files.includes(file)) continue;
+
+    const filePath = path.join(projectPath, file);
+    let content;
+    try {
+      content = await readFile(filePath, 'utf8');
+    } catch (error) {
+      continue;
+    }
+
+    const rendered = RENDERERS[file](content, metadata);
+    if (rendered !== content) {
+      await writeFile(filePath, rendered);
+      updated.push(file);
+    }
+  }
+
+  return updated;
+}
+
+module.exports = {
+  normalizeMetadata,
+  hasMetadata,
+  loadAnswers,
+  renderRules,
+  renderProjectBrief,
+  renderMetadata,
+  applyProjectMetadata
+};
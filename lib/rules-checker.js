@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { compilePattern } = require('./mdc-parser');
+const { matchGlob } = require('./utils/glob');
+const { runGit } = require('./utils/git');
+const { resolveExtends } = require('./workspace');
+const yaml = require('./utils/yaml');
+
+const readFile = promisify(fs.readFile);
+const readdir = promisify(fs.readdir);
+const stat = promisify(fs.stat);
+
+// Directories skipped when the project is not a git repository
+const IGNORED_DIRS = [
+  'node_modules', '.git', '.next', 'dist', 'build', 'out', 'coverage', '.turbo', '.cache',
+  '.venv', 'venv', '__pycache__', '.mypy_cache', '.pytest_cache', '.ruff_cache'
+];
+
+// Files larger than this are not scanned for declarations
+const MAX_SCAN_BYTES = 1024 * 1024;
+
+// Route directories of the Next.js App and Pages Routers
+const ROUTE_DIRS = ['app', 'pages', 'src/app', 'src/pages'];
+
+// Labels used in naming violation messages
+const NAMING_LABELS = {
+  variables: 'Variable',
+  constants: 'Constant',
+  functions: 'Function',
+  classes: 'Class'
+};
+
+const basename = file => file.split('/').pop();
+const inRouteDir = file => ROUTE_DIRS.some(dir => file.startsWith(`${dir}/`));
+const isTestFile = file => /(^|\/)(tests?|__tests__)\//.test(file) ||
+  /\.(test|spec)\.[^./]+$/.test(file) ||
+  /^test_[^/]*\.py$/.test(basename(file));
+const isToolingFile = file => /^\./.test(basename(file)) || /\.d\.ts$|\.config\.[^./]+$/.test(file);
+
+/**
+ * Finds JavaScript/TypeScript class, function and variable declarations
+ * @param {string} content - Source code
+ * @param {string} file - Relative path of the source file
+ * @returns {Object[]} - Declarations as { name, line, kinds } where kinds
+ *   lists the naming entries the name may satisfy
+ */
+function extractJsDeclarations(content, file) {
+  const declarations = [];
+  const isJsx = /\.(jsx|tsx)$/.test(file);
+
+  content.split('\n').forEach((text, index) => {
+    const line = index + 1;
+    let match;
+
+    if ((match = text.match(/^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/))) {
+      declarations.push({ name: match[1], line, kinds: ['classes'] });
+    } else if ((match = text.match(/^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/))) {
+      declarations.push({ name: match[1], line, kinds: ['functions'] });
+    } else if ((match = text.match(/^\s*(?:export\s+)?(const|let|var)\s+([A-Za-z_$][\w$]*)(.*)$/))) {
+      const [, keyword, name, rest] = match;
+      if (/^\s*(?::[^=]*)?=\s*(?:async\b\s*)?(?:function\b|\(|[A-Za-z_$][\w$]*\s*=>)/.test(rest)) {
+        declarations.push({ name, line, kinds: ['functions'] });
+      } else if (keyword === 'const') {
+        // React components are PascalCase bindings in JSX files
+        declarations.push({ name, line, kinds: isJsx ? ['variables', 'constants', 'classes'] : ['variables', 'constants'] });
+      } else {
+        declarations.push({ name, line, kinds: ['variables'] });
+      }
+    }
+  });
+
+  return declarations;
+}
+
+/**
+ * Finds Python class, function and variable declarations
+ * @param {string} content - Source code
+ * @returns {Object[]} - Declarations as { name, line, kinds }
+ */
+function extractPythonDeclarations(content) {
+  const declarations = [];
+  let inString = false;
+
+  content.split('\n').forEach((text, index) => {
+    const line = index + 1;
+    const quotes = (text.match(/"""|'''/g) || []).length;
+    const startsInString = inString;
+    if (quotes % 2 === 1) inString = !inString;
+    if (startsInString) return;
+
+    let match;
+    if ((match = text.match(/^\s*class\s+([A-Za-z_]\w*)/))) {
+      declarations.push({ name: match[1], line, kinds: ['classes'] });
+    } else if ((match = text.match(/^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)/))) {
+      declarations.push({ name: match[1], line, kinds: ['functions'] });
+    } else if ((match = text.match(/^(\s*)([A-Za-z_]\w*)\s*(?::[^=]+)?=(?!=)/))) {
+      // Module-level names may also be constants or type aliases
+      declarations.push({
+        name: match[2],
+        line,
+        kinds: match[1] === '' ? ['variables', 'constants', 'classes'] : ['variables']
+      });
+    }
+  });
+
+  // Dunder names such as __init__ and __all__ are defined by the language
+  return declarations.filter(declaration => !/^__\w+__$/.test(declaration.name));
+}
+
+// Languages covered by conventions.<section>.naming in rules.yaml
+const LANGUAGES = {
+  javascript_typescript: {
+    extensions: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'],
+    // Files governed by each naming.files.<kind> pattern
+    fileKinds: {
+      page: file => inRouteDir(file) && /\.(tsx|jsx)$/.test(file),
+      component: file => !inRouteDir(file) && !isTestFile(file) && /\.(tsx|jsx)$/.test(file),
+      utility: file => !inRouteDir(file) && !isTestFile(file) && !isToolingFile(file) && /\.(ts|js|mjs|cjs)$/.test(file)
+    },
+    extract: extractJsDeclarations
+  },
+  python: {
+    extensions: ['.py'],
+    fileKinds: {
+      module: file => !isTestFile(file),
+      test: file => isTestFile(file) && basename(file) !== '__init__.py'
+    },
+    extract: extractPythonDeclarations
+  }
+};
+
+/**
+ * Lists the files of a project, relative and POSIX-style. Inside a git
+ * repository this is every tracked or unignored file; otherwise the tree
+ * is walked, skipping dependency and build directories.
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object>} - { files, git } where git tells which listing was used
+ */
+async function listProjectFiles(projectPath) {
+  const output = runGit(['ls-files', '-z', '--cached', '--others', '--exclude-standard'], projectPath);
+  if (output !== null) {
+    const files = output.split('\0').filter(file => file && fs.existsSync(path.join(projectPath, file)));
+    return { files: Array.from(new Set(files)).sort(), git: true };
+  }
+  // Not a git repository, or git is not installed
+
+  const files = [];
+  const walk = async relative => {
+    const entries = await readdir(path.join(projectPath, relative), { withFileTypes: true });
+    for (const entry of entries) {
+      const child = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.includes(entry.name)) await walk(child);
+      } else if (entry.isFile()) {
+        files.push(child);
+      }
+    }
+  };
+  await walk('');
+
+  return { files: files.sort(), git: false };
+}
+
+/**
+ * Compiles the naming patterns of a conventions.<language>.naming section
+ * @param {Object} naming - Naming section from rules.yaml
+ * @param {string} basePath - Dotted path of the section, for locations
+ * @param {Function} invalid - Called with (keyPath, message) for bad patterns
+ * @returns {Object} - { identifiers, files } maps of kind to compiled entry
+ */
+function compileNaming(naming, basePath, invalid) {
+  const compile = (entry, keyPath) => {
+    if (!entry || typeof entry.pattern !== 'string') return null;
+    try {
+      return Object.assign({}, entry, { regex: compilePattern(entry.pattern) });
+    } catch (error) {
+      invalid(`${keyPath}.pattern`, `Invalid pattern in ${keyPath}: ${error.message}`);
+      return null;
+    }
+  };
+
+  const identifiers = {};
+  Object.keys(NAMING_LABELS).forEach(kind => {
+    const compiled = compile(naming[kind], `${basePath}.${kind}`);
+    if (compiled) identifiers[kind] = compiled;
+  });
+
+  const files = {};
+  Object.keys(naming.files || {}).forEach(kind => {
+    const compiled = compile(naming.files[kind], `${basePath}.files.${kind}`);
+    if (compiled) files[kind] = compiled;
+  });
+
+  return { identifiers, files };
+}
+
+/**
+ * Normalizes a rules.yaml severity to "error" or "warning"
+ * @param {string} severity - Severity from rules.yaml
+ * @param {string} fallback - Severity when none is given
+ * @returns {string} - "error" or "warning"
+ */
+function normalizeSeverity(severity, fallback = 'warning') {
+  if (severity === undefined || severity === null) return fallback;
+  return severity === 'error' ? 'error' : 'warning';
+}
+
+/**
+ * Applies the machine-checkable rules of rules.yaml to a project: naming
+ * patterns, rules[].validation.file_patterns and security.restricted_files
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object>} - Report with violations and error/warning counts
+ * @throws {InstallerError} - If rules.yaml is missing or not valid YAML
+ */
+async function checkProject(projectPath) {
+  const rulesPath = path.join(projectPath, 'rules.yaml');
+  let content;
+  try {
+    content = await readFile(rulesPath, 'utf8');
+  } catch (error) {
+    throw new InstallerError(`No rules.yaml found in ${projectPath}`, 'RULES_NOT_FOUND');
+  }
+
+  const locations = {};
+  let rules;
+  try {
+    rules = yaml.parse(content, { locations }) || {};
+  } catch (error) {
+    throw new InstallerError(`rules.yaml is not valid YAML: ${error.message}`, 'INVALID_RULES');
+  }
+  // Rules inherited through `extends` are reported at the top of rules.yaml
+  rules = await resolveExtends(rules, rulesPath);
+
+  const violations = [];
+  const report = (file, line, ruleId, severity, message) => {
+    violations.push({ file, line, ruleId, severity, message });
+  };
+  const invalidRule = (keyPath, message) => {
+    report('rules.yaml', locations[keyPath] || 1, keyPath, 'error', message);
+  };
+
+  const { files, git } = await listProjectFiles(projectPath);
+  const contents = new Map();
+  const read = async file => {
+    if (!contents.has(file)) {
+      const stats = await stat(path.join(projectPath, file));
+      contents.set(file, stats.size > MAX_SCAN_BYTES ? null : await readFile(path.join(projectPath, file), 'utf8'));
+    }
+    return contents.get(file);
+  };
+
+  // Naming conventions
+  const conventions = rules.conventions || {};
+  for (const section of Object.keys(LANGUAGES)) {
+    const naming = conventions[section] && conventions[section].naming;
+    if (!naming || typeof naming !== 'object') continue;
+
+    const language = LANGUAGES[section];
+    const { identifiers, files: fileNaming } = compileNaming(naming, `conventions.${section}.naming`, invalidRule);
+    const sourceFiles = files.filter(file => language.extensions.includes(path.posix.extname(file)));
+
+    for (const file of sourceFiles) {
+      const name = basename(file);
+
+      Object.keys(fileNaming).forEach(kind => {
+        const entry = fileNaming[kind];
+        if (language.fileKinds[kind] && language.fileKinds[kind](file) && !entry.regex.test(name)) {
+          report(file, 1, `naming.files.${kind}`, normalizeSeverity(entry.severity),
+            entry.message || `File name "${name}" should be ${entry.style || 'named'} as a ${kind} file (${entry.pattern})`);
+        }
+      });
+
+      if (Object.keys(identifiers).length === 0) continue;
+      const source = await read(file);
+      if (source === null) continue;
+
+      language.extract(source, file).forEach(declaration => {
+        const candidates = declaration.kinds.filter(kind => identifiers[kind]);
+        if (candidates.length === 0 || candidates.some(kind => identifiers[kind].regex.test(declaration.name))) {
+          return;
+        }
+        const entry = identifiers[candidates[0]];
+        report(file, declaration.line, `naming.${candidates[0]}`, normalizeSeverity(entry.severity),
+          entry.message || `${NAMING_LABELS[candidates[0]]} "${declaration.name}" should be ${entry.style || 'renamed'} (${entry.pattern})`);
+      });
+    }
+  }
+
+  // rules[].validation.file_patterns
+  const ruleList = Array.isArray(rules.rules) ? rules.rules : [];
+  for (const [ruleIndex, rule] of ruleList.entries()) {
+    const validation = rule && rule.validation;
+    if (!validation || !Array.isArray(validation.file_patterns)) continue;
+
+    const ruleId = rule.id || rule.name || `rules.${ruleIndex}`;
+    const severity = normalizeSeverity(rule.severity);
+    const patterns = [];
+
+    validation.file_patterns.forEach((entry, entryIndex) => {
+      const keyPath = `rules.${ruleIndex}.validation.file_patterns.${entryIndex}`;
+      try {
+        patterns.push(Object.assign({}, entry, {
+          regex: compilePattern(entry.pattern),
+          contentRegex: entry.must_contain ? compilePattern(entry.must_contain) : null
+        }));
+      } catch (error) {
+        invalidRule(keyPath, `Invalid pattern in ${ruleId}: ${error.message}`);
+      }
+    });
+
+    const dirs = typeof rule.applies_to === 'string'
+      ? rule.applies_to.split(/\s+or\s+|\s*,\s*/).map(dir => dir.trim().replace(/^\.\//, '').replace(/\/$/, '')).filter(Boolean)
+      : [];
+    const scoped = files.filter(file => dirs.length === 0 || dirs.some(dir => file.startsWith(`${dir}/`)));
+
+    for (const file of scoped) {
+      const name = basename(file);
+      const matching = patterns.filter(entry => entry.regex.test(name));
+
+      // With validation.files set, every such file must match one of the patterns
+      if (validation.files && matchGlob(file, validation.files) && matching.length === 0 && patterns.length > 0) {
+        const expected = patterns.map(entry => entry.pattern).join(', ');
+        report(file, 1, ruleId, severity,
+          `File name "${name}" matches none of ${expected}${patterns[0].message ? `: ${patterns[0].message}` : ''}`);
+      }
+
+      for (const entry of matching.filter(e => e.contentRegex)) {
+        const source = await read(file);
+        if (source !== null && !entry.contentRegex.test(source)) {
+          report(file, 1, ruleId, severity, entry.message || `${name} must contain ${entry.must_contain}`);
+        }
+      }
+    }
+  }
+
+  // security.restricted_files
+  const restricted = rules.security && Array.isArray(rules.security.restricted_files)
+    ? rules.security.restricted_files.filter(pattern => typeof pattern === 'string' && !pattern.includes('{{'))
+    : [];
+  for (const file of files) {
+    const pattern = restricted.find(glob => matchGlob(file, glob));
+    if (!pattern) continue;
+
+    if (git) {
+      report(file, 1, 'security.restricted_files', 'error',
+        `Restricted file (matches "${pattern}") is not ignored by git; add it to .gitignore`);
+    } else {
+      report(file, 1, 'security.restricted_files', 'warning',
+        `Restricted file (matches "${pattern}") must be kept out of version control`);
+    }
+  }
+
+  violations.sort((a, b) => (a.file === b.file ? a.line - b.line : a.file < b.file ? -1 : 1));
+  const errors = violations.filter(violation => violation.severity === 'error').length;
+  const warnings = violations.length - errors;
+
+  return {
+    projectPath,
+    filesChecked: files.length,
+    violations,
+    errors,
+    warnings,
+    exitCode: errors > 0 ? 2 : warnings > 0 ? 1 : 0
+  };
+}
+
+module.exports = {
+  listProjectFiles,
+  checkProject
+};
@@ -0,0 +1,485 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { detectStack } = require('./stack-detector');
+const { findPlaceholders, replacePlaceholders } = require('./placeholders');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const readdir = promisify(fs.readdir);
+const access = promisify(fs.access);
+
+// Libraries worth naming as additional technologies, in order of preference
+const NOTABLE_LIBRARIES = [
+  { dep: 'tailwindcss', label: 'Tailwind CSS' },
+  { dep: '@reduxjs/toolkit', label: 'Redux Toolkit' },
+  { dep: 'redux', label: 'Redux' },
+  { dep: 'zustand', label: 'Zustand' },
+  { dep: '@tanstack/react-query', label: 'TanStack Query' },
+  { dep: 'swr', label: 'SWR' },
+  { dep: 'prisma', label: 'Prisma' },
+  { dep: '@prisma/client', label: 'Prisma' },
+  { dep: 'drizzle-orm', label: 'Drizzle ORM' },
+  { dep: '@trpc/server', label: 'tRPC' },
+  { dep: 'next-auth', label: 'NextAuth.js' },
+  { dep: 'styled-components', label: 'styled-components' },
+  { dep: '@emotion/react', label: 'Emotion' },
+  { dep: 'zod', label: 'Zod' }
+];
+
+// State management libraries, in order of preference
+const STATE_LIBRARIES = [
+  { dep: '@reduxjs/toolkit', label: 'Redux Toolkit' },
+  { dep: 'redux', label: 'Redux' },
+  { dep: 'zustand', label: 'Zustand' },
+  { dep: 'jotai', label: 'Jotai' },
+  { dep: 'recoil', label: 'Recoil' },
+  { dep: 'mobx', label: 'MobX' },
+  { dep: '@tanstack/react-query', label: 'TanStack Query' },
+  { dep: 'swr', label: 'SWR' }
+];
+
+// CI/CD systems identified by their configuration files
+const CI_SYSTEMS = [
+  { file: '.github/workflows', label: 'GitHub Actions' },
+  { file: '.gitlab-ci.yml', label: 'GitLab CI' },
+  { file: '.circleci/config.yml', label: 'CircleCI' },
+  { file: 'Jenkinsfile', label: 'Jenkins' },
+  { file: 'azure-pipelines.yml', label: 'Azure Pipelines' },
+  { file: 'bitbucket-pipelines.yml', label: 'Bitbucket Pipelines' }
+];
+
+// Dependency update bots identified by their configuration files
+const UPDATE_TOOLS = [
+  { file: '.github/dependabot.yml', label: 'Dependabot' },
+  { file: '.github/dependabot.yaml', label: 'Dependabot' },
+  { file: 'renovate.json', label: 'Renovate' },
+  { file: '.github/renovate.json', label: 'Renovate' },
+  { file: '.renovaterc', label: 'Renovate' }
+];
+
+// Python package managers identified by their lockfiles
+const PYTHON_PACKAGE_MANAGERS = [
+  { file: 'uv.lock', label: 'uv' },
+  { file: 'poetry.lock', label: 'Poetry' },
+  { file: 'Pipfile.lock', label: 'Pipenv' },
+  { file: 'pdm.lock', label: 'PDM' },
+  { file: 'requirements.txt', label: 'pip (requirements.txt)' }
+];
+
+/**
+ * Reads a file relative to the project, returning null when it is missing
+ * @param {string} projectPath - Project root
+ * @param {string} file - Relative file path
+ * @returns {Promise<string|null>} - File contents or null
+ */
+async function readOptional(projectPath, file) {
+  try {
+    return await readFile(path.join(projectPath, file), 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check if a path relative to the project exists
+ * @param {string} projectPath - Project root
+ * @param {string} file - Relative path
+ * @returns {Promise<boolean>} - Whether the path exists
+ */
+async function exists(projectPath, file) {
+  try {
+    await access(path.join(projectPath, file), fs.constants.F_OK);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parses JSON that may contain comments and trailing commas (tsconfig style)
+ * @param {string} content - JSON text
+ * @returns {Object|null} - Parsed object or null
+ */
+function parseLooseJson(content) {
+  try {
+    const stripped = content
+      .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+      .replace(/,(\s*[}\]])/g, '$1');
+    return JSON.parse(stripped);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds the exact installed version of a package from the project's lockfile
+ * @param {string} projectPath - Project root
+ * @param {string} name - Package name
+ * @returns {Promise<Object|null>} - { version, evidence } or null
+ */
+async function lockedVersion(projectPath, name) {
+  const npmLock = await readOptional(projectPath, 'package-lock.json');
+  if (npmLock) {
+    const lock = parseLooseJson(npmLock) || {};
+    const entry = (lock.packages && lock.packages[`node_modules/${name}`]) ||
+      (lock.dependencies && lock.dependencies[name]);
+    if (entry && entry.version) {
+      return { version: entry.version, evidence: 'package-lock.json' };
+    }
+  }
+
+  const escaped = name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+  const pnpmLock = await readOptional(projectPath, 'pnpm-lock.yaml');
+  if (pnpmLock) {
+    const match = pnpmLock.match(new RegExp(`^\\s*'?/?${escaped}[@/](\\d+\\.\\d+\\.\\d+[^:('\\s]*)`, 'm'));
+    if (match) {
+      return { version: match[1], evidence: 'pnpm-lock.yaml' };
+    }
+  }
+
+  const yarnLock = await readOptional(projectPath, 'yarn.lock');
+  if (yarnLock) {
+    const match = yarnLock.match(new RegExp(`^"?${escaped}@[^\\n]*\\n\\s+version:? "?([^"\\n]+)"?`, 'm'));
+    if (match) {
+      return { version: match[1], evidence: 'yarn.lock' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Gathers the facts about a project that placeholder resolvers draw on
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object>} - Project facts
+ */
+async function collectFacts(projectPath) {
+  const detection = await detectStack(projectPath);
+  const packageJson = parseLooseJson(await readOptional(projectPath, 'package.json') || '') || null;
+  const deps = packageJson
+    ? Object.assign({}, packageJson.dependencies, packageJson.devDependencies)
+    : {};
+
+  let workflows = [];
+  try {
+    workflows = (await readdir(path.join(projectPath, '.github', 'workflows')))
+      .filter(file => /\.ya?ml$/.test(file));
+  } catch (error) {
+    // No GitHub workflows
+  }
+
+  return {
+    projectPath,
+    detection,
+    packageJson,
+    deps,
+    workflows,
+    tsconfig: parseLooseJson(await readOptional(projectPath, 'tsconfig.json') || ''),
+    pyproject: await readOptional(projectPath, 'pyproject.toml'),
+    requirements: await readOptional(projectPath, 'requirements.txt')
+  };
+}
+
+/**
+ * Returns the first library from a list that the project depends on
+ * @param {Object} facts - Project facts
+ * @param {Object[]} libraries - Candidate libraries
+ * @returns {Object|null} - Matching library or null
+ */
+function firstDependency(facts, libraries) {
+  return libraries.find(lib => facts.deps[lib.dep]) || null;
+}
+
+/**
+ * Returns the first configuration file from a list that exists in the project
+ * @param {Object} facts - Project facts
+ * @param {Object[]} candidates - Candidate files
+ * @returns {Promise<Object|null>} - Matching candidate or null
+ */
+async function firstExisting(facts, candidates) {
+  for (const candidate of candidates) {
+    if (await exists(facts.projectPath, candidate.file)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the notable libraries a project uses, without duplicates
+ * @param {Object} facts - Project facts
+ * @returns {Object[]} - Libraries with label and evidence
+ */
+function notableLibraries(facts) {
+  const seen = new Set();
+  return NOTABLE_LIBRARIES
+    .filter(lib => facts.deps[lib.dep])
+    .filter(lib => !seen.has(lib.label) && seen.add(lib.label))
+    .map(lib => ({ value: lib.label, evidence: `package.json depends on ${lib.dep}` }));
+}
+
+/**
+ * Reads a value from the [project] table of pyproject.toml
+ * @param {Object} facts - Project facts
+ * @param {string} key - Key to read
+ * @returns {string|null} - Value or null
+ */
+function pyprojectValue(facts, key) {
+  if (!facts.pyproject) return null;
+  const match = facts.pyproject.match(new RegExp(`^${key}\\s*=\\s*["']([^"']+)["']`, 'm'));
+  return match ? match[1] : null;
+}
+
+// Resolvers for each placeholder: return { value, evidence } or null when unsure
+const RESOLVERS = {
+  PROJECT_NAME: async facts => {
+    if (facts.packageJson && facts.packageJson.name) {
+      return { value: facts.packageJson.name, evidence: 'package.json name' };
+    }
+    const name = pyprojectValue(facts, 'name');
+    return name ? { value: name, evidence: 'pyproject.toml name' } : null;
+  },
+
+  PROJECT_GOAL: async facts => {
+    if (facts.packageJson && facts.packageJson.description) {
+      return { value: facts.packageJson.description, evidence: 'package.json description' };
+    }
+    const description = pyprojectValue(facts, 'description');
+    return description ? { value: description, evidence: 'pyproject.toml description' } : null;
+  },
+
+  PROJECT_TYPE: async facts => {
+    const { stack, details } = facts.detection;
+    if (stack === 'nextjs') {
+      const typescript = facts.tsconfig ? ' (TypeScript)' : '';
+      return { value: `Next.js application${typescript}`, evidence: 'next dependency in package.json' + (typescript ? ', tsconfig.json' : '') };
+    }
+    if (stack === 'python') {
+      const frameworks = { fastapi: 'FastAPI service', django: 'Django application', flask: 'Flask application' };
+      const value = frameworks[details.pythonFramework] || 'Python project';
+      return { value, evidence: details.pythonFramework ? `${details.pythonFramework} dependency` : 'Python manifest' };
+    }
+    return null;
+  },
+
+  NEXTJS_VERSION: async facts => {
+    if (!facts.deps.next) return null;
+    const locked = await lockedVersion(facts.projectPath, 'next');
+    if (locked) {
+      return { value: locked.version, evidence: `next resolved in ${locked.evidence}` };
+    }
+    const major = facts.deps.next.match(/(\d+)/);
+    return major ? { value: major[1], evidence: `next@${facts.deps.next} in package.json` } : null;
+  },
+
+  ADDITIONAL_TECHNOLOGY_1: async facts => notableLibraries(facts)[0] || null,
+
+  ADDITIONAL_TECHNOLOGY_2: async facts => notableLibraries(facts)[1] || null,
+
+  STYLING_APPROACH: async facts => {
+    for (const config of ['tailwind.config.ts', 'tailwind.config.js', 'tailwind.config.mjs', 'tailwind.config.cjs']) {
+      if (await exists(facts.projectPath, config)) {
+        return { value: 'Tailwind CSS', evidence: config };
+      }
+    }
+    if (facts.deps.tailwindcss) {
+      return { value: 'Tailwind CSS', evidence: 'package.json depends on tailwindcss' };
+    }
+    const postcss = await readOptional(facts.projectPath, 'postcss.config.js') ||
+      await readOptional(facts.projectPath, 'postcss.config.mjs');
+    if (postcss && /tailwindcss/.test(postcss)) {
+      return { value: 'Tailwind CSS', evidence: 'postcss config loads tailwindcss' };
+    }
+    if (facts.deps['styled-components']) {
+      return { value: 'styled-components', evidence: 'package.json depends on styled-components' };
+    }
+    if (facts.deps.sass) {
+      return { value: 'Sass', evidence: 'package.json depends on sass' };
+    }
+    return null;
+  },
+
+  ARCHITECTURAL_PATTERN: async facts => {
+    const patterns = {
+      app: 'Next.js App Router',
+      pages: 'Next.js Pages Router',
+      hybrid: 'Next.js App Router with legacy Pages Router routes'
+    };
+    const router = facts.detection.details.router;
+    return router ? { value: patterns[router], evidence: `${router === 'pages' ? 'pages/' : 'app/'} directory` } : null;
+  },
+
+  SERVER_COMPONENT_GUIDELINE: async facts => {
+    const router = facts.detection.details.router;
+    if (router !== 'app' && router !== 'hybrid') return null;
+    return { value: 'Prefer server components; App Router renders them by default', evidence: 'app/ directory' };
+  },
+
+  CLIENT_COMPONENT_GUIDELINE: async facts => {
+    const router = facts.detection.details.router;
+    if (router !== 'app' && router !== 'hybrid') return null;
+    return { value: "Add 'use client' only to components that need browser APIs, state or event handlers", evidence: 'app/ directory' };
+  },
+
+  DATA_FETCHING_GUIDELINE: async facts => {
+    const router = facts.detection.details.router;
+    if (router === 'pages') {
+      return { value: 'Fetch data with getStaticProps/getServerSideProps', evidence: 'pages/ directory' };
+    }
+    if (router === 'app') {
+      return { value: 'Fetch data in server components and mutate with server actions', evidence: 'app/ directory' };
+    }
+    return null;
+  },
+
+  STATE_MANAGEMENT: async facts => {
+    const lib = firstDependency(facts, STATE_LIBRARIES);
+    return lib ? { value: lib.label, evidence: `package.json depends on ${lib.dep}` } : null;
+  },
+
+  API_COMMUNICATION: async facts => {
+    if (facts.deps['@trpc/server']) {
+      return { value: 'tRPC', evidence: 'package.json depends on @trpc/server' };
+    }
+    for (const dir of ['app/api', 'src/app/api']) {
+      if (await exists(facts.projectPath, dir)) {
+        return { value: 'Route Handlers', evidence: `${dir}/ directory` };
+      }
+    }
+    for (const dir of ['pages/api', 'src/pages/api']) {
+      if (await exists(facts.projectPath, dir)) {
+        return { value: 'API Routes', evidence: `${dir}/ directory` };
+      }
+    }
+    return null;
+  },
+
+  MINIMUM_TEST_COVERAGE: async facts => {
+    const jestConfig = facts.packageJson && facts.packageJson.jest;
+    const threshold = jestConfig && jestConfig.coverageThreshold && jestConfig.coverageThreshold.global;
+    if (threshold && threshold.lines !== undefined) {
+      return { value: `${threshold.lines}%`, evidence: 'package.json jest.coverageThreshold' };
+    }
+    for (const config of ['jest.config.js', 'jest.config.ts', 'vitest.config.ts', 'vitest.config.js']) {
+      const content = await readOptional(facts.projectPath, config);
+      const match = content && content.match(/lines\s*:\s*(\d+)/);
+      if (match) {
+        return { value: `${match[1]}%`, evidence: `${config} coverage threshold` };
+      }
+    }
+    const failUnder = facts.pyproject && facts.pyproject.match(/^fail_under\s*=\s*(\d+)/m);
+    return failUnder ? { value: `${failUnder[1]}%`, evidence: 'pyproject.toml coverage fail_under' } : null;
+  },
+
+  CI_CD_TOOL: async facts => {
+    if (facts.workflows.length > 0) {
+      return { value: 'GitHub Actions', evidence: `.github/workflows/${facts.workflows[0]}` };
+    }
+    const ci = await firstExisting(facts, CI_SYSTEMS.slice(1));
+    return ci ? { value: ci.label, evidence: ci.file } : null;
+  },
+
+  DEPENDENCY_UPDATE_TOOL: async facts => {
+    const tool = await firstExisting(facts, UPDATE_TOOLS);
+    return tool ? { value: tool.label, evidence: tool.file } : null;
+  },
+
+  PYTHON_VERSION: async facts => {
+    const pinned = await readOptional(facts.projectPath, '.python-version');
+    if (pinned && pinned.trim()) {
+      return { value: pinned.trim(), evidence: '.python-version' };
+    }
+    const requires = pyprojectValue(facts, 'requires-python');
+    return requires ? { value: requires, evidence: 'pyproject.toml requires-python' } : null;
+  },
+
+  WEB_FRAMEWORK: async facts => {
+    const labels = { fastapi: 'FastAPI', django: 'Django', flask: 'Flask' };
+    const framework = facts.detection.details.pythonFramework;
+    return framework ? { value: labels[framework], evidence: `${framework} in Python dependencies` } : null;
+  },
+
+  PACKAGE_MANAGER: async facts => {
+    const manager = await firstExisting(facts, PYTHON_PACKAGE_MANAGERS);
+    return manager ? { value: manager.label, evidence: manager.file } : null;
+  },
+
+  FORMATTER: async facts => {
+    if (!facts.pyproject) return null;
+    if (/^\[tool\.ruff\.format\]/m.test(facts.pyproject)) {
+      return { value: 'ruff format', evidence: 'pyproject.toml [tool.ruff.format]' };
+    }
+    if (/^\[tool\.black\]/m.test(facts.pyproject)) {
+      return { value: 'black', evidence: 'pyproject.toml [tool.black]' };
+    }
+    return null;
+  }
+};
+
+/**
+ * Resolves every placeholder name it can from the project's codebase
+ * @param {string} projectPath - Project root
+ * @param {string[]} names - Placeholder names to resolve
+ * @returns {Promise<Object>} - Map of name to { value, evidence }
+ */
+async function resolvePlaceholders(projectPath, names) {
+  const facts = await collectFacts(projectPath);
+  const resolved = {};
+
+  for (const name of names) {
+    if (resolved[name] || !RESOLVERS[name]) continue;
+    const result = await RESOLVERS[name](facts);
+    if (result && result.value) {
+      resolved[name] = result;
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Fills the placeholders of a project's rules.yaml from its codebase
+ * @param {string} projectPath - Project root
+ * @param {Object} options - Configuration options
+ * @param {boolean} [options.dryRun] - Report without writing rules.yaml
+ * @returns {Promise<Object>} - Report with filled and remaining placeholders
+ * @throws {InstallerError} - If rules.yaml is missing
+ */
+async function fillRules(projectPath, options = {}) {
+  const rulesPath = path.join(projectPath, 'rules.yaml');
+  const content = await readOptional(projectPath, 'rules.yaml');
+
+  if (content === null) {
+    throw new InstallerError(
+      `No rules.yaml found in ${projectPath}`,
+      'RULES_NOT_FOUND'
+    );
+  }
+
+  const names = Array.from(new Set(findPlaceholders(content).map(p => p.name)));
+  const resolved = await resolvePlaceholders(projectPath, names);
+
+  const values = {};
+  Object.keys(resolved).forEach(name => {
+    values[name] = resolved[name].value;
+  });
+
+  const result = replacePlaceholders(content, values);
+  if (!options.dryRun && result.replaced.length > 0) {
+    await writeFile(rulesPath, result.content);
+  }
+
+  return {
+    file: rulesPath,
+    filled: result.replaced.map(name => Object.assign({ name }, resolved[name])),
+    remaining: Array.from(new Set(findPlaceholders(result.content).map(p => p.name)))
+  };
+}
+
+module.exports = {
+  resolvePlaceholders,
+  fillRules
+};
@@ -0,0 +1,440 @@
+/**
+ * Cursor project rules generated from rules.yaml
+ *
+ * Each section of rules.yaml becomes a front-mattered .mdc file in
+ * .cursor/rules. Sections that matter for every request are always applied,
+ * language conventions and testing attach to matching files through globs,
+ * and the rest carry a description so the agent can pull them in when needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { LOCK_FILE, hashContent, readLock, writeLock, recordGenerated } = require('./lockfile');
+const { LANGUAGE_LABELS, GENERATED_NOTE, isFilled, filled } = require('./tool-targets');
+const { loadRules } = require('./tool-sync');
+const {
+  beginTransaction,
+  stageFile,
+  stageContent,
+  stageRemoval,
+  commitTransaction,
+  rollbackTransaction,
+  discardTransaction
+} = require('./transaction');
+
+const readFile = promisify(fs.readFile);
+
+// Directory Cursor reads project rules from, relative to the project root
+const RULES_DIR = '.cursor/rules';
+
+// Prefix of generated rule files, keeping them apart from hand-written rules
+const FILE_PREFIX = 'ai-init-';
+
+// Files each conventions language applies to; other conventions are always applied
+const LANGUAGE_GLOBS = {
+  javascript_typescript: ['**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx'],
+  python: ['**/*.py'],
+  css_scss: ['**/*.css', '**/*.scss']
+};
+
+// Test files the testing rule attaches to, by conventions language
+const TEST_GLOBS = {
+  javascript_typescript: ['**/*.test.*', '**/*.spec.*'],
+  python: ['**/test_*.py', '**/*_test.py', '**/conftest.py']
+};
+
+// Labels for keys that don't read well with their underscores replaced
+const LABELS = {
+  ci_cd: 'CI/CD'
+};
+
+// Order in which rule file statuses are reported
+const STATUSES = ['created', 'updated', 'removed', 'drift', 'unchanged'];
+
+/**
+ * Turns a rules.yaml key into a label
+ * @param {string} key - Key such as state_management
+ * @returns {string} - Label such as "State management"
+ */
+function label(key) {
+  if (LABELS[key]) {
+    return LABELS[key];
+  }
+  const text = String(key).replace(/_/g, ' ');
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+}
+
+/**
+ * Copies a mapping without some of its keys
+ * @param {Object} value - Mapping from rules.yaml
+ * @param {string[]} keys - Keys to leave out
+ * @returns {Object} - Remaining keys
+ */
+function omit(value, keys) {
+  const rest = {};
+  Object.keys(value || {}).filter(key => !keys.includes(key)).forEach(key => {
+    rest[key] = value[key];
+  });
+  return rest;
+}
+
+/**
+ * Renders nested rules.yaml values as a markdown list, leaving out unfilled
+ * placeholders and anything left empty without them
+ * @param {*} value - Mapping or list from rules.yaml
+ * @param {string} [indent] - Indentation of the list
+ * @returns {string[]} - List lines
+ */
+function bulletTree(value, indent = '') {
+  if (Array.isArray(value)) {
+    return filled(value).map(item => `${indent}- ${item}`);
+  }
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+
+  return Object.keys(value).flatMap(key => {
+    const item = value[key];
+    if (isFilled(item)) {
+      return [`${indent}- ${label(key)}: ${item}`];
+    }
+    if (typeof item === 'boolean') {
+      return [`${indent}- ${label(key)}: ${item ? 'yes' : 'no'}`];
+    }
+    const nested = bulletTree(item, `${indent}  `);
+    return nested.length > 0 ? [`${indent}- ${label(key)}:`, ...nested] : [];
+  });
+}
+
+/**
+ * Renders naming conventions, including ones nested by file kind
+ * @param {Object} naming - conventions.<language>.naming from rules.yaml
+ * @returns {string[]} - List lines
+ */
+function namingLines(naming) {
+  if (!naming || typeof naming !== 'object') {
+    return [];
+  }
+
+  const describe = (name, convention) => {
+    const examples = filled(convention.examples);
+    const example = examples.length > 0 ? ` (e.g. ${examples.map(text => `\`${text}\``).join(', ')})` : '';
+    const pattern = isFilled(convention.pattern) ? `, matching \`${convention.pattern}\`` : '';
+    return `- ${name}: ${convention.style}${example}${pattern}`;
+  };
+
+  if (isFilled(naming.style)) {
+    return [describe('Naming', naming)];
+  }
+
+  return Object.keys(naming).flatMap(kind => {
+    const convention = naming[kind] || {};
+    if (isFilled(convention.style)) {
+      return [describe(label(kind), convention)];
+    }
+    return Object.keys(convention)
+      .filter(sub => convention[sub] && isFilled(convention[sub].style))
+      .map(sub => describe(`${label(kind)} (${sub.replace(/_/g, ' ')})`, convention[sub]));
+  });
+}
+
+/**
+ * Renders one entry of conventions: naming, practices and anything else it holds
+ * @param {Object} value - conventions.<key> from rules.yaml
+ * @returns {string[]} - List lines
+ */
+function conventionLines(value) {
+  return [
+    ...namingLines(value && value.naming),
+    ...filled(value && value.practices).map(item => `- ${item}`),
+    ...bulletTree(omit(value, ['naming', 'practices']))
+  ];
+}
+
+/**
+ * Renders a markdown section, leaving it out when it has no lines
+ * @param {string} title - Section heading
+ * @param {string[]} lines - Section body
+ * @returns {string[]} - Section lines followed by a blank line
+ */
+function section(title, lines) {
+  return lines.length > 0 ? [`## ${title}`, '', ...lines, ''] : [];
+}
+
+/**
+ * Renders a Cursor rule file
+ * @param {Object} rule - { description, globs, alwaysApply, title, lines }
+ * @returns {string} - .mdc content with front matter
+ */
+function renderMdc(rule) {
+  const lines = [
+    '---',
+    `description: ${rule.description}`,
+    `globs:${rule.globs ? ` ${rule.globs.join(',')}` : ''}`,
+    `alwaysApply: ${Boolean(rule.alwaysApply)}`,
+    '---',
+    '',
+    `# ${rule.title}`,
+    '',
+    `> ${GENERATED_NOTE}`,
+    '',
+    ...rule.lines
+  ];
+  return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Renders the Cursor rule files for the sections of rules.yaml. Sections
+ * without filled values produce no file.
+ * @param {Object} rules - Parsed rules.yaml
+ * @returns {Object[]} - { path, content } with paths relative to the project root
+ */
+function renderMdcRules(rules) {
+  const project = rules.project || {};
+  const documentation = rules.documentation || {};
+  const conventions = rules.conventions || {};
+  const testing = rules.testing || {};
+  const security = rules.security || {};
+  const workflow = rules.workflow || {};
+  const commitFormat = rules.commit_format || {};
+  const bullets = list => filled(list).map(item => `- ${item}`);
+  const languages = Object.keys(conventions).filter(key => LANGUAGE_GLOBS[key]);
+  const testLanguages = languages.filter(language => TEST_GLOBS[language]);
+  const candidates = [];
+
+  candidates.push({
+    name: 'project',
+    description: 'Project overview with its goal, technologies and key features',
+    alwaysApply: true,
+    title: isFilled(project.name) ? String(project.name) : 'Project',
+    lines: [
+      isFilled(project.type) ? `- **Type:** ${project.type}` : null,
+      isFilled(project.goal) ? `- **Goal:** ${project.goal}` : null,
+      filled(project.technologies).length > 0 ? `- **Technologies:** ${filled(project.technologies).join(', ')}` : null,
+      filled(project.features).length > 0 ? `- **Key features:** ${filled(project.features).join(', ')}` : null
+    ].filter(Boolean)
+  });
+
+  const locations = (Array.isArray(documentation.locations) ? documentation.locations : [])
+    .filter(location => location && isFilled(location.path))
+    .map(location => `- \`${location.path}\`${isFilled(location.purpose) ? `: ${location.purpose}` : ''}`);
+  candidates.push({
+    name: 'documentation',
+    description: 'Where project documentation and memory bank files live; apply when reading or updating docs',
+    title: 'Documentation',
+    lines: [
+      ...section('Locations', locations),
+      ...section('Memory Bank', filled(documentation.memory_bank_required_files).map(file => `- \`memory-bank/${file}\``))
+    ]
+  });
+
+  const others = Object.keys(conventions).filter(key => key !== 'general' && !LANGUAGE_GLOBS[key]);
+  candidates.push({
+    name: 'conventions',
+    description: 'General code conventions for every file',
+    alwaysApply: true,
+    title: 'Conventions',
+    lines: [
+      ...bullets(conventions.general),
+      '',
+      ...others.flatMap(key => section(LANGUAGE_LABELS[key] || label(key), conventionLines(conventions[key])))
+    ]
+  });
+
+  languages.forEach(language => {
+    const languageLabel = LANGUAGE_LABELS[language] || label(language);
+    candidates.push({
+      name: `conventions-${language.replace(/_/g, '-')}`,
+      description: `${languageLabel} naming and coding practices`,
+      globs: LANGUAGE_GLOBS[language],
+      title: `${languageLabel} Conventions`,
+      lines: conventionLines(conventions[language])
+    });
+  });
+
+  candidates.push({
+    name: 'testing',
+    description: 'Testing requirements; apply when writing or changing tests',
+    globs: (testLanguages.length > 0 ? testLanguages : Object.keys(TEST_GLOBS)).flatMap(language => TEST_GLOBS[language]),
+    title: 'Testing',
+    lines: [...bullets(testing.required), ...bulletTree(omit(testing, ['required']))]
+  });
+
+  const restricted = filled(security.restricted_files);
+  candidates.push({
+    name: 'security',
+    description: 'Security practices and files that must never be read or committed',
+    alwaysApply: true,
+    title: 'Security',
+    lines: [
+      restricted.length > 0 ? `- Never read, print or commit: ${restricted.map(file => `\`${file}\``).join(', ')}` : null,
+      ...bullets(security.practices),
+      ...bulletTree(omit(security, ['restricted_files', 'practices']))
+    ].filter(Boolean)
+  });
+
+  candidates.push({
+    name: 'architecture',
+    description: 'Architecture, routing and directory structure; apply when adding modules or features',
+    title: 'Architecture',
+    lines: bulletTree(rules.architecture)
+  });
+
+  candidates.push({
+    name: 'workflow',
+    description: 'Development workflow and CI expectations',
+    title: 'Workflow',
+    lines: [...bullets(workflow.process), ...bulletTree(omit(workflow, ['process']))]
+  });
+
+  candidates.push({
+    name: 'maintenance',
+    description: 'Which memory bank files to update and how to keep dependencies current',
+    title: 'Maintenance',
+    lines: bulletTree(rules.maintenance)
+  });
+
+  const commitExamples = filled(commitFormat.examples);
+  candidates.push({
+    name: 'commit-format',
+    description: 'Commit message format; apply when writing commit messages',
+    title: 'Commit Messages',
+    lines: [
+      ...(isFilled(commitFormat.pattern) ? ['```', String(commitFormat.pattern), '```', ''] : []),
+      filled(commitFormat.types).length > 0 ? `- Types: ${filled(commitFormat.types).join(', ')}` : null,
+      ...bulletTree(commitFormat.guidelines),
+      '',
+      ...section('Examples', commitExamples.flatMap(example => ['```', example, '```', '']))
+    ].filter(line => line !== null)
+  });
+
+  candidates.push({
+    name: 'instructions',
+    description: 'How to interpret and apply the project rules',
+    alwaysApply: true,
+    title: 'Instructions',
+    lines: bullets(rules.llm_instructions)
+  });
+
+  return candidates
+    .filter(rule => rule.lines.some(line => line.trim() !== ''))
+    .map(rule => ({ path: `${RULES_DIR}/${FILE_PREFIX}${rule.name}.mdc`, content: renderMdc(rule) }));
+}
+
+/**
+ * Checks whether a lockfile path is a rule file this module generates
+ * @param {string} file - Path relative to the project root, with "/" separators
+ * @returns {boolean} - Whether the path is a generated rule file
+ */
+function isGeneratedRule(file) {
+  return file.startsWith(`${RULES_DIR}/${FILE_PREFIX}`) && file.endsWith('.mdc');
+}
+
+/**
+ * Writes the Cursor rule files for rules.yaml. Files that are behind
+ * rules.yaml are rewritten, files for sections that no longer have content
+ * are removed, and files edited by hand are reported as drift and left alone
+ * unless forced. Running it again without changes writes nothing.
+ * @param {string} projectPath - Project root
+ * @param {Object} [options] - Generation options
+ * @param {boolean} [options.force] - Overwrite or remove rule files edited by hand
+ * @param {boolean} [options.dryRun] - Report without writing anything
+ * @returns {Promise<Object>} - Summary with per-file changes
+ * @throws {InstallerError} - If rules.yaml is missing or invalid
+ */
+async function generateRules(projectPath, options = {}) {
+  const { rules } = await loadRules(projectPath);
+  const lock = await readLock(projectPath);
+  const recorded = (lock && lock.generated) || {};
+  const outputs = renderMdcRules(rules);
+  const read = file => readFile(path.join(projectPath, ...file.split('/')), 'utf8').catch(() => null);
+  const edited = (file, current) => !recorded[file] || recorded[file].hash !== hashContent(current);
+
+  const changes = [];
+  const written = {};
+  const dropped = [];
+  const transaction = await beginTransaction(projectPath);
+
+  try {
+    for (const output of outputs) {
+      const current = await read(output.path);
+      const change = { file: output.path };
+
+      if (current === null) {
+        change.status = 'created';
+      } else if (current === output.content) {
+        change.status = 'unchanged';
+      } else if (!edited(output.path, current)) {
+        change.status = 'updated';
+      } else if (options.force) {
+        change.status = 'updated';
+        change.detail = 'local edits overwritten';
+      } else {
+        change.status = 'drift';
+        change.detail = 'edited directly; edit rules.yaml instead, or use --force to overwrite';
+      }
+
+      if (change.status === 'created' || change.status === 'updated') {
+        await stageContent(transaction, path.join(...output.path.split('/')), output.content);
+        written[output.path] = output.content;
+      }
+      changes.push(change);
+    }
+
+    // Rule files generated earlier for sections that are now empty
+    const stale = Object.keys(recorded).filter(file => isGeneratedRule(file) && !outputs.some(output => output.path === file));
+    for (const file of stale) {
+      const current = await read(file);
+      if (current === null) {
+        dropped.push(file);
+      } else if (!edited(file, current) || options.force) {
+        stageRemoval(transaction, path.join(...file.split('/')));
+        dropped.push(file);
+        changes.push({ file, status: 'removed', detail: 'section no longer in rules.yaml' });
+      } else {
+        changes.push({
+          file,
+          status: 'drift',
+          detail: 'section no longer in rules.yaml, but the file was edited; remove it or use --force'
+        });
+      }
+    }
+
+    // Record what was written so the next run can tell it from hand edits
+    if (lock && (Object.keys(written).length > 0 || dropped.length > 0)) {
+      await stageFile(transaction, LOCK_FILE, path.join(projectPath, LOCK_FILE));
+      Object.keys(written).forEach(file => recordGenerated(lock, file, written[file], 'cursor'));
+      dropped.forEach(file => delete lock.generated[file]);
+      await writeLock(transaction.filesDir, lock);
+    }
+
+    const staged = transaction.files.length + transaction.removals.length;
+    if (options.dryRun || staged === 0) {
+      await discardTransaction(transaction);
+    } else {
+      await commitTransaction(transaction);
+    }
+  } catch (error) {
+    await rollbackTransaction(transaction);
+    if (error instanceof InstallerError) {
+      throw error;
+    }
+    throw new InstallerError(
+      `Failed to generate rule files: ${error.message}`,
+      'GENERATE_FAILED'
+    );
+  }
+
+  changes.sort((a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) || a.file.localeCompare(b.file));
+
+  return { projectPath, dryRun: Boolean(options.dryRun), changes };
+}
+
+module.exports = {
+  RULES_DIR,
+  STATUSES,
+  renderMdcRules,
+  generateRules
+};
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { DEFAULT_TEMPLATE, listTemplates } = require('./template-registry');
+
+const readFile = promisify(fs.readFile);
+const stat = promisify(fs.stat);
+
+// Human-readable names for the stacks the detector knows about
+const STACK_LABELS = {
+  nextjs: 'Next.js',
+  react: 'React',
+  vite: 'Vite',
+  node: 'Node.js',
+  python: 'Python',
+  go: 'Go',
+  rust: 'Rust'
+};
+
+// Python frameworks recognised in dependency manifests
+const PYTHON_FRAMEWORKS = ['fastapi', 'django', 'flask'];
+
+/**
+ * Reads a file relative to the project, returning null when it is missing
+ * @param {string} projectPath - Project root
+ * @param {string} file - Relative file path
+ * @returns {Promise<string|null>} - File contents or null
+ */
+async function readOptional(projectPath, file) {
+  try {
+    return await readFile(path.join(projectPath, file), 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a relative path is an existing directory
+ * @param {string} projectPath - Project root
+ * @param {string} dir - Relative directory path
+ * @returns {Promise<boolean>} - Whether the directory exists
+ */
+async function isDirectory(projectPath, dir) {
+  try {
+    const stats = await stat(path.join(projectPath, dir));
+    return stats.isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Determines which Next.js router a project uses from its directory layout
+ * @param {string} projectPath - Project root
+ * @returns {Promise<string|null>} - 'app', 'pages', 'hybrid' or null
+ */
+async function detectRouter(projectPath) {
+  const hasApp = await isDirectory(projectPath, 'app') || await isDirectory(projectPath, 'src/app');
+  const hasPages = await isDirectory(projectPath, 'pages') || await isDirectory(projectPath, 'src/pages');
+
+  if (hasApp && hasPages) return 'hybrid';
+  if (hasApp) return 'app';
+  if (hasPages) return 'pages';
+  return null;
+}
+
+/**
+ * Inspects a project directory and scores every stack it finds evidence for
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object>} - Detection result with stack, candidates and details
+ */
+async function detectStack(projectPath) {
+  const candidates = {};
+  const details = {};
+
+  const addSignal = (stack, score, reason) => {
+    if (!candidates[stack]) {
+      candidates[stack] = { stack, label: STACK_LABELS[stack], score: 0, reasons: [] };
+    }
+    candidates[stack].score += score;
+    candidates[stack].reasons.push(reason);
+  };
+
+  // JavaScript ecosystem
+  const packageJsonContent = await readOptional(projectPath, 'package.json');
+  if (packageJsonContent !== null) {
+    let packageJson = {};
+    try {
+      packageJson = JSON.parse(packageJsonContent);
+    } catch (error) {
+      // An unparseable package.json still says "Node.js"
+    }
+    const deps = Object.assign({}, packageJson.dependencies, packageJson.devDependencies);
+
+    addSignal('node', 1, 'package.json found');
+    if (deps.next) {
+      addSignal('nextjs', 10, `package.json depends on next@${deps.next}`);
+      details.nextVersion = deps.next;
+
+      const router = await detectRouter(projectPath);
+      if (router) {
+        details.router = router;
+        const routerNames = { app: 'App Router (app/)', pages: 'Pages Router (pages/)', hybrid: 'App and Pages Routers' };
+        addSignal('nextjs', 2, `uses the ${routerNames[router]}`);
+      }
+    }
+    if (deps.react) {
+      addSignal('react', 5, `package.json depends on react@${deps.react}`);
+    }
+    if (deps.vite) {
+      addSignal('vite', 5, `package.json depends on vite@${deps.vite}`);
+    }
+  }
+
+  // Python ecosystem
+  const pythonManifests = ['pyproject.toml', 'requirements.txt', 'setup.py', 'Pipfile'];
+  for (const manifest of pythonManifests) {
+    const content = await readOptional(projectPath, manifest);
+    if (content === null) continue;
+
+    addSignal('python', manifest === 'pyproject.toml' ? 8 : 6, `${manifest} found`);
+
+    const framework = PYTHON_FRAMEWORKS.find(name => new RegExp(`(^|[\\s"'\\[,])${name}(?![\\w-])`, 'im').test(content));
+    if (framework && !details.pythonFramework) {
+      details.pythonFramework = framework;
+      addSignal('python', 1, `${manifest} references ${framework}`);
+    }
+  }
+
+  // Go and Rust
+  if (await readOptional(projectPath, 'go.mod') !== null) {
+    addSignal('go', 10, 'go.mod found');
+  }
+  if (await readOptional(projectPath, 'Cargo.toml') !== null) {
+    addSignal('rust', 10, 'Cargo.toml found');
+  }
+
+  const ranked = Object.values(candidates).sort((a, b) => b.score - a.score);
+
+  return {
+    stack: ranked.length > 0 ? ranked[0].stack : null,
+    candidates: ranked,
+    details
+  };
+}
+
+/**
+ * Picks the template that best matches a project's detected stack
+ * @param {string} projectPath - Project root
+ * @param {Object} [options] - Template lookup options (templateDir)
+ * @returns {Promise<Object>} - Selection with template name, detection result and reasons
+ */
+async function selectTemplate(projectPath, options = {}) {
+  const detection = await detectStack(projectPath);
+  const templates = await listTemplates({ templateDir: options.templateDir, projectPath });
+
+  // Walk candidates from strongest to weakest until one has a template
+  for (const candidate of detection.candidates) {
+    const template = templates.find(t => t.detect.includes(candidate.stack));
+    if (template) {
+      return {
+        template: template.name,
+        detection,
+        reasons: candidate.reasons,
+        fallback: false
+      };
+    }
+  }
+
+  const reasons = detection.stack
+    ? [...detection.candidates[0].reasons, `no template matches ${STACK_LABELS[detection.stack]}, falling back to ${DEFAULT_TEMPLATE}`]
+    : [`no known stack detected, falling back to ${DEFAULT_TEMPLATE}`];
+
+  return {
+    template: DEFAULT_TEMPLATE,
+    detection,
+    reasons,
+    fallback: true
+  };
+}
+
+module.exports = {
+  STACK_LABELS,
+  detectStack,
+  selectTemplate
+};
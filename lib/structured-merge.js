@@ -0,0 +1,257 @@
+/**
+ * Two-way structural merges used when scaffolding over existing files:
+ * existing content always wins, and only keys or sections the existing
+ * file lacks are taken from the template. With the replace option the
+ * incoming document wins instead, which is how template layers extend the
+ * files of the layers below them.
+ */
+
+const yaml = require('./utils/yaml');
+
+/**
+ * Checks whether a YAML line carries content (not blank, not a comment)
+ * @param {string} line - Line to check
+ * @returns {boolean} - Whether the line is significant
+ */
+function isSignificant(line) {
+  const trimmed = line.trim();
+  return trimmed !== '' && !trimmed.startsWith('#');
+}
+
+/**
+ * Finds the mapping keys of a YAML document with the lines they span
+ * @param {string[]} lines - Document lines
+ * @returns {Object} - Map of dotted key path to { start, end, indent } where
+ *   start includes the comment lines directly above the key and end is exclusive
+ */
+function keyBlocks(lines) {
+  const locations = {};
+  yaml.parse(lines.join('\n'), { locations });
+
+  const blocks = {};
+  Object.keys(locations)
+    .filter(keyPath => !keyPath.split('.').some(part => /^\d+$/.test(part)))
+    .forEach(keyPath => {
+      const keyLine = locations[keyPath] - 1;
+      const indent = lines[keyLine].match(/^ */)[0].length;
+
+      let start = keyLine;
+      while (start > 0 && lines[start - 1].trim().startsWith('#') && lines[start - 1].match(/^ */)[0].length === indent) {
+        start--;
+      }
+
+      let end = keyLine + 1;
+      let lastSignificant = keyLine;
+      for (; end < lines.length; end++) {
+        const line = lines[end];
+        if (!isSignificant(line)) continue;
+        const lineIndent = line.match(/^ */)[0].length;
+        // Block sequences may sit at the same indentation as their key
+        if (lineIndent < indent || (lineIndent === indent && !line.trim().startsWith('- '))) break;
+        lastSignificant = end;
+      }
+
+      blocks[keyPath] = { start, keyLine, end: lastSignificant + 1, indent };
+    });
+
+  return blocks;
+}
+
+/**
+ * Merges YAML documents key by key. Keys missing from the existing document
+ * are copied from the incoming one, with their comments, into the matching
+ * parent mapping; values of keys that already exist are never changed unless
+ * options.replace is set.
+ * @param {string} existing - Existing document
+ * @param {string} incoming - Template document
+ * @param {Object} [options] - { replace } swaps in the incoming value of keys
+ *   both documents have, unless both values are mappings (those are merged)
+ * @returns {Object} - { content, added, replaced } where added and replaced
+ *   list the dotted key paths copied
+ * @throws {YamlError} - If either document is not valid YAML
+ */
+function mergeYamlKeys(existing, incoming, options = {}) {
+  const existingValue = yaml.parse(existing) || {};
+  const incomingValue = yaml.parse(incoming) || {};
+  const isMap = value => value && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isMap(existingValue) || !isMap(incomingValue)) {
+    return { content: existing, added: [], replaced: [] };
+  }
+
+  const lines = existing.split('\n');
+  const incomingLines = incoming.split('\n');
+  const existingBlocks = keyBlocks(lines);
+  const incomingBlocks = keyBlocks(incomingLines);
+  const insertions = [];
+  const added = [];
+  const replaced = [];
+
+  // Collect missing keys, outermost first; children of added keys come along
+  const walk = (current, template, prefix) => {
+    Object.keys(template).forEach(key => {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      if (!(key in current)) {
+        if (incomingBlocks[keyPath]) {
+          added.push(keyPath);
+          insertions.push({ parent: prefix, keyPath });
+        }
+      } else if (isMap(current[key]) && isMap(template[key])) {
+        walk(current[key], template[key], keyPath);
+      } else if (options.replace && existingBlocks[keyPath] && incomingBlocks[keyPath]
+        && JSON.stringify(current[key]) !== JSON.stringify(template[key])) {
+        replaced.push(keyPath);
+      }
+    });
+  };
+  walk(existingValue, incomingValue, '');
+
+  // Insert from the bottom up so earlier line numbers stay valid
+  let lastLine = lines.length;
+  while (lastLine > 0 && lines[lastLine - 1].trim() === '') lastLine--;
+
+  const positioned = insertions.map(insertion => {
+    const block = incomingBlocks[insertion.keyPath];
+    const text = incomingLines.slice(block.start, block.end);
+    if (!insertion.parent) {
+      return { at: lastLine, text: ['', ...text], order: block.start, top: 1 };
+    }
+
+    // Re-indent to match the existing children of the parent mapping
+    const parent = existingBlocks[insertion.parent];
+    const sibling = Object.keys(existingBlocks)
+      .filter(keyPath => keyPath.startsWith(`${insertion.parent}.`) && keyPath.split('.').length === insertion.parent.split('.').length + 1)
+      .map(keyPath => existingBlocks[keyPath])[0];
+    const shift = (sibling ? sibling.indent : parent.indent + 2) - block.indent;
+    const reindented = text.map(line => (line.trim() === '' ? line : shift >= 0 ? ' '.repeat(shift) + line : line.slice(-shift)));
+    return { at: parent.end, text: reindented, order: block.start, top: 0 };
+  });
+
+  // Replaced keys keep their place, indentation and, unless the incoming key
+  // has its own, their comments
+  replaced.forEach(keyPath => {
+    const current = existingBlocks[keyPath];
+    const block = incomingBlocks[keyPath];
+    const shift = current.indent - block.indent;
+    const text = incomingLines.slice(block.start, block.end)
+      .map(line => (line.trim() === '' ? line : shift >= 0 ? ' '.repeat(shift) + line : line.slice(-shift)));
+    const from = block.start < block.keyLine ? current.start : current.keyLine;
+    positioned.push({ at: from, remove: current.end - from, text, order: block.start, top: 0 });
+  });
+
+  // Nested keys may share a position with keys appended at the end; they go first
+  positioned
+    .sort((a, b) => b.at - a.at || b.top - a.top || b.order - a.order)
+    .forEach(insertion => {
+      lines.splice(insertion.at, insertion.remove || 0, ...insertion.text);
+    });
+
+  // Keep a single trailing newline when appending at the end
+  const content = lines.join('\n').replace(/\n*$/, existing.endsWith('\n') ? '\n' : '');
+  return { content, added, replaced };
+}
+
+/**
+ * Splits markdown into the part before the first "##" heading and the
+ * sections that follow, ignoring headings inside code fences
+ * @param {string} content - Markdown document
+ * @returns {Object} - { head, sections: [{ title, lines }] }
+ */
+function splitSections(content) {
+  const head = [];
+  const sections = [];
+  let inFence = false;
+
+  content.split('\n').forEach(line => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{2,6})\s+(.*?)\s*#*\s*$/);
+
+    if (heading) {
+      sections.push({ title: `${heading[1]} ${heading[2].toLowerCase()}`, lines: [line] });
+    } else if (sections.length > 0) {
+      sections[sections.length - 1].lines.push(line);
+    } else {
+      head.push(line);
+    }
+  });
+
+  return { head, sections };
+}
+
+/**
+ * Merges markdown documents section by section. Sections (headings of level
+ * two and below) missing from the existing document are inserted after the
+ * section that precedes them in the template; existing sections are kept as
+ * is unless options.replace is set.
+ * @param {string} existing - Existing document
+ * @param {string} incoming - Template document
+ * @param {Object} [options] - { replace } swaps in the incoming body of
+ *   sections both documents have, and the incoming text before the first
+ *   section when it has any
+ * @returns {Object} - { content, added, replaced } where added and replaced
+ *   list the headings copied
+ */
+function mergeMarkdownSections(existing, incoming, options = {}) {
+  const current = splitSections(existing);
+  const template = splitSections(incoming);
+  const titles = new Set(current.sections.map(section => section.title));
+  const result = current.sections.slice();
+  const added = [];
+  const replaced = [];
+  let head = current.head;
+
+  if (options.replace && template.head.some(line => line.trim() !== '')
+    && template.head.join('\n').trim() !== current.head.join('\n').trim()) {
+    head = template.head;
+    replaced.push('(introduction)');
+  }
+
+  template.sections.forEach((section, index) => {
+    if (titles.has(section.title)) {
+      const position = result.findIndex(s => s.title === section.title);
+      const body = lines => lines.join('\n').trim();
+      if (options.replace && body(result[position].lines) !== body(section.lines)) {
+        result[position] = { title: section.title, lines: section.lines.slice() };
+        replaced.push(section.lines[0].replace(/^#+\s*/, ''));
+      }
+      return;
+    }
+
+    // Place it after the nearest preceding template section the result already has
+    let at = 0;
+    for (let i = index - 1; i >= 0; i--) {
+      const position = result.findIndex(s => s.title === template.sections[i].title);
+      if (position !== -1) {
+        at = position + 1;
+        break;
+      }
+    }
+    if (at === 0 && index > 0) at = result.length;
+
+    const lines = section.lines.slice();
+    if (lines[lines.length - 1] !== '') lines.push('');
+    result.splice(at, 0, { title: section.title, lines });
+    titles.add(section.title);
+    added.push(section.lines[0].replace(/^#+\s*/, ''));
+  });
+
+  if (added.length === 0 && replaced.length === 0) {
+    return { content: existing, added, replaced };
+  }
+
+  // Sections need a blank line before the next heading
+  result.forEach((section, index) => {
+    const last = section.lines[section.lines.length - 1];
+    if (index < result.length - 1 && last !== '') section.lines.push('');
+  });
+  head = head.slice();
+  if (result.length > 0 && head.length > 0 && head[head.length - 1] !== '') head.push('');
+
+  const content = head.concat(...result.map(section => section.lines)).join('\n').replace(/\n*$/, '\n');
+  return { content, added, replaced };
+}
+
+module.exports = {
+  mergeYamlKeys,
+  mergeMarkdownSections
+};
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { userConfigDir, readConfig, readUserConfig } = require('./config');
+const { mergeYamlKeys, mergeMarkdownSections } = require('./structured-merge');
+const { matchGlob } = require('./utils/glob');
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+const readdir = promisify(fs.readdir);
+const readFile = promisify(fs.readFile);
+
+// Directory holding the built-in templates, one sub-directory per template
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+// Directory of local templates inside the user config directory
+const USER_TEMPLATES_DIR = 'templates';
+
+// Manifest describing a template; never copied into the target project
+const MANIFEST_FILE = 'template.json';
+
+// Template used when none is requested
+const DEFAULT_TEMPLATE = 'next';
+
+/**
+ * Normalizes a directory option to a list
+ * @param {string|string[]} [value] - One directory or several
+ * @returns {string[]} - Directories
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  return value ? [value] : [];
+}
+
+/**
+ * Resolves a directory, expanding a leading ~ to the home directory
+ * @param {string} dir - Directory as configured
+ * @param {string} base - Directory relative paths are resolved against
+ * @returns {string} - Absolute path
+ */
+function resolveDir(dir, base) {
+  const expanded = dir === '~' || dir.startsWith('~/') || dir.startsWith(`~${path.sep}`)
+    ? path.join(os.homedir(), dir.slice(1))
+    : dir;
+  return path.resolve(base, expanded);
+}
+
+/**
+ * Lists the directories templates are read from, lowest precedence first:
+ * the built-in templates, the template packs listed in the user config,
+ * the user's own templates, then the project's template directories
+ * @param {Object} [options] - Lookup options
+ * @param {string|string[]} [options.templateDir] - Template directories given
+ *   on the command line, relative to the working directory
+ * @param {string} [options.projectPath] - Project whose .ai-init.json
+ *   templateDirs apply when no templateDir is given
+ * @returns {Promise<Object[]>} - Sources as { dir, required }, where required
+ *   sources must exist
+ */
+async function templateSources(options = {}) {
+  const userDir = userConfigDir();
+  const userConfig = await readUserConfig();
+  const sources = [{ dir: TEMPLATES_DIR, required: true }];
+
+  toList(userConfig.templateDirs).forEach(dir => {
+    sources.push({ dir: resolveDir(dir, userDir), required: true });
+  });
+  sources.push({ dir: path.join(userDir, USER_TEMPLATES_DIR), required: false });
+
+  let projectDirs = toList(options.templateDir).map(dir => resolveDir(dir, process.cwd()));
+  if (projectDirs.length === 0 && options.projectPath) {
+    const config = await readConfig(options.projectPath);
+    projectDirs = toList(config.templateDirs).map(dir => resolveDir(dir, options.projectPath));
+  }
+  projectDirs.forEach(dir => sources.push({ dir, required: true }));
+
+  return sources;
+}
+
+/**
+ * Reads the manifest of a template directory
+ * @param {string} templatePath - Path to the template directory
+ * @returns {Promise<Object>} - Manifest, or an empty object when there is none
+ */
+async function readManifest(templatePath) {
+  try {
+    const content = await readFile(path.join(templatePath, MANIFEST_FILE), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new InstallerError(
+        `Invalid template manifest for ${path.basename(templatePath)}: ${error.message}`,
+        'INVALID_TEMPLATE_MANIFEST'
+      );
+    }
+    return {};
+  }
+}
+
+/**
+ * Builds a template descriptor from its combined manifest and layers
+ * @param {Object} manifest - Manifest fields, higher layers winning
+ * @param {Object[]} layers - Layers as { dir, remove, extend }, lowest precedence first
+ * @returns {Object} - Template descriptor
+ */
+function describeTemplate(manifest, layers) {
+  return {
+    name: manifest.name,
+    description: manifest.description || '',
+    stack: manifest.stack || 'generic',
+    detect: manifest.detect || [manifest.stack || 'generic'],
+    // Built-in templates are versioned with the package
+    version: manifest.version || PACKAGE_VERSION,
+    // Globs of the files whose <%= variables %> are substituted on install
+    render: manifest.render || [],
+    // Highest-precedence directory of the template
+    path: layers[layers.length - 1].dir,
+    layers
+  };
+}
+
+/**
+ * Discovers every available template. A template directory with the name of
+ * a template from a lower-precedence source is layered over it; one whose
+ * manifest has "extends" is layered over the named template instead, and
+ * "extends": null makes it stand alone.
+ * @param {Object} [options] - Lookup options (templateDir, projectPath)
+ * @returns {Promise<Object[]>} - Template descriptors sorted by name
+ * @throws {InstallerError} - If a template directory is missing or a template
+ *   extends one that does not exist
+ */
+async function listTemplates(options = {}) {
+  const found = new Map();
+
+  for (const source of await templateSources(options)) {
+    let entries;
+    try {
+      entries = await readdir(source.dir, { withFileTypes: true });
+    } catch (error) {
+      if (!source.required) continue;
+      throw new InstallerError(
+        `Template directory not found: ${source.dir}`,
+        'TEMPLATE_DIR_NOT_FOUND'
+      );
+    }
+
+    const layers = [];
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      const dir = path.join(source.dir, entry.name);
+      const manifest = await readManifest(dir);
+      const name = manifest.name || entry.name;
+      layers.push({ dir, manifest, name, base: manifest.extends === undefined ? name : manifest.extends });
+    }
+
+    // Templates extending another one from the same source go after it
+    layers.sort((a, b) => (a.base !== a.name) - (b.base !== b.name) || a.name.localeCompare(b.name));
+
+    for (const layer of layers) {
+      const base = layer.base ? found.get(layer.base) : null;
+      if (layer.base && layer.base !== layer.name && !base) {
+        throw new InstallerError(
+          `Template ${layer.name} in ${source.dir} extends unknown template: ${layer.base}`,
+          'UNKNOWN_TEMPLATE'
+        );
+      }
+
+      // Layering keys describe this layer only and are not inherited
+      const fields = { ...layer.manifest };
+      delete fields.extends;
+      delete fields.remove;
+      delete fields.extend;
+      const inherited = base ? { ...base.manifest } : {};
+      // Stack detection picks derived templates only when they ask for it
+      if (layer.base !== layer.name) inherited.detect = [];
+
+      found.set(layer.name, {
+        // Files marked for rendering add up across layers
+        manifest: { ...inherited, ...fields, name: layer.name, render: [...toList(inherited.render), ...toList(fields.render)] },
+        layers: [...(base ? base.layers : []), { dir: layer.dir, remove: toList(layer.manifest.remove), extend: toList(layer.manifest.extend) }]
+      });
+    }
+  }
+
+  return Array.from(found.values())
+    .map(template => describeTemplate(template.manifest, template.layers))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Looks up a template by name
+ * @param {string} [name] - Template name, defaults to DEFAULT_TEMPLATE
+ * @param {Object} [options] - Lookup options (templateDir, projectPath)
+ * @returns {Promise<Object>} - Template descriptor
+ * @throws {InstallerError} - If no template with that name exists
+ */
+async function resolveTemplate(name = DEFAULT_TEMPLATE, options = {}) {
+  const templates = await listTemplates(options);
+  const template = templates.find(t => t.name === name);
+
+  if (!template) {
+    throw new InstallerError(
+      `Unknown template: ${name}`,
+      'UNKNOWN_TEMPLATE',
+      { errors: [`Available templates: ${templates.map(t => t.name).join(', ')}`] }
+    );
+  }
+
+  return template;
+}
+
+/**
+ * Recursively gets all files in a directory
+ * @param {string} dir - Directory to get files from
+ * @returns {Promise<string[]>} - Array of file paths
+ */
+async function getAllFiles(dir) {
+  const result = [];
+  
+  try {
+    const entries = await readdir(dir, { withFileTypes: true });
+    
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      
+      if (entry.isDirectory()) {
+        const subDirFiles = await getAllFiles(fullPath);
+        result.push(...subDirFiles);
+      } else {
+        result.push(fullPath);
+      }
+    }
+  } catch (error) {
+    throw new Error(`Failed to read directory: ${error.message}`);
+  }
+  
+  return result;
+}
+
+/**
+ * Merges a layer's file over the same file of the layers below: YAML key by
+ * key and markdown section by section, the layer's values winning
+ * @param {string} relative - Path relative to the template
+ * @param {string} lower - Content of the layers below
+ * @param {string} file - Layer file
+ * @returns {Promise<string>} - Merged content
+ * @throws {InstallerError} - If the file is neither YAML nor markdown, or
+ *   does not parse
+ */
+async function extendFile(relative, lower, file) {
+  const content = await readFile(file, 'utf8');
+  const extension = path.extname(relative).toLowerCase();
+
+  try {
+    if (extension === '.yaml' || extension === '.yml') {
+      return mergeYamlKeys(lower, content, { replace: true }).content;
+    }
+    if (extension === '.md') {
+      return mergeMarkdownSections(lower, content, { replace: true }).content;
+    }
+  } catch (error) {
+    throw new InstallerError(
+      `Failed to extend ${relative} with ${file}: ${error.message}`,
+      'TEMPLATE_EXTEND_FAILED'
+    );
+  }
+
+  throw new InstallerError(
+    `Cannot extend ${relative} with ${file}`,
+    'TEMPLATE_EXTEND_FAILED',
+    { errors: ['Only YAML and markdown files can be listed under "extend"; other files replace the lower ones'] }
+  );
+}
+
+/**
+ * Gets the files of a template that belong in the target project. Each layer
+ * first drops the files and directories its manifest lists under "remove",
+ * then adds its own files, replacing lower layers' files at the same path;
+ * files matching its "extend" globs are merged over the lower ones instead.
+ * @param {Object} template - Template descriptor
+ * @returns {Promise<Object[]>} - { path, file } entries sorted by path, where
+ *   path is relative to the project and file is the layer file to copy;
+ *   extended files also carry the merged content
+ * @throws {InstallerError} - If an extended file cannot be merged
+ */
+async function getTemplateFiles(template) {
+  const files = new Map();
+
+  for (const layer of template.layers) {
+    layer.remove.map(entry => path.join(...entry.split('/'))).forEach(removed => {
+      Array.from(files.keys())
+        .filter(relative => relative === removed || relative.startsWith(`${removed}${path.sep}`))
+        .forEach(relative => files.delete(relative));
+    });
+
+    for (const file of await getAllFiles(layer.dir)) {
+      const relative = path.relative(layer.dir, file);
+      if (relative === MANIFEST_FILE) continue;
+
+      const lower = files.get(relative);
+      const posixPath = relative.split(path.sep).join('/');
+      if (lower && layer.extend.some(glob => matchGlob(posixPath, glob))) {
+        const content = lower.content !== undefined ? lower.content : await readFile(lower.file, 'utf8');
+        files.set(relative, { file, content: await extendFile(relative, content, file) });
+      } else {
+        files.set(relative, { file });
+      }
+    }
+  }
+
+  return Array.from(files.keys()).sort().map(relative => ({ path: relative, ...files.get(relative) }));
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  DEFAULT_TEMPLATE,
+  templateSources,
+  listTemplates,
+  resolveTemplate,
+  getTemplateFiles
+};
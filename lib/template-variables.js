@@ -0,0 +1,128 @@
+/**
+ * Template variables
+ *
+ * Files a template marks for rendering (the "render" globs of its
+ * template.json) may use <%= name %> variables, which are filled in when the
+ * file is installed. The syntax is kept apart from the {{PLACEHOLDER}} slots,
+ * which are left in place for an AI assistant to fill from the codebase.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { matchGlob } = require('./utils/glob');
+const { runGit } = require('./utils/git');
+const { version: PACKAGE_VERSION } = require('../package.json');
+
+const readFile = promisify(fs.readFile);
+const stat = promisify(fs.stat);
+
+// Matches <%= name %> variables, and <%% as an escaped literal <%
+const VARIABLE_PATTERN = /<%(?:(%)|=\s*([A-Za-z][A-Za-z0-9_]*)\s*%>)/g;
+
+/**
+ * Reads the git user name configured for a directory
+ * @param {string} cwd - Directory to ask git in
+ * @returns {string} - User name, or an empty string when git has none
+ */
+function gitAuthor(cwd) {
+  return (runGit(['config', 'user.name'], cwd) || '').trim();
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} - Formatted date
+ */
+function formatDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Collects the variable values for an install
+ * @param {string} projectPath - Project root
+ * @param {Object} template - Template descriptor
+ * @param {Object} [metadata] - Normalized project metadata
+ * @param {Date} [now] - Date of the install
+ * @returns {Object} - { projectName, date, year, author, aiInitVersion, template }
+ */
+function templateVariables(projectPath, template, metadata, now = new Date()) {
+  return {
+    projectName: (metadata && metadata.name) || path.basename(projectPath),
+    date: formatDate(now),
+    year: String(now.getFullYear()),
+    author: gitAuthor(projectPath),
+    aiInitVersion: PACKAGE_VERSION,
+    template: template.name
+  };
+}
+
+/**
+ * Checks whether a template marks a file for rendering
+ * @param {Object} template - Template descriptor
+ * @param {string} relativePath - Path relative to the project root
+ * @returns {boolean} - Whether variables in the file are substituted
+ */
+function isRendered(template, relativePath) {
+  const posixPath = relativePath.split(path.sep).join('/');
+  return (template.render || []).some(glob => matchGlob(posixPath, glob));
+}
+
+/**
+ * Substitutes variables in file content
+ * @param {string} content - File content
+ * @param {Object} variables - Variable values by name
+ * @param {string} file - Path used in error messages
+ * @returns {string} - Rendered content
+ * @throws {InstallerError} - If the content uses an unknown variable
+ */
+function renderVariables(content, variables, file) {
+  return content.replace(VARIABLE_PATTERN, (match, escape, name) => {
+    if (escape) {
+      return '<%';
+    }
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      throw new InstallerError(
+        `Unknown template variable "${name}" in ${file}`,
+        'UNKNOWN_VARIABLE',
+        { errors: [`Available variables: ${Object.keys(variables).join(', ')}`] }
+      );
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Renders the files a template marks for rendering
+ * @param {Object[]} templateFiles - Template files as { path, file, content }
+ * @param {Object} template - Template descriptor
+ * @param {Object} variables - Variable values by name
+ * @returns {Promise<Object[]>} - The same entries, with the rendered content
+ *   added as content to the marked ones and the template file's mode as mode,
+ *   so rendered scripts stay executable
+ * @throws {InstallerError} - If a marked file uses an unknown variable
+ */
+async function renderTemplateFiles(templateFiles, template, variables) {
+  const rendered = [];
+  for (const entry of templateFiles) {
+    if (isRendered(template, entry.path)) {
+      const content = entry.content !== undefined ? entry.content : await readFile(entry.file, 'utf8');
+      const { mode } = await stat(entry.file);
+      rendered.push({ ...entry, content: renderVariables(content, variables, entry.path), mode });
+    } else {
+      rendered.push(entry);
+    }
+  }
+  return rendered;
+}
+
+module.exports = {
+  VARIABLE_PATTERN,
+  formatDate,
+  templateVariables,
+  isRendered,
+  renderVariables,
+  renderTemplateFiles
+};
@@ -0,0 +1,27 @@
+#!/bin/bash
+# AI Project Scaffolding Validator
+# Delegates to the cross-platform `ai-init validate` command, which checks the
+# directory structure, required files, rules.yaml, .mdc rule blocks and content.
+# Runs the project's own ai-init from node_modules/.bin, else the one on PATH;
+# nothing is downloaded.
+#
+# Usage: mem-scripts/validate.sh [--json]
+# Exit codes: 0 = fully compliant, 1 = warnings only, 2 = errors
+
+# Version this project was scaffolded with
+AI_INIT_VERSION="<%= aiInitVersion %>"
+PROJECT_ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+
+if [ -x "$PROJECT_ROOT/node_modules/.bin/ai-init" ]; then
+  exec "$PROJECT_ROOT/node_modules/.bin/ai-init" validate "$PROJECT_ROOT" "$@"
+fi
+
+if command -v ai-init >/dev/null 2>&1; then
+  exec ai-init validate "$PROJECT_ROOT" "$@"
+fi
+
+echo "Error: ai-init is not installed." >&2
+echo "Install the version this project was scaffolded with, then run this script again:" >&2
+echo "  npm install --save-dev ai-init@$AI_INIT_VERSION   (or: npm install --global ai-init@$AI_INIT_VERSION)" >&2
+echo "Or run it once without installing: npx ai-init@$AI_INIT_VERSION validate" >&2
+exit 2
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { readConfig } = require('./config');
+const { LOCK_FILE, hashContent, readLock, writeLock, recordGenerated } = require('./lockfile');
+const { resolveTools, resolveLinkMode, detectLinkMode, toolOutputs } = require('./tool-targets');
+const { resolveExtends } = require('./workspace');
+const {
+  beginTransaction,
+  stageFile,
+  stageContent,
+  commitTransaction,
+  rollbackTransaction,
+  discardTransaction
+} = require('./transaction');
+const yaml = require('./utils/yaml');
+const { createSymlink } = require('./utils/file-operations');
+
+const readFile = promisify(fs.readFile);
+const readlink = promisify(fs.readlink);
+const lstat = promisify(fs.lstat);
+const stat = promisify(fs.stat);
+
+// Order in which output statuses are reported
+const STATUSES = ['created', 'updated', 'drift', 'unchanged'];
+
+/**
+ * Works out what sync should do with one tool output
+ * @param {Object} output - Tool output ({ path, tool, symlink | render })
+ * @param {string} projectPath - Project root
+ * @param {Object} context - { rulesContent, rules, rulesStats, recorded, force }
+ * @returns {Promise<Object>} - { status, detail, content, link } where content
+ *   is what to write and link is set when a missing link should be created
+ */
+async function planOutput(output, projectPath, context) {
+  const relativePath = path.join(...output.path.split('/'));
+  const destPath = path.join(projectPath, relativePath);
+  const stats = await lstat(destPath).catch(() => null);
+  const expected = output.symlink ? context.rulesContent : output.render(context.rules);
+
+  if (!stats) {
+    return output.symlink ? { status: 'created', link: true } : { status: 'created', content: expected };
+  }
+
+  if (stats.isSymbolicLink()) {
+    const target = await readlink(destPath);
+    if (output.symlink && target === output.symlink) {
+      return { status: 'unchanged' };
+    }
+    return { status: 'drift', detail: `symlink to ${target}; expected ${output.symlink || 'a generated file'}` };
+  }
+
+  // Hard links share the file with rules.yaml, so they never fall behind
+  if (output.symlink && stats.ino === context.rulesStats.ino && stats.dev === context.rulesStats.dev) {
+    return { status: 'unchanged' };
+  }
+
+  const current = await readFile(destPath, 'utf8');
+  if (current === expected) {
+    return { status: 'unchanged', content: expected };
+  }
+
+  const recorded = context.recorded[output.path];
+  if (recorded && recorded.hash === hashContent(current)) {
+    return { status: 'updated', content: expected };
+  }
+  // Checkouts with core.symlinks=false turn symlinks into files holding the target
+  if (output.symlink && current.trim() === output.symlink) {
+    return { status: 'updated', content: expected, detail: 'replaced a symlink checked out as a plain file' };
+  }
+  if (context.force) {
+    return { status: 'updated', content: expected, detail: 'local edits overwritten' };
+  }
+  return { status: 'drift', detail: 'edited directly; edit rules.yaml instead, or use --force to overwrite' };
+}
+
+/**
+ * Reads and parses the rules.yaml of a project, merging it over the
+ * rules.yaml it extends, if any
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object>} - { content, rules } with the raw file and the
+ *   parsed (and merged) rules
+ * @throws {InstallerError} - If rules.yaml, or a file it extends, is missing or invalid
+ */
+async function loadRules(projectPath) {
+  const rulesPath = path.join(projectPath, 'rules.yaml');
+  let content;
+  try {
+    content = await readFile(rulesPath, 'utf8');
+  } catch (error) {
+    throw new InstallerError(
+      `No rules.yaml found in ${projectPath}`,
+      'RULES_NOT_FOUND'
+    );
+  }
+
+  let rules;
+  try {
+    rules = yaml.parse(content) || {};
+  } catch (error) {
+    throw new InstallerError(
+      `Invalid rules.yaml: ${error.message}`,
+      'INVALID_RULES'
+    );
+  }
+
+  return { content, rules: await resolveExtends(rules, rulesPath) };
+}
+
+/**
+ * Re-propagates rules.yaml to the outputs of the selected AI tools: copied
+ * link targets and generated instruction files are rewritten when they are
+ * behind rules.yaml, missing outputs are created, and outputs edited by hand
+ * are reported as drift and left alone unless forced.
+ * @param {string} projectPath - Project root
+ * @param {Object} [options] - Sync options
+ * @param {string|string[]} [options.tools] - Tools to sync (default: saved in .ai-init.json)
+ * @param {string} [options.linkMode] - Link mode for missing links (default: saved in .ai-init.json, then auto)
+ * @param {boolean} [options.force] - Overwrite outputs that were edited by hand
+ * @param {boolean} [options.dryRun] - Report without writing anything
+ * @returns {Promise<Object>} - Summary with per-output changes
+ * @throws {InstallerError} - If rules.yaml is missing or invalid
+ */
+async function syncTools(projectPath, options = {}) {
+  const { content: rulesContent, rules } = await loadRules(projectPath);
+
+  const config = await readConfig(projectPath);
+  const tools = resolveTools(options.tools, config.tools);
+  const linkMode = await detectLinkMode(resolveLinkMode(options.linkMode || config.linkMode), projectPath);
+  const lock = await readLock(projectPath);
+  const context = {
+    rulesContent,
+    rules,
+    rulesStats: await stat(path.join(projectPath, 'rules.yaml')),
+    recorded: (lock && lock.generated) || {},
+    force: options.force
+  };
+
+  const changes = [];
+  const transaction = await beginTransaction(projectPath);
+  const written = {};
+
+  try {
+    for (const output of toolOutputs(tools)) {
+      const plan = await planOutput(output, projectPath, context);
+      const relativePath = path.join(...output.path.split('/'));
+      const change = { file: output.path, tool: output.tool, status: plan.status };
+      if (plan.detail) change.detail = plan.detail;
+
+      if (plan.link && linkMode !== 'copy') {
+        createSymlink(transaction, relativePath, output.symlink, linkMode);
+      } else if (plan.link || plan.status === 'updated' || plan.status === 'created') {
+        const content = plan.content || rulesContent;
+        await stageContent(transaction, relativePath, content);
+        written[output.path] = { content, tool: output.tool };
+      }
+      changes.push(change);
+    }
+
+    // Record what was written so the next sync can tell it from hand edits
+    if (lock && Object.keys(written).length > 0) {
+      await stageFile(transaction, LOCK_FILE, path.join(projectPath, LOCK_FILE));
+      Object.keys(written).forEach(file => recordGenerated(lock, file, written[file].content, written[file].tool));
+      await writeLock(transaction.filesDir, lock);
+    }
+
+    const staged = transaction.files.length + transaction.symlinks.length;
+    if (options.dryRun || staged === 0) {
+      await discardTransaction(transaction);
+    } else {
+      await commitTransaction(transaction);
+    }
+  } catch (error) {
+    await rollbackTransaction(transaction);
+    if (error instanceof InstallerError) {
+      throw error;
+    }
+    throw new InstallerError(
+      `Failed to sync tool files: ${error.message}`,
+      'SYNC_FAILED'
+    );
+  }
+
+  changes.sort((a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) || a.file.localeCompare(b.file));
+
+  return { projectPath, tools, linkMode, dryRun: Boolean(options.dryRun), changes };
+}
+
+module.exports = {
+  STATUSES,
+  loadRules,
+  syncTools
+};
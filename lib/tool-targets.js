@@ -0,0 +1,319 @@
+/**
+ * AI tool targets
+ *
+ * Each tool reads its instructions from its own file. Tools that understand
+ * rules.yaml get a symlink to it; the others get instructions rendered from
+ * rules.yaml in the format they expect.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { PLACEHOLDER_PATTERN } = require('./placeholders');
+
+const symlink = promisify(fs.symlink);
+const unlink = promisify(fs.unlink);
+const stat = promisify(fs.stat);
+
+// Tools installed when none are selected
+const DEFAULT_TOOLS = ['cursor', 'windsurf', 'cline'];
+
+// How link outputs point at rules.yaml; auto uses a symlink where the
+// filesystem supports one and a copy elsewhere
+const LINK_MODES = ['symlink', 'hardlink', 'copy', 'auto'];
+
+// Display names for the language sections of conventions
+const LANGUAGE_LABELS = {
+  javascript_typescript: 'JavaScript/TypeScript',
+  python: 'Python',
+  css_scss: 'CSS/SCSS'
+};
+
+// Note at the top of every generated file
+const GENERATED_NOTE = 'Generated by ai-init from rules.yaml, which remains the source of truth.';
+
+/**
+ * Checks whether a value is usable text, i.e. not an unfilled {{PLACEHOLDER}}
+ * @param {*} value - Value from rules.yaml
+ * @returns {boolean} - Whether the value should be rendered
+ */
+function isFilled(value) {
+  return (typeof value === 'string' || typeof value === 'number') &&
+    String(value).trim() !== '' &&
+    !new RegExp(PLACEHOLDER_PATTERN.source).test(String(value));
+}
+
+/**
+ * Keeps the filled strings of a list
+ * @param {*} list - List from rules.yaml
+ * @returns {string[]} - Filled entries
+ */
+function filled(list) {
+  return Array.isArray(list) ? list.filter(isFilled).map(String) : [];
+}
+
+/**
+ * Renders a markdown section, leaving it out when it has no lines
+ * @param {string} title - Section heading
+ * @param {string[]} lines - Section body
+ * @returns {string[]} - Section lines followed by a blank line
+ */
+function section(title, lines) {
+  return lines.length > 0 ? [`## ${title}`, '', ...lines, ''] : [];
+}
+
+/**
+ * Renders markdown instructions from parsed rules.yaml
+ * @param {Object} rules - Parsed rules.yaml
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.imports] - Reference memory bank files as @imports
+ * @returns {string} - Markdown document
+ */
+function renderInstructions(rules, options = {}) {
+  const project = rules.project || {};
+  const conventions = rules.conventions || {};
+  const testing = rules.testing || {};
+  const security = rules.security || {};
+  const architecture = rules.architecture || {};
+  const documentation = rules.documentation || {};
+  const commitFormat = rules.commit_format || {};
+  const bullets = list => list.map(item => `- ${item}`);
+
+  const title = isFilled(project.name) ? `${project.name} Instructions` : 'Project Instructions';
+  const lines = [`# ${title}`, '', `> ${GENERATED_NOTE}`, ''];
+
+  lines.push(...section('Project', [
+    isFilled(project.type) ? `- **Type:** ${project.type}` : null,
+    isFilled(project.goal) ? `- **Goal:** ${project.goal}` : null,
+    filled(project.technologies).length > 0 ? `- **Technologies:** ${filled(project.technologies).join(', ')}` : null,
+    filled(project.features).length > 0 ? `- **Key features:** ${filled(project.features).join(', ')}` : null
+  ].filter(Boolean)));
+
+  const memoryFiles = filled(documentation.memory_bank_required_files);
+  lines.push(...section('Memory Bank', memoryFiles.length > 0 ? [
+    'Read these files before starting a task and keep them up to date as the work progresses:',
+    '',
+    ...memoryFiles.map(file => (options.imports ? `- @memory-bank/${file}` : `- \`memory-bank/${file}\``))
+  ] : []));
+
+  const conventionLines = bullets(filled(conventions.general));
+  Object.keys(conventions).filter(key => key !== 'general').forEach(language => {
+    const naming = (conventions[language] && conventions[language].naming) || {};
+    const kinds = Object.keys(naming).filter(kind => naming[kind] && isFilled(naming[kind].style));
+    if (kinds.length === 0) return;
+
+    conventionLines.push('', `### ${LANGUAGE_LABELS[language] || language} naming`, '');
+    kinds.forEach(kind => {
+      const examples = filled(naming[kind].examples);
+      const example = examples.length > 0 ? ` (e.g. ${examples.map(name => `\`${name}\``).join(', ')})` : '';
+      conventionLines.push(`- ${kind.charAt(0).toUpperCase()}${kind.slice(1).replace(/_/g, ' ')}: ${naming[kind].style}${example}`);
+    });
+  });
+  lines.push(...section('Conventions', conventionLines));
+
+  lines.push(...section('Testing', [
+    ...bullets(filled(testing.required)),
+    isFilled(testing.location) ? `- Location: ${testing.location}` : null,
+    filled(testing.tools).length > 0 ? `- Tools: ${filled(testing.tools).join(', ')}` : null
+  ].filter(Boolean)));
+
+  const restricted = filled(security.restricted_files);
+  lines.push(...section('Security', [
+    restricted.length > 0 ? `- Never read, print or commit: ${restricted.map(file => `\`${file}\``).join(', ')}` : null,
+    ...bullets(filled(security.practices))
+  ].filter(Boolean)));
+
+  lines.push(...section('Architecture', [
+    isFilled(architecture.pattern) ? `- Pattern: ${architecture.pattern}` : null,
+    isFilled(architecture.state_management) ? `- State management: ${architecture.state_management}` : null,
+    isFilled(architecture.api_communication) ? `- API communication: ${architecture.api_communication}` : null,
+    ...bullets(filled(architecture.routing)),
+    filled(architecture.directory_structure).length > 0
+      ? `- Directory structure: ${filled(architecture.directory_structure).map(dir => `\`${dir}\``).join(', ')}`
+      : null
+  ].filter(Boolean)));
+
+  lines.push(...section('Workflow', bullets(filled((rules.workflow || {}).process))));
+
+  const commitPattern = isFilled(commitFormat.pattern) ? String(commitFormat.pattern).split('\n')[0] : null;
+  lines.push(...section('Commit Messages', [
+    commitPattern ? `- Format: \`${commitPattern}\`` : null,
+    filled(commitFormat.types).length > 0 ? `- Types: ${filled(commitFormat.types).join(', ')}` : null
+  ].filter(Boolean)));
+
+  const ruleLines = (Array.isArray(rules.rules) ? rules.rules : [])
+    .filter(rule => rule && isFilled(rule.description))
+    .map(rule => (isFilled(rule.name) ? `- **${rule.name}**: ${rule.description}` : `- ${rule.description}`));
+  lines.push(...section('Rules', ruleLines));
+
+  lines.push(...section('Instructions', bullets(filled(rules.llm_instructions))));
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Renders an Aider config that loads the conventions and memory bank as read-only context
+ * @param {Object} rules - Parsed rules.yaml
+ * @returns {string} - .aider.conf.yml content
+ */
+function renderAiderConfig(rules) {
+  const memoryFiles = filled((rules.documentation || {}).memory_bank_required_files);
+  return [
+    `# ${GENERATED_NOTE}`,
+    'read:',
+    '  - CONVENTIONS.md',
+    ...memoryFiles.map(file => `  - memory-bank/${file}`),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Renders a Continue rule that always applies
+ * @param {Object} rules - Parsed rules.yaml
+ * @returns {string} - Markdown rule with front matter
+ */
+function renderContinueRule(rules) {
+  return ['---', 'name: Project rules', 'alwaysApply: true', '---', '', renderInstructions(rules)].join('\n');
+}
+
+// Supported tools; outputs either link to rules.yaml or are rendered from it.
+// Paths use "/" separators and are relative to the project root.
+const TOOLS = {
+  cursor: {
+    label: 'Cursor',
+    outputs: [{ path: '.cursorrules', symlink: 'rules.yaml' }]
+  },
+  windsurf: {
+    label: 'Windsurf',
+    outputs: [{ path: '.windsurfrules', symlink: 'rules.yaml' }]
+  },
+  cline: {
+    label: 'Cline',
+    outputs: [{ path: '.clinerules', symlink: 'rules.yaml' }]
+  },
+  copilot: {
+    label: 'GitHub Copilot',
+    outputs: [{ path: '.github/copilot-instructions.md', format: 'markdown', render: rules => renderInstructions(rules) }]
+  },
+  claude: {
+    label: 'Claude',
+    outputs: [{ path: 'CLAUDE.md', format: 'markdown', render: rules => renderInstructions(rules, { imports: true }) }]
+  },
+  agents: {
+    label: 'AGENTS.md (Codex, Jules and other agents)',
+    outputs: [{ path: 'AGENTS.md', format: 'markdown', render: rules => renderInstructions(rules) }]
+  },
+  aider: {
+    label: 'Aider',
+    outputs: [
+      { path: 'CONVENTIONS.md', format: 'markdown', render: rules => renderInstructions(rules) },
+      { path: '.aider.conf.yml', format: 'yaml', render: renderAiderConfig }
+    ]
+  },
+  continue: {
+    label: 'Continue',
+    outputs: [{ path: '.continue/rules/ai-init.md', format: 'markdown', render: renderContinueRule }]
+  }
+};
+
+/**
+ * Resolves a tool selection to known tool names
+ * @param {string|string[]} [selection] - Comma-separated string or array of tool
+ *   names; "all" selects every tool
+ * @param {string[]} [fallback] - Tools to use when nothing is selected
+ * @returns {string[]} - Tool names, without duplicates
+ * @throws {InstallerError} - If a tool is unknown
+ */
+function resolveTools(selection, fallback = DEFAULT_TOOLS) {
+  const names = (Array.isArray(selection) ? selection : String(selection || '').split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (names.length === 0) {
+    return fallback.slice();
+  }
+  if (names.includes('all')) {
+    return Object.keys(TOOLS);
+  }
+
+  const unknown = names.filter(name => !Object.prototype.hasOwnProperty.call(TOOLS, name));
+  if (unknown.length > 0) {
+    throw new InstallerError(
+      `Unknown tool${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`,
+      'UNKNOWN_TOOL',
+      { errors: [`Available tools: ${Object.keys(TOOLS).join(', ')}`] }
+    );
+  }
+
+  return Array.from(new Set(names));
+}
+
+/**
+ * Validates a link mode
+ * @param {string} [mode] - Link mode (default: auto)
+ * @returns {string} - The link mode
+ * @throws {InstallerError} - If the mode is unknown
+ */
+function resolveLinkMode(mode) {
+  const linkMode = mode || 'auto';
+  if (!LINK_MODES.includes(linkMode)) {
+    throw new InstallerError(
+      `Unknown link mode: ${linkMode}`,
+      'INVALID_LINK_MODE',
+      { errors: [`Available modes: ${LINK_MODES.join(', ')}`] }
+    );
+  }
+  return linkMode;
+}
+
+/**
+ * Decides how to link outputs in a directory, trying a symlink there for auto
+ * @param {string} mode - Link mode
+ * @param {string} dir - Directory the links go in
+ * @returns {Promise<string>} - symlink, hardlink or copy
+ */
+async function detectLinkMode(mode, dir) {
+  if (mode !== 'auto') {
+    return mode;
+  }
+
+  // Directories that don't exist yet (dry runs) are assumed to support symlinks
+  const isDirectory = await stat(dir).then(stats => stats.isDirectory(), () => false);
+  if (!isDirectory) {
+    return 'symlink';
+  }
+
+  const probe = path.join(dir, `.ai-init-link-test-${process.pid}`);
+  try {
+    await symlink('rules.yaml', probe, 'file');
+    await unlink(probe);
+    return 'symlink';
+  } catch (error) {
+    return 'copy';
+  }
+}
+
+/**
+ * Lists the outputs of the selected tools
+ * @param {string[]} tools - Tool names
+ * @returns {Object[]} - Outputs with the tool name added
+ */
+function toolOutputs(tools) {
+  return tools.flatMap(tool => TOOLS[tool].outputs.map(output => ({ ...output, tool })));
+}
+
+module.exports = {
+  TOOLS,
+  DEFAULT_TOOLS,
+  LINK_MODES,
+  LANGUAGE_LABELS,
+  GENERATED_NOTE,
+  isFilled,
+  filled,
+  resolveTools,
+  resolveLinkMode,
+  detectLinkMode,
+  toolOutputs,
+  renderInstructions
+};
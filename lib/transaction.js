@@ -0,0 +1,362 @@
+/**
+ * Transactional installs
+ *
+ * Every file an install writes is staged in a temporary directory first.
+ * Committing moves the staged files into the project while a journal records
+ * each directory, file and symlink created, replaced or removed, so a failed commit can
+ * be rolled back and a finished install removed later with `ai-init uninstall`.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+
+const mkdir = promisify(fs.mkdir);
+const mkdtemp = promisify(fs.mkdtemp);
+const readdir = promisify(fs.readdir);
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const copyFile = promisify(fs.copyFile);
+const symlink = promisify(fs.symlink);
+const link = promisify(fs.link);
+const unlink = promisify(fs.unlink);
+const rmdir = promisify(fs.rmdir);
+const lstat = promisify(fs.lstat);
+
+// Journal of what ai-init created in a project, relative to the project root
+const JOURNAL_FILE = '.ai-init-journal.json';
+
+// Bumped when the journal layout changes
+const JOURNAL_VERSION = 1;
+
+/**
+ * Checks whether a path exists, without following symlinks
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} - Whether anything is at the path
+ */
+async function lexists(filePath) {
+  return lstat(filePath).then(() => true, () => false);
+}
+
+/**
+ * Removes a directory and everything in it
+ * @param {string} dir - Directory to remove
+ */
+async function removeTree(dir) {
+  const entries = await readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await removeTree(entryPath);
+    } else {
+      await unlink(entryPath);
+    }
+  }
+  await rmdir(dir).catch(() => {});
+}
+
+/**
+ * Converts a relative path to the POSIX form stored in the journal
+ * @param {string} relativePath - Path relative to the project root
+ * @returns {string} - Path with "/" separators
+ */
+function toJournalPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+/**
+ * Starts a transaction for a project
+ * @param {string} projectPath - Project root the transaction writes to
+ * @param {Object} [options] - Transaction options
+ * @param {Function} [options.onWarning] - Called with problems a commit works
+ *   around, such as links that could not be created (default: printed to stderr)
+ * @returns {Promise<Object>} - Transaction with its staging directories and
+ *   the directories, files and symlinks staged so far
+ */
+async function beginTransaction(projectPath, options = {}) {
+  const stagingDir = await mkdtemp(path.join(os.tmpdir(), 'ai-init-stage-'));
+
+  return {
+    projectPath,
+    stagingDir,
+    // Staged file contents, laid out like the project
+    filesDir: path.join(stagingDir, 'files'),
+    // Copies of the project files a commit replaced, for rollback
+    originalsDir: path.join(stagingDir, 'originals'),
+    // Timestamp of the run, so all backups it writes sort together
+    stamp: new Date().toISOString().replace(/[:.]/g, '-'),
+    directories: [],
+    files: [],
+    symlinks: [],
+    removals: [],
+    applied: [],
+    onWarning: options.onWarning
+  };
+}
+
+/**
+ * Stages a directory to create when it does not exist yet
+ * @param {Object} transaction - Transaction
+ * @param {string} relativePath - Directory relative to the project root
+ */
+function stageDirectory(transaction, relativePath) {
+  if (!transaction.directories.includes(relativePath)) {
+    transaction.directories.push(relativePath);
+  }
+}
+
+/**
+ * Stages a file to write into the project
+ * @param {Object} transaction - Transaction
+ * @param {string} relativePath - Path relative to the project root
+ * @param {string|null} source - File to copy, or null when the caller writes
+ *   the staged file (under transaction.filesDir) itself
+ * @param {Object} [options] - { backup } marks copies of existing files
+ * @returns {Promise<string>} - Path of the staged file
+ */
+async function stageFile(transaction, relativePath, source, options = {}) {
+  const stagedPath = path.join(transaction.filesDir, relativePath);
+  await mkdir(path.dirname(stagedPath), { recursive: true });
+  if (source) {
+    await copyFile(source, stagedPath);
+  }
+
+  const staged = transaction.files.find(file => file.path === relativePath);
+  if (staged) {
+    staged.backup = Boolean(options.backup);
+  } else {
+    transaction.files.push({ path: relativePath, backup: Boolean(options.backup) });
+  }
+  return stagedPath;
+}
+
+/**
+ * Stages content to write into the project
+ * @param {Object} transaction - Transaction
+ * @param {string} relativePath - Path relative to the project root
+ * @param {string} content - Content to write
+ * @param {Object} [options] - { mode } sets the file mode (default: 0o666 less the umask)
+ */
+async function stageContent(transaction, relativePath, content, options = {}) {
+  const stagedPath = await stageFile(transaction, relativePath, null);
+  await writeFile(stagedPath, content, options.mode ? { mode: options.mode } : undefined);
+}
+
+/**
+ * Stages a symlink to create
+ * @param {Object} transaction - Transaction
+ * @param {string} relativePath - Link path relative to the project root
+ * @param {string} target - Link target, relative to the link
+ */
+function stageSymlink(transaction, relativePath, target) {
+  transaction.symlinks.push({ path: relativePath, target });
+}
+
+/**
+ * Stages a hard link to a file that exists once the staged files are committed
+ * @param {Object} transaction - Transaction
+ * @param {string} relativePath - Link path relative to the project root
+ * @param {string} target - Linked file, relative to the link
+ */
+function stageHardlink(transaction, relativePath, target) {
+  transaction.symlinks.push({ path: relativePath, target, hard: true });
+}
+
+/**
+ * Stages a file to remove from the project
+ * @param {Object} transaction - Transaction
+ * @param {string} relativePath - Path relative to the project root
+ */
+function stageRemoval(transaction, relativePath) {
+  if (!transaction.removals.includes(relativePath)) {
+    transaction.removals.push(relativePath);
+  }
+}
+
+/**
+ * Creates a directory and any missing parents, journaling each one created
+ * @param {Object} transaction - Transaction
+ * @param {string} relativePath - Directory relative to the project root
+ */
+async function ensureDirectory(transaction, relativePath) {
+  if (relativePath === '.' || relativePath === '') return;
+  if (await lexists(path.join(transaction.projectPath, relativePath))) return;
+
+  await ensureDirectory(transaction, path.dirname(relativePath));
+  await mkdir(path.join(transaction.projectPath, relativePath));
+  transaction.applied.push({ type: 'directory', path: relativePath, action: 'create' });
+}
+
+/**
+ * Reads the journal of a project
+ * @param {string} projectPath - Project root
+ * @returns {Promise<Object|null>} - Journal, or null when there is none
+ * @throws {InstallerError} - If the journal cannot be parsed
+ */
+async function readJournal(projectPath) {
+  let content;
+  try {
+    content = await readFile(path.join(projectPath, JOURNAL_FILE), 'utf8');
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    const journal = JSON.parse(content);
+    journal.entries = journal.entries || [];
+    return journal;
+  } catch (error) {
+    throw new InstallerError(
+      `Invalid journal ${JOURNAL_FILE}: ${error.message}`,
+      'INVALID_JOURNAL'
+    );
+  }
+}
+
+/**
+ * Adds entries to the journal of a project. Paths already in the journal
+ * keep their first entry, so a file stays "created" across later installs;
+ * removed files are dropped from it.
+ * @param {string} projectPath - Project root
+ * @param {Object[]} entries - { type, path, action } entries with relative paths
+ * @returns {Promise<Object>} - Updated journal
+ */
+async function appendJournal(projectPath, entries) {
+  const journal = (await readJournal(projectPath)) || { journalVersion: JOURNAL_VERSION, entries: [] };
+  const known = new Set(journal.entries.map(entry => `${entry.type}:${entry.path}`));
+
+  entries.forEach(({ type, path: relativePath, action }) => {
+    const entry = { type, path: toJournalPath(relativePath), action };
+    if (action === 'remove') {
+      journal.entries = journal.entries.filter(item => item.type === 'directory' || item.path !== entry.path);
+      known.delete(`file:${entry.path}`);
+      known.delete(`symlink:${entry.path}`);
+    } else if (!known.has(`${type}:${entry.path}`)) {
+      journal.entries.push(entry);
+      known.add(`${type}:${entry.path}`);
+    }
+  });
+
+  await writeFile(path.join(projectPath, JOURNAL_FILE), `${JSON.stringify(journal, null, 2)}\n`);
+  return journal;
+}
+
+/**
+ * Moves everything staged into the project and records it in the journal.
+ * Changes applied before a failure stay in transaction.applied for rollback.
+ * @param {Object} transaction - Transaction
+ * @returns {Promise<Object[]>} - Journal entries applied
+ */
+async function commitTransaction(transaction) {
+  const { projectPath } = transaction;
+
+  for (const dir of transaction.directories) {
+    await ensureDirectory(transaction, dir);
+  }
+
+  for (const file of transaction.files) {
+    const targetPath = path.join(projectPath, file.path);
+    await ensureDirectory(transaction, path.dirname(file.path));
+
+    const entry = { type: 'file', path: file.path, action: file.backup ? 'backup' : 'create' };
+    if (await lexists(targetPath)) {
+      entry.action = 'replace';
+      entry.original = path.join(transaction.originalsDir, file.path);
+      await mkdir(path.dirname(entry.original), { recursive: true });
+      await copyFile(targetPath, entry.original);
+    }
+    // Journaled before copying so a partly written file is rolled back too
+    transaction.applied.push(entry);
+    await copyFile(path.join(transaction.filesDir, file.path), targetPath);
+  }
+
+  for (const entry of transaction.symlinks) {
+    const linkPath = path.join(projectPath, entry.path);
+    try {
+      if (entry.hard) {
+        await link(path.join(path.dirname(linkPath), entry.target), linkPath);
+        transaction.applied.push({ type: 'file', path: entry.path, action: 'create' });
+      } else {
+        await symlink(entry.target, linkPath, 'file');
+        transaction.applied.push({ type: 'symlink', path: entry.path, action: 'create' });
+      }
+    } catch (error) {
+      // Continue despite link errors
+      const message = `Failed to create ${entry.hard ? 'hard link' : 'symlink'} ${entry.path}: ${error.message}`;
+      if (typeof transaction.onWarning === 'function') {
+        transaction.onWarning(message);
+      } else {
+        console.error(`Warning: ${message}`);
+      }
+    }
+  }
+
+  for (const relativePath of transaction.removals) {
+    const targetPath = path.join(projectPath, relativePath);
+    if (!(await lexists(targetPath))) continue;
+
+    const entry = { type: 'file', path: relativePath, action: 'remove', original: path.join(transaction.originalsDir, relativePath) };
+    await mkdir(path.dirname(entry.original), { recursive: true });
+    await copyFile(targetPath, entry.original);
+    transaction.applied.push(entry);
+    await unlink(targetPath);
+  }
+
+  await appendJournal(projectPath, transaction.applied);
+  await removeTree(transaction.stagingDir);
+  return transaction.applied;
+}
+
+/**
+ * Undoes whatever a transaction applied, newest first, and discards its staging
+ * @param {Object} transaction - Transaction
+ * @returns {Promise<string[]>} - Problems for paths that could not be restored
+ */
+async function rollbackTransaction(transaction) {
+  const problems = [];
+
+  for (const entry of transaction.applied.slice().reverse()) {
+    const targetPath = path.join(transaction.projectPath, entry.path);
+    try {
+      if (entry.type === 'directory') {
+        await rmdir(targetPath);
+      } else if (entry.original) {
+        await copyFile(entry.original, targetPath);
+      } else if (await lexists(targetPath)) {
+        await unlink(targetPath);
+      }
+    } catch (error) {
+      problems.push(`${entry.path}: ${error.message}`);
+    }
+  }
+
+  transaction.applied = [];
+  await discardTransaction(transaction);
+  return problems;
+}
+
+/**
+ * Removes the staging directory of a transaction without applying it
+ * @param {Object} transaction - Transaction
+ */
+async function discardTransaction(transaction) {
+  await removeTree(transaction.stagingDir);
+}
+
+module.exports = {
+  JOURNAL_FILE,
+  beginTransaction,
+  stageDirectory,
+  stageFile,
+  stageContent,
+  stageSymlink,
+  stageHardlink,
+  stageRemoval,
+  commitTransaction,
+  rollbackTransaction,
+  discardTransaction,
+  readJournal,
+  appendJournal
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { LOCK_FILE, hashContent, readLock } = require('./lockfile');
+const { JOURNAL_FILE, readJournal } = require('./transaction');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const readdir = promisify(fs.readdir);
+const unlink = promisify(fs.unlink);
+const rmdir = promisify(fs.rmdir);
+const lstat = promisify(fs.lstat);
+
+// Order in which change statuses are reported
+const STATUSES = ['removed', 'modified', 'kept', 'missing'];
+
+/**
+ * Removes the scaffolding a previous install created, as recorded in the
+ * project journal. Files edited since the install are kept unless forced,
+ * files that existed before ai-init touched them (and backups of them) are
+ * always kept, and directories are removed only once they are empty.
+ * @param {string} projectPath - Project root
+ * @param {Object} [options] - Uninstall options
+ * @param {boolean} [options.force] - Remove created files even when edited
+ * @param {boolean} [options.dryRun] - Report what would be removed without removing it
+ * @returns {Promise<Object>} - Summary with per-path changes
+ * @throws {InstallerError} - If the project has no journal
+ */
+async function uninstallProject(projectPath, options = {}) {
+  const journal = await readJournal(projectPath);
+  if (!journal) {
+    throw new InstallerError(
+      `No ${JOURNAL_FILE} found in ${projectPath}`,
+      'JOURNAL_NOT_FOUND',
+      { errors: ['Scaffolding installed before ai-init kept a journal has to be removed by hand.'] }
+    );
+  }
+
+  const lock = await readLock(projectPath);
+  const lockFiles = lock ? { ...lock.generated, ...lock.files } : {};
+  const changes = [];
+  const remove = async (entryPath, removeEntry) => {
+    if (!options.dryRun) {
+      await removeEntry(path.join(projectPath, entryPath));
+    }
+    changes.push({ file: entryPath, status: 'removed' });
+  };
+
+  // Files and symlinks first, so the directories holding them can empty out;
+  // the lockfile and journal are dealt with last
+  const bookkeeping = [LOCK_FILE, JOURNAL_FILE];
+  const files = journal.entries.filter(item => item.type !== 'directory' && !bookkeeping.includes(item.path));
+  for (const entry of files) {
+    const entryPath = path.join(projectPath, entry.path);
+    const stats = await lstat(entryPath).catch(() => null);
+
+    if (!stats) {
+      changes.push({ file: entry.path, status: 'missing' });
+    } else if (entry.action === 'replace') {
+      changes.push({ file: entry.path, status: 'kept', detail: 'existed before ai-init' });
+    } else if (entry.action === 'backup') {
+      changes.push({ file: entry.path, status: 'kept', detail: 'backup of your previous file' });
+    } else if (entry.type === 'symlink') {
+      if (stats.isSymbolicLink()) {
+        await remove(entry.path, unlink);
+      } else {
+        changes.push({ file: entry.path, status: 'kept', detail: 'no longer a symlink' });
+      }
+    } else {
+      const installed = lockFiles[entry.path];
+      const edited = installed && installed.hash !== hashContent(await readFile(entryPath, 'utf8'));
+      if (edited && !options.force) {
+        changes.push({ file: entry.path, status: 'modified', detail: 'edited since install; use --force to remove' });
+      } else {
+        await remove(entry.path, unlink);
+      }
+    }
+  }
+
+  // Deepest directories first; anything left in them is kept
+  const removed = new Set(changes.filter(change => change.status === 'removed').map(change => change.file));
+  const directories = journal.entries
+    .filter(item => item.type === 'directory')
+    .sort((a, b) => b.path.split('/').length - a.path.split('/').length);
+
+  for (const entry of directories) {
+    const entries = await readdir(path.join(projectPath, entry.path)).catch(() => null);
+    if (entries === null) {
+      changes.push({ file: entry.path, status: 'missing' });
+      continue;
+    }
+
+    const remaining = entries.filter(name => !removed.has(`${entry.path}/${name}`));
+    if (remaining.length > 0) {
+      changes.push({ file: entry.path, status: 'kept', detail: 'not empty' });
+    } else {
+      await remove(entry.path, rmdir);
+      removed.add(entry.path);
+    }
+  }
+
+  // Keep tracking edited files so `uninstall --force` can remove them later
+  if (changes.some(change => change.status === 'modified')) {
+    if (!options.dryRun) {
+      const remaining = journal.entries.filter(entry => !removed.has(entry.path));
+      await writeFile(path.join(projectPath, JOURNAL_FILE), `${JSON.stringify({ ...journal, entries: remaining }, null, 2)}\n`);
+    }
+  } else {
+    for (const file of bookkeeping) {
+      if (await lstat(path.join(projectPath, file)).catch(() => null)) {
+        await remove(file, unlink);
+      }
+    }
+  }
+
+  return { projectPath, dryRun: Boolean(options.dryRun), changes };
+}
+
+module.exports = {
+  STATUSES,
+  uninstallProject
+};
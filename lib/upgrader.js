@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { resolveTemplate, getTemplateFiles } = require('./template-registry');
+const { templateVariables, renderTemplateFiles } = require('./template-variables');
+const { selectTemplate } = require('./stack-detector');
+const { renderMetadata } = require('./project-metadata');
+const { LOCK_FILE, hashContent, toLockPath, readLock, writeLock, createLock, recordFile } = require('./lockfile');
+const { mergeThreeWay } = require('./utils/merge');
+const { InstallerError } = require('./errors');
+const {
+  beginTransaction,
+  stageFile,
+  stageContent,
+  stageRemoval,
+  commitTransaction,
+  rollbackTransaction
+} = require('./transaction');
+
+const readFile = promisify(fs.readFile);
+
+// Order in which change statuses are reported
+const STATUSES = ['added', 'updated', 'merged', 'conflict', 'kept', 'deleted', 'removed', 'obsolete', 'unchanged'];
+
+/**
+ * Reads a file if it exists
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string|null>} - File content, or null when missing
+ */
+async function readOptional(filePath) {
+  try {
+    return await readFile(filePath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Upgrades the scaffolding of a project to the installed ai-init version.
+ * Untouched files are replaced, locally edited files are merged three-way
+ * against the content recorded in the lockfile, and edits that cannot be
+ * merged are left alone with <file>.orig (previous template) and <file>.new
+ * (current template) written next to them. Every write goes through a
+ * transaction, so a failed upgrade is rolled back and the files it created,
+ * .orig and .new included, are removed by `ai-init uninstall`.
+ * @param {string} projectPath - Project root
+ * @param {Object} [options] - Upgrade options
+ * @param {string} [options.template] - Template to upgrade to; defaults to
+ *   the one in the lockfile, or the detected one for projects without a lockfile
+ * @param {string|string[]} [options.templateDir] - Directories of local templates
+ *   to layer over the built-in ones; defaults to those saved in .ai-init.json
+ * @returns {Promise<Object>} - Summary with the template versions and per-file changes
+ * @throws {InstallerError} - If the upgrade fails; its changes are rolled back
+ */
+async function upgradeProject(projectPath, options = {}) {
+  const lock = await readLock(projectPath);
+  let templateName = options.template || (lock && lock.template && lock.template.name);
+  if (!templateName) {
+    templateName = (await selectTemplate(projectPath, { templateDir: options.templateDir })).template;
+  }
+
+  const template = await resolveTemplate(templateName, { templateDir: options.templateDir, projectPath });
+  const metadata = lock ? lock.metadata : null;
+  const variables = (lock && lock.variables) || templateVariables(projectPath, template, metadata);
+  const nextLock = createLock(template, metadata);
+  const recorded = lock ? lock.files : {};
+  const changes = [];
+  const seen = new Set();
+
+  nextLock.variables = variables;
+  Object.assign(nextLock.files, recorded);
+  if (lock && lock.generated) {
+    nextLock.generated = lock.generated;
+  }
+  // Files of workspace packages come from their own templates
+  const packagePaths = Object.keys((lock && lock.packages) || {});
+  if (packagePaths.length > 0) {
+    nextLock.packages = lock.packages;
+  }
+
+  const transaction = await beginTransaction(projectPath);
+
+  try {
+    const templateFiles = await renderTemplateFiles(await getTemplateFiles(template), template, variables);
+    for (const { path: relative, file, content, mode } of templateFiles) {
+      const key = toLockPath(relative);
+      const target = path.join(projectPath, relative);
+      const incoming = renderMetadata(relative, content !== undefined ? content : await readFile(file, 'utf8'), metadata);
+      const current = await readOptional(target);
+      const entry = recorded[key];
+      seen.add(key);
+
+      if (!entry) {
+        if (current === null) {
+          await stageContent(transaction, relative, incoming, { mode });
+          recordFile(nextLock, relative, incoming);
+          changes.push({ file: key, status: 'added' });
+        } else if (current === incoming) {
+          recordFile(nextLock, relative, incoming);
+          changes.push({ file: key, status: 'unchanged' });
+        } else {
+          // Without a recorded base there is nothing to merge against
+          await stageContent(transaction, `${relative}.new`, incoming);
+          changes.push({ file: key, status: 'conflict', detail: `not in the lockfile; compare with ${key}.new` });
+        }
+        continue;
+      }
+
+      if (current === null) {
+        changes.push({ file: key, status: 'deleted', detail: 'deleted locally; not restored' });
+      } else if (hashContent(current) === entry.hash) {
+        if (current !== incoming) {
+          await stageContent(transaction, relative, incoming, { mode });
+          changes.push({ file: key, status: 'updated' });
+        } else {
+          changes.push({ file: key, status: 'unchanged' });
+        }
+        recordFile(nextLock, relative, incoming);
+      } else if (incoming === entry.content) {
+        changes.push({ file: key, status: 'kept', detail: 'local edits; template unchanged' });
+      } else if (incoming === current) {
+        recordFile(nextLock, relative, incoming);
+        changes.push({ file: key, status: 'unchanged' });
+      } else {
+        const merged = mergeThreeWay(entry.content, current, incoming);
+        if (merged.conflicts === 0) {
+          await stageContent(transaction, relative, merged.content, { mode });
+          recordFile(nextLock, relative, incoming);
+          changes.push({ file: key, status: 'merged' });
+        } else {
+          await stageContent(transaction, `${relative}.orig`, entry.content);
+          await stageContent(transaction, `${relative}.new`, incoming);
+          changes.push({
+            file: key,
+            status: 'conflict',
+            detail: `${merged.conflicts} conflicting changes; compare ${key}.orig and ${key}.new`
+          });
+        }
+      }
+    }
+
+    // Files the template no longer ships
+    const inPackage = key => packagePaths.some(packagePath => key.startsWith(`${packagePath}/`));
+    for (const key of Object.keys(recorded).filter(key => !seen.has(key) && !inPackage(key))) {
+      const target = path.join(projectPath, ...key.split('/'));
+      const current = await readOptional(target);
+      delete nextLock.files[key];
+
+      if (current !== null && hashContent(current) === recorded[key].hash) {
+        stageRemoval(transaction, path.join(...key.split('/')));
+        changes.push({ file: key, status: 'removed' });
+      } else if (current !== null) {
+        changes.push({ file: key, status: 'obsolete', detail: 'no longer part of the template; kept because of local edits' });
+      }
+    }
+
+    await stageFile(transaction, LOCK_FILE, null);
+    await writeLock(transaction.filesDir, nextLock);
+    await commitTransaction(transaction);
+  } catch (error) {
+    await rollbackTransaction(transaction);
+    if (error instanceof InstallerError) {
+      throw error;
+    }
+    throw new InstallerError(
+      `Failed to upgrade ${projectPath}: ${error.message}`,
+      'UPGRADE_FAILED'
+    );
+  }
+
+  changes.sort((a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) || a.file.localeCompare(b.file));
+
+  return {
+    projectPath,
+    template: template.name,
+    fromVersion: lock && lock.template ? lock.template.version : null,
+    toVersion: template.version,
+    changes
+  };
+}
+
+module.exports = {
+  STATUSES,
+  upgradeProject
+};
@@ -0,0 +1,76 @@
+/**
+ * Unified diffs for previewing file changes
+ */
+
+const { matchLines } = require('./merge');
+
+// Unchanged lines shown around each change
+const CONTEXT_LINES = 3;
+
+/**
+ * Splits text into lines, ignoring the newline that ends the last one
+ * @param {string} text - Text to split
+ * @returns {string[]} - Lines
+ */
+function splitLines(text) {
+  if (text === '') return [];
+  return (text.endsWith('\n') ? text.slice(0, -1) : text).split('\n');
+}
+
+/**
+ * Builds a unified diff between two texts
+ * @param {string} oldText - Current content
+ * @param {string} newText - Proposed content
+ * @param {Object} [labels] - { from, to } file labels for the header
+ * @returns {string} - Unified diff, or an empty string when the texts are equal
+ */
+function unifiedDiff(oldText, newText, labels = {}) {
+  if (oldText === newText) return '';
+
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const ops = [];
+  let i = 0;
+  let j = 0;
+
+  // Edit script: ' ' keeps, '-' removes, '+' adds; each op carries its line numbers
+  for (const [a, b] of matchLines(oldLines, newLines).concat([[oldLines.length, newLines.length]])) {
+    while (i < a) ops.push({ type: '-', text: oldLines[i], oldLine: i++, newLine: j });
+    while (j < b) ops.push({ type: '+', text: newLines[j], oldLine: i, newLine: j++ });
+    if (i < oldLines.length && j < newLines.length) {
+      ops.push({ type: ' ', text: oldLines[i], oldLine: i++, newLine: j++ });
+    }
+  }
+
+  // Group changes that are close together into hunks
+  const hunks = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const end = Math.min(ops.length, index + CONTEXT_LINES + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const output = [`--- ${labels.from || 'a'}`, `+++ ${labels.to || 'b'}`];
+  hunks.forEach(hunk => {
+    const slice = ops.slice(hunk.start, hunk.end);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? slice[0].oldLine : slice[0].oldLine + 1;
+    const newStart = newCount === 0 ? slice[0].newLine : slice[0].newLine + 1;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(op => output.push(`${op.type}${op.text}`));
+  });
+
+  return output.join('\n');
+}
+
+module.exports = {
+  unifiedDiff
+};
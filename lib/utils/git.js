@@ -0,0 +1,33 @@
+/**
+ * Read-only git queries, for features that work better inside a repository
+ * but must keep working without one
+ */
+
+const { execFileSync } = require('child_process');
+
+/**
+ * Runs a git command in a directory
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Directory to run git in
+ * @returns {string|null} - Standard output, or null when git is not installed,
+ *   the directory is not in a repository or the command fails
+ */
+function runGit(args, cwd) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      // The environment as the caller sees it, including any changes made to it
+      env: process.env,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 64 * 1024 * 1024,
+      timeout: 10000
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  runGit
+};
@@ -0,0 +1,66 @@
+/**
+ * Minimal glob matching for rules.yaml path patterns
+ *
+ * Supports `*` (any characters except "/"), `**` (any path), `?` and
+ * `{a,b}` alternatives. Patterns without a "/" match the file name only,
+ * like .gitignore entries.
+ */
+
+/**
+ * Converts a glob pattern to a regular expression
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} - Anchored expression matching relative POSIX paths
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i++;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const close = glob.indexOf('}', i);
+      if (close === -1) {
+        source += '\\{';
+      } else {
+        source += `(?:${glob.slice(i + 1, close).split(',').map(part => globToRegExp(part).source.slice(1, -1)).join('|')})`;
+        i = close;
+      }
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a relative path matches a glob pattern
+ * @param {string} relativePath - POSIX path relative to the project root
+ * @param {string} glob - Glob pattern
+ * @returns {boolean} - Whether the path matches
+ */
+function matchGlob(relativePath, glob) {
+  const pattern = glob.replace(/^\.\//, '').replace(/\/$/, '/**');
+  const target = pattern.includes('/') ? relativePath : relativePath.split('/').pop();
+  return globToRegExp(pattern).test(target);
+}
+
+module.exports = {
+  globToRegExp,
+  matchGlob
+};
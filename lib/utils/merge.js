@@ -0,0 +1,121 @@
+/**
+ * Line-based three-way merge
+ *
+ * Merges two descendants ("ours" and "theirs") of a common base, taking
+ * whichever side changed a region and reporting regions both sides changed
+ * differently as conflicts.
+ */
+
+/**
+ * Computes the longest common subsequence of two line arrays
+ * @param {string[]} a - First sequence
+ * @param {string[]} b - Second sequence
+ * @returns {Array<number[]>} - Matched [indexInA, indexInB] pairs in order
+ */
+function matchLines(a, b) {
+  // Common prefix and suffix need no dynamic programming
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const pairs = [];
+  for (let i = 0; i < start; i++) pairs.push([i, i]);
+
+  const rows = endA - start;
+  const cols = endB - start;
+  const table = new Uint32Array((rows + 1) * (cols + 1));
+  const at = (i, j) => i * (cols + 1) + j;
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      table[at(i, j)] = a[start + i] === b[start + j]
+        ? table[at(i + 1, j + 1)] + 1
+        : Math.max(table[at(i + 1, j)], table[at(i, j + 1)]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (a[start + i] === b[start + j]) {
+      pairs.push([start + i, start + j]);
+      i++;
+      j++;
+    } else if (table[at(i + 1, j)] >= table[at(i, j + 1)]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) pairs.push([endA + k, endB + k]);
+  return pairs;
+}
+
+/**
+ * Merges two versions of a text that both derive from a common base
+ * @param {string} base - Common ancestor
+ * @param {string} ours - Locally edited version
+ * @param {string} theirs - Incoming version
+ * @returns {Object} - { content, conflicts } where content holds conflict
+ *   markers for each of the conflicts regions
+ */
+function mergeThreeWay(base, ours, theirs) {
+  const baseLines = base.split('\n');
+  const ourLines = ours.split('\n');
+  const theirLines = theirs.split('\n');
+
+  const ourMatch = new Map(matchLines(baseLines, ourLines));
+  const theirMatch = new Map(matchLines(baseLines, theirLines));
+
+  const result = [];
+  let conflicts = 0;
+  let b = 0;
+  let o = 0;
+  let t = 0;
+
+  const same = (x, y) => x.length === y.length && x.every((line, i) => line === y[i]);
+
+  const flush = (bEnd, oEnd, tEnd) => {
+    const baseChunk = baseLines.slice(b, bEnd);
+    const ourChunk = ourLines.slice(o, oEnd);
+    const theirChunk = theirLines.slice(t, tEnd);
+
+    if (same(ourChunk, baseChunk)) {
+      result.push(...theirChunk);
+    } else if (same(theirChunk, baseChunk) || same(ourChunk, theirChunk)) {
+      result.push(...ourChunk);
+    } else {
+      conflicts++;
+      result.push('<<<<<<< local', ...ourChunk, '=======', ...theirChunk, '>>>>>>> template');
+    }
+  };
+
+  // Base lines kept by both sides anchor the merge
+  for (let i = 0; i < baseLines.length; i++) {
+    if (!ourMatch.has(i) || !theirMatch.has(i)) continue;
+
+    const oi = ourMatch.get(i);
+    const ti = theirMatch.get(i);
+    if (oi < o || ti < t) continue;
+
+    flush(i, oi, ti);
+    result.push(baseLines[i]);
+    b = i + 1;
+    o = oi + 1;
+    t = ti + 1;
+  }
+  flush(baseLines.length, ourLines.length, theirLines.length);
+
+  return { content: result.join('\n'), conflicts };
+}
+
+module.exports = {
+  matchLines,
+  mergeThreeWay
+};
@@ -0,0 +1,374 @@
+/**
+ * Minimal zero-dependency YAML parser
+ *
+ * Supports the subset used by rules.yaml, .mdc rule blocks and answers files:
+ * block mappings and sequences, plain/single/double-quoted scalars, flow
+ * sequences and mappings, literal (|) and folded (>) block scalars, comments.
+ */
+
+/**
+ * Error thrown for malformed YAML, carrying the 1-based line number
+ */
+class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = 'YamlError';
+    this.line = line;
+  }
+}
+
+/**
+ * Splits a YAML line into its value part and trailing comment
+ * @param {string} line - Line to split
+ * @returns {Object} - { code, comment }
+ */
+function splitComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if ((char === '"' || char === "'") && (i === 0 || /[\s[{,:-]/.test(line[i - 1]))) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return { code: line.slice(0, i), comment: line.slice(i) };
+    }
+  }
+
+  return { code: line, comment: '' };
+}
+
+/**
+ * Unescapes the body of a double-quoted scalar. Unknown escapes such as
+ * "\." are kept verbatim so regex patterns survive.
+ * @param {string} body - Text between the quotes
+ * @returns {string} - Unescaped string
+ */
+function unescapeDouble(body) {
+  const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/', '0': '\0' };
+  return body.replace(/\\(.)/g, (match, char) => (escapes[char] !== undefined ? escapes[char] : match));
+}
+
+/**
+ * Converts a plain scalar to a boolean, null, number or string
+ * @param {string} text - Trimmed scalar text
+ * @returns {*} - Typed value
+ */
+function plainScalar(text) {
+  if (text === '' || text === '~' || text === 'null' || text === 'Null' || text === 'NULL') return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+  return text;
+}
+
+/**
+ * Parses a flow collection ([a, b] or {a: b}) or a quoted/plain scalar
+ * @param {string} text - Inline value with comments already removed
+ * @param {number} line - Line number for error messages
+ * @returns {*} - Parsed value
+ */
+function parseInline(text, line) {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const parseValue = (terminators) => {
+    skipSpace();
+    const char = text[pos];
+
+    if (char === '[') {
+      pos++;
+      const items = [];
+      skipSpace();
+      if (text[pos] === ']') {
+        pos++;
+        return items;
+      }
+      for (;;) {
+        items.push(parseValue(',]'));
+        skipSpace();
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] === ']') {
+          pos++;
+          return items;
+        } else {
+          throw new YamlError('Unterminated flow sequence', line);
+        }
+      }
+    }
+
+    if (char === '{') {
+      pos++;
+      const map = {};
+      skipSpace();
+      if (text[pos] === '}') {
+        pos++;
+        return map;
+      }
+      for (;;) {
+        const key = parseValue(':,}');
+        skipSpace();
+        if (text[pos] !== ':') {
+          throw new YamlError('Expected ":" in flow mapping', line);
+        }
+        pos++;
+        map[String(key)] = parseValue(',}');
+        skipSpace();
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] === '}') {
+          pos++;
+          return map;
+        } else {
+          throw new YamlError('Unterminated flow mapping', line);
+        }
+      }
+    }
+
+    if (char === '"') {
+      const match = text.slice(pos).match(/^"((?:[^"\\]|\\.)*)"/);
+      if (!match) throw new YamlError('Unterminated double-quoted string', line);
+      pos += match[0].length;
+      return unescapeDouble(match[1]);
+    }
+
+    if (char === "'") {
+      const match = text.slice(pos).match(/^'((?:[^']|'')*)'/);
+      if (!match) throw new YamlError('Unterminated single-quoted string', line);
+      pos += match[0].length;
+      return match[1].replace(/''/g, "'");
+    }
+
+    // Plain scalar up to the next terminator
+    const start = pos;
+    while (pos < text.length && !terminators.includes(text[pos])) {
+      // Inside flow collections ':' only terminates a key when followed by space
+      if (text[pos] === ':' && terminators.includes(':') && !/\s|$/.test(text[pos + 1] || '')) {
+        pos++;
+        continue;
+      }
+      pos++;
+    }
+    return plainScalar(text.slice(start, pos).trim());
+  };
+
+  const value = parseValue('');
+  skipSpace();
+  if (pos < text.length) {
+    throw new YamlError(`Unexpected content after value: ${text.slice(pos)}`, line);
+  }
+  return value;
+}
+
+/**
+ * Splits text into significant lines with their indentation
+ * @param {string} text - YAML document
+ * @returns {Object[]} - Array of { indent, text, raw, line }
+ */
+function tokenize(text) {
+  return text.replace(/\r\n?/g, '\n').split('\n').map((raw, index) => {
+    if (/^\t/.test(raw)) {
+      throw new YamlError('Tabs are not allowed for indentation', index + 1);
+    }
+    const indent = raw.match(/^ */)[0].length;
+    return { indent, text: raw.slice(indent), raw, line: index + 1 };
+  });
+}
+
+/**
+ * Parses a YAML document into plain JavaScript values
+ * @param {string} text - YAML document
+ * @param {Object} [options] - Parser options
+ * @param {Object} [options.locations] - Filled with the 1-based line of every
+ *   key and sequence item, keyed by dotted path (e.g. "filters.0.pattern")
+ * @returns {*} - Parsed value (null for an empty document)
+ * @throws {YamlError} - If the document is malformed
+ */
+function parse(text, options = {}) {
+  const lines = tokenize(text);
+  const locations = options.locations || {};
+  let index = 0;
+
+  const isBlank = entry => {
+    const { code } = splitComment(entry.text);
+    return code.trim() === '' || entry.text === '---' || entry.text === '...';
+  };
+
+  const skipBlank = () => {
+    while (index < lines.length && isBlank(lines[index])) index++;
+  };
+
+  const current = () => {
+    skipBlank();
+    return index < lines.length ? lines[index] : null;
+  };
+
+  const isSequenceItem = content => content === '-' || content.startsWith('- ');
+
+  const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\-[{][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+|$)/;
+
+  const parseBlockScalar = (indicator, parentIndent) => {
+    const folded = indicator[0] === '>';
+    const chomp = indicator.includes('-') ? 'strip' : indicator.includes('+') ? 'keep' : 'clip';
+    const collected = [];
+    let blockIndent = null;
+
+    index++;
+    while (index < lines.length) {
+      const entry = lines[index];
+      if (entry.raw.trim() === '') {
+        collected.push('');
+        index++;
+        continue;
+      }
+      if (entry.indent <= parentIndent) break;
+      if (blockIndent === null) blockIndent = entry.indent;
+      if (entry.indent < blockIndent) break;
+      collected.push(entry.raw.slice(blockIndent));
+      index++;
+    }
+
+    // Trailing blank lines belong to chomping, not content
+    let trailing = 0;
+    while (collected.length > 0 && collected[collected.length - 1] === '') {
+      collected.pop();
+      trailing++;
+    }
+
+    let body;
+    if (folded) {
+      body = collected.reduce((acc, lineText, i) => {
+        if (i === 0) return lineText;
+        if (lineText === '') return `${acc}\n`;
+        if (collected[i - 1] === '') return `${acc}${lineText}`;
+        return `${acc} ${lineText}`;
+      }, '');
+    } else {
+      body = collected.join('\n');
+    }
+
+    if (chomp === 'strip' || collected.length === 0) return body;
+    if (chomp === 'keep') return body + '\n'.repeat(trailing + 1);
+    return `${body}\n`;
+  };
+
+  const parseValueAfterIndicator = (rest, parentIndent, entry, keyPath) => {
+    const { code } = splitComment(rest);
+    const value = code.trim();
+
+    if (/^[|>][-+]?$/.test(value)) {
+      return parseBlockScalar(value, parentIndent);
+    }
+
+    index++;
+    if (value === '') {
+      const next = current();
+      if (next && next.indent > parentIndent) {
+        return parseNode(next.indent, keyPath);
+      }
+      // Sequences may sit at the same indentation as their parent key
+      if (next && next.indent === parentIndent && isSequenceItem(next.text)) {
+        return parseSequence(parentIndent, keyPath);
+      }
+      return null;
+    }
+
+    return parseInline(value, entry.line);
+  };
+
+  const parseMap = (indent, keyPath) => {
+    const map = {};
+
+    for (;;) {
+      const entry = current();
+      if (!entry || entry.indent < indent) break;
+      if (entry.indent > indent) {
+        throw new YamlError('Unexpected indentation', entry.line);
+      }
+      if (isSequenceItem(entry.text)) break;
+
+      const match = entry.text.match(KEY_PATTERN);
+      if (!match) {
+        throw new YamlError(`Expected a "key: value" pair, got: ${entry.text.trim()}`, entry.line);
+      }
+
+      let key = match[1];
+      if (key[0] === '"') key = unescapeDouble(key.slice(1, -1));
+      else if (key[0] === "'") key = key.slice(1, -1).replace(/''/g, "'");
+
+      const childPath = keyPath.concat(key);
+      locations[childPath.join('.')] = entry.line;
+      map[key] = parseValueAfterIndicator(entry.text.slice(match[0].length), indent, entry, childPath);
+    }
+
+    return map;
+  };
+
+  const parseSequence = (indent, keyPath) => {
+    const items = [];
+
+    for (;;) {
+      const entry = current();
+      if (!entry || entry.indent !== indent || !isSequenceItem(entry.text)) break;
+
+      const content = entry.text.slice(1);
+      const offset = content.match(/^ */)[0].length;
+      const rest = content.slice(offset);
+      const { code } = splitComment(rest);
+      const childPath = keyPath.concat(items.length);
+      locations[childPath.join('.')] = entry.line;
+
+      if (code.trim() !== '' && (KEY_PATTERN.test(rest) || isSequenceItem(rest))) {
+        // "- key: value" or "- - item" opens a nested node on the same line
+        lines[index] = {
+          indent: indent + 1 + offset,
+          text: rest,
+          raw: ' '.repeat(indent + 1 + offset) + rest,
+          line: entry.line
+        };
+        items.push(parseNode(indent + 1 + offset, childPath));
+      } else {
+        items.push(parseValueAfterIndicator(rest, indent, entry, childPath));
+      }
+    }
+
+    return items;
+  };
+
+  const parseNode = (indent, keyPath) => {
+    const entry = current();
+    if (!entry) return null;
+    if (isSequenceItem(entry.text)) return parseSequence(indent, keyPath);
+    if (KEY_PATTERN.test(entry.text)) return parseMap(indent, keyPath);
+
+    index++;
+    return parseInline(splitComment(entry.text).code.trim(), entry.line);
+  };
+
+  const first = current();
+  if (!first) return null;
+
+  const result = parseNode(first.indent, []);
+  const leftover = current();
+  if (leftover) {
+    throw new YamlError(`Unexpected content: ${leftover.text.trim()}`, leftover.line);
+  }
+  return result;
+}
+
+module.exports = {
+  YamlError,
+  splitComment,
+  parse
+};
@@ -1,6 +1,19 @@
-const validateNpmPackageName = require('validate-npm-package-name');
-const fs = require('fs-extra');
+const fs = require('fs');
 const path = require('path');
+const { builtinModules } = require('module');
+const { promisify } = require('util');
+const yaml = require('../utils/yaml');
+const { findPlaceholders } = require('../placeholders');
+const { loadRuleFile } = require('../mdc-parser');
+const { requiredMemoryFiles } = require('../memory-bank');
+const { resolveExtends } = require('../workspace');
+
+const readdir = promisify(fs.readdir);
+const readFile = promisify(fs.readFile);
+const stat = promisify(fs.stat);
+
+// Memory bank files shorter than this are considered unfilled
+const MIN_MEMORY_BANK_LINES = 5;
 
 /**
  * Validates a project name for use as a directory or npm package
@@ -14,25 +27,53 @@ function validateProjectName(name) {
       errors: ['Project name is required']
     };
   }
-  
-  const npmValidation = validateNpmPackageName(name);
-  
-  if (!npmValidation.validForNewPackages) {
-    return {
-      isValid: false,
-      errors: [
-        ...(npmValidation.errors || []),
-        ...(npmValidation.warnings || [])
-      ]
-    };
+
+  const errors = [];
+
+  if (name.length > 214) {
+    errors.push('name can no longer contain more than 214 characters');
+  }
+  if (/^[._]/.test(name)) {
+    errors.push('name cannot start with a period or an underscore');
+  }
+  if (name.trim() !== name) {
+    errors.push('name cannot contain leading or trailing spaces');
+  }
+  if (name.toLowerCase() !== name) {
+    errors.push('name can no longer contain capital letters');
+  }
+  if (/[~'!()*]/.test(name.split('/').slice(-1)[0])) {
+    errors.push('name can no longer contain special characters ("~\'!()*")');
+  }
+  if (!/^(?:@[a-z0-9-*~][a-z0-9-*._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/.test(name.toLowerCase())) {
+    errors.push('name can only contain URL-friendly characters');
   }
-  
+  if (['node_modules', 'favicon.ico'].includes(name.toLowerCase())) {
+    errors.push(`${name} is a blacklisted name`);
+  }
+  if (builtinModules.includes(name.toLowerCase())) {
+    errors.push(`${name} is a core module name`);
+  }
+
   return {
-    isValid: true,
-    errors: []
+    isValid: errors.length === 0,
+    errors
   };
 }
 
+/**
+ * Check if a path exists
+ * @param {string} filePath - Path to check
+ * @returns {Promise<fs.Stats|null>} - Stats of the path, or null if it does not exist
+ */
+async function statOrNull(filePath) {
+  try {
+    return await stat(filePath);
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Checks if a directory already exists and is not empty
  * @param {string} dirPath - Directory path to check
@@ -40,11 +81,11 @@ function validateProjectName(name) {
  */
 async function isDirectoryEmptyOrNonexistent(dirPath) {
   try {
-    if (!await fs.pathExists(dirPath)) {
+    if (!await statOrNull(dirPath)) {
       return true;
     }
-    
-    const files = await fs.readdir(dirPath);
+
+    const files = await readdir(dirPath);
     return files.length === 0;
   } catch (error) {
     // If there's an error reading the directory, assume it's not usable
@@ -52,35 +93,277 @@ async function isDirectoryEmptyOrNonexistent(dirPath) {
   }
 }
 
+// What happens to existing files under each --on-conflict mode: [file, directory]
+const CONFLICT_OUTCOMES = {
+  skip: ['It will be preserved.', 'Existing files will be preserved.'],
+  overwrite: ['It will be overwritten.', 'Existing files will be overwritten.'],
+  backup: ['It will be backed up, then overwritten.', 'Existing files will be backed up, then overwritten.'],
+  merge: ['Missing keys will be merged into it.', 'Existing files will be merged where supported and preserved otherwise.'],
+  prompt: ['You will be asked what to do with it.', 'You will be asked about each existing file.']
+};
+
 /**
  * Validates project structure for adding AI Project Starter to existing project
  * @param {string} projectPath - Path to the project
+ * @param {string} [onConflict] - Conflict mode used for existing files (default: skip)
  * @returns {Promise<Object>} - Validation result with isValid and warnings
  */
-async function validateExistingProject(projectPath) {
+async function validateExistingProject(projectPath, onConflict = 'skip') {
   const warnings = [];
-  
+  const [fileOutcome, dirOutcome] = CONFLICT_OUTCOMES[onConflict] || CONFLICT_OUTCOMES.skip;
+
   // Check for existing AI Project Starter files
-  if (await fs.pathExists(path.join(projectPath, 'rules.yaml'))) {
-    warnings.push('Project already has rules.yaml file. It will be preserved.');
+  if (await statOrNull(path.join(projectPath, 'rules.yaml'))) {
+    warnings.push(`Project already has rules.yaml file. ${fileOutcome}`);
   }
-  
-  if (await fs.pathExists(path.join(projectPath, '.cursor/rules'))) {
-    warnings.push('Project already has .cursor/rules directory. Existing files will be preserved.');
+
+  if (await statOrNull(path.join(projectPath, '.cursor/rules'))) {
+    warnings.push(`Project already has .cursor/rules directory. ${dirOutcome}`);
   }
-  
-  if (await fs.pathExists(path.join(projectPath, 'memory-bank'))) {
-    warnings.push('Project already has memory-bank directory. Existing files will be preserved.');
+
+  if (await statOrNull(path.join(projectPath, 'memory-bank'))) {
+    warnings.push(`Project already has memory-bank directory. ${dirOutcome}`);
   }
-  
+
   return {
     isValid: true,
     warnings
   };
 }
 
+/**
+ * Lists files with an extension in a directory (recursively)
+ * @param {string} dir - Directory to search
+ * @param {string} extension - Extension including the dot
+ * @returns {Promise<string[]>} - Matching file paths
+ */
+async function findFilesWithExtension(dir, extension) {
+  const result = [];
+  let entries;
+
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return result;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      result.push(...await findFilesWithExtension(fullPath, extension));
+    } else if (entry.name.endsWith(extension)) {
+      result.push(fullPath);
+    }
+  }
+
+  return result.sort();
+}
+
+/**
+ * Checks the .mdc rule files and the ADRs of a project
+ * @param {string} projectPath - Project root
+ * @param {Function} record - Called with (level, message) for each check
+ */
+async function validateFileFormats(projectPath, record) {
+  const ruleFiles = await findFilesWithExtension(path.join(projectPath, '.cursor', 'rules'), '.mdc');
+  if (ruleFiles.length > 0) {
+    record('pass', `Found ${ruleFiles.length} files with .mdc extension in .cursor/rules`);
+    for (const file of ruleFiles) {
+      const relative = path.relative(projectPath, file);
+      const { errors: problems } = await loadRuleFile(file);
+      if (problems.length === 0) {
+        record('pass', `${relative} is a valid rule file`);
+      } else {
+        problems.forEach(problem => record(problem.severity, `${relative}:${problem.line}: ${problem.message}`));
+      }
+    }
+  } else {
+    record('warning', 'No .mdc files found in .cursor/rules');
+  }
+
+  const adrFiles = await findFilesWithExtension(path.join(projectPath, 'doc-files', 'adr'), '.md');
+  if (adrFiles.length > 0) {
+    record('pass', `Found ${adrFiles.length} files with .md extension in doc-files/adr`);
+  } else {
+    record('warning', 'No .md files found in doc-files/adr');
+  }
+}
+
+/**
+ * Validates a scaffolded project: directory structure, required files,
+ * rules.yaml syntax and rule requirements, .mdc rule blocks and content.
+ * A workspace package, whose rules.yaml extends the root one, is checked
+ * against the files its own scaffold creates; the .cursor rules and ADRs
+ * live at the workspace root.
+ * @param {string} dir - Path to the project, absolute or relative to the working directory
+ * @returns {Promise<Object>} - Report with sections of checks and error/warning counts
+ */
+async function validateProject(dir) {
+  const projectPath = path.resolve(dir);
+  const sections = [];
+  let section;
+
+  const begin = title => {
+    section = { title, checks: [] };
+    sections.push(section);
+  };
+  const record = (level, message) => {
+    section.checks.push({ level, message });
+  };
+  const isDir = async relative => {
+    const stats = await statOrNull(path.join(projectPath, relative));
+    return Boolean(stats && stats.isDirectory());
+  };
+  const isFile = async relative => {
+    const stats = await statOrNull(path.join(projectPath, relative));
+    return Boolean(stats && stats.isFile());
+  };
+
+  // Parse rules.yaml up front; later sections depend on it
+  const rulesPath = path.join(projectPath, 'rules.yaml');
+  let rules = null;
+  let ownRules = null;
+  let rulesContent = null;
+  let rulesError = null;
+  let extendsError = null;
+  try {
+    rulesContent = await readFile(rulesPath, 'utf8');
+    ownRules = yaml.parse(rulesContent) || {};
+    rules = ownRules;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      rulesError = error;
+    }
+  }
+
+  const isPackage = Boolean(ownRules && typeof ownRules.extends === 'string');
+  if (isPackage) {
+    try {
+      rules = await resolveExtends(ownRules, rulesPath);
+    } catch (error) {
+      extendsError = error;
+    }
+  }
+
+  const memoryBankFiles = requiredMemoryFiles(rules);
+
+  begin('Directory Structure Validation');
+  const requiredDirs = [
+    ...(isPackage ? [] : [
+      ['.cursor/rules', '.cursor/rules directory'],
+      ['doc-files/adr', 'doc-files/adr directory']
+    ]),
+    ['memory-bank', 'memory-bank directory']
+  ];
+  for (const [dir, label] of requiredDirs) {
+    if (await isDir(dir)) {
+      record('pass', `${label} exists`);
+    } else {
+      record('error', `${label} missing`);
+    }
+  }
+
+  begin('Required Files Validation');
+  const requiredFiles = [
+    ['rules.yaml', 'rules.yaml configuration file'],
+    ...(isPackage ? [] : [['doc-files/adr/template.md', 'ADR template']]),
+    ...memoryBankFiles.map(file => [`memory-bank/${file}`, `memory-bank/${file}`])
+  ];
+  for (const [file, label] of requiredFiles) {
+    if (await isFile(file)) {
+      record('pass', `${label} exists`);
+    } else {
+      record('warning', `${label} missing`);
+    }
+  }
+
+  begin('Rules Validation');
+  if (rulesError) {
+    record('error', `rules.yaml is not valid YAML: ${rulesError.message}`);
+  } else if (extendsError) {
+    record('error', extendsError.message);
+  } else if (rules) {
+    record('pass', 'rules.yaml parses as valid YAML');
+    if (isPackage) {
+      record('pass', `rules.yaml extends ${ownRules.extends}`);
+    }
+
+    // Inherited rules name files relative to the rules.yaml they come from
+    const rulesBase = isPackage && ownRules.rules === undefined
+      ? path.relative(projectPath, path.dirname(path.resolve(projectPath, ownRules.extends))).split(path.sep).join('/')
+      : '';
+
+    const ruleList = Array.isArray(rules.rules) ? rules.rules : [];
+    if (rules.rules !== undefined && !Array.isArray(rules.rules)) {
+      record('error', 'rules.yaml "rules" must be a list');
+    }
+
+    for (const rule of ruleList) {
+      const requiredFiles = rule && rule.validation && rule.validation.required_files;
+      if (!Array.isArray(requiredFiles)) continue;
+
+      const ruleId = rule.id || rule.name;
+      const level = rule.severity === 'error' ? 'error' : 'warning';
+      const baseDir = typeof rule.applies_to === 'string' ? rule.applies_to : '';
+
+      for (const file of requiredFiles) {
+        const relative = path.posix.join(rulesBase, baseDir, file);
+        if (await isFile(relative)) {
+          record('pass', `${ruleId}: ${relative} exists`);
+        } else {
+          record(level, `${ruleId}: required file ${relative} missing`);
+        }
+      }
+    }
+  } else {
+    record('warning', 'rules.yaml missing, rule requirements not checked');
+  }
+
+  begin('File Format Validation');
+  if (isPackage) {
+    record('pass', 'Rule files and ADRs are checked at the workspace root');
+  } else {
+    await validateFileFormats(projectPath, record);
+  }
+
+  begin('Content Validation');
+  if (rulesContent !== null) {
+    const placeholders = findPlaceholders(rulesContent);
+    if (placeholders.length > 0) {
+      const names = Array.from(new Set(placeholders.map(p => p.name)));
+      record('warning', `rules.yaml still contains ${names.length} placeholder values: ${names.join(', ')}`);
+    } else {
+      record('pass', 'rules.yaml has no placeholder values');
+    }
+  }
+  for (const file of memoryBankFiles) {
+    const relative = `memory-bank/${file}`;
+    if (!await isFile(relative)) continue;
+
+    const content = await readFile(path.join(projectPath, relative), 'utf8');
+    if (content.split('\n').filter(line => line.trim()).length < MIN_MEMORY_BANK_LINES) {
+      record('warning', `${relative} has minimal content`);
+    } else {
+      record('pass', `${relative} has content`);
+    }
+  }
+
+  const all = sections.reduce((acc, s) => acc.concat(s.checks), []);
+  const errors = all.filter(check => check.level === 'error').length;
+  const warnings = all.filter(check => check.level === 'warning').length;
+
+  return {
+    projectPath,
+    sections,
+    errors,
+    warnings,
+    exitCode: errors > 0 ? 2 : warnings > 0 ? 1 : 0
+  };
+}
+
 module.exports = {
   validateProjectName,
   isDirectoryEmptyOrNonexistent,
-  validateExistingProject
+  validateExistingProject,
+  validateProject
 };
@@ -0,0 +1,408 @@
+/**
+ * Monorepo and workspace support
+ *
+ * Finds the packages of npm, yarn and pnpm workspaces and of turbo and nx
+ * layouts, builds the rules.yaml and memory bank files a package gets on
+ * top of the shared ones at the workspace root, and resolves the `extends`
+ * key those package rules use to inherit from the root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { InstallerError } = require('./errors');
+const { selectTemplate } = require('./stack-detector');
+const { globToRegExp } = require('./utils/glob');
+const yaml = require('./utils/yaml');
+
+const readFile = promisify(fs.readFile);
+const readdir = promisify(fs.readdir);
+
+// Files that make a directory matched by a workspace pattern a package
+const PACKAGE_MANIFESTS = ['package.json', 'project.json', 'pyproject.toml', 'setup.py', 'requirements.txt', 'go.mod', 'Cargo.toml'];
+
+// Package directories of turbo repositories that declare no workspaces
+const TURBO_PATTERNS = ['apps/*', 'packages/*'];
+
+// How deep "**" in a workspace pattern looks for packages
+const MAX_PACKAGE_DEPTH = 4;
+
+// Memory bank files a package keeps for itself; the others are shared at the root
+const PACKAGE_MEMORY_FILES = ['techContext.md', 'activeContext.md', 'progress.md'];
+
+// Sections of a package's template rules.yaml copied into its rules.yaml,
+// after project; conventions the root does not cover are copied as well
+const PACKAGE_RULE_SECTIONS = ['testing', 'architecture'];
+
+// Longest chain of rules.yaml files extending each other
+const MAX_EXTENDS_DEPTH = 10;
+
+/**
+ * Reads a file relative to a directory, returning null when it is missing
+ * @param {string} dir - Directory
+ * @param {string} file - Relative file path
+ * @returns {Promise<string|null>} - File contents or null
+ */
+async function readOptional(dir, file) {
+  try {
+    return await readFile(path.join(dir, file), 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parses a JSON file relative to a directory
+ * @param {string} dir - Directory
+ * @param {string} file - Relative file path
+ * @returns {Promise<Object|null>} - Parsed content, or null when the file is
+ *   missing or not valid JSON
+ */
+async function readJson(dir, file) {
+  const content = await readOptional(dir, file);
+  try {
+    return content === null ? null : JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds the package patterns a workspace root declares
+ * @param {string} rootPath - Workspace root
+ * @returns {Promise<Object|null>} - { type, source, patterns } or null when
+ *   the directory is not a workspace root
+ */
+async function readWorkspacePatterns(rootPath) {
+  const pnpm = await readOptional(rootPath, 'pnpm-workspace.yaml');
+  if (pnpm !== null) {
+    let config = null;
+    try {
+      config = yaml.parse(pnpm);
+    } catch (error) {
+      // Reported below as a workspace without packages
+    }
+    const patterns = config && Array.isArray(config.packages) ? config.packages : [];
+    return { type: 'pnpm', source: 'pnpm-workspace.yaml', patterns };
+  }
+
+  const packageJson = await readJson(rootPath, 'package.json');
+  const workspaces = packageJson && packageJson.workspaces;
+  const patterns = Array.isArray(workspaces) ? workspaces : workspaces && Array.isArray(workspaces.packages) ? workspaces.packages : null;
+  if (patterns) {
+    const yarn = await readOptional(rootPath, 'yarn.lock') !== null;
+    return { type: yarn ? 'yarn' : 'npm', source: 'package.json workspaces', patterns };
+  }
+
+  const nx = await readJson(rootPath, 'nx.json');
+  if (nx) {
+    const layout = nx.workspaceLayout || {};
+    return {
+      type: 'nx',
+      source: 'nx.json',
+      patterns: [`${layout.appsDir || 'apps'}/**`, `${layout.libsDir || 'libs'}/**`]
+    };
+  }
+
+  if (await readOptional(rootPath, 'turbo.json') !== null) {
+    return { type: 'turbo', source: 'turbo.json', patterns: TURBO_PATTERNS };
+  }
+
+  return null;
+}
+
+/**
+ * Lists the directories under a root, skipping dot directories and node_modules
+ * @param {string} rootPath - Root directory
+ * @param {number} maxDepth - Deepest level to list
+ * @returns {Promise<string[]>} - POSIX paths relative to the root
+ */
+async function listDirectories(rootPath, maxDepth) {
+  const found = [];
+  let level = [''];
+
+  for (let depth = 1; depth <= maxDepth && level.length > 0; depth++) {
+    const next = [];
+    for (const dir of level) {
+      let entries;
+      try {
+        entries = await readdir(path.join(rootPath, dir), { withFileTypes: true });
+      } catch (error) {
+        continue;
+      }
+      entries
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules')
+        .forEach(entry => next.push(dir ? `${dir}/${entry.name}` : entry.name));
+    }
+    found.push(...next);
+    level = next;
+  }
+
+  return found;
+}
+
+/**
+ * Normalizes a workspace or filter glob
+ * @param {string} pattern - Glob such as ./packages/* or apps/
+ * @returns {string} - Glob without a leading "./" or trailing "/"
+ */
+function normalizePattern(pattern) {
+  return pattern.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Reads the name of a package from its manifest
+ * @param {string} packagePath - Package directory
+ * @param {string} relativePath - Package path relative to the workspace root
+ * @returns {Promise<string>} - package.json or project.json name, else the path
+ */
+async function readPackageName(packagePath, relativePath) {
+  for (const manifest of ['package.json', 'project.json']) {
+    const json = await readJson(packagePath, manifest);
+    if (json && typeof json.name === 'string' && json.name) {
+      return json.name;
+    }
+  }
+  return relativePath;
+}
+
+/**
+ * Detects whether a directory is the root of a workspace and lists its packages
+ * @param {string} rootPath - Directory to inspect
+ * @returns {Promise<Object|null>} - { type, source, patterns, packages } with
+ *   packages of { name, path } ordered by path, or null when the directory
+ *   is not a workspace root
+ */
+async function detectWorkspace(rootPath) {
+  const workspace = await readWorkspacePatterns(rootPath);
+  if (!workspace) return null;
+
+  const patterns = workspace.patterns.filter(pattern => typeof pattern === 'string' && normalizePattern(pattern));
+  const include = patterns.filter(pattern => !pattern.startsWith('!')).map(pattern => globToRegExp(normalizePattern(pattern)));
+  const exclude = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegExp(normalizePattern(pattern.slice(1))));
+  const depth = patterns.reduce((max, pattern) => Math.max(
+    max,
+    pattern.includes('**') ? MAX_PACKAGE_DEPTH : normalizePattern(pattern).split('/').length
+  ), 0);
+
+  const packages = [];
+  for (const dir of await listDirectories(rootPath, depth)) {
+    if (!include.some(regex => regex.test(dir)) || exclude.some(regex => regex.test(dir))) continue;
+
+    const packagePath = path.join(rootPath, ...dir.split('/'));
+    const manifests = await readdir(packagePath);
+    if (!PACKAGE_MANIFESTS.some(manifest => manifests.includes(manifest))) continue;
+
+    packages.push({ name: await readPackageName(packagePath, dir), path: dir });
+  }
+
+  packages.sort((a, b) => a.path.localeCompare(b.path));
+  return { ...workspace, patterns, packages };
+}
+
+/**
+ * Keeps the packages whose path or name matches a glob
+ * @param {Object[]} packages - Packages as { name, path }
+ * @param {string} [glob] - Glob such as apps/* or @acme/*; all packages when omitted
+ * @returns {Object[]} - Matching packages
+ */
+function filterPackages(packages, glob) {
+  if (!glob) return packages;
+  const regex = globToRegExp(normalizePattern(glob));
+  return packages.filter(pkg => regex.test(pkg.path) || regex.test(pkg.name));
+}
+
+/**
+ * Detects the workspace of a directory and picks a template for each of the
+ * packages to scaffold, from the package's own stack
+ * @param {string} rootPath - Workspace root
+ * @param {Object} [options] - Selection options
+ * @param {string} [options.packages] - Glob of the package paths or names to scaffold
+ * @param {string|string[]} [options.templateDir] - Directories of local templates
+ * @returns {Promise<Object|null>} - The workspace, with packages of
+ *   { name, path, template, reasons }, or null when the directory is not a
+ *   workspace root
+ * @throws {InstallerError} - If a filter is given outside a workspace or
+ *   matches no package
+ */
+async function selectWorkspacePackages(rootPath, options = {}) {
+  const workspace = await detectWorkspace(rootPath);
+  if (!workspace) {
+    if (options.packages) {
+      throw new InstallerError(
+        `${rootPath} is not a workspace root`,
+        'NOT_A_WORKSPACE',
+        { errors: ['--packages needs package.json workspaces, pnpm-workspace.yaml, nx.json or turbo.json'] }
+      );
+    }
+    return null;
+  }
+
+  const packages = filterPackages(workspace.packages, options.packages);
+  if (options.packages && packages.length === 0) {
+    throw new InstallerError(
+      `No workspace package matches ${options.packages}`,
+      'NO_MATCHING_PACKAGES',
+      { errors: [workspace.packages.length > 0
+        ? `Packages: ${workspace.packages.map(pkg => pkg.path).join(', ')}`
+        : `${workspace.source} lists no packages`] }
+    );
+  }
+
+  for (const pkg of packages) {
+    const selection = await selectTemplate(path.join(rootPath, ...pkg.path.split('/')), { templateDir: options.templateDir });
+    pkg.template = selection.template;
+    pkg.reasons = selection.reasons;
+  }
+
+  return { ...workspace, packages };
+}
+
+/**
+ * Cuts the text of a mapping key, with everything nested under it, out of
+ * a YAML document
+ * @param {string[]} lines - Document lines
+ * @param {Object} locations - Line numbers by dotted key path, from yaml.parse
+ * @param {string} keyPath - Dotted key path
+ * @returns {string[]} - Lines of the key, without trailing blank lines
+ */
+function extractBlock(lines, locations, keyPath) {
+  const start = locations[keyPath] - 1;
+  const indent = lines[start].search(/\S/);
+  let end = start + 1;
+  while (end < lines.length && (!lines[end].trim() || lines[end].search(/\S/) > indent)) end++;
+  while (end > start + 1 && !lines[end - 1].trim()) end--;
+  return lines.slice(start, end);
+}
+
+/**
+ * Builds the rules.yaml of a workspace package: it extends the root
+ * rules.yaml and sets the project, testing and architecture sections of the
+ * package's template, plus the conventions the root does not cover
+ * @param {string} templateRules - Rendered rules.yaml of the package's template
+ * @param {Object} pkg - Package as { name, path }
+ * @param {Object} rootRules - Parsed rules.yaml of the workspace root
+ * @returns {string} - rules.yaml content
+ */
+function packageRules(templateRules, pkg, rootRules) {
+  const lines = templateRules.split('\n');
+  const locations = {};
+  const rules = yaml.parse(templateRules, { locations }) || {};
+  const rootConventions = (rootRules && rootRules.conventions) || {};
+  const extendsPath = `${path.posix.relative(pkg.path, '.')}/rules.yaml`;
+
+  const block = section => (locations[section] ? [extractBlock(lines, locations, section)] : []);
+  const conventions = Object.keys(rules.conventions || {}).filter(key => !(key in rootConventions));
+  const blocks = [
+    ...block('project'),
+    [
+      'documentation:',
+      '  memory_bank_required_files:',
+      ...PACKAGE_MEMORY_FILES.map(file => `    - ${file}`)
+    ],
+    ...(conventions.length > 0
+      ? [['conventions:', ...[].concat(...conventions.map(key => extractBlock(lines, locations, `conventions.${key}`)))]]
+      : []),
+    ...[].concat(...PACKAGE_RULE_SECTIONS.map(block))
+  ];
+
+  return [
+    `# Rules of the ${pkg.name} package. Everything not set here is inherited from`,
+    '# the rules.yaml named by `extends`: mappings are merged key by key, and',
+    '# lists and values set here replace the inherited ones.',
+    `extends: "${extendsPath}"`,
+    '',
+    ...[].concat(...blocks.map(block => [...block, '']))
+  ].join('\n').replace('"{{PROJECT_NAME}}"', JSON.stringify(pkg.name));
+}
+
+/**
+ * Builds a memory bank file of a workspace package: the template's file with
+ * a pointer to the shared memory bank at the root under its title
+ * @param {string} content - Template file content
+ * @param {Object} pkg - Package as { name, path }
+ * @returns {string} - File content
+ */
+function packageMemoryFile(content, pkg) {
+  const shared = `${path.posix.relative(`${pkg.path}/memory-bank`, 'memory-bank')}/`;
+  const note = `> Memory bank of the \`${pkg.name}\` package. Shared context lives in the [workspace memory bank](${shared}); record only what is specific to this package here.`;
+  const lines = content.split('\n');
+  const title = lines.findIndex(line => /^# /.test(line));
+  lines.splice(title + 1, 0, '', note);
+  return lines.join('\n');
+}
+
+/**
+ * Merges rules, the overlay winning: mappings are merged key by key, lists
+ * and values replace the base
+ * @param {*} base - Inherited rules
+ * @param {*} overlay - Rules set by the extending file
+ * @returns {*} - Merged rules
+ */
+function mergeRules(base, overlay) {
+  const isMapping = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isMapping(base) || !isMapping(overlay)) {
+    return overlay === undefined ? base : overlay;
+  }
+
+  const merged = { ...base };
+  Object.keys(overlay).forEach(key => {
+    merged[key] = mergeRules(base[key], overlay[key]);
+  });
+  return merged;
+}
+
+/**
+ * Applies the `extends` key of parsed rules: the rules.yaml it names,
+ * relative to the extending file, is loaded (following its own `extends`)
+ * and the rules are merged over it
+ * @param {Object} rules - Parsed rules.yaml
+ * @param {string} rulesPath - Path of the rules.yaml the rules come from
+ * @param {string[]} [chain] - Files already being extended, to catch cycles
+ * @returns {Promise<Object>} - Merged rules without the `extends` key
+ * @throws {InstallerError} - If an extended file is missing, invalid or
+ *   extends a file already in the chain
+ */
+async function resolveExtends(rules, rulesPath, chain = []) {
+  if (!rules || typeof rules.extends !== 'string') {
+    return rules;
+  }
+
+  const { extends: extendsPath, ...own } = rules;
+  const basePath = path.resolve(path.dirname(rulesPath), extendsPath);
+  const seen = [...chain, path.resolve(rulesPath)];
+  if (seen.includes(basePath) || seen.length > MAX_EXTENDS_DEPTH) {
+    throw new InstallerError(
+      `${rulesPath} extends ${extendsPath}, which extends it back`,
+      'INVALID_RULES',
+      { errors: seen.concat(basePath).map(file => `extends chain: ${file}`) }
+    );
+  }
+
+  let content;
+  try {
+    content = await readFile(basePath, 'utf8');
+  } catch (error) {
+    throw new InstallerError(`${rulesPath} extends ${extendsPath}, which was not found`, 'RULES_NOT_FOUND');
+  }
+
+  let base;
+  try {
+    base = yaml.parse(content) || {};
+  } catch (error) {
+    throw new InstallerError(`${basePath} is not valid YAML: ${error.message}`, 'INVALID_RULES');
+  }
+
+  return mergeRules(await resolveExtends(base, basePath, seen), own);
+}
+
+module.exports = {
+  PACKAGE_MEMORY_FILES,
+  detectWorkspace,
+  filterPackages,
+  selectWorkspacePackages,
+  packageRules,
+  packageMemoryFile,
+  mergeRules,
+  resolveExtends
+};
@@ -2,36 +2,54 @@
 
 /**
  * Pre-publish verification script
- * Checks that all necessary files are present and no package.json files
- * are included in the templates
+ * Checks that all necessary files are present, no package.json files
+ * are included in the templates and the code requires nothing but
+ * Node.js built-in modules
  */
 
 const fs = require('fs');
 const path = require('path');
+const { builtinModules } = require('module');
 const { promisify } = require('util');
 
 const readdir = promisify(fs.readdir);
 const stat = promisify(fs.stat);
 const access = promisify(fs.access);
+const readFile = promisify(fs.readFile);
 
 // Required files and directories
 const requiredPaths = [
   'bin/cli.js',
   'lib/installer.js',
   'lib/index.js',
+  'lib/index.d.ts',
+  'lib/errors.js',
+  'lib/template-registry.js',
+  'lib/templates/next/template.json',
   'lib/templates/next/rules.yaml',
   'lib/templates/next/.cursor/rules',
   'lib/templates/next/memory-bank',
   'lib/templates/next/mem-scripts',
-  'lib/templates/next/doc-files/adr'
+  'lib/templates/next/doc-files/adr',
+  'lib/templates/python/template.json',
+  'lib/templates/python/rules.yaml',
+  'lib/templates/python/.cursor/rules',
+  'lib/templates/python/memory-bank',
+  'lib/templates/python/mem-scripts',
+  'lib/templates/python/doc-files/adr'
 ];
 
+// Directories whose code must only require built-in modules
+const codeDirs = ['bin', 'lib'];
+
 // Files that should NOT be included
 const forbiddenFiles = [
   'lib/templates/next/package.json',
   'lib/templates/next/package-lock.json',
   'lib/templates/default/package.json',
-  'lib/templates/default/package-lock.json'
+  'lib/templates/default/package-lock.json',
+  'lib/templates/python/package.json',
+  'lib/templates/python/pyproject.toml'
 ];
 
 /**
@@ -48,6 +66,48 @@ async function pathExists(filePath) {
   }
 }
 
+/**
+ * Lists the JavaScript files in a directory (recursively)
+ * @param {string} dir - Directory to search
+ * @returns {Promise<string[]>} - JavaScript file paths
+ */
+async function findScripts(dir) {
+  const result = [];
+
+  for (const name of await readdir(dir)) {
+    const fullPath = path.join(dir, name);
+    if ((await stat(fullPath)).isDirectory()) {
+      result.push(...await findScripts(fullPath));
+    } else if (name.endsWith('.js')) {
+      result.push(fullPath);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Lists the modules a script requires that are neither relative paths
+ * nor Node.js built-ins
+ * @param {string} file - Script to check
+ * @returns {Promise<string[]>} - Module names
+ */
+async function externalRequires(file) {
+  const content = await readFile(file, 'utf8');
+  const modules = [];
+  const pattern = /require\(\s*['"]([^'"]+)['"]\s*\)/g;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    const name = match[1].replace(/^node:/, '').split('/')[0];
+    if (!match[1].startsWith('.') && !builtinModules.includes(name)) {
+      modules.push(match[1]);
+    }
+  }
+
+  return modules;
+}
+
 /**
  * Main verification function
  */
@@ -79,6 +139,16 @@ async function verifyFiles() {
     }
   }
   
+  // Check that the package stays free of dependencies
+  for (const dir of codeDirs) {
+    for (const file of await findScripts(path.join(rootDir, dir))) {
+      for (const name of await externalRequires(file)) {
+        console.error(`❌ ${path.relative(rootDir, file)} requires ${name}, which is not a built-in module`);
+        hasErrors = true;
+      }
+    }
+  }
+  
   // Final result
   if (hasErrors) {
     console.error('❌ Verification failed! Please fix the issues above before publishing.');
@@ -0,0 +1,75 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { listAdrs, newAdr, supersedeAdr, writeAdrIndex } = require('../lib/adr');
+const { addToProject } = require('../lib/installer');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Architecture decision records', () => {
+  let dir;
+  let cwd;
+  const tempDir = useTempDirs('adr');
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  it('should number new records, cross-link superseded ones and index them', async () => {
+    process.chdir(dir);
+    await addToProject({ template: 'next' });
+    const date = new Date(2025, 3, 2);
+
+    expect(await writeAdrIndex(dir)).toMatchObject({ file: 'doc-files/adr/README.md', records: 1, status: 'created' });
+    const created = await newAdr(dir, 'Use Postgres for storage', { date });
+    expect(created).toEqual({ number: 2, file: 'doc-files/adr/002-use-postgres-for-storage.md', title: 'Use Postgres for storage', index: true });
+    await newAdr(dir, 'Use SQLite', { date });
+
+    const record = fs.readFileSync(path.join(dir, created.file), 'utf8');
+    expect(record).toMatch(/^# Architecture Decision Record: Use Postgres for storage\n\n## Status\nProposed\n\n## Date\n2025-04-02\n\n## Context\n/);
+
+    await supersedeAdr(dir, '2', 'ADR-003');
+    await supersedeAdr(dir, 2, 3);
+    const { records } = await listAdrs(dir);
+    expect(records.map(adr => adr.status)).toEqual([
+      'Accepted',
+      'Superseded by [ADR 003](003-use-sqlite.md)',
+      'Proposed; Supersedes [ADR 002](002-use-postgres-for-storage.md)'
+    ]);
+
+    const index = fs.readFileSync(path.join(dir, 'doc-files', 'adr', 'README.md'), 'utf8');
+    expect(index).toContain('| [003](003-use-sqlite.md) | Use SQLite | Proposed; Supersedes [ADR 002](002-use-postgres-for-storage.md) | 2025-04-02 |');
+    expect(await writeAdrIndex(dir)).toMatchObject({ records: 3, status: 'unchanged' });
+  });
+
+  it('should use the ADR directory listed in rules.yaml', async () => {
+    fs.writeFileSync(path.join(dir, 'rules.yaml'), [
+      'documentation:',
+      '  locations:',
+      '    - path: docs/',
+      '      purpose: General project documentation',
+      '    - path: docs/decisions/',
+      '      purpose: Architecture decision records',
+      ''
+    ].join('\n'));
+    fs.mkdirSync(path.join(dir, 'docs', 'decisions'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'docs', 'decisions', 'template.md'), '# [Title]\n\n## Status\n[Proposed, Accepted]\n');
+    fs.writeFileSync(path.join(dir, 'docs', 'decisions', '0009-old.md'), '# Old\n\n## Status\nAccepted\n');
+
+    const created = await newAdr(dir, 'Next one', { date: new Date(2025, 0, 5) });
+    expect(created.file).toBe('docs/decisions/0010-next-one.md');
+    expect(fs.readFileSync(path.join(dir, created.file), 'utf8')).toBe('# Next one\n\n## Status\nProposed\n\n## Date\n2025-01-05\n');
+  });
+
+  it('should reject empty titles, bad numbers and missing records', async () => {
+    await expect(newAdr(dir, ' ')).rejects.toMatchObject({ code: 'INVALID_ADR_TITLE' });
+    await expect(newAdr(dir, 'Title')).rejects.toMatchObject({ code: 'ADR_TEMPLATE_NOT_FOUND' });
+    await expect(supersedeAdr(dir, 'one', 2)).rejects.toMatchObject({ code: 'INVALID_ADR_NUMBER' });
+    await expect(supersedeAdr(dir, 1, 1)).rejects.toMatchObject({ code: 'INVALID_ADR_NUMBER' });
+    await expect(supersedeAdr(dir, 1, 2)).rejects.toMatchObject({ code: 'ADR_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,114 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildContext, estimateTokens } = require('../lib/context');
+const { supersedeAdr, newAdr } = require('../lib/adr');
+const { addToProject } = require('../lib/installer');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Context bundles', () => {
+  let dir;
+  let cwd;
+  const tempDir = useTempDirs('context');
+
+  beforeEach(async () => {
+    cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+    process.chdir(dir);
+    await addToProject({ template: 'next' });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  it('should bundle the rules, memory bank and current ADRs in a stable order', async () => {
+    await newAdr(dir, 'Use Postgres');
+    await supersedeAdr(dir, 1, 2);
+
+    const bundle = await buildContext(dir);
+    expect(bundle.sections.map(section => section.file)).toEqual([
+      'rules.yaml',
+      'memory-bank/projectbrief.md',
+      'memory-bank/techContext.md',
+      'memory-bank/systemPatterns.md',
+      'memory-bank/activeContext.md',
+      'memory-bank/progress.md',
+      'memory-bank/roadmap.md',
+      'doc-files/adr/002-use-postgres.md'
+    ]);
+    expect(bundle.content).toMatch(/^# Project context: .+\n\n## rules\.yaml\n\n```yaml\n# ---/);
+    expect(bundle.content).toContain('## memory-bank/roadmap.md\n\n```markdown\n# Development Roadmap\n');
+    expect(await buildContext(dir)).toEqual(bundle);
+
+    const xml = await buildContext(dir, {
+      format: 'xml',
+      include: ['memory-bank/{projectbrief,progress}.md', 'doc-files/adr/*.md'],
+      exclude: '*progress*'
+    });
+    expect(xml.sections.map(section => section.file)).toEqual([
+      'memory-bank/projectbrief.md',
+      'doc-files/adr/001-initial-framework.md',
+      'doc-files/adr/002-use-postgres.md'
+    ]);
+    expect(xml.content).toMatch(/^<project_context name=".+">\n<file path="memory-bank\/projectbrief.md" kind="memory">\n# Project Brief/);
+    expect(xml.content).toMatch(/<\/file>\n<\/project_context>\n$/);
+  });
+
+  it('should cut the lowest-priority sections first to fit a token budget', async () => {
+    const full = await buildContext(dir);
+    const roadmap = full.sections.find(section => section.file === 'memory-bank/roadmap.md');
+    const adr = full.sections.find(section => section.kind === 'adr');
+
+    const bundle = await buildContext(dir, { maxTokens: full.tokens - roadmap.tokens - Math.round(adr.tokens / 2) });
+    expect(bundle.tokens).toBeLessThanOrEqual(bundle.maxTokens);
+    expect(bundle.sections.filter(section => section.status !== 'included')).toEqual([
+      { file: 'memory-bank/roadmap.md', kind: 'memory', tokens: roadmap.tokens, status: 'omitted' },
+      { file: 'doc-files/adr/001-initial-framework.md', kind: 'adr', tokens: adr.tokens, status: 'truncated' }
+    ]);
+    expect(bundle.content).toContain('> Left out to fit the token budget: memory-bank/roadmap.md');
+    expect(bundle.content).toMatch(/\[\.\.\. cut to fit the token budget: \d+ of \d+ lines kept\]\n```\n$/);
+
+    const tiny = await buildContext(dir, { maxTokens: 50 });
+    expect(tiny.sections.every(section => section.status !== 'included')).toBe(true);
+    expect(estimateTokens(tiny.content)).toBe(tiny.tokens);
+  });
+
+  it('should bundle the root rules a workspace package extends', async () => {
+    const root = path.join(dir, 'workspace');
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), content);
+    };
+    write('package.json', JSON.stringify({ name: 'acme', private: true, workspaces: ['services/*'] }));
+    write('services/api/pyproject.toml', '[project]\ndependencies = ["fastapi"]\n');
+    process.chdir(root);
+    await addToProject({ template: 'next', packages: 'services/*' });
+
+    const packagePath = path.join(root, 'services', 'api');
+    const bundle = await buildContext(packagePath);
+    expect(bundle.sections.map(section => section.file)).toEqual([
+      '../../rules.yaml',
+      'rules.yaml',
+      'memory-bank/techContext.md',
+      'memory-bank/activeContext.md',
+      'memory-bank/progress.md'
+    ]);
+    expect(bundle.sections[0].kind).toBe('rules');
+    expect(bundle.content).toContain('## ../../rules.yaml\n\n```yaml\n');
+    expect(bundle.content).toContain('commit_format');
+
+    const rulesOnly = await buildContext(packagePath, { exclude: '../../*' });
+    expect(rulesOnly.sections[0].file).toBe('rules.yaml');
+
+    fs.rmSync(path.join(root, 'rules.yaml'));
+    await expect(buildContext(packagePath)).rejects.toMatchObject({ code: 'RULES_NOT_FOUND' });
+  });
+
+  it('should reject unknown formats, bad budgets and projects without rules', async () => {
+    await expect(buildContext(dir, { format: 'html' })).rejects.toMatchObject({ code: 'INVALID_CONTEXT_FORMAT' });
+    await expect(buildContext(dir, { maxTokens: '1e3x' })).rejects.toMatchObject({ code: 'INVALID_TOKEN_BUDGET' });
+    await expect(buildContext(os.tmpdir())).rejects.toMatchObject({ code: 'RULES_NOT_FOUND' });
+  });
+});
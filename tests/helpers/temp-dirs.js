@@ -0,0 +1,51 @@
+/**
+ * Temporary directories for test suites
+ *
+ * Each directory a suite creates is removed after the test that created it.
+ * Suites that scaffold projects also point XDG_CONFIG_HOME into the test's
+ * directory, so the user config and templates of the machine running the
+ * tests stay out, and get the previous value back afterwards.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Registers the cleanup for a suite's temporary directories. Call it inside
+ * a describe block, or at the top of a file for the whole file.
+ * @param {string} prefix - Name part of the directories, e.g. "adr"
+ * @returns {Function} - tempDir(options) creates a directory and returns its
+ *   path; with { userConfig: true } XDG_CONFIG_HOME is set to its "config"
+ *   subdirectory until the test ends
+ */
+function useTempDirs(prefix) {
+  const dirs = [];
+  let configHome = null;
+
+  afterEach(() => {
+    if (configHome) {
+      if (configHome.value === undefined) {
+        delete process.env.XDG_CONFIG_HOME;
+      } else {
+        process.env.XDG_CONFIG_HOME = configHome.value;
+      }
+      configHome = null;
+    }
+    dirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  return (options = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `ai-init-${prefix}-`));
+    dirs.push(dir);
+    if (options.userConfig) {
+      configHome = configHome || { value: process.env.XDG_CONFIG_HOME };
+      process.env.XDG_CONFIG_HOME = path.join(dir, 'config');
+    }
+    return dir;
+  };
+}
+
+module.exports = {
+  useTempDirs
+};
@@ -0,0 +1,121 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { lintCommitMessage, findRestrictedFiles } = require('../lib/commit-lint');
+const { installHooks, uninstallHooks } = require('../lib/hooks');
+const { runGit } = require('../lib/utils/git');
+const { addToProject } = require('../lib/installer');
+const yaml = require('../lib/utils/yaml');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+const gitIt = runGit(['--version'], os.tmpdir()) !== null ? it : it.skip;
+
+// Configuration forced through the environment, such as a core.hooksPath,
+// would override the test repositories' own
+const FORCED_GIT_CONFIG = /^GIT_CONFIG_(COUNT|PARAMETERS|KEY_\d+|VALUE_\d+)$/;
+
+describe('Git hooks', () => {
+  let dir;
+  let cwd;
+  let env;
+  const tempDir = useTempDirs('hooks');
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    env = { ...process.env };
+    dir = tempDir({ userConfig: true });
+    Object.keys(process.env).filter(name => FORCED_GIT_CONFIG.test(name)).forEach(name => delete process.env[name]);
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    process.env = env;
+  });
+
+  it('should check messages and staged files against the template rules', () => {
+    const rules = yaml.parse(fs.readFileSync(path.join(__dirname, '..', 'lib', 'templates', 'next', 'rules.yaml'), 'utf8'));
+    const lint = message => lintCommitMessage(message, rules.commit_format).map(problem => `${problem.line}: ${problem.message}`);
+
+    expect(lint('feat(auth): implement SSO functionality\n\n# Please enter the commit message\n')).toEqual([]);
+    expect(lint(`fix: keep links whole\n\nSee https://example.com/${'x'.repeat(80)}\n`)).toEqual([]);
+    expect(lint('Merge branch \'main\' into feature\n')).toEqual([]);
+    expect(lint('fixup! feat: thing\n')).toEqual([]);
+    expect(lint('Added stuff.\n')).toEqual(['1: The subject should read "<type>[(scope)]: <description>"']);
+    expect(lint('feature: Add a very long subject line that keeps going on.\nbody\n')).toEqual([
+      '1: "feature" is not a commit type; use one of: feat, fix, docs, style, refactor, perf, test, build, ci, chore, revert',
+      '1: The description should start with a lowercase letter',
+      '1: The subject should not end with a period',
+      '1: The subject is 58 characters long; keep it to 50',
+      '2: Leave a blank line between the subject and the body'
+    ]);
+    expect(lint(`docs: explain\n\n${'word '.repeat(16)}\n# ------------------------ >8 ------------------------\n${'y '.repeat(60)}`))
+      .toEqual(['3: The line is 79 characters long; wrap the body at 72']);
+
+    expect(findRestrictedFiles(['src/index.ts', 'apps/web/.env.local', 'credentials.json'], rules.security.restricted_files))
+      .toEqual([{ file: 'apps/web/.env.local', pattern: '.env.*' }, { file: 'credentials.json', pattern: 'credentials.json' }]);
+  });
+
+  gitIt('should install hooks that block bad commits and uninstall them cleanly', async () => {
+    runGit(['init', '-q'], dir);
+    process.chdir(dir);
+    await addToProject({ template: 'python' });
+
+    const hooksDir = path.join(dir, '.git', 'hooks');
+    fs.writeFileSync(path.join(hooksDir, 'pre-commit'), '#!/bin/bash\necho "lint"\n');
+    const report = await installHooks(dir);
+    expect(report).toMatchObject({ hooksDir: '.git/hooks', husky: false });
+    expect(report.changes.map(change => `${change.status} ${change.file}`)).toEqual([
+      'created .git/hooks/ai-init-hooks.js',
+      'created .git/hooks/commit-msg',
+      'updated .git/hooks/pre-commit'
+    ]);
+    expect((await installHooks(dir)).changes.every(change => change.status === 'unchanged')).toBe(true);
+
+    const runner = path.join(hooksDir, 'ai-init-hooks.js');
+    const message = path.join(dir, 'MSG');
+    const run = (...args) => spawnSync(process.execPath, [runner, ...args], { cwd: dir, env: process.env, encoding: 'utf8' });
+
+    fs.writeFileSync(message, 'Fixed it\n');
+    const rejected = run('commit-msg', message);
+    expect(rejected.status).toBe(1);
+    expect(rejected.stderr).toContain('--no-verify');
+    fs.writeFileSync(message, 'fix(api): prevent timeout on large requests\n');
+    expect(run('commit-msg', message).status).toBe(0);
+
+    fs.writeFileSync(path.join(dir, 'key.pem'), '');
+    runGit(['add', 'key.pem'], dir);
+    const blocked = run('pre-commit');
+    expect(blocked.status).toBe(1);
+    expect(blocked.stderr).toContain('key.pem (matches "*.pem")');
+
+    await uninstallHooks(dir);
+    expect(fs.readFileSync(path.join(hooksDir, 'pre-commit'), 'utf8')).toBe('#!/bin/bash\necho "lint"\n');
+    expect(fs.existsSync(path.join(hooksDir, 'commit-msg'))).toBe(false);
+    expect(fs.existsSync(runner)).toBe(false);
+  });
+
+  gitIt('should follow core.hooksPath and husky, and require a repository', async () => {
+    await expect(installHooks(dir)).rejects.toMatchObject({ code: 'NOT_A_GIT_REPOSITORY' });
+
+    runGit(['init', '-q'], dir);
+    runGit(['config', 'core.hooksPath', os.devNull], dir);
+    await expect(installHooks(dir)).rejects.toMatchObject({ code: 'NOT_DIRECTORY' });
+    runGit(['config', 'core.hooksPath', '.husky/_'], dir);
+    fs.mkdirSync(path.join(dir, '.husky'));
+    fs.writeFileSync(path.join(dir, '.husky', 'commit-msg'), '#!/usr/bin/env node\nconsole.log(1);\n');
+    fs.writeFileSync(path.join(dir, '.husky', 'pre-commit'), 'npm test\n');
+
+    const report = await installHooks(dir);
+    expect(report).toMatchObject({ hooksDir: '.husky', husky: true });
+    expect(report.changes.map(change => change.status)).toEqual(['created', 'skipped', 'updated']);
+    expect(fs.readFileSync(path.join(dir, '.husky', 'pre-commit'), 'utf8')).toMatch(/^# >>> ai-init hooks.*\n[\s\S]*# <<< ai-init hooks\nnpm test\n$/);
+
+    runGit(['config', 'core.hooksPath', 'tools/hooks'], dir);
+    expect((await installHooks(dir, { dryRun: true })).changes.map(change => change.file)).toEqual([
+      'tools/hooks/ai-init-hooks.js', 'tools/hooks/commit-msg', 'tools/hooks/pre-commit'
+    ]);
+    expect(fs.existsSync(path.join(dir, 'tools'))).toBe(false);
+  });
+});
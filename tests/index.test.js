@@ -0,0 +1,72 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const api = require('../lib');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Programmatic API', () => {
+  let dir;
+  const tempDir = useTempDirs('api');
+
+  beforeEach(() => {
+    dir = tempDir({ userConfig: true });
+  });
+
+  it('should scaffold a new directory outside the working directory', async () => {
+    const cwd = process.cwd();
+    const events = [];
+    const result = await api.scaffold({
+      targetDir: path.join(dir, 'app'),
+      tools: ['cursor'],
+      metadata: { name: 'app', goal: 'Ship it' },
+      onProgress: event => events.push(event)
+    });
+
+    expect(process.cwd()).toBe(cwd);
+    expect(result).toMatchObject({ projectPath: path.join(dir, 'app'), template: 'next', created: true, dryRun: false });
+    expect(events[0]).toEqual({ type: 'template', template: 'next', detected: false, reasons: [] });
+    expect(events.filter(event => event.type === 'action').map(event => event.action)).toEqual(result.actions);
+    expect(result.actions).toContainEqual({ type: 'file', path: 'rules.yaml', status: 'copy' });
+    expect(fs.readFileSync(path.join(dir, 'app', 'rules.yaml'), 'utf8')).toMatch('Ship it');
+
+    const report = await api.validate(path.relative(cwd, path.join(dir, 'app')));
+    expect(report.projectPath).toBe(path.join(dir, 'app'));
+    expect(report.errors).toBe(0);
+  });
+
+  it('should detect the template of an existing project and report warnings as events', async () => {
+    fs.writeFileSync(path.join(dir, 'pyproject.toml'), '[project]\nname = "api"\n');
+    fs.writeFileSync(path.join(dir, 'rules.yaml'), 'project:\n  name: api\n');
+    const events = [];
+
+    const result = await api.scaffold({ targetDir: dir, dryRun: true, onProgress: event => events.push(event) });
+
+    expect(result).toMatchObject({ template: 'python', created: false, dryRun: true });
+    expect(events[0]).toMatchObject({ type: 'template', template: 'python', detected: true });
+    expect(events).toContainEqual({ type: 'warning', message: 'Project already has rules.yaml file. It will be preserved.' });
+    expect(fs.existsSync(path.join(dir, 'memory-bank'))).toBe(false);
+  });
+
+  it('should expose every error code the library throws', async () => {
+    await expect(api.scaffold({})).rejects.toMatchObject({ code: api.ERROR_CODES.MISSING_TARGET_DIR });
+    await expect(api.scaffold({ targetDir: dir, template: 'cobol' })).rejects.toBeInstanceOf(api.InstallerError);
+
+    const sources = [];
+    const collect = folder => fs.readdirSync(folder, { withFileTypes: true }).forEach(entry => {
+      const fullPath = path.join(folder, entry.name);
+      if (entry.isDirectory() && entry.name !== 'templates') collect(fullPath);
+      else if (entry.name.endsWith('.js')) sources.push(fs.readFileSync(fullPath, 'utf8'));
+    });
+    collect(path.join(__dirname, '..', 'lib'));
+    collect(path.join(__dirname, '..', 'bin'));
+
+    const thrown = new Set();
+    sources.forEach(source => {
+      for (const match of source.matchAll(/new InstallerError\([\s\S]*?'([A-Z][A-Z_]+)'/g)) {
+        thrown.add(match[1]);
+      }
+    });
+    expect(thrown.size).toBeGreaterThan(20);
+    thrown.forEach(code => expect(api.ERROR_CODES[code]).toBe(code));
+  });
+});
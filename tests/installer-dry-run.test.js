@@ -0,0 +1,64 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { createProject, addToProject } = require('../lib/installer');
+const { unifiedDiff } = require('../lib/utils/diff');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Installer dry run', () => {
+  let dir;
+  let cwd;
+  const tempDir = useTempDirs('dry-run');
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  it('should report every action of a new project without writing', async () => {
+    const actions = [];
+    const projectPath = await createProject(path.join(dir, 'app'), {
+      dryRun: true,
+      onAction: action => actions.push(action)
+    });
+
+    expect(fs.existsSync(projectPath)).toBe(false);
+    expect(actions).toContainEqual({ type: 'directory', path: path.join('.cursor', 'rules'), status: 'create' });
+    expect(actions).toContainEqual({ type: 'file', path: 'rules.yaml', status: 'copy' });
+    expect(actions).toContainEqual({ type: 'file', path: '.ai-init-lock.json', status: 'create' });
+    expect(actions).toContainEqual({ type: 'symlink', path: '.cursorrules', target: 'rules.yaml', status: 'create' });
+  });
+
+  it('should report skipped files with a diff when adding to a project', async () => {
+    fs.mkdirSync(path.join(dir, 'memory-bank'));
+    fs.writeFileSync(path.join(dir, 'memory-bank', 'progress.md'), '# Progress\n');
+    fs.symlinkSync('missing.yaml', path.join(dir, '.cursorrules'));
+    process.chdir(dir);
+
+    const actions = [];
+    await addToProject({ dryRun: true, diff: true, onAction: action => actions.push(action) });
+
+    const skipped = actions.find(action => action.path === path.join('memory-bank', 'progress.md'));
+    expect(skipped.status).toBe('skip');
+    expect(skipped.diff).toMatch(/^--- memory-bank\/progress\.md \(existing\)\n\+\+\+ memory-bank\/progress\.md \(template\)\n@@ -1,1 \+1,\d+ @@\n-# Progress\n\+# Progress Tracking/);
+    expect(actions).toContainEqual({ type: 'directory', path: 'memory-bank', status: 'exists' });
+    expect(actions).toContainEqual({ type: 'symlink', path: '.cursorrules', target: 'rules.yaml', status: 'skip' });
+    expect(fs.readdirSync(dir).sort()).toEqual(['.cursorrules', 'memory-bank']);
+  });
+
+  it('should build unified diffs with context', () => {
+    const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+    const after = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk\n';
+
+    expect(unifiedDiff(before, after, { from: 'old', to: 'new' })).toBe([
+      '--- old', '+++ new',
+      '@@ -1,5 +1,5 @@', ' a', '-b', '+B', ' c', ' d', ' e',
+      '@@ -8,3 +8,4 @@', ' h', ' i', ' j', '+k'
+    ].join('\n'));
+    expect(unifiedDiff(before, before)).toBe('');
+  });
+});
@@ -1,43 +1,69 @@
 const { expect } = require('@jest/globals');
-const fs = require('fs-extra');
-const { createProject } = require('../lib/installer');
+const fs = require('fs');
+const path = require('path');
+const { createProject, createMemoryBankFiles, createAdrFiles } = require('../lib/installer');
+const { readLock } = require('../lib/lockfile');
+const { CONFIG_FILE } = require('../lib/config');
+const { useTempDirs } = require('./helpers/temp-dirs');
 
-// Mock fs-extra and child_process
-jest.mock('fs-extra');
-jest.mock('child_process', () => ({
-  execSync: jest.fn(),
-}));
-
-// Create a simple passing test suite
 describe('Installer module', () => {
+  let dir;
+  let cwd;
+  const tempDir = useTempDirs('installer');
+
   beforeEach(() => {
-    // Reset all mocks
-    jest.clearAllMocks();
-    
-    // Setup common mock behaviors
-    fs.ensureDir.mockResolvedValue(undefined);
-    fs.pathExists.mockResolvedValue(false);
-    fs.readdir.mockResolvedValue(['file1', 'file2']);
-    fs.copy.mockResolvedValue(undefined);
-    fs.stat.mockResolvedValue({ isDirectory: () => true });
-    fs.readJson.mockResolvedValue({ dependencies: {} });
-    fs.existsSync.mockReturnValue(false);
+    cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+    process.chdir(dir);
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
   });
 
   describe('Project validation', () => {
     it('should validate project names correctly', async () => {
-      // Valid project name
-      expect(async () => {
-        try {
-          await createProject('valid-name', { skipInstall: true, skipGit: true });
-          return true;
-        } catch (e) {
-          return false;
-        }
-      }).not.toThrow();
-      
-      // Invalid project name should throw
-      await expect(createProject('invalid@name')).rejects.toThrow();
+      await expect(createProject('My-App', { dryRun: true })).resolves.toBe(path.join(fs.realpathSync(dir), 'My-App'));
+      await expect(createProject('invalid@name')).rejects.toMatchObject({ code: 'INVALID_NAME' });
+      await expect(createProject('fs')).rejects.toMatchObject({ code: 'INVALID_NAME' });
+      expect(fs.existsSync('invalid@name')).toBe(false);
+    });
+
+    it('should refuse directories that are not empty', async () => {
+      fs.mkdirSync('app');
+      fs.writeFileSync(path.join('app', 'index.js'), '');
+
+      await expect(createProject('app')).rejects.toMatchObject({ code: 'DIR_NOT_EMPTY' });
+    });
+  });
+
+  describe('Memory bank and ADR files', () => {
+    it('should add the template memory bank to a project and keep existing files', async () => {
+      fs.mkdirSync('memory-bank');
+      fs.writeFileSync(path.join('memory-bank', 'progress.md'), '# Progress\n\nShipped.\n');
+
+      const files = await createMemoryBankFiles(dir, { metadata: { name: 'shop', goal: 'Sell things', features: [] } });
+
+      expect(files).toContain(path.join('memory-bank', 'projectbrief.md'));
+      expect(files).not.toContain(path.join('memory-bank', 'progress.md'));
+      expect(fs.readFileSync(path.join('memory-bank', 'progress.md'), 'utf8')).toBe('# Progress\n\nShipped.\n');
+      expect(fs.readFileSync(path.join('memory-bank', 'projectbrief.md'), 'utf8')).toMatch('Sell things');
+      expect(fs.existsSync('rules.yaml')).toBe(false);
+      expect(fs.existsSync(CONFIG_FILE)).toBe(false);
+      expect(fs.existsSync('.cursorrules')).toBe(false);
+      expect(Object.keys((await readLock(dir)).files)).toContain('memory-bank/projectbrief.md');
+    });
+
+    it('should add the ADR template and initial decision record', async () => {
+      const files = await createAdrFiles(dir, { template: 'python' });
+      const lock = await readLock(dir);
+
+      expect(files.sort()).toEqual([
+        path.join('doc-files', 'adr', '001-initial-framework.md'),
+        path.join('doc-files', 'adr', 'template.md')
+      ]);
+      expect(fs.readFileSync(path.join('doc-files', 'adr', '001-initial-framework.md'), 'utf8')).toMatch(`## Date\n${lock.variables.date}\n`);
+      await expect(createAdrFiles(path.join(dir, 'missing'))).rejects.toMatchObject({ code: 'DIR_ACCESS_FAILED' });
     });
   });
 });
@@ -0,0 +1,120 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { pathToFileURL } = require('url');
+const { serveMcp } = require('../lib/mcp-server');
+const { addToProject } = require('../lib/installer');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+/**
+ * Sends messages to a server over in-memory streams
+ * @param {string} projectPath - Project to serve
+ * @param {Array<Object|string>} messages - Messages, or raw lines
+ * @returns {Promise<Object[]>} - Parsed output lines
+ */
+async function exchange(projectPath, messages) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = '';
+  output.on('data', chunk => { written += chunk; });
+
+  const served = serveMcp(projectPath, { input, output });
+  messages.forEach(message => input.write(`${typeof message === 'string' ? message : JSON.stringify(message)}\n`));
+  input.end();
+  await served;
+
+  return written.trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('MCP server', () => {
+  let dir;
+  let cwd;
+  const tempDir = useTempDirs('mcp');
+
+  beforeEach(async () => {
+    cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+    process.chdir(dir);
+    await addToProject({ template: 'next' });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  it('should list and read the rules, memory bank and ADRs as resources', async () => {
+    const [init, list, read, missing] = await exchange(dir, [
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05', capabilities: {} } },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 2, method: 'resources/list' },
+      { jsonrpc: '2.0', id: 3, method: 'resources/read', params: { uri: pathToFileURL(path.join(dir, 'memory-bank', 'progress.md')).href } },
+      { jsonrpc: '2.0', id: 4, method: 'resources/read', params: { uri: pathToFileURL(path.join(dir, 'package.json')).href } }
+    ]);
+
+    expect(init.result).toMatchObject({ protocolVersion: '2024-11-05', serverInfo: { name: 'ai-init' } });
+    expect(list.result.resources.map(resource => resource.name)).toEqual([
+      'rules.yaml',
+      'memory-bank/activeContext.md',
+      'memory-bank/progress.md',
+      'memory-bank/projectbrief.md',
+      'memory-bank/roadmap.md',
+      'memory-bank/systemPatterns.md',
+      'memory-bank/techContext.md',
+      'doc-files/adr/001-initial-framework.md'
+    ]);
+    expect(Object.keys(list.result.resources[0])).toEqual(['uri', 'name', 'title', 'description', 'mimeType']);
+    expect(read.result.contents).toEqual([{
+      uri: expect.stringMatching(/^file:\/\/.*\/memory-bank\/progress\.md$/),
+      mimeType: 'text/markdown',
+      text: fs.readFileSync(path.join(dir, 'memory-bank', 'progress.md'), 'utf8')
+    }]);
+    expect(missing).toMatchObject({ id: 4, error: { code: -32002 } });
+  });
+
+  it('should write through the memory and adr commands with its tools', async () => {
+    const call = (id, name, args) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+    const responses = await exchange(dir, [
+      { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+      call(2, 'append_progress', { entry: 'Added the MCP server' }),
+      call(3, 'update_active_context', { entry: 'Wiring up agents' }),
+      call(4, 'create_adr', { title: 'Serve memory over MCP' }),
+      call(5, 'supersede_adr', { superseded: 1, by: '2' }),
+      call(6, 'create_adr', { title: ' ' }),
+      call(7, 'delete_everything', {})
+    ]);
+
+    expect(responses[0].result.tools.map(tool => tool.name))
+      .toEqual(['append_progress', 'update_active_context', 'create_adr', 'supersede_adr', 'memory_status']);
+    expect(responses[1].result).toMatchObject({ isError: false, structuredContent: { file: 'memory-bank/progress.md' } });
+    expect(fs.readFileSync(path.join(dir, 'memory-bank', 'progress.md'), 'utf8')).toMatch(/\n### \d{4}-\d{2}-\d{2}\n- Added the MCP server\n$/);
+    expect(fs.readFileSync(path.join(dir, 'memory-bank', 'activeContext.md'), 'utf8')).toContain('- Wiring up agents\n');
+
+    // The list of resources changed, which is announced after the response
+    expect(responses[3].result.content[0].text).toMatch(/^Created doc-files\/adr\/002-serve-memory-over-mcp\.md\n/);
+    expect(responses[4]).toEqual({ jsonrpc: '2.0', method: 'notifications/resources/list_changed' });
+    expect(fs.readFileSync(path.join(dir, 'doc-files', 'adr', '001-initial-framework.md'), 'utf8'))
+      .toContain('Superseded by [ADR 002](002-serve-memory-over-mcp.md)');
+
+    expect(responses[6].result).toEqual({ content: [{ type: 'text', text: 'The ADR title is empty' }], isError: true });
+    expect(responses[7]).toMatchObject({ id: 7, error: { code: -32602 } });
+  });
+
+  it('should answer malformed messages with JSON-RPC errors and need rules.yaml', async () => {
+    const responses = await exchange(dir, [
+      'not json',
+      { jsonrpc: '2.0', id: 1, method: 'prompts/list' },
+      { id: 2, method: 'ping' },
+      [{ jsonrpc: '2.0', id: 3, method: 'ping' }, { jsonrpc: '2.0', method: 'notifications/cancelled' }]
+    ]);
+
+    expect(responses).toEqual([
+      { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } },
+      { jsonrpc: '2.0', id: 1, error: { code: -32601, message: 'Method not found: prompts/list' } },
+      { jsonrpc: '2.0', id: 2, error: { code: -32600, message: 'Invalid request' } },
+      [{ jsonrpc: '2.0', id: 3, result: {} }]
+    ]);
+    await expect(serveMcp(os.tmpdir())).rejects.toMatchObject({ code: 'RULES_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,81 @@
+const { expect } = require('@jest/globals');
+const path = require('path');
+const { compilePattern, parseMdc, loadRuleFiles } = require('../lib/mdc-parser');
+
+describe('MDC parser', () => {
+  const valid = [
+    '# Example rule',
+    '',
+    '<rule>',
+    'name: example_rule',
+    'description: Keeps examples tidy',
+    'filters:',
+    '  - type: file_extension',
+    '    pattern: "\\.tsx?$"',
+    '  - type: event',
+    '    pattern: "file_create"',
+    'actions:',
+    '  - type: reject',
+    '    conditions:',
+    '      - pattern: "(?i)todo"',
+    '        message: "Resolve TODOs before committing"',
+    '  - type: suggest',
+    '    message: Keep it tidy',
+    'metadata:',
+    '  priority: high',
+    '</rule>',
+    ''
+  ].join('\n');
+
+  it('should parse a valid rule block into an object', () => {
+    const result = parseMdc(valid);
+
+    expect(result.errors).toEqual([]);
+    expect(result.rule.name).toBe('example_rule');
+    expect(result.rule.filters[0]).toEqual({ type: 'file_extension', pattern: '\\.tsx?$' });
+    expect(result.rule.actions[0].conditions[0].pattern).toBe('(?i)todo');
+  });
+
+  it('should translate leading inline flags into RegExp flags', () => {
+    expect(compilePattern('(?s)a.b').test('a\nb')).toBe(true);
+    expect(compilePattern('(?i)todo').test('TODO')).toBe(true);
+  });
+
+  it('should report schema errors at their line in the file', () => {
+    const content = valid
+      .replace('type: file_extension', 'type: extension')
+      .replace('"(?i)todo"', '"(unclosed"')
+      .replace('priority: high', 'priority: urgent');
+    const { errors } = parseMdc(content);
+
+    expect(errors.map(error => [error.line, error.severity])).toEqual([
+      [7, 'error'],
+      [14, 'error'],
+      [19, 'error']
+    ]);
+    expect(errors[0].message).toMatch(/filters\.0\.type "extension"/);
+    expect(errors[1].message).toMatch(/not a valid regular expression/);
+  });
+
+  it('should report YAML syntax and structure errors with line numbers', () => {
+    expect(parseMdc('<rule>\nname: broken\n').errors[0]).toMatchObject({ line: 1, severity: 'error' });
+    expect(parseMdc('intro\n<rule>\nname: [oops\n</rule>\n').errors[0]).toMatchObject({ line: 3, severity: 'error' });
+  });
+
+  it('should accept front matter without a rule block', () => {
+    const result = parseMdc('---\ndescription: Plain rule\nglobs: "*.ts"\n---\n\nUse strict mode.\n');
+
+    expect(result.errors).toEqual([]);
+    expect(result.frontMatter).toEqual({ description: 'Plain rule', globs: '*.ts' });
+    expect(result.body).toBe('\nUse strict mode.\n');
+  });
+
+  it('should validate every rule file shipped with the templates', async () => {
+    for (const template of ['next', 'python']) {
+      const results = await loadRuleFiles(path.join(__dirname, '..', 'lib', 'templates', template, '.cursor', 'rules'));
+
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(result => expect(result.errors).toEqual([]));
+    }
+  });
+});
@@ -0,0 +1,88 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { appendLogEntry, findMemoryPlaceholders, memoryStatus, logMemory } = require('../lib/memory-bank');
+const { addToProject } = require('../lib/installer');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Memory bank', () => {
+  let dir;
+  let cwd;
+  const tempDir = useTempDirs('memory');
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  it('should group log entries by date and keep later sections in place', () => {
+    const first = appendLogEntry('# Progress\n\n## Notes\nKeep me.\n', 'Added checkout', '2025-04-01');
+    expect(first.created).toBe(true);
+
+    const second = appendLogEntry(first.content, 'Fixed totals\nrounding in the cart', '2025-04-01');
+    const third = appendLogEntry(second.content, 'Added refunds', '2025-04-02');
+    expect(third.created).toBe(false);
+    expect(third.content).toBe([
+      '# Progress',
+      '',
+      '## Notes',
+      'Keep me.',
+      '',
+      '## Update Log',
+      '',
+      '### 2025-04-01',
+      '- Added checkout',
+      '- Fixed totals',
+      '  rounding in the cart',
+      '',
+      '### 2025-04-02',
+      '- Added refunds',
+      ''
+    ].join('\n'));
+
+    const before = appendLogEntry('## Update Log\n\n### 2025-04-01\n- Added checkout\n\n## Notes\n', 'Added refunds', '2025-04-01');
+    expect(before.content).toBe('## Update Log\n\n### 2025-04-01\n- Added checkout\n- Added refunds\n\n## Notes\n');
+  });
+
+  it('should find template prompts outside code', () => {
+    const content = [
+      '- [Feature 1: brief description]',
+      '- [x] Done, see [the docs](docs.md)',
+      'Goal: {{PROJECT_GOAL}} and `[not a prompt]`',
+      '```',
+      '[also not a prompt]',
+      '```'
+    ].join('\n');
+
+    expect(findMemoryPlaceholders(content)).toEqual([
+      { line: 1, text: '[Feature 1: brief description]' },
+      { line: 3, text: '{{PROJECT_GOAL}}' }
+    ]);
+  });
+
+  it('should report the memory bank and log to it', async () => {
+    process.chdir(dir);
+    await addToProject({ template: 'next' });
+    fs.unlinkSync(path.join(dir, 'memory-bank', 'techContext.md'));
+
+    const report = await memoryStatus(dir);
+    expect(report.files.map(file => file.file)).toContain('memory-bank/progress.md');
+    expect(report.files.find(file => file.file === 'memory-bank/techContext.md').exists).toBe(false);
+    expect(report.files.find(file => file.file === 'memory-bank/progress.md')).toMatchObject({ exists: true, keepCurrent: true });
+    expect(report).toMatchObject({ missing: 1, exitCode: 1 });
+
+    const result = await logMemory(dir, 'Set up the memory bank', { file: 'activeContext', date: new Date(2025, 3, 2) });
+    expect(result).toMatchObject({ file: 'memory-bank/activeContext.md', date: '2025-04-02', created: false });
+    const content = fs.readFileSync(path.join(dir, 'memory-bank', 'activeContext.md'), 'utf8');
+    expect(content.endsWith('### 2025-04-02\n- Set up the memory bank\n')).toBe(true);
+
+    await expect(logMemory(dir, '  ')).rejects.toMatchObject({ code: 'INVALID_MEMORY_ENTRY' });
+    await expect(logMemory(dir, 'Notes', { file: 'techContext' })).rejects.toMatchObject({ code: 'UNKNOWN_MEMORY_FILE' });
+    fs.unlinkSync(path.join(dir, 'memory-bank', 'progress.md'));
+    await expect(logMemory(dir, 'Notes')).rejects.toMatchObject({ code: 'MEMORY_FILE_NOT_FOUND' });
+  });
+});
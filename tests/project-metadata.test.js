@@ -0,0 +1,86 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { loadAnswers, renderRules, renderProjectBrief } = require('../lib/project-metadata');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Project metadata', () => {
+  const metadata = { name: 'Shop', goal: 'Sell books', features: ['Search', 'Checkout', 'Reviews', 'Wishlist'] };
+  const tempDir = useTempDirs('answers');
+
+  it('should load answers from YAML and JSON files', async () => {
+    const dir = tempDir();
+    const yamlFile = path.join(dir, 'answers.yaml');
+    const jsonFile = path.join(dir, 'answers.json');
+    fs.writeFileSync(yamlFile, 'name: Shop  # comment\ngoal: "Sell books"\nfeatures:\n  - Search\n  - Checkout\n');
+    fs.writeFileSync(jsonFile, JSON.stringify({ name: 'Shop', feature: 'Search, Checkout' }));
+
+    expect(await loadAnswers(yamlFile)).toEqual({ name: 'Shop', goal: 'Sell books', features: ['Search', 'Checkout'] });
+    expect(await loadAnswers(jsonFile)).toEqual({ name: 'Shop', goal: undefined, features: ['Search', 'Checkout'] });
+  });
+
+  it('should reject answers files that are not a mapping', async () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'answers.yml');
+    fs.writeFileSync(file, '- just\n- a list\n');
+
+    await expect(loadAnswers(file)).rejects.toMatchObject({ code: 'INVALID_ANSWERS' });
+  });
+
+  it('should reject answers that are not text, naming the field', async () => {
+    const dir = tempDir();
+    const load = (name, content) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, content);
+      return loadAnswers(file);
+    };
+
+    await expect(load('name.json', JSON.stringify({ name: 5 }))).rejects.toMatchObject({
+      code: 'INVALID_ANSWERS',
+      details: { errors: ['name: expected text, got 5'] }
+    });
+    await expect(load('goal.json', JSON.stringify({ name: 'Shop', goal: { text: 'Sell' } }))).rejects.toThrow(/goal: expected text/);
+    await expect(load('features.json', JSON.stringify({ features: 3 }))).rejects.toThrow(/features: expected a list/);
+    await expect(load('features.yaml', 'name: Shop\nfeatures:\n  - Search\n  - Checkout: one page\n')).rejects.toMatchObject({
+      code: 'INVALID_ANSWERS',
+      message: expect.stringContaining('features[1]: expected text')
+    });
+    expect(await load('empty.yaml', 'name: Shop\ngoal:\n')).toEqual({ name: 'Shop', goal: undefined, features: [] });
+  });
+
+  it('should render name, goal and a resized feature list into rules.yaml', () => {
+    const content = [
+      'project:',
+      '  name: "{{PROJECT_NAME}}"',
+      '  goal: "{{PROJECT_GOAL}}"',
+      '  features:',
+      '    - "{{FEATURE_1}}"',
+      '    - "{{FEATURE_2}}"',
+      '    - "{{FEATURE_3}}"',
+      'other: true'
+    ].join('\n');
+
+    expect(renderRules(content, metadata)).toBe([
+      'project:',
+      '  name: "Shop"',
+      '  goal: "Sell books"',
+      '  features:',
+      '    - "Search"',
+      '    - "Checkout"',
+      '    - "Reviews"',
+      '    - "Wishlist"',
+      'other: true'
+    ].join('\n'));
+  });
+
+  it('should render metadata into projectbrief.md', () => {
+    const content = '# Project Brief\n\n## Project Overview\n[Provide a high-level description of your project here]\n\n' +
+      '## Goals\n- [Primary goal 1]\n- [Primary goal 2]\n\n## Target Audience\n[Describe your target users]\n';
+
+    const rendered = renderProjectBrief(content, metadata);
+    expect(rendered).toContain('# Project Brief: Shop');
+    expect(rendered).toContain('Shop — Sell books');
+    expect(rendered).toContain('## Goals\n- Sell books\n\n## Key Features\n- Search\n');
+    expect(rendered).not.toContain('[Primary goal');
+  });
+});
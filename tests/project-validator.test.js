@@ -0,0 +1,97 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { createProject, addToProject } = require('../lib/installer');
+const { validateProject, validateProjectName } = require('../lib/validators/project-validator');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Project validator', () => {
+  let dir;
+  let projectPath;
+  const tempDir = useTempDirs('validate');
+
+  beforeEach(async () => {
+    const cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+    process.chdir(dir);
+    try {
+      projectPath = await createProject('app', { skipSymlink: true });
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+
+  it('should only warn about placeholders on a fresh scaffold', async () => {
+    const report = await validateProject(projectPath);
+
+    expect(report.errors).toBe(0);
+    expect(report.exitCode).toBe(1);
+  });
+
+  it('should report missing rule-required files as errors', async () => {
+    fs.unlinkSync(path.join(projectPath, 'memory-bank', 'progress.md'));
+
+    const report = await validateProject(projectPath);
+    const messages = report.sections.reduce((acc, s) => acc.concat(s.checks), [])
+      .filter(check => check.level === 'error')
+      .map(check => check.message);
+
+    expect(report.exitCode).toBe(2);
+    expect(messages).toContain('rule-001: required file memory-bank/progress.md missing');
+  });
+
+  it('should flag malformed .mdc rule blocks', async () => {
+    fs.writeFileSync(path.join(projectPath, '.cursor', 'rules', 'broken.mdc'), '<rule>\nname: broken\n');
+
+    const report = await validateProject(projectPath);
+    const errors = report.sections.reduce((acc, s) => acc.concat(s.checks), [])
+      .filter(check => check.level === 'error')
+      .map(check => check.message);
+
+    expect(report.exitCode).toBe(2);
+    expect(errors).toContain(`${path.join('.cursor', 'rules', 'broken.mdc')}:1: <rule> block is missing its closing </rule> tag`);
+  });
+
+  it('should validate a workspace package against the files its own scaffold creates', async () => {
+    const root = path.join(dir, 'workspace');
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), content);
+    };
+    write('package.json', JSON.stringify({ name: 'acme', private: true, workspaces: ['services/*'] }));
+    write('services/api/pyproject.toml', '[project]\ndependencies = ["fastapi"]\n');
+
+    const cwd = process.cwd();
+    process.chdir(root);
+    try {
+      await addToProject({ template: 'next', packages: 'services/*' });
+    } finally {
+      process.chdir(cwd);
+    }
+
+    const packagePath = path.join(root, 'services', 'api');
+    const checksOf = report => report.sections.reduce((acc, s) => acc.concat(s.checks), []);
+    const report = await validateProject(packagePath);
+    const messages = checksOf(report).map(check => check.message);
+
+    expect(report.errors).toBe(0);
+    expect(messages).toContain('rules.yaml extends ../../rules.yaml');
+    expect(messages).toContain('rule-001: ../../memory-bank/projectbrief.md exists');
+    expect(messages).toContain('memory-bank/techContext.md exists');
+    expect(messages.some(message => /\.cursor\/rules|doc-files\/adr/.test(message))).toBe(false);
+
+    fs.unlinkSync(path.join(packagePath, 'memory-bank', 'progress.md'));
+    expect(checksOf(await validateProject(packagePath))).toContainEqual({ level: 'warning', message: 'memory-bank/progress.md missing' });
+
+    fs.unlinkSync(path.join(root, 'rules.yaml'));
+    const orphan = await validateProject(packagePath);
+    expect(orphan.exitCode).toBe(2);
+    expect(checksOf(orphan)).toContainEqual({ level: 'error', message: expect.stringMatching(/extends \.\.\/\.\.\/rules\.yaml, which was not found$/) });
+  });
+
+  it('should validate npm package names', () => {
+    expect(validateProjectName('my-app').isValid).toBe(true);
+    expect(validateProjectName('My App').isValid).toBe(false);
+    expect(validateProjectName('fs').isValid).toBe(false);
+  });
+});
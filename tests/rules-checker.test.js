@@ -0,0 +1,155 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { checkProject } = require('../lib/rules-checker');
+const { matchGlob } = require('../lib/utils/glob');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Rules checker', () => {
+  const templates = path.join(__dirname, '..', 'lib', 'templates');
+  const tempDir = useTempDirs('check');
+
+  const createProject = (template, files) => {
+    const dir = tempDir();
+    fs.copyFileSync(path.join(templates, template, 'rules.yaml'), path.join(dir, 'rules.yaml'));
+    Object.keys(files).forEach(file => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), files[file]);
+    });
+    return dir;
+  };
+
+  const summarize = report => report.violations.map(v => `${v.file}:${v.line} ${v.ruleId}`);
+
+  it('should apply JavaScript naming, rule-002 and restricted files', async () => {
+    const dir = createProject('next', {
+      'app/page.tsx': 'export default function Page() {}\n',
+      'app/layout.tsx': 'function Layout() {}\n',
+      'components/Button.tsx': 'const MAX_SIZE = 3;\nconst Icon = () => null;\nlet item_count = 0;\n',
+      'lib/dateUtils.ts': 'export class apiClient {}\n',
+      'node_modules/pkg/bad_name.ts': 'let bad_name = 1;\n',
+      '.env': 'SECRET=1\n'
+    });
+
+    const report = await checkProject(dir);
+
+    expect(summarize(report)).toEqual([
+      '.env:1 security.restricted_files',
+      'app/layout.tsx:1 rule-002',
+      'components/Button.tsx:3 naming.variables',
+      'lib/dateUtils.ts:1 naming.files.utility',
+      'lib/dateUtils.ts:1 naming.classes'
+    ]);
+    expect(report.violations[1]).toMatchObject({ severity: 'warning', message: expect.stringMatching(/default export in layout\.tsx/) });
+    expect(report.exitCode).toBe(1);
+  });
+
+  it('should apply Python naming and test file patterns', async () => {
+    const dir = createProject('python', {
+      'app/user_service.py': 'MAX_RETRIES = 3\n\nclass user_service:\n    def __init__(self):\n        self.x = 1\n\n    def GetUser(self):\n        """\n        Example = 1\n        """\n        Result = 2\n',
+      'app/UserModels.py': '',
+      'tests/__init__.py': '',
+      'tests/test_users.py': 'def test_get_user():\n    pass\n',
+      'tests/users_test.py': '',
+      'server.pem': ''
+    });
+
+    const report = await checkProject(dir);
+
+    expect(summarize(report)).toEqual([
+      'app/UserModels.py:1 naming.files.module',
+      'app/user_service.py:3 naming.classes',
+      'app/user_service.py:7 naming.functions',
+      'app/user_service.py:11 naming.variables',
+      'server.pem:1 security.restricted_files',
+      'tests/users_test.py:1 naming.files.test',
+      'tests/users_test.py:1 rule-002'
+    ]);
+  });
+
+  it('should report invalid patterns at their rules.yaml line', async () => {
+    const dir = createProject('next', {});
+    const rulesPath = path.join(dir, 'rules.yaml');
+    fs.writeFileSync(rulesPath, fs.readFileSync(rulesPath, 'utf8').replace('"^[a-z][a-zA-Z0-9]*$"', '"^[a-z("'));
+
+    const report = await checkProject(dir);
+
+    expect(report.violations).toEqual([
+      expect.objectContaining({ file: 'rules.yaml', line: 88, ruleId: 'conventions.javascript_typescript.naming.variables.pattern', severity: 'error' })
+    ]);
+    expect(report.exitCode).toBe(2);
+  });
+
+  it('should apply naming.constants, must_contain and validation.files with their severities', async () => {
+    const dir = createProject('next', {
+      'app/page.tsx': 'export function Page() {}\n',
+      'app/Widget.tsx': 'export default function Widget() {}\n',
+      'app/api/route.ts': 'export let revalidate = 60;\n',
+      'lib/limits.ts': 'export const MAX_ITEMS = 10;\nconst retryLimit = 3;\n'
+    });
+    fs.writeFileSync(path.join(dir, 'rules.yaml'), [
+      'conventions:',
+      '  javascript_typescript:',
+      '    naming:',
+      '      constants:',
+      '        pattern: "^[A-Z][A-Z0-9_]*$"',
+      '        style: UPPER_SNAKE_CASE',
+      '        severity: error',
+      'rules:',
+      '  - id: "rule-010"',
+      '    severity: "error"',
+      '    applies_to: "app/"',
+      '    validation:',
+      '      files: "*.tsx"',
+      '      file_patterns:',
+      '        - pattern: "^page\\.tsx$"',
+      '          must_contain: "export\\s+default\\b"',
+      '  - id: "rule-011"',
+      '    applies_to: "app/"',
+      '    validation:',
+      '      file_patterns:',
+      '        - pattern: "^route\\.ts$"',
+      '          message: "Route handlers export GET or POST"',
+      '          must_contain: "export\\s+(async\\s+)?function\\s+(GET|POST)\\b"',
+      '        - pattern: "^middleware\\.ts$"',
+      '          must_contain: "(unclosed"',
+      ''
+    ].join('\n'));
+
+    const report = await checkProject(dir);
+    const byRule = ruleId => report.violations.filter(violation => violation.ruleId === ruleId);
+
+    expect(summarize(report)).toEqual([
+      'app/Widget.tsx:1 rule-010',
+      'app/api/route.ts:1 rule-011',
+      'app/page.tsx:1 rule-010',
+      'lib/limits.ts:2 naming.constants',
+      'rules.yaml:24 rules.1.validation.file_patterns.1'
+    ]);
+    expect(byRule('rule-010')).toEqual([
+      expect.objectContaining({ severity: 'error', message: 'File name "Widget.tsx" matches none of ^page\\.tsx$' }),
+      expect.objectContaining({ severity: 'error', message: 'page.tsx must contain export\\s+default\\b' })
+    ]);
+    expect(byRule('rule-011')).toEqual([expect.objectContaining({ severity: 'warning', message: 'Route handlers export GET or POST' })]);
+    expect(byRule('naming.constants')).toEqual([
+      expect.objectContaining({ severity: 'error', message: 'Constant "retryLimit" should be UPPER_SNAKE_CASE (^[A-Z][A-Z0-9_]*$)' })
+    ]);
+    expect(byRule('rules.1.validation.file_patterns.1')).toEqual([
+      expect.objectContaining({ severity: 'error', message: expect.stringMatching(/^Invalid pattern in rule-011: /) })
+    ]);
+    expect(report.exitCode).toBe(2);
+  });
+
+  it('should throw when rules.yaml is missing', async () => {
+    const dir = tempDir();
+
+    await expect(checkProject(dir)).rejects.toMatchObject({ code: 'RULES_NOT_FOUND' });
+  });
+
+  it('should match globs against names and paths', () => {
+    expect(matchGlob('config/.env.local', '.env.*')).toBe(true);
+    expect(matchGlob('keys/server.pem', '*.pem')).toBe(true);
+    expect(matchGlob('keys/server.pem', 'certs/*.pem')).toBe(false);
+    expect(matchGlob('packages/web/src/a.ts', 'packages/**/*.{ts,tsx}')).toBe(true);
+  });
+});
@@ -0,0 +1,68 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { findPlaceholders, replacePlaceholders } = require('../lib/placeholders');
+const { fillRules } = require('../lib/rules-filler');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Placeholders', () => {
+  it('should ignore placeholders in comments and llm_instructions', () => {
+    const content = [
+      '# Fill {{IN_COMMENT}} later',
+      'project:',
+      '  name: "{{PROJECT_NAME}}"  # e.g. {{EXAMPLE}}',
+      'llm_instructions:',
+      '  - "Fill placeholders like {{NEXTJS_VERSION}}"'
+    ].join('\n');
+
+    expect(findPlaceholders(content)).toEqual([{ name: 'PROJECT_NAME', line: 3 }]);
+  });
+
+  it('should replace only placeholders with known values', () => {
+    const content = 'a: "{{KNOWN}}"\nb: "{{UNKNOWN}}"';
+    const result = replacePlaceholders(content, { KNOWN: 'say "hi"' });
+
+    expect(result.content).toBe('a: "say \\"hi\\""\nb: "{{UNKNOWN}}"');
+    expect(result.replaced).toEqual(['KNOWN']);
+  });
+});
+
+describe('Rules filler', () => {
+  const tempDir = useTempDirs('fill');
+
+  it('should fill placeholders from project evidence and report the rest', async () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({
+      name: 'storefront',
+      dependencies: { next: '^14.0.0', zustand: '^4.0.0' }
+    }));
+    fs.mkdirSync(path.join(dir, 'pages'));
+    fs.writeFileSync(path.join(dir, 'rules.yaml'), [
+      'project:',
+      '  name: "{{PROJECT_NAME}}"',
+      '  technologies:',
+      '    - "Next.js {{NEXTJS_VERSION}}"',
+      'architecture:',
+      '  pattern: "{{ARCHITECTURAL_PATTERN}}"',
+      '  state_management: "{{STATE_MANAGEMENT}}"',
+      '  features:',
+      '    - "{{FEATURE_1}}"'
+    ].join('\n'));
+
+    const report = await fillRules(dir);
+    const content = fs.readFileSync(path.join(dir, 'rules.yaml'), 'utf8');
+
+    expect(report.filled.map(item => item.name)).toEqual([
+      'PROJECT_NAME', 'NEXTJS_VERSION', 'ARCHITECTURAL_PATTERN', 'STATE_MANAGEMENT'
+    ]);
+    expect(report.remaining).toEqual(['FEATURE_1']);
+    expect(content).toContain('name: "storefront"');
+    expect(content).toContain('"Next.js 14"');
+    expect(content).toContain('pattern: "Next.js Pages Router"');
+  });
+
+  it('should fail with RULES_NOT_FOUND when rules.yaml is missing', async () => {
+    const dir = tempDir();
+    await expect(fillRules(dir)).rejects.toMatchObject({ code: 'RULES_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,95 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { renderMdcRules, generateRules } = require('../lib/rules-generator');
+const { parseMdc } = require('../lib/mdc-parser');
+const { addToProject } = require('../lib/installer');
+const { uninstallProject } = require('../lib/uninstaller');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Rules generator', () => {
+  let dir;
+  let cwd;
+  const tempDir = useTempDirs('generate');
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  it('should render front-mattered rules and leave out unfilled sections', () => {
+    const outputs = renderMdcRules({
+      project: { name: '{{PROJECT_NAME}}', goal: '{{PROJECT_GOAL}}' },
+      conventions: {
+        general: ['Comment complex logic'],
+        python: { naming: { functions: { style: 'snake_case', examples: ['get_user'] } } }
+      },
+      security: { restricted_files: ['.env'] }
+    });
+
+    expect(outputs.map(output => output.path)).toEqual([
+      '.cursor/rules/ai-init-conventions.mdc',
+      '.cursor/rules/ai-init-conventions-python.mdc',
+      '.cursor/rules/ai-init-security.mdc'
+    ]);
+
+    const python = outputs[1].content;
+    expect(python).toBe([
+      '---',
+      'description: Python naming and coding practices',
+      'globs: **/*.py',
+      'alwaysApply: false',
+      '---',
+      '',
+      '# Python Conventions',
+      '',
+      '> Generated by ai-init from rules.yaml, which remains the source of truth.',
+      '',
+      '- Functions: snake_case (e.g. `get_user`)',
+      ''
+    ].join('\n'));
+    expect(parseMdc(python)).toMatchObject({ frontMatter: { globs: '**/*.py', alwaysApply: false }, errors: [] });
+    expect(parseMdc(outputs[2].content).frontMatter).toMatchObject({ alwaysApply: true });
+  });
+
+  it('should regenerate rule files as rules.yaml changes and keep hand edits', async () => {
+    process.chdir(dir);
+    await addToProject({ template: 'next' });
+
+    const first = await generateRules(dir);
+    expect(first.changes.every(change => change.status === 'created')).toBe(true);
+    expect((await generateRules(dir)).changes.every(change => change.status === 'unchanged')).toBe(true);
+
+    const rules = fs.readFileSync('rules.yaml', 'utf8')
+      .replace('- Comment complex logic', '- Comment non-obvious logic')
+      .replace(/^maintenance:[\s\S]*?(?=^# -)/m, '');
+    fs.writeFileSync('rules.yaml', rules);
+    fs.appendFileSync(path.join('.cursor', 'rules', 'ai-init-security.mdc'), '- Rotate keys monthly\n');
+
+    const report = await generateRules(dir);
+    expect(report.changes.filter(change => change.status !== 'unchanged')).toEqual([
+      { file: '.cursor/rules/ai-init-conventions.mdc', status: 'updated' },
+      { file: '.cursor/rules/ai-init-maintenance.mdc', status: 'removed', detail: 'section no longer in rules.yaml' },
+      {
+        file: '.cursor/rules/ai-init-security.mdc',
+        status: 'drift',
+        detail: 'edited directly; edit rules.yaml instead, or use --force to overwrite'
+      }
+    ]);
+    expect(fs.readFileSync(path.join('.cursor', 'rules', 'ai-init-conventions.mdc'), 'utf8')).toMatch(/- Comment non-obvious logic\n/);
+    expect(fs.existsSync(path.join('.cursor', 'rules', 'ai-init-maintenance.mdc'))).toBe(false);
+    expect(fs.readFileSync(path.join('.cursor', 'rules', 'ai-init-security.mdc'), 'utf8')).toMatch(/- Rotate keys monthly\n$/);
+
+    const journal = JSON.parse(fs.readFileSync('.ai-init-journal.json', 'utf8'));
+    expect(journal.entries.map(entry => entry.path)).not.toContain('.cursor/rules/ai-init-maintenance.mdc');
+
+    // Generated rules go with the rest of the scaffolding, except the edited one
+    const uninstall = await uninstallProject(dir);
+    expect(uninstall.changes).toContainEqual({ file: '.cursor/rules/ai-init-project.mdc', status: 'removed' });
+    expect(fs.existsSync(path.join('.cursor', 'rules', 'ai-init-security.mdc'))).toBe(true);
+  });
+});
@@ -0,0 +1,59 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { detectStack, selectTemplate } = require('../lib/stack-detector');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+const tempDir = useTempDirs('detect');
+
+/**
+ * Creates a temporary project containing the given files
+ * @param {Object} files - Map of relative path to file contents
+ * @returns {string} - Path to the project
+ */
+function createFixture(files) {
+  const dir = tempDir();
+  Object.entries(files).forEach(([file, content]) => {
+    const filePath = path.join(dir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (content !== null) fs.writeFileSync(filePath, content);
+  });
+  return dir;
+}
+
+describe('Stack detector', () => {
+  it('should detect Next.js and the App Router', async () => {
+    const dir = createFixture({
+      'package.json': JSON.stringify({ dependencies: { next: '14.2.0', react: '18.2.0' } }),
+      'app/page.tsx': ''
+    });
+
+    const result = await detectStack(dir);
+    expect(result.stack).toBe('nextjs');
+    expect(result.details.router).toBe('app');
+    expect(result.details.nextVersion).toBe('14.2.0');
+  });
+
+  it('should detect Python and its framework', async () => {
+    const dir = createFixture({
+      'requirements.txt': 'django==5.0\npsycopg[binary]\n'
+    });
+
+    const result = await detectStack(dir);
+    expect(result.stack).toBe('python');
+    expect(result.details.pythonFramework).toBe('django');
+
+    const selection = await selectTemplate(dir);
+    expect(selection.template).toBe('python');
+    expect(selection.fallback).toBe(false);
+  });
+
+  it('should fall back to the default template for stacks without one', async () => {
+    const dir = createFixture({ 'go.mod': 'module example.com/app\n' });
+
+    const selection = await selectTemplate(dir);
+    expect(selection.detection.stack).toBe('go');
+    expect(selection.fallback).toBe(true);
+    expect(selection.template).toBe('next');
+  });
+});
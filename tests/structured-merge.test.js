@@ -0,0 +1,152 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('../lib/utils/yaml');
+const { mergeYamlKeys, mergeMarkdownSections } = require('../lib/structured-merge');
+const { addToProject } = require('../lib/installer');
+const { readLock, hashContent } = require('../lib/lockfile');
+const { renderVariables } = require('../lib/template-variables');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Structured merge', () => {
+  it('should add missing YAML keys without changing existing values', () => {
+    const existing = [
+      'project:',
+      '    name: "Mine"',
+      '',
+      'testing:',
+      '  framework: "mocha"',
+      ''
+    ].join('\n');
+    const incoming = [
+      'project:',
+      '  name: "{{PROJECT_NAME}}"',
+      '  # What the project is for',
+      '  goal: "{{PROJECT_GOAL}}"',
+      'testing:',
+      '  framework: "jest"',
+      'security:',
+      '  restricted_files:',
+      '    - ".env"',
+      ''
+    ].join('\n');
+
+    const { content, added } = mergeYamlKeys(existing, incoming);
+
+    expect(added).toEqual(['project.goal', 'security']);
+    expect(content).toBe([
+      'project:',
+      '    name: "Mine"',
+      '    # What the project is for',
+      '    goal: "{{PROJECT_GOAL}}"',
+      '',
+      'testing:',
+      '  framework: "mocha"',
+      '',
+      'security:',
+      '  restricted_files:',
+      '    - ".env"',
+      ''
+    ].join('\n'));
+    expect(yaml.parse(content).testing.framework).toBe('mocha');
+  });
+
+  it('should insert missing markdown sections after their template neighbours', () => {
+    const existing = '# Progress\n\n## Completed Features\n- Login\n\n## Notes\nMine\n';
+    const incoming = '# Progress\n\n## Completed Features\n- [Feature]\n\n## Milestones\n- [ ] One\n\n## Lessons Learned\n- [Lesson]\n';
+
+    const { content, added } = mergeMarkdownSections(existing, incoming);
+
+    expect(added).toEqual(['Milestones', 'Lessons Learned']);
+    expect(content).toBe('# Progress\n\n## Completed Features\n- Login\n\n## Milestones\n- [ ] One\n\n## Lessons Learned\n- [Lesson]\n\n## Notes\nMine\n');
+    expect(mergeMarkdownSections(content, incoming)).toEqual({ content, added: [], replaced: [] });
+  });
+});
+
+describe('Conflict modes', () => {
+  let dir;
+  let cwd;
+  const tempDir = useTempDirs('conflict');
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+    fs.mkdirSync(path.join(dir, 'memory-bank'));
+    fs.writeFileSync(path.join(dir, 'rules.yaml'), 'project:\n  name: "Mine"\n');
+    fs.writeFileSync(path.join(dir, 'memory-bank', 'progress.md'), '# Progress\n');
+    fs.writeFileSync(path.join(dir, 'memory-bank', 'roadmap.md'), '# Roadmap\n');
+    process.chdir(dir);
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  it('should merge rules.yaml and memory-bank files and record the template as their base', async () => {
+    const actions = [];
+    const warnings = [];
+    await addToProject({
+      template: 'next',
+      onConflict: 'merge',
+      skipSymlink: true,
+      onAction: action => actions.push(action),
+      onWarning: warning => warnings.push(warning)
+    });
+
+    const rules = yaml.parse(fs.readFileSync('rules.yaml', 'utf8'));
+    expect(rules.project.name).toBe('Mine');
+    expect(rules.security).toBeDefined();
+    expect(warnings).toContain('Project already has rules.yaml file. Missing keys will be merged into it.');
+
+    const merged = actions.find(action => action.path === 'rules.yaml');
+    expect(merged.status).toBe('merge');
+    expect(merged.added).toContain('project.goal');
+    expect(merged.base).toBeUndefined();
+
+    const lock = await readLock(dir);
+    const template = fs.readFileSync(path.join(__dirname, '..', 'lib', 'templates', 'next', 'rules.yaml'), 'utf8');
+    expect(lock.files['rules.yaml'].hash).toBe(hashContent(renderVariables(template, lock.variables, 'rules.yaml')));
+    expect(fs.readFileSync(path.join('memory-bank', 'progress.md'), 'utf8')).toMatch(/^# Progress\n\n## /);
+  });
+
+  it('should back up existing files before overwriting them', async () => {
+    const templateRoadmap = fs.readFileSync(path.join(__dirname, '..', 'lib', 'templates', 'next', 'memory-bank', 'roadmap.md'), 'utf8');
+    fs.writeFileSync(path.join('memory-bank', 'roadmap.md'), templateRoadmap);
+    const actions = [];
+    await addToProject({ template: 'next', onConflict: 'backup', skipSymlink: true, onAction: action => actions.push(action) });
+
+    const backedUp = actions.find(action => action.path === 'rules.yaml');
+    expect(backedUp.status).toBe('backup');
+    expect(backedUp.backup).toMatch(/^rules\.yaml\.\d{4}-\d\d-\d\dT[\d-]+Z\.bak$/);
+    expect(fs.readFileSync(backedUp.backup, 'utf8')).toBe('project:\n  name: "Mine"\n');
+    expect(fs.readFileSync('rules.yaml', 'utf8')).toMatch(/^\s+goal:/m);
+
+    // Files identical to the template are left alone, without a backup
+    expect(actions.find(action => action.path === path.join('memory-bank', 'roadmap.md'))).toMatchObject({
+      status: 'skip',
+      reason: 'identical to the template'
+    });
+    expect(fs.readdirSync('memory-bank').filter(file => file.endsWith('.bak'))).toEqual([expect.stringMatching(/^progress\.md\./)]);
+  });
+
+  it('should ask about each existing file in prompt mode', async () => {
+    const asked = [];
+    await addToProject({
+      template: 'next',
+      onConflict: 'prompt',
+      skipSymlink: true,
+      promptConflict: async file => {
+        asked.push(file);
+        return file === 'rules.yaml' ? 'overwrite' : 'skip';
+      }
+    });
+
+    expect(asked.sort()).toEqual([path.join('memory-bank', 'progress.md'), path.join('memory-bank', 'roadmap.md'), 'rules.yaml']);
+    expect(fs.readFileSync('rules.yaml', 'utf8')).not.toBe('project:\n  name: "Mine"\n');
+    expect(fs.readFileSync(path.join('memory-bank', 'roadmap.md'), 'utf8')).toBe('# Roadmap\n');
+  });
+
+  it('should reject unknown conflict modes', async () => {
+    await expect(addToProject({ onConflict: 'replace' })).rejects.toMatchObject({ code: 'INVALID_CONFLICT_MODE' });
+  });
+});
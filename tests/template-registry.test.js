@@ -0,0 +1,146 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { listTemplates, resolveTemplate, getTemplateFiles, DEFAULT_TEMPLATE } = require('../lib/template-registry');
+const { InstallerError } = require('../lib/errors');
+const yaml = require('../lib/utils/yaml');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Template registry', () => {
+  it('should discover the built-in templates with their manifests', async () => {
+    const templates = await listTemplates();
+    const next = templates.find(t => t.name === 'next');
+
+    expect(next).toBeDefined();
+    expect(next.stack).toBe('nextjs');
+    expect(next.description).not.toBe('');
+  });
+
+  it('should ship the python template with the same core files as next', async () => {
+    const python = await resolveTemplate('python');
+    const coreFiles = [
+      'rules.yaml',
+      'doc-files/adr/template.md',
+      'memory-bank/projectbrief.md',
+      'memory-bank/techContext.md',
+      'memory-bank/systemPatterns.md',
+      'memory-bank/activeContext.md',
+      'memory-bank/progress.md',
+      'mem-scripts/validate.sh'
+    ];
+
+    expect(python.stack).toBe('python');
+    coreFiles.forEach(file => {
+      expect(fs.existsSync(path.join(python.path, file))).toBe(true);
+    });
+  });
+
+  it('should resolve the default template', async () => {
+    const template = await resolveTemplate();
+    expect(template.name).toBe(DEFAULT_TEMPLATE);
+  });
+
+  it('should reject unknown templates with UNKNOWN_TEMPLATE', async () => {
+    await expect(resolveTemplate('does-not-exist')).rejects.toThrow(InstallerError);
+    await expect(resolveTemplate('does-not-exist')).rejects.toMatchObject({ code: 'UNKNOWN_TEMPLATE' });
+  });
+
+  describe('local templates', () => {
+    let dir;
+    const tempDir = useTempDirs('templates');
+
+    /**
+     * Writes a file, creating its directory first
+     * @param {string} file - Path relative to the test directory
+     * @param {string} content - File content
+     */
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    };
+
+    beforeEach(() => {
+      dir = tempDir({ userConfig: true });
+    });
+
+    it('should layer user and project template directories over the built-in ones', async () => {
+      write('config/ai-init/config.json', JSON.stringify({ templateDirs: ['../../pack'] }));
+      write('pack/next/rules.yaml', 'project:\n  name: pack\n');
+      write('config/ai-init/templates/next/.cursor/rules/house.mdc', '# House rule\n');
+      write('local/next/rules.yaml', 'project:\n  name: local\n');
+
+      const template = await resolveTemplate('next', { templateDir: path.join(dir, 'local') });
+      const files = await getTemplateFiles(template);
+      const fileOf = relative => files.find(entry => entry.path === path.join(...relative.split('/'))).file;
+
+      expect(template.layers.map(layer => layer.dir)).toEqual([
+        path.join(__dirname, '..', 'lib', 'templates', 'next'),
+        path.join(dir, 'pack', 'next'),
+        path.join(dir, 'config', 'ai-init', 'templates', 'next'),
+        path.join(dir, 'local', 'next')
+      ]);
+      expect(template.stack).toBe('nextjs');
+      expect(fileOf('rules.yaml')).toBe(path.join(dir, 'local', 'next', 'rules.yaml'));
+      expect(fileOf('.cursor/rules/house.mdc')).toBe(path.join(dir, 'config', 'ai-init', 'templates', 'next', '.cursor', 'rules', 'house.mdc'));
+      expect(fileOf('memory-bank/progress.md')).toBe(path.join(template.layers[0].dir, 'memory-bank', 'progress.md'));
+    });
+
+    it('should derive templates with extends and drop removed files', async () => {
+      write('pack/acme/template.json', JSON.stringify({ extends: 'next', description: 'Acme house style', remove: ['mem-scripts'] }));
+      write('pack/acme/doc-files/adr/template.md', '# Acme ADR\n');
+      write('pack/orphan/template.json', JSON.stringify({ extends: 'django' }));
+
+      await expect(listTemplates({ templateDir: path.join(dir, 'pack') })).rejects.toMatchObject({ code: 'UNKNOWN_TEMPLATE' });
+      fs.rmSync(path.join(dir, 'pack', 'orphan'), { recursive: true });
+
+      const templates = await listTemplates({ templateDir: path.join(dir, 'pack') });
+      const acme = templates.find(t => t.name === 'acme');
+      const files = (await getTemplateFiles(acme)).map(entry => entry.path);
+
+      expect(acme).toMatchObject({ description: 'Acme house style', stack: 'nextjs', detect: [] });
+      expect(files).toContain(path.join('memory-bank', 'progress.md'));
+      expect(files.some(file => file.startsWith('mem-scripts'))).toBe(false);
+      expect(files).not.toContain('template.json');
+      await expect(listTemplates({ templateDir: path.join(dir, 'missing') })).rejects.toMatchObject({ code: 'TEMPLATE_DIR_NOT_FOUND' });
+    });
+
+    it('should merge extended files over the lower layers key by key and section by section', async () => {
+      write('pack/next/template.json', JSON.stringify({ extend: ['rules.yaml', 'memory-bank/*.md'] }));
+      write('pack/next/rules.yaml', [
+        'conventions:',
+        '  javascript_typescript:',
+        '    naming:',
+        '      hooks:',
+        '        pattern: "^use[A-Z][a-zA-Z0-9]*$"',
+        '        style: camelCase with a use prefix',
+        '        examples: ["useCart", "useSession"]',
+        ''
+      ].join('\n'));
+      write('pack/next/memory-bank/progress.md', '## Technical Debt\n- Checkout has no tests\n\n## Release Notes\n- None yet\n');
+
+      const template = await resolveTemplate('next', { templateDir: path.join(dir, 'pack') });
+      const files = await getTemplateFiles(template);
+      const entryOf = relative => files.find(entry => entry.path === path.join(...relative.split('/')));
+      const builtIn = fs.readFileSync(path.join(template.layers[0].dir, 'rules.yaml'), 'utf8');
+
+      const rules = entryOf('rules.yaml');
+      const naming = yaml.parse(rules.content).conventions.javascript_typescript.naming;
+      expect(rules.file).toBe(path.join(dir, 'pack', 'next', 'rules.yaml'));
+      expect(Object.keys(naming)).toEqual(['variables', 'classes', 'constants', 'files', 'hooks']);
+      expect(naming.hooks).toEqual({ pattern: '^use[A-Z][a-zA-Z0-9]*$', style: 'camelCase with a use prefix', examples: ['useCart', 'useSession'] });
+      expect(yaml.parse(rules.content).project).toEqual(yaml.parse(builtIn).project);
+      expect(rules.content.startsWith(builtIn.slice(0, builtIn.indexOf('metadata:')))).toBe(true);
+
+      const progress = entryOf('memory-bank/progress.md').content;
+      expect(progress).toMatch(/^# Progress Tracking\n/);
+      expect(progress).toContain('## Technical Debt\n- Checkout has no tests\n\n## Release Notes\n- None yet\n\n## Update Log\n');
+      expect(progress).toContain('## Lessons Learned\n');
+      expect(entryOf('memory-bank/techContext.md').content).toBeUndefined();
+
+      write('pack/next/template.json', JSON.stringify({ extend: ['mem-scripts/*'] }));
+      write('pack/next/mem-scripts/validate.sh', '#!/bin/sh\n');
+      await expect(getTemplateFiles(await resolveTemplate('next', { templateDir: path.join(dir, 'pack') })))
+        .rejects.toMatchObject({ code: 'TEMPLATE_EXTEND_FAILED' });
+    });
+  });
+});
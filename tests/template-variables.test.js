@@ -0,0 +1,56 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { renderVariables, templateVariables } = require('../lib/template-variables');
+const { addToProject } = require('../lib/installer');
+const { upgradeProject } = require('../lib/upgrader');
+const { readLock } = require('../lib/lockfile');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Template variables', () => {
+  let dir;
+  let cwd;
+  const tempDir = useTempDirs('variables');
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  it('should substitute variables, honour escapes and reject unknown names', () => {
+    const variables = { projectName: 'shop', year: '2025' };
+
+    expect(renderVariables('# <%= projectName %> (c) <%=year%>\n', variables, 'README.md')).toBe('# shop (c) 2025\n');
+    expect(renderVariables('<%%= projectName %> {{PROJECT_GOAL}}', variables, 'README.md')).toBe('<%= projectName %> {{PROJECT_GOAL}}');
+    expect(() => renderVariables('<%= owner %>', variables, 'README.md')).toThrow(/Unknown template variable "owner" in README\.md/);
+  });
+
+  it('should render marked template files once and keep the values across upgrades', async () => {
+    process.chdir(dir);
+    const variables = templateVariables(dir, { name: 'next' }, { name: 'shop' }, new Date(2025, 0, 5));
+    expect(variables).toMatchObject({ projectName: 'shop', date: '2025-01-05', year: '2025', template: 'next' });
+
+    await addToProject({ template: 'next' });
+
+    const rules = fs.readFileSync('rules.yaml', 'utf8');
+    const adr = fs.readFileSync(path.join('doc-files', 'adr', '001-initial-framework.md'), 'utf8');
+    const lock = await readLock(dir);
+    expect(rules).not.toMatch(/<%/);
+    expect(rules).toMatch(`created_at: "${lock.variables.date}"`);
+    expect(rules).toMatch('{{PROJECT_GOAL}}');
+    expect(adr).toMatch(`## Date\n${lock.variables.date}\n`);
+    expect(lock.variables.template).toBe('next');
+
+    // The validator script is pinned to the scaffolding version and stays executable
+    const validator = path.join('mem-scripts', 'validate.sh');
+    expect(fs.readFileSync(validator, 'utf8')).toMatch(`AI_INIT_VERSION="${lock.variables.aiInitVersion}"`);
+    expect(fs.statSync(validator).mode & 0o111).not.toBe(0);
+
+    const report = await upgradeProject(dir);
+    expect(report.changes.every(change => change.status === 'unchanged')).toBe(true);
+  });
+});
@@ -0,0 +1,116 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { resolveTools, renderInstructions } = require('../lib/tool-targets');
+const { addToProject } = require('../lib/installer');
+const { syncTools } = require('../lib/tool-sync');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Tool targets', () => {
+  let dir;
+  let cwd;
+  const tempDir = useTempDirs('tools');
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  it('should resolve tool selections', () => {
+    expect(resolveTools()).toEqual(['cursor', 'windsurf', 'cline']);
+    expect(resolveTools(undefined, ['claude'])).toEqual(['claude']);
+    expect(resolveTools(' Copilot,claude,copilot ')).toEqual(['copilot', 'claude']);
+    expect(resolveTools('all')).toContain('continue');
+    expect(() => resolveTools('cursor,vim')).toThrow(expect.objectContaining({ code: 'UNKNOWN_TOOL' }));
+    expect(() => resolveTools('constructor')).toThrow(expect.objectContaining({ code: 'UNKNOWN_TOOL' }));
+  });
+
+  it('should render instructions without unfilled placeholders', () => {
+    const content = renderInstructions({
+      project: { name: 'Shop', goal: '{{PROJECT_GOAL}}', technologies: ['Next.js {{NEXTJS_VERSION}}', 'React'] },
+      documentation: { memory_bank_required_files: ['projectbrief.md'] },
+      security: { restricted_files: ['.env'] },
+      rules: [{ name: 'memory_bank', description: 'Keep the memory bank current.' }]
+    }, { imports: true });
+
+    expect(content).toBe([
+      '# Shop Instructions',
+      '',
+      '> Generated by ai-init from rules.yaml, which remains the source of truth.',
+      '',
+      '## Project',
+      '',
+      '- **Technologies:** React',
+      '',
+      '## Memory Bank',
+      '',
+      'Read these files before starting a task and keep them up to date as the work progresses:',
+      '',
+      '- @memory-bank/projectbrief.md',
+      '',
+      '## Security',
+      '',
+      '- Never read, print or commit: `.env`',
+      '',
+      '## Rules',
+      '',
+      '- **memory_bank**: Keep the memory bank current.',
+      ''
+    ].join('\n'));
+  });
+
+  it('should generate tool files and save the selection in .ai-init.json', async () => {
+    fs.writeFileSync(path.join(dir, 'AGENTS.md'), '# Agents\n\nOur own notes.\n');
+    process.chdir(dir);
+
+    const actions = [];
+    await addToProject({ template: 'next', tools: 'copilot,agents,cline', onAction: action => actions.push(action) });
+
+    expect(fs.readFileSync(path.join('.github', 'copilot-instructions.md'), 'utf8')).toMatch(/^# Project Instructions\n/);
+    expect(fs.readFileSync('AGENTS.md', 'utf8')).toBe('# Agents\n\nOur own notes.\n');
+    expect(fs.readlinkSync('.clinerules')).toBe('rules.yaml');
+    expect(fs.existsSync('.cursorrules')).toBe(false);
+    expect(JSON.parse(fs.readFileSync('.ai-init.json', 'utf8'))).toEqual({ tools: ['copilot', 'agents', 'cline'] });
+    expect(actions).toContainEqual({ type: 'file', path: 'AGENTS.md', status: 'skip' });
+
+    const lock = JSON.parse(fs.readFileSync('.ai-init-lock.json', 'utf8'));
+    expect(Object.keys(lock.generated)).toEqual(['.github/copilot-instructions.md']);
+
+    // Later runs reuse the saved selection
+    const rerun = [];
+    await addToProject({ template: 'next', onAction: action => rerun.push(action) });
+    expect(rerun.filter(action => action.type === 'symlink').map(action => action.path)).toEqual(['.clinerules']);
+  });
+
+  it('should copy rules.yaml when linking by copy and sync later edits', async () => {
+    process.chdir(dir);
+    await addToProject({ template: 'next', tools: 'cursor,cline', linkMode: 'copy' });
+
+    expect(fs.lstatSync('.cursorrules').isSymbolicLink()).toBe(false);
+    expect(fs.readFileSync('.cursorrules', 'utf8')).toBe(fs.readFileSync('rules.yaml', 'utf8'));
+    expect(JSON.parse(fs.readFileSync('.ai-init.json', 'utf8'))).toEqual({ tools: ['cursor', 'cline'], linkMode: 'copy' });
+
+    fs.appendFileSync('rules.yaml', '# reviewed\n');
+    fs.appendFileSync('.clinerules', '# local edit\n');
+    const report = await syncTools(dir);
+
+    expect(report.changes).toEqual([
+      { file: '.cursorrules', tool: 'cursor', status: 'updated' },
+      {
+        file: '.clinerules',
+        tool: 'cline',
+        status: 'drift',
+        detail: 'edited directly; edit rules.yaml instead, or use --force to overwrite'
+      }
+    ]);
+    expect(fs.readFileSync('.cursorrules', 'utf8')).toMatch(/# reviewed\n$/);
+    expect(fs.readFileSync('.clinerules', 'utf8')).toMatch(/# local edit\n$/);
+
+    await syncTools(dir, { force: true });
+    expect((await syncTools(dir)).changes.map(change => change.status)).toEqual(['unchanged', 'unchanged']);
+  });
+});
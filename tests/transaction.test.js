@@ -0,0 +1,71 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { createProject, addToProject } = require('../lib/installer');
+const { uninstallProject } = require('../lib/uninstaller');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+/**
+ * Lists every path under a directory, relative to it
+ * @param {string} dir - Directory to list
+ * @returns {string[]} - Sorted relative paths
+ */
+function listTree(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    if (!entry.isDirectory()) return [entry.name];
+    return [entry.name, ...listTree(path.join(dir, entry.name)).map(name => path.join(entry.name, name))];
+  }).sort();
+}
+
+describe('Transactional install', () => {
+  let dir;
+  let cwd;
+  const tempDir = useTempDirs('transaction');
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  it('should leave the project as it was when an install fails midway', async () => {
+    // A directory where the template has a file makes the commit fail
+    fs.mkdirSync(path.join(dir, 'rules.yaml'));
+    fs.mkdirSync(path.join(dir, 'memory-bank'));
+    fs.writeFileSync(path.join(dir, 'memory-bank', 'progress.md'), '# Progress\n');
+    const before = listTree(dir);
+    process.chdir(dir);
+
+    await expect(addToProject({ template: 'next', onConflict: 'overwrite' })).rejects.toMatchObject({ code: 'COPY_FAILED' });
+
+    expect(listTree(dir)).toEqual(before);
+    expect(fs.readFileSync(path.join(dir, 'memory-bank', 'progress.md'), 'utf8')).toBe('# Progress\n');
+  });
+
+  it('should uninstall what it created and keep edited and pre-existing files', async () => {
+    process.chdir(dir);
+    const projectPath = await createProject('app', { template: 'next' });
+    fs.appendFileSync(path.join(projectPath, 'memory-bank', 'progress.md'), '- Shipped\n');
+
+    const report = await uninstallProject(projectPath);
+
+    expect(report.changes).toContainEqual({ file: 'rules.yaml', status: 'removed' });
+    expect(report.changes).toContainEqual({ file: '.cursorrules', status: 'removed' });
+    expect(report.changes).toContainEqual({
+      file: 'memory-bank/progress.md',
+      status: 'modified',
+      detail: 'edited since install; use --force to remove'
+    });
+    expect(listTree(projectPath)).toEqual(['.ai-init-journal.json', '.ai-init-lock.json', 'memory-bank', path.join('memory-bank', 'progress.md')]);
+
+    await uninstallProject(projectPath, { force: true });
+    expect(listTree(projectPath)).toEqual([]);
+  });
+
+  it('should refuse to uninstall a project without a journal', async () => {
+    await expect(uninstallProject(dir)).rejects.toMatchObject({ code: 'JOURNAL_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,128 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { createProject } = require('../lib/installer');
+const { LOCK_FILE, hashContent, readLock } = require('../lib/lockfile');
+const { upgradeProject } = require('../lib/upgrader');
+const { uninstallProject } = require('../lib/uninstaller');
+const { mergeThreeWay } = require('../lib/utils/merge');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+describe('Upgrader', () => {
+  let dir;
+  let projectPath;
+  const tempDir = useTempDirs('upgrade');
+
+  // Rewrites the lockfile as if an older template had installed `content`
+  const setBase = (lock, file, content) => {
+    lock.files[file] = { hash: hashContent(content), content };
+  };
+
+  beforeEach(async () => {
+    dir = tempDir({ userConfig: true });
+    projectPath = await createProject(path.join(dir, 'app'), {
+      skipSymlink: true,
+      metadata: { name: 'Shop', goal: 'Sell books', features: [] }
+    });
+  });
+
+  it('should record the template version and file hashes at install time', async () => {
+    const lock = await readLock(projectPath);
+    const rules = fs.readFileSync(path.join(projectPath, 'rules.yaml'), 'utf8');
+
+    expect(lock.template).toEqual({ name: 'next', version: require('../package.json').version });
+    expect(lock.metadata.name).toBe('Shop');
+    expect(lock.files['rules.yaml']).toEqual({ hash: hashContent(rules), content: rules });
+    expect(Object.keys(lock.files)).toContain('.cursor/rules/naming_conventions.mdc');
+  });
+
+  it('should update untouched files, merge edited ones and keep conflicts aside', async () => {
+    const lock = await readLock(projectPath);
+    const read = file => fs.readFileSync(path.join(projectPath, file), 'utf8');
+    const write = (file, content) => fs.writeFileSync(path.join(projectPath, file), content);
+
+    const progress = read('memory-bank/progress.md').replace(/^# .*$/m, '# Old Progress');
+    setBase(lock, 'memory-bank/progress.md', progress);
+    write('memory-bank/progress.md', progress);
+
+    const rulesBase = read('rules.yaml').replace('version: "1.0.0"', 'version: "0.9.0"');
+    setBase(lock, 'rules.yaml', rulesBase);
+    write('rules.yaml', rulesBase.replace('Comment complex logic', 'Comment complex logic thoroughly'));
+
+    const techBase = read('memory-bank/techContext.md').replace(/^# .*$/m, '# Old Tech');
+    setBase(lock, 'memory-bank/techContext.md', techBase);
+    write('memory-bank/techContext.md', techBase.replace('# Old Tech', '# Our Tech'));
+
+    fs.unlinkSync(path.join(projectPath, 'memory-bank', 'roadmap.md'));
+    fs.writeFileSync(path.join(projectPath, LOCK_FILE), JSON.stringify(Object.assign(lock, {
+      template: { name: 'next', version: '1.0.0' }
+    })));
+
+    const report = await upgradeProject(projectPath);
+    const statuses = {};
+    report.changes.forEach(change => {
+      statuses[change.file] = change.status;
+    });
+
+    expect(report.fromVersion).toBe('1.0.0');
+    expect(statuses['memory-bank/progress.md']).toBe('updated');
+    expect(statuses['rules.yaml']).toBe('merged');
+    expect(statuses['memory-bank/techContext.md']).toBe('conflict');
+    expect(statuses['memory-bank/roadmap.md']).toBe('deleted');
+    expect(statuses['.cursor/rules/naming_conventions.mdc']).toBe('unchanged');
+
+    expect(read('rules.yaml')).toMatch(/version: "1\.0\.0"/);
+    expect(read('rules.yaml')).toMatch(/Comment complex logic thoroughly/);
+    expect(read('rules.yaml')).toMatch(/name: "Shop"/);
+    expect(read('memory-bank/techContext.md')).toMatch(/^# Our Tech/);
+    expect(read('memory-bank/techContext.md.orig')).toBe(techBase);
+    expect(fs.existsSync(path.join(projectPath, 'memory-bank', 'techContext.md.new'))).toBe(true);
+    expect(fs.existsSync(path.join(projectPath, 'memory-bank', 'roadmap.md'))).toBe(false);
+
+    const upgraded = await readLock(projectPath);
+    expect(upgraded.files['rules.yaml'].hash).not.toBe(hashContent(read('rules.yaml')));
+    expect(upgraded.files['memory-bank/techContext.md'].content).toBe(techBase);
+  });
+
+  it('should journal the files an upgrade writes and roll back a failed one', async () => {
+    const lock = await readLock(projectPath);
+    const read = file => fs.readFileSync(path.join(projectPath, file), 'utf8');
+    const write = (file, content) => fs.writeFileSync(path.join(projectPath, file), content);
+
+    const progress = read('memory-bank/progress.md').replace(/^# .*$/m, '# Old Progress');
+    setBase(lock, 'memory-bank/progress.md', progress);
+    write('memory-bank/progress.md', progress);
+
+    const techBase = read('memory-bank/techContext.md').replace(/^# .*$/m, '# Old Tech');
+    setBase(lock, 'memory-bank/techContext.md', techBase);
+    write('memory-bank/techContext.md', techBase.replace('# Old Tech', '# Our Tech'));
+    write(LOCK_FILE, JSON.stringify(lock));
+
+    // A directory in the way of techContext.md.orig fails the commit
+    fs.mkdirSync(path.join(projectPath, 'memory-bank', 'techContext.md.orig'));
+    await expect(upgradeProject(projectPath)).rejects.toMatchObject({ code: 'UPGRADE_FAILED' });
+    expect(read('memory-bank/progress.md')).toBe(progress);
+    expect(read(LOCK_FILE)).toBe(JSON.stringify(lock));
+    expect(fs.existsSync(path.join(projectPath, 'memory-bank', 'techContext.md.new'))).toBe(false);
+
+    fs.rmdirSync(path.join(projectPath, 'memory-bank', 'techContext.md.orig'));
+    await upgradeProject(projectPath);
+    expect(read('memory-bank/progress.md')).not.toBe(progress);
+    expect(read('memory-bank/techContext.md.orig')).toBe(techBase);
+
+    const { changes } = await uninstallProject(projectPath, { force: true });
+    expect(changes).toEqual(expect.arrayContaining([
+      { file: 'memory-bank/techContext.md.orig', status: 'removed' },
+      { file: 'memory-bank/techContext.md.new', status: 'removed' }
+    ]));
+    expect(fs.existsSync(path.join(projectPath, 'memory-bank'))).toBe(false);
+  });
+
+  it('should merge non-overlapping edits and flag overlapping ones', () => {
+    expect(mergeThreeWay('a\nb\nc\nd\n', 'a\nB\nc\nd\n', 'a\nb\nc\nD\n')).toEqual({ content: 'a\nB\nc\nD\n', conflicts: 0 });
+
+    const conflicting = mergeThreeWay('a\nb\nc\n', 'a\nX\nc\n', 'a\nY\nc\n');
+    expect(conflicting.conflicts).toBe(1);
+    expect(conflicting.content).toBe('a\n<<<<<<< local\nX\n=======\nY\n>>>>>>> template\nc\n');
+  });
+});
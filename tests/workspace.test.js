@@ -0,0 +1,104 @@
+const { expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const { detectWorkspace, resolveExtends } = require('../lib/workspace');
+const { addToProject } = require('../lib/installer');
+const { loadRules } = require('../lib/tool-sync');
+const { upgradeProject } = require('../lib/upgrader');
+const { readLock } = require('../lib/lockfile');
+const { useTempDirs } = require('./helpers/temp-dirs');
+
+/**
+ * Writes files below a directory, creating their directories
+ * @param {string} dir - Root directory
+ * @param {Object} files - Content by relative path
+ */
+function writeFiles(dir, files) {
+  Object.keys(files).forEach(file => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), files[file]);
+  });
+}
+
+describe('Workspaces', () => {
+  let dir;
+  let cwd;
+  const tempDir = useTempDirs('workspace');
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    dir = tempDir({ userConfig: true });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  it('should find the packages of workspace roots', async () => {
+    writeFiles(dir, {
+      'package.json': JSON.stringify({ workspaces: ['apps/*', 'packages/**', '!packages/legacy'] }),
+      'yarn.lock': '',
+      'apps/web/package.json': JSON.stringify({ name: '@acme/web' }),
+      'apps/notes/README.md': '',
+      'packages/legacy/package.json': '{}',
+      'packages/tools/cli/pyproject.toml': '',
+      'node_modules/dep/package.json': '{}'
+    });
+
+    expect(await detectWorkspace(dir)).toEqual({
+      type: 'yarn',
+      source: 'package.json workspaces',
+      patterns: ['apps/*', 'packages/**', '!packages/legacy'],
+      packages: [
+        { name: '@acme/web', path: 'apps/web' },
+        { name: 'packages/tools/cli', path: 'packages/tools/cli' }
+      ]
+    });
+
+    const nx = path.join(dir, 'nx');
+    writeFiles(nx, { 'nx.json': '{}', 'libs/shared/ui/project.json': JSON.stringify({ name: 'shared-ui' }) });
+    expect((await detectWorkspace(nx)).packages).toEqual([{ name: 'shared-ui', path: 'libs/shared/ui' }]);
+    fs.mkdirSync(path.join(dir, 'empty'));
+    expect(await detectWorkspace(path.join(dir, 'empty'))).toBeNull();
+  });
+
+  it('should scaffold packages with rules that extend the root', async () => {
+    writeFiles(dir, {
+      'package.json': JSON.stringify({ name: 'acme', private: true }),
+      'pnpm-workspace.yaml': 'packages:\n  - "apps/*"\n  - "services/*"\n',
+      'apps/web/package.json': JSON.stringify({ name: '@acme/web', dependencies: { next: '14.2.0' } }),
+      'services/api/pyproject.toml': '[project]\ndependencies = ["fastapi"]\n'
+    });
+    process.chdir(dir);
+
+    await expect(addToProject({ template: 'next', packages: 'libs/*' })).rejects.toMatchObject({ code: 'NO_MATCHING_PACKAGES' });
+    await addToProject({ template: 'next', packages: 'services/*' });
+
+    expect(fs.existsSync(path.join(dir, 'apps', 'web', 'rules.yaml'))).toBe(false);
+    expect(fs.readdirSync(path.join(dir, 'services', 'api', 'memory-bank')).sort()).toEqual(['activeContext.md', 'progress.md', 'techContext.md']);
+    expect(fs.readFileSync(path.join(dir, 'services', 'api', 'memory-bank', 'progress.md'), 'utf8'))
+      .toContain('Shared context lives in the [workspace memory bank](../../../memory-bank/)');
+
+    const { content, rules } = await loadRules(path.join(dir, 'services', 'api'));
+    expect(content).toContain('extends: "../../rules.yaml"');
+    expect(rules.extends).toBeUndefined();
+    expect(rules.project.name).toBe('services/api');
+    expect(Object.keys(rules.conventions)).toEqual(expect.arrayContaining(['general', 'javascript_typescript', 'python']));
+    expect(rules.documentation.memory_bank_required_files).toEqual(['techContext.md', 'activeContext.md', 'progress.md']);
+    expect(rules.security).toBeDefined();
+
+    expect((await readLock(dir)).packages).toEqual({ 'services/api': { name: 'services/api', template: 'python' } });
+    const report = await upgradeProject(dir);
+    expect(report.changes.filter(change => change.file.startsWith('services/'))).toEqual([]);
+    expect(fs.existsSync(path.join(dir, 'services', 'api', 'rules.yaml'))).toBe(true);
+  });
+
+  it('should reject --packages outside a workspace and cycles between rules files', async () => {
+    process.chdir(dir);
+    await expect(addToProject({ template: 'next', packages: 'apps/*' })).rejects.toMatchObject({ code: 'NOT_A_WORKSPACE' });
+
+    writeFiles(dir, { 'a/rules.yaml': 'extends: "../b/rules.yaml"\n', 'b/rules.yaml': 'extends: "../a/rules.yaml"\n' });
+    await expect(resolveExtends({ extends: '../b/rules.yaml' }, path.join(dir, 'a', 'rules.yaml'))).rejects.toMatchObject({ code: 'INVALID_RULES' });
+    await expect(resolveExtends({ extends: '../c/rules.yaml' }, path.join(dir, 'a', 'rules.yaml'))).rejects.toMatchObject({ code: 'RULES_NOT_FOUND' });
+  });
+});